@@ -1 +1 @@
-const UPSTREAM_DOH_SERVERS=["https://cloudflare-dns.com/dns-query","https://dns.google/dns-query"],GLOBAL_AUTH_TOKEN="",CACHE_TTL_SECONDS=300,MIN_CACHE_TTL_SECONDS=60,TIMEOUT_MS=500,decoder=new TextDecoder;export default{async fetch(e){const n=new URL(e.url),t=n.pathname;if("OPTIONS"===e.method)return new Response(null,{headers:{"Access-Control-Allow-Origin":"*","Access-Control-Allow-Methods":"GET, POST, OPTIONS","Access-Control-Allow-Headers":"*","Access-Control-Max-Age":"86400"}});switch(t){case"/dns-query":return await handleDnsQuery(e);case"/resolve":return await handleDomainResolve(e);default:return new Response(null,{status:200})}}};async function handleDnsQuery(e){let n;if("GET"===e.method){const t=new URL(e.url).searchParams.get("dns");if(!t)return new Response(null,{status:400});const s=atob(t.replace(/-/g,"+").replace(/_/g,"/"));n=new Uint8Array(s.length);for(let e=0;e<s.length;e++)n[e]=s.charCodeAt(e)}else{if("POST"!==e.method)return new Response(null,{status:405});if("application/dns-message"!==e.headers.get("content-type"))return new Response(null,{status:415});n=new Uint8Array(await e.arrayBuffer())}const{response:t,upstreamCacheControl:s}=await forwardDnsQueryWithCacheControl(n);if(!t)return new Response(null,{status:502});let r=300;if(s){const e=s.match(/max-age=(\d+)/);if(e){const n=parseInt(e[1],10);r=Math.max(60,Math.min(n,300))}}return new Response(t,{headers:{"Content-Type":"application/dns-message","Cache-Control":`public, max-age=${r}`,"Access-Control-Allow-Origin":"*"}})}async function handleDomainResolve(e){if("GET"!==e.method)return jsonResponse({},405);const n=new URL(e.url),t=n.searchParams.get("name");if(!t)return jsonResponse({},400);const s=n.searchParams.get("type"),r=n.searchParams.get("server"),a=r?[r]:UPSTREAM_DOH_SERVERS;if(s){const e=await queryDnsRecord(t,s,a);return e?jsonResponse(e):jsonResponse({},502)}{const[e,n]=await Promise.all([queryDnsRecord(t,"A",a),queryDnsRecord(t,"AAAA",a)]);return jsonResponse({domain:t,types:["A","AAAA"],status:"success",results:{A:e,AAAA:n}})}}async function forwardDnsQueryWithCacheControl(e,n=UPSTREAM_DOH_SERVERS){const t=n.map(async n=>{const t=new AbortController,s=setTimeout(()=>t.abort(),500);try{const r=await fetch(n,{method:"POST",headers:{Accept:"application/dns-message","Content-Type":"application/dns-message"},body:e,signal:t.signal});if(clearTimeout(s),r.ok){const e=r.headers.get("Cache-Control");return{response:new Uint8Array(await r.arrayBuffer()),upstreamCacheControl:e}}throw 0}catch(e){throw clearTimeout(s),e}});try{return await Promise.any(t)}catch(e){return null}}async function forwardDnsQuery(e,n=UPSTREAM_DOH_SERVERS){const t=await forwardDnsQueryWithCacheControl(e,n);return t?t.response:null}async function queryDnsRecord(e,n,t=UPSTREAM_DOH_SERVERS){const s=buildDnsQuery(e,n);if(!s)return null;const r=await forwardDnsQuery(s,t);return r?parseDnsResponse(r,e,n):null}function jsonResponse(e,n=200){return new Response(JSON.stringify(e,null,2),{status:n,headers:{"Content-Type":"application/json","Access-Control-Allow-Origin":"*"}})}function buildDnsQuery(e,n){const t={A:1,AAAA:28,CNAME:5,NS:2,TXT:16,MX:15}[n.toUpperCase()]||parseInt(n);if(!t)return null;const s=new TextEncoder,r=e.split(".").map(e=>s.encode(e)),a=r.reduce((e,n)=>e+n.length+1,1),o=new Uint8Array(12+a+4),c=new DataView(o.buffer);c.setUint16(0,Math.floor(65535*Math.random()),!1),c.setUint16(2,256,!1),c.setUint16(4,1,!1);let l=12;for(const e of r)o[l++]=e.length,o.set(e,l),l+=e.length;return o[l++]=0,c.setUint16(l,t,!1),c.setUint16(l+2,1,!1),o}function parseDnsResponse(e,n,t){if(e.length<12)return{domain:n,type:t,status:"error"};const s=new DataView(e.buffer);if(0!==(15&s.getUint16(2,!1)))return{domain:n,type:t,status:"error"};const r=s.getUint16(4,!1),a=s.getUint16(6,!1);if(0===a)return{domain:n,type:t,status:"no_records",answers:[]};const o=[];let c=12;for(let n=0;n<r;n++)c=skipDnsName(e,c)+4;for(let n=0;n<a&&c<e.length;n++){const n=parseDnsAnswer(e,c);if(!n)break;o.push(n),c=n.nextOffset}return{domain:n,type:t,status:"success",count:a,answers:o}}function skipDnsName(e,n){let t=n;for(;t<e.length;){const n=e[t];if(0===n)return t+1;if(!(192&~n))return t+2;t+=n+1}return t}function parseDnsAnswer(e,n){const t=parseDnsName(e,n);if(!t)return null;let s=t.nextOffset;const r=new DataView(e.buffer),a=r.getUint16(s,!1),o=r.getUint32(s+4,!1),c=r.getUint16(s+8,!1);s+=10;let l=null;switch(a){case 1:4===c&&(l=`${e[s]}.${e[s+1]}.${e[s+2]}.${e[s+3]}`);break;case 28:16===c&&(l=parseIPv6(e,s));break;case 5:const n=parseDnsName(e,s);l=n?n.name:null;break;case 15:const t=r.getUint16(s,!1),a=parseDnsName(e,s+2);l={preference:t,exchange:a?a.name:null};break;case 16:const o=[];let i=0;for(;i<c;){const n=e[s+i];o.push(decoder.decode(e.slice(s+i+1,s+i+1+n))),i+=1+n}l=o.join("");break;case 2:const u=parseDnsName(e,s);l=u?u.name:null;break;case 33:const p=r.getUint16(s,!1),f=r.getUint16(s+2,!1),h=r.getUint16(s+4,!1),d=parseDnsName(e,s+6);l={priority:p,weight:f,port:h,target:d?d.name:null}}return{name:t.name,type:{1:"A",28:"AAAA",5:"CNAME",15:"MX",16:"TXT",2:"NS",33:"SRV"}[a]||a,ttl:o,data:l,nextOffset:s+c}}function parseIPv6(e,n){const t=[];for(let s=0;s<8;s++)t.push((e[n+2*s]<<8|e[n+2*s+1]).toString(16));let s=-1,r=0,a=-1,o=0;for(let e=0;e<8;e++)"0"===t[e]?(-1===a&&(a=e),o++,o>r&&(s=a,r=o)):(a=-1,o=0);return r>1&&(t.splice(s,r,""),0===s&&t.unshift(""),s+r===8&&t.push("")),t.join(":").replace(/:{3,}/,"::")}function parseDnsName(e,n){const t=[];let s=n,r=!1,a=-1,o=0;for(;!(o++>20||s>=e.length);){const n=e[s];if(0===n){r||(a=s+1);break}if(!(192&~n)){r||(a=s+2);s=(63&n)<<8|e[s+1],r=!0;continue}s++;let o="";for(let t=0;t<n;t++)o+=String.fromCharCode(e[s+t]);t.push(o),s+=n,r||(a=s)}return{name:t.join("."),nextOffset:a}}
+import{connect}from"cloudflare:sockets";let UPSTREAM_DOH_SERVERS=["https://cloudflare-dns.com/dns-query","https://dns.google/dns-query"],UPSTREAM_ROUTES=[],UPSTREAM_ALIASES={cloudflare:"https://cloudflare-dns.com/dns-query",google:"https://dns.google/dns-query",quad9:"https://dns.quad9.net/dns-query",adguard:"https://dns.adguard-dns.com/dns-query",alidns:"https://dns.alidns.com/dns-query",dnspod:"https://doh.pub/dns-query"},CUSTOM_SERVER_ALLOWLIST=[],CUSTOM_SERVER_ALLOW_ANY=!1,DEFAULT_UPSTREAM_STRATEGY="hedged",HEDGE_DELAY_MS=100,GLOBAL_AUTH_TOKEN="",AUTH_TOKENS={},CACHE_TTL_SECONDS=300,MIN_CACHE_TTL_SECONDS=60,TIMEOUT_MS=500,UPSTREAM_TIMEOUT_MIN_MS=300,UPSTREAM_TIMEOUT_MAX_MS=3e3,HEALTH_EWMA_ALPHA=.2,CIRCUIT_BREAKER_THRESHOLD=3,CIRCUIT_BREAKER_COOLDOWN_MS=3e4,EDNS_UDP_PAYLOAD_SIZE=1232,EDNS_PADDING=!0,ECS_FROM_CLIENT_IP=!0,ECS_IPV4_PREFIX=24,ECS_IPV6_PREFIX=56,ECS_POLICY="keep",BLOCKLIST_SOURCES=[],BLOCKLIST_RULES=[],BLOCK_RESPONSE="nxdomain",BLOCKED_TTL_SECONDS=10,BLOCKLIST_REFRESH_SECONDS=3600,BLOCKLIST_PROFILES={},FILTER_AAAA=!1,REBINDING_PROTECTION="off",REBINDING_ALLOWLIST=[],BLOCKLIST_IP_CIDRS=[],HTTPS_STRIP_ECH=!1,HTTPS_STRIP_ALPN=[],HTTPS_IPV4HINT=[],HTTPS_IPV6HINT=[],LOCAL_RECORDS={},LOCAL_TTL_SECONDS=300,LOCAL_CNAME_MAX_DEPTH=8,DNS_CACHE_ENABLED=!0,NEGATIVE_CACHE_TTL_SECONDS=60,SERVE_STALE=!0,SERVE_STALE_MAX_SECONDS=86400,STALE_ANSWER_TTL_SECONDS=30,REFRESH_AHEAD_PERCENT=10,REFRESH_AHEAD_MIN_HITS=3,PREFETCH_DOMAINS=[],PREFETCH_TYPES=["A","AAAA"],QUERY_LOG_SINKS=[],QUERY_LOG_CLIENT_IP="hash",QUERY_LOG_IP_SALT="",QUERY_LOG_HTTP_TOKEN="",QUERY_LOG_BATCH_SIZE=50,QUERY_LOG_FLUSH_SECONDS=10,BATCH_MAX_QUERIES=500,BATCH_CONCURRENCY=8,CNAME_CHAIN_MAX_DEPTH=8,WEB_UI=!0,DNSSEC_VALIDATION=!1,DNSSEC_TRUST_ANCHORS=[". 20326 8 2 E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D",". 38696 8 2 683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16"];const decoder=new TextDecoder;export default{async fetch(e,t,n){const r=new URL(e.url);let s=r.pathname;if("OPTIONS"===e.method)return new Response(null,{headers:{"Access-Control-Allow-Origin":"*","Access-Control-Allow-Methods":"GET, POST, OPTIONS","Access-Control-Allow-Headers":"*","Access-Control-Max-Age":"86400"}});if((await ensureConfig(t)).length)return configErrorResponse();const a=getPathToken(s);a&&(s="/dns-query");const o=await authenticate(e,r,a);if(!o||!canAccessEndpoint(o,s))return await denyRequest(e,r,s,403);if(!consumeRateLimit(o))return await denyRequest(e,r,s,429);if(r.searchParams.has("server")&&!o.serverOverride)return jsonResponse({error:"server parameter is not allowed for this token"},403);switch(s){case"/dns-query":return wantsDnsJson(e,r)?await handleJsonQuery(e,n,o):await handleDnsQuery(e,n,o);case"/resolve":return wantsDnsJson(e,r)?await handleJsonQuery(e,n,o):await handleDomainResolve(e,n,o);case"/resolve/batch":return await handleBatchResolve(e,n,o);case"/stats":return handleStats(r);case"/":return WEB_UI?await handleWebUi(r,o):new Response(null,{status:200});case"/dns.mobileconfig":return WEB_UI?await handleMobileConfig(r,o):new Response(null,{status:404});default:return new Response(null,{status:200})}},async scheduled(e,t,n){(await ensureConfig(t)).length||(n.waitUntil(runScheduledTasks(n)),n.waitUntil(flushLogSinks()))}};const DNS_MESSAGE_MAX_BYTES=65535;async function handleDnsQuery(e,t,n){let r;if("GET"===e.method){const t=new URL(e.url).searchParams.get("dns");if(r=t?base64UrlToBytes(t):null,!r)return new Response(null,{status:400})}else{if("POST"!==e.method)return new Response(null,{status:405});if("application/dns-message"!==(e.headers.get("content-type")||"").split(";")[0].trim().toLowerCase())return new Response(null,{status:415});if(Number(e.headers.get("content-length"))>DNS_MESSAGE_MAX_BYTES)return new Response(null,{status:413});r=new Uint8Array(await e.arrayBuffer())}if(r.length>DNS_MESSAGE_MAX_BYTES)return new Response(null,{status:413});if(r.length<12)return new Response(null,{status:400});const s=parseDnsMessage(r),a=checkDnsQuery(r,s);if(a)return dnsMessageResponse(buildErrorResponse(r,s,a));r=applyEcsPolicy(r,e.headers.get("CF-Connecting-IP"));const o=await resolveDnsQuery(r,{context:t,blocklistProfile:n.blocklistProfile,log:createQueryLog(e,n,t)});return o?dnsMessageResponse(o.response,computeCacheTtl(o.upstreamCacheControl)):dnsMessageResponse(buildDnsResponse(s,{rcode:2}))}function checkDnsQuery(e,t){if(0!==(e[2]>>3&15))return 4;if(!t||t.flags.qr||1!==t.questions.length)return 1;if(t.additionals.filter(e=>41===e.typeCode).length>1)return 1;const n=t.questions[0].typeCode;return 251===n||252===n?4:0}function buildErrorResponse(e,t,n){if(!t){const n=e.slice();n.fill(0,6,12),t=parseDnsMessage(n)}return t?buildDnsResponse(t,{rcode:n}):encodeDnsMessage({id:e[0]<<8|e[1],flags:{qr:!0,opcode:e[2]>>3&15,rd:!!(1&e[2]),ra:!0},rcode:n})}function dnsMessageResponse(e,t=0){return new Response(e,{headers:{"Content-Type":"application/dns-message","Cache-Control":t?`public, max-age=${t}`:"no-store","Access-Control-Allow-Origin":"*"}})}async function handleDomainResolve(e,t,n){if("GET"!==e.method)return jsonResponse({},405);const r=new URL(e.url),s=r.searchParams.get("ip"),a=s||r.searchParams.get("name");if(!a)return jsonResponse({},400);if(s&&!s.includes("/")&&!ipToArpaName(s))return jsonResponse({error:"Invalid ip",ip:s},400);const o=s?"PTR":r.searchParams.get("type"),{dnsServers:i,error:c}=await getCustomServers(r);if(c)return jsonResponse({error:"Server not allowed",server:r.searchParams.get("server"),reason:c},400);const l=getEdnsOptions(e,r);if(!l)return jsonResponse({error:"Invalid edns_client_subnet"},400);const u={dnsServers:i,edns:l,context:t,blocklistProfile:n.blocklistProfile,log:createQueryLog(e,n,t)};if("dig"===r.searchParams.get("format"))return a.includes("/")?new Response("format=dig does not support address ranges\n",{status:400,headers:textHeaders()}):await handleDigResolve(a,o?[o]:["A","AAAA"],u);if(o&&12===toTypeCode(o)&&a.includes("/"))return await handleReverseRange(e,r,a,n,u);if(o){const e=await queryDnsRecord(a,o,u);return e?(await followCnameChain(e,u),1!==toTypeCode(o)&&28!==toTypeCode(o)||(e.addresses=collectAddresses([e],r)),jsonResponse(e)):jsonResponse({},502)}{const[e,t]=await Promise.all([queryDnsRecord(a,"A",u).then(e=>e&&followCnameChain(e,u)),queryDnsRecord(a,"AAAA",u).then(e=>e&&followCnameChain(e,u))]),n=e&&e.chain?e:t;return jsonResponse({domain:a,types:["A","AAAA"],status:"success",chain:n&&n.chain?n.chain:[],addresses:collectAddresses([e,t],r),results:{A:e,AAAA:t}})}}function wantsDnsJson(e,t){return!!(e.headers.get("accept")||"").includes("application/dns-json")||("application/dns-json"===t.searchParams.get("ct")||/^\/dns-query(\/|$)/.test(t.pathname)&&t.searchParams.has("name")&&!t.searchParams.has("dns"))}async function handleJsonQuery(e,t,n){if("GET"!==e.method)return dnsJsonResponse({Status:1,Comment:"Method not allowed"},405);const r=new URL(e.url),s=r.searchParams.get("name");if(!s)return dnsJsonResponse({Status:1,Comment:"Missing name parameter"},400);const a=r.searchParams.get("type")||"A",o=getEdnsOptions(e,r);if(!o)return dnsJsonResponse({Status:1,Comment:"Invalid edns_client_subnet"},400);const i=buildDnsQuery(s,a,o);if(!i)return dnsJsonResponse({Status:1,Comment:`Invalid type: ${a}`},400);const{dnsServers:c,error:l}=await getCustomServers(r);if(l)return dnsJsonResponse({Status:5,Comment:`Server not allowed: ${l}`},400);const u=await resolveDnsQuery(i,{dnsServers:c,context:t,blocklistProfile:n.blocklistProfile,log:createQueryLog(e,n,t)});if(!u)return dnsJsonResponse({Status:2,Comment:"All upstream servers failed"});const d=parseDnsMessage(u.response);if(!d)return dnsJsonResponse({Status:2,Comment:"Malformed upstream response"});const S=toDnsJson(d);return u.blocked&&(S.Comment="Blocked by filter"),dnsJsonResponse(S,200,computeCacheTtl(u.upstreamCacheControl))}function isTruthyParam(e){return"1"===e||"true"===e}function getEdnsOptions(e,t){const n=t.searchParams.get("edns_client_subnet");if(null!==n&&!parseClientSubnet(n))return null;const r=ECS_FROM_CLIENT_IP?e.headers.get("CF-Connecting-IP"):null;return{udpPayloadSize:EDNS_UDP_PAYLOAD_SIZE,dnssecOk:isTruthyParam(t.searchParams.get("do")),checkingDisabled:isTruthyParam(t.searchParams.get("cd")),clientSubnet:null!==n?n:r,padding:EDNS_PADDING}}function applyEcsPolicy(e,t){if("keep"===ECS_POLICY)return e;const n=parseDnsMessage(e);if(!n)return e;let r=n.additionals.find(e=>41===e.typeCode);const s=!!r&&r.data.options.some(e=>e.code===EDNS_OPTION_ECS);if("strip"===ECS_POLICY){if(!s)return e;r.data.options=r.data.options.filter(e=>e.code!==EDNS_OPTION_ECS)}else{if("inject"!==ECS_POLICY)return e;{const a=t?buildClientSubnetOption(t):null;if(s||!a)return e;r||(r={name:"",type:"OPT",data:{udpPayloadSize:EDNS_UDP_PAYLOAD_SIZE,dnssecOk:!1,options:[]}},n.additionals.push(r)),r.data.options.push(a)}}try{return encodeDnsMessage(n)}catch(t){return e}}function toDnsJson(e){const t=e=>({name:toFqdn(e.name),type:e.typeCode,TTL:e.ttl,data:formatRecordData(e)}),n={Status:e.rcode,TC:e.flags.tc,RD:e.flags.rd,RA:e.flags.ra,AD:e.flags.ad,CD:e.flags.cd,Question:e.questions.map(e=>({name:toFqdn(e.name),type:e.typeCode}))},r=e.answers.map(t),s=e.authorities.map(t),a=e.additionals.filter(e=>41!==e.typeCode).map(t);r.length&&(n.Answer=r),s.length&&(n.Authority=s),a.length&&(n.Additional=a);const o=e.additionals.find(e=>41===e.typeCode),i=o&&o.data.options.find(e=>e.code===EDNS_OPTION_ECS),c=i&&parseClientSubnetOption(i.data);return c&&(n.edns_client_subnet=c.subnet),n}function dnsJsonResponse(e,t=200,n=0){const r={"Content-Type":"application/dns-json","Access-Control-Allow-Origin":"*"};return n&&(r["Cache-Control"]=`public, max-age=${n}`),new Response(JSON.stringify(e),{status:t,headers:r})}function computeCacheTtl(e){let t=CACHE_TTL_SECONDS;if(e){const n=e.match(/max-age=(\d+)/);if(n){const e=parseInt(n[1],10);t=Math.max(MIN_CACHE_TTL_SECONDS,Math.min(e,CACHE_TTL_SECONDS))}}return t}async function resolveDnsQuery(e,t={}){if(t.log){const n=Date.now(),r=await resolveDnsQuery(e,{...t,log:null});return logQuery(t.log,e,r,Date.now()-n),r}const{dnsServers:n=null,context:r=null,depth:s=0,blocklistProfile:a=null}=t,o=parseDnsMessage(e);if(!(o&&1===o.questions.length?o.questions[0]:null))return await forwardDnsQueryWithCacheControl(e,n);const i=await answerFromLocalZone(o,t,s);if(i)return i;const c=await applyDomainFilter(o,a);if(c)return{response:c,upstreamCacheControl:`max-age=${BLOCKED_TTL_SECONDS}`,blocked:!0};const l=buildDnsCacheKey(o,n),u=t.refresh?null:await lookupDnsCache(l,o);let d=u&&!u.stale?u:null;return d&&isRefreshAheadDue(l,d)&&runInBackground(r,refreshDnsCache(l,o,e,n,r)),d||(d=await forwardAndCache(o,e,l,n,r),d||(d=u)),d&&await applyAnswerFilters(o,d,t)}async function forwardAndCache(e,t,n,r,s){const a=DNSSEC_VALIDATION&&!e.flags.cd?await forwardValidatedQuery(e,r,s):await forwardDnsQueryWithCacheControl(t,r);return a&&runInBackground(s,storeDnsCache(n,a.response,a.dnssec)),a}function runInBackground(e,t){e&&e.waitUntil?e.waitUntil(t):t.catch(()=>{})}async function forwardDnsQueryWithCacheControl(e,t=null){const n=t?{servers:t,strategy:DEFAULT_UPSTREAM_STRATEGY}:selectUpstreamRoute(e),r=parseDnsMessage(e);return await fetchWithStrategy(n.servers,n.strategy,t=>fetchUpstream(t,e,r))}async function fetchUpstream(e,t,n){const r=parseUpstream(e),s=new AbortController,a=setTimeout(()=>s.abort(),getUpstreamTimeout(e)),o=Date.now();try{const i=await UPSTREAM_TRANSPORTS[r.transport](r,t,n,s.signal);if(clearTimeout(a),!isValidReply(t,n,i.response))throw 0;return recordUpstreamSuccess(e,Date.now()-o),{response:i.response,upstreamCacheControl:i.upstreamCacheControl||cacheControlFromTtl(i.response),upstream:e}}catch(t){throw clearTimeout(a),recordUpstreamFailure(e),t}}function selectUpstreamRoute(e){const t=UPSTREAM_ROUTES.length?parseDnsMessage(e):null,n=t&&t.questions[0];if(n)for(const e of UPSTREAM_ROUTES)if((!e.types||e.types.some(e=>toTypeCode(e)===n.typeCode))&&e.domains.some(e=>matchesDomainPattern(n.name,e)))return{servers:e.servers,strategy:e.strategy||DEFAULT_UPSTREAM_STRATEGY};return{servers:UPSTREAM_DOH_SERVERS,strategy:DEFAULT_UPSTREAM_STRATEGY}}function matchesDomainPattern(e,t){const n=normalizeDomain(e);let r=normalizeDomain(t);return"*"===r||""===r||(r.startsWith("*.")?(r=r.slice(2),n.endsWith("."+r)):n===r||n.endsWith("."+r))}async function queryDnsRecord(e,t,n={}){const r=12===toTypeCode(t)?ipToArpaName(e):null,s=r||e,a=buildDnsQuery(s,t,n.edns||{});if(!a)return null;const o=await resolveDnsQuery(a,n);if(!o)return null;const i=parseDnsResponse(o.response,s,t);return r&&(i.ip=e),o.dnssec&&(i.dnssec=o.dnssec.status,(i.answers||[]).forEach((e,t)=>e.dnssec=o.dnssec.answers[t]||o.dnssec.status)),o.blocked&&(i.blocked=!0),o.local&&(i.local=!0),i}function jsonResponse(e,t=200){return new Response(JSON.stringify(e,null,2),{status:t,headers:{"Content-Type":"application/json","Access-Control-Allow-Origin":"*"}})}async function handleBatchResolve(e,t,n){if("POST"!==e.method)return jsonResponse({error:"Method not allowed"},405);const r=new URL(e.url),s=parseTypeList(r.searchParams.get("type")||"A,AAAA");if(!s)return jsonResponse({error:"Invalid type parameter"},400);let a;try{a=parseBatchQueries(await e.text(),e.headers.get("content-type")||"",s)}catch(i){return jsonResponse({error:i.message},400)}if(!a.length)return jsonResponse({error:"No queries"},400);if(a.length>BATCH_MAX_QUERIES)return jsonResponse({error:`Too many queries: ${a.length} (max ${BATCH_MAX_QUERIES})`},413);if(!consumeRateLimit(n,a.length-1))return await denyRequest(e,r,"/resolve/batch",429);const{dnsServers:o,error:i}=await getCustomServers(r);if(i)return jsonResponse({error:"Server not allowed",server:r.searchParams.get("server"),reason:i},400);const c=getEdnsOptions(e,r);if(!c)return jsonResponse({error:"Invalid edns_client_subnet"},400);const l={dnsServers:o,edns:c,context:t,blocklistProfile:n.blocklistProfile,log:createQueryLog(e,n,t)},u=async({name:e,type:t,error:n})=>{if(n)return{name:e,type:t,error:n};const r=await queryDnsRecord(e,t,l);return r?{name:e,type:t,result:r}:{name:e,type:t,error:"All upstream servers failed"}};if(!(isTruthyParam(r.searchParams.get("stream"))||(e.headers.get("accept")||"").includes("application/x-ndjson"))){const e=await mapWithConcurrency(a,BATCH_CONCURRENCY,u);return jsonResponse({count:e.length,results:e})}const{readable:d,writable:S}=new TransformStream,p=S.getWriter(),f=new Map;let E=0;const h=mapWithConcurrency(a,BATCH_CONCURRENCY,async(e,t)=>{for(f.set(t,await u(e));f.has(E);){const e=JSON.stringify(f.get(E))+"\n";f.delete(E++),await p.write(encoder.encode(e))}}).then(()=>p.close(),e=>p.abort(e));return runInBackground(t,h),new Response(d,{headers:{"Content-Type":"application/x-ndjson","Access-Control-Allow-Origin":"*"}})}function parseBatchQueries(e,t,n){const r=[],s=(e,t)=>{if("string"!=typeof e||!e.trim())return void r.push({name:void 0===e?null:e,type:null,error:"Missing name"});if(!isValidDomainName(e=e.trim()))return void r.push({name:e,type:null,error:"Invalid name"});const s=null==t?n:parseTypeList(t);if(s)for(const t of s)r.push({name:e,type:t});else r.push({name:e,type:t,error:"Invalid type"})};if(t.includes("json")||e.trimStart().startsWith("[")){let t;try{t=JSON.parse(e)}catch(e){throw new Error("Invalid JSON body")}if(!Array.isArray(t))throw new Error("JSON body must be an array");for(const e of t)"string"==typeof e?s(e):e&&"object"==typeof e?s(e.name,e.type):s(void 0)}else for(const t of e.split(/\r?\n/)){const e=t.trim();e&&!e.startsWith("#")&&s(e)}return r}function parseTypeList(e){const t=Array.isArray(e)?e:String(e).split(","),n=[];for(const e of t){const t=toTypeCode("string"==typeof e?e.trim():e);if(!t)return null;const r=String(toTypeName(t));n.includes(r)||n.push(r)}return n.length?n:null}function isValidDomainName(e){try{return nameToLabels(e),!0}catch(e){return!1}}async function mapWithConcurrency(e,t,n){const r=new Array(e.length);let s=0;const a=Array.from({length:Math.min(t,e.length)},async()=>{for(;s<e.length;){const t=s++;r[t]=await n(e[t],t)}});return await Promise.all(a),r}async function followCnameChain(e,t){if("error"===e.status)return e;const n=String(toTypeName(toTypeCode(e.type))),r=[],s=new Set;let a=normalizeDomain(e.domain),o=0;for(;;){s.add(a);const i=findChainStep(e.answers,a,n);if(!i){if(!r.length||hasFinalRecords(e.answers,a,n))break;if(o>=CNAME_CHAIN_MAX_DEPTH){e.chainError=`Gave up resolving ${a} after ${o} lookups`;break}o++;const s=await queryDnsRecord(a,n,t);if(!s||"error"===s.status){e.chainError=`Failed to resolve ${a}`;break}if(e.answers=e.answers.concat(s.answers),findChainStep(s.answers,a,n))continue;s.answers.length&&!hasFinalRecords(s.answers,a,n)&&(e.chainError=`No records for ${a} in the reply`);break}if(r.push(i),s.has(i.target)){e.chainError=`${i.type} loop detected at ${i.target}`;break}if(r.length>=CNAME_CHAIN_MAX_DEPTH){e.chainError=`${i.type} chain longer than ${CNAME_CHAIN_MAX_DEPTH}`;break}a=i.target}return e.count=e.answers.length,e.count&&"no_records"===e.status&&(e.status="success"),e.chain=r,e.canonicalName=a,e}function findChainStep(e,t,n){if("CNAME"===n)return null;const r=e.find(e=>"CNAME"===e.type&&normalizeDomain(e.name)===t);if(r)return{name:t,type:"CNAME",target:normalizeDomain(r.data),ttl:r.ttl};if("DNAME"===n)return null;for(const n of e){if("DNAME"!==n.type)continue;const e=normalizeDomain(n.name);if(!t.endsWith("."+e))continue;const r=normalizeDomain(t.slice(0,-e.length)+normalizeDomain(n.data));return{name:t,type:"DNAME",owner:e,target:r,ttl:n.ttl}}return null}function hasFinalRecords(e,t,n){return e.some(e=>e.type===n&&normalizeDomain(e.name)===t)}function collectAddresses(e,t){let n=[];for(const t of e){if(!t||!t.answers)continue;const e=t.canonicalName||normalizeDomain(t.domain);for(const r of t.answers)"A"!==r.type&&"AAAA"!==r.type||normalizeDomain(r.name)!==e||n.push(r.data)}"0"!==t.searchParams.get("dedupe")&&(n=[...new Set(n)]),isTruthyParam(t.searchParams.get("sort"))&&n.sort(compareAddresses);const r=t.searchParams.get("prefer");if("ipv4"===r||"ipv6"===r){const e=n.filter(e=>e.includes(":")===("ipv6"===r));n=e.concat(n.filter(t=>!e.includes(t)))}return n}function compareAddresses(e,t){const n=ipv4ToBytes(e)||ipv6ToBytes(e),r=ipv4ToBytes(t)||ipv6ToBytes(t);if(!n||!r||n.length!==r.length)return(n?n.length:99)-(r?r.length:99);for(let e=0;e<n.length;e++)if(n[e]!==r[e])return n[e]-r[e];return 0}const REVERSE_MAX_ADDRESSES=256;async function handleReverseRange(e,t,n,r,s){const a=parseCidr(n);if(!a)return jsonResponse({error:"Invalid network",ip:n},400);if(2**a.hostBits>REVERSE_MAX_ADDRESSES)return jsonResponse({error:`Network too large (max ${REVERSE_MAX_ADDRESSES} addresses)`,ip:n},413);const o=expandNetwork(a);if(!consumeRateLimit(r,o.length-1))return await denyRequest(e,t,"/resolve",429);const i=await mapWithConcurrency(o,BATCH_CONCURRENCY,async e=>{const t=await queryDnsRecord(e,"PTR",s);if(!t)return{ip:e,error:"All upstream servers failed"};await followCnameChain(t,s);const n=(t.answers||[]).filter(e=>"PTR"===e.type&&normalizeDomain(e.name)===t.canonicalName).map(e=>e.data);return{ip:e,status:t.status,names:n}});return jsonResponse({network:n,type:"PTR",count:i.length,results:i})}function parseCidr(e){const[t,n,r]=e.split("/");if(void 0!==r||!/^\d{1,3}$/.test(n))return null;const s=ipv4ToBytes(t)||ipv6ToBytes(t),a=Number(n);if(!s||a>8*s.length)return null;const o=new Uint8Array(s.length);return o.set(truncateAddress(s,a)),{network:o,hostBits:8*s.length-a}}function expandNetwork({network:e,hostBits:t}){const n=[];for(let r=0;r<2**t;r++){const t=e.slice();t[t.length-1]|=255&r,t[t.length-2]|=r>>8,n.push(4===t.length?parseIPv4(t,0):parseIPv6(t,0))}return n}async function handleDigResolve(e,t,n){const r=[];let s=!1;for(const a of t){const t=12===toTypeCode(a)&&ipToArpaName(e)||e,o=buildDnsQuery(t,a,n.edns||{});if(!o)return new Response(`Invalid query: ${e} ${a}\n`,{status:400,headers:textHeaders()});const i=Date.now(),c=await resolveDnsQuery(o,n),l=Date.now()-i,u=c&&parseDnsMessage(c.response);s=s||!u,r.push(u?formatDigOutput(u,c,l):`; <<>> CF-DoH-Lite <<>> ${toFqdn(t)} ${a}\n;; connection timed out; no servers could be reached\n`)}return new Response(r.join("\n"),{status:s?502:200,headers:textHeaders()})}function textHeaders(){return{"Content-Type":"text/plain; charset=utf-8","Access-Control-Allow-Origin":"*"}}function formatDigOutput(e,t,n){const r=e.questions[0],s=["qr","aa","tc","rd","ra","ad","cd"].filter(t=>e.flags[t]),a=e.additionals.find(e=>41===e.typeCode),o=e.additionals.filter(e=>41!==e.typeCode),i=["; <<>> CF-DoH-Lite <<>> "+(r?`${toFqdn(r.name)} ${r.type}`:""),`;; ->>HEADER<<- opcode: ${0===e.flags.opcode?"QUERY":e.flags.opcode}, status: ${RCODE_NAMES[e.rcode]||`RCODE${e.rcode}`}, id: ${e.id}`,`;; flags: ${s.join(" ")}; QUERY: ${e.questions.length}, ANSWER: ${e.answers.length}, AUTHORITY: ${e.authorities.length}, ADDITIONAL: ${e.additionals.length}`];if(a){i.push("",";; OPT PSEUDOSECTION:",`; EDNS: version: ${a.data.version||0}, flags:${a.data.dnssecOk?" do":""}; udp: ${a.data.udpPayloadSize}`);const e=a.data.options.find(e=>e.code===EDNS_OPTION_ECS),t=e&&parseClientSubnetOption(e.data);t&&i.push(`; CLIENT-SUBNET: ${t.subnet}/${t.scopePrefix}`)}i.push("",";; QUESTION SECTION:");for(const t of e.questions)i.push(`;${toFqdn(t.name)}\t\t${formatDnsClass(t.class)}\t${t.type}`);const c=[["ANSWER",e.answers],["AUTHORITY",e.authorities],["ADDITIONAL",o]];for(const[e,t]of c)if(t.length){i.push("",`;; ${e} SECTION:`);for(const e of t)i.push(`${toFqdn(e.name)}\t${e.ttl}\t${formatDnsClass(e.class)}\t${e.type}\t${formatRecordData(e)}`)}const l=t.upstream||(t.local?"local records":t.blocked?"blocklist":"cache");return i.push("",`;; Query time: ${n} msec`,`;; SERVER: ${l}`,`;; WHEN: ${(new Date).toUTCString()}`,`;; MSG SIZE  rcvd: ${t.response.length}`,""),i.join("\n")}function formatDnsClass(e){return{1:"IN",3:"CH",4:"HS",255:"ANY"}[e]||`CLASS${e}`}async function handleWebUi(e,t){const n=getDohUrl(e,t),r=canAccessEndpoint(t,"/resolve"),s="/dns.mobileconfig"+(t.token?`?token=${encodeURIComponent(t.token)}`:""),a=buildClientSnippets(e,t,n),o=`<!DOCTYPE html>\n<html lang="zh-CN">\n<head>\n<meta charset="utf-8">\n<meta name="viewport" content="width=device-width, initial-scale=1">\n<title>DNS 查询服务</title>\n<style>\nbody { font-family: system-ui, sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #222; }\nh1 { font-size: 1.5em; } h2 { font-size: 1.2em; margin-top: 2em; border-bottom: 1px solid #ddd; }\ntable { border-collapse: collapse; width: 100%; } td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; word-break: break-all; }\npre { background: #f5f5f5; padding: 10px; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }\ninput, select, button { font-size: 1em; padding: 4px 8px; }\n.error { color: #b00; }\n</style>\n</head>\n<body>\n<h1>DNS 查询服务</h1>\n<table>${[["DoH 地址",n],["需要令牌",getAuthPolicies().length?"是":"否"],["DNSSEC 验证",DNSSEC_VALIDATION?"开启":"关闭"],["域名过滤",BLOCKLIST_SOURCES.length||BLOCKLIST_RULES.length||t.blocklistProfile?"开启":"关闭"],["上游数量",String(UPSTREAM_DOH_SERVERS.length)]].map(([e,t])=>`<tr><th>${escapeHtml(e)}</th><td>${escapeHtml(t)}</td></tr>`).join("")}</table>\n${r?`\n<h2>查询</h2>\n<form id="lookup">\n<input id="name" placeholder="example.com 或 IP 地址" required size="32">\n<select id="type"><option value="">A + AAAA</option>${WEB_UI_TYPES.map(e=>`<option>${e}</option>`).join("")}</select>\n<label><input type="checkbox" id="dnssec"> DNSSEC (do=1)</label>\n<label><input type="checkbox" id="dig"> dig 格式</label>\n<button>查询</button>\n</form>\n<p id="status"></p>\n<div id="chain"></div>\n<table id="answers"></table>\n<pre id="raw" hidden></pre>\n<script>\nconst token = ${scriptJson(t.token||"")};\nconst $ = (id) => document.getElementById(id);\nconst cell = (row, text, tag = "td") => { const el = document.createElement(tag); el.textContent = text; row.appendChild(el); };\n$("lookup").addEventListener("submit", async (event) => {\n  event.preventDefault();\n  const name = $("name").value.trim();\n  const type = $("type").value;\n  const params = new URLSearchParams(/^[\\d.]+$|:/.test(name) && !type ? { ip: name } : { name });\n  if (type) params.set("type", type);\n  if ($("dnssec").checked) params.set("do", "1");\n  if ($("dig").checked) params.set("format", "dig");\n  if (token) params.set("token", token);\n  for (const id of ["chain", "answers", "raw"]) $(id).textContent = "";\n  $("raw").hidden = true;\n  $("status").className = "";\n  $("status").textContent = "查询中…";\n  try {\n    const response = await fetch("/resolve?" + params);\n    if ($("dig").checked) {\n      $("raw").textContent = await response.text();\n      $("raw").hidden = false;\n      $("status").textContent = "HTTP " + response.status;\n      return;\n    }\n    const data = await response.json();\n    if (!response.ok) throw new Error(data.error || "HTTP " + response.status);\n    const results = data.results ? Object.values(data.results).filter(Boolean) : [data];\n    const answers = results.flatMap((result) => result.answers || []);\n    const chain = data.chain || [];\n    $("status").textContent = (data.status || "") + (data.dnssec ? " / DNSSEC: " + data.dnssec : "") + " / " + answers.length + " 条记录";\n    if (chain.length) $("chain").textContent = "链：" + [chain[0].name].concat(chain.map((step) => step.target)).join(" → ");\n    if (data.addresses && data.addresses.length) $("chain").textContent += (chain.length ? "　" : "") + "地址：" + data.addresses.join(", ");\n    const head = $("answers").insertRow();\n    for (const title of ["名称", "类型", "TTL", "数据"]) cell(head, title, "th");\n    for (const answer of answers) {\n      const row = $("answers").insertRow();\n      cell(row, answer.name);\n      cell(row, answer.type);\n      cell(row, answer.ttl);\n      cell(row, typeof answer.data === "string" ? answer.data : JSON.stringify(answer.data));\n    }\n  } catch (error) {\n    $("status").className = "error";\n    $("status").textContent = error.message;\n  }\n});\n<\/script>`:""}\n<h2>客户端配置</h2>\n<p><a href="${escapeHtml(s)}">下载 Apple 描述文件 (iOS / macOS)</a></p>\n${a.map(({title:e,text:t})=>`<h3>${escapeHtml(e)}</h3>\n<pre>${escapeHtml(t)}</pre>`).join("\n")}\n</body>\n</html>\n`;return new Response(o,{headers:{"Content-Type":"text/html; charset=utf-8","Cache-Control":"no-store","X-Content-Type-Options":"nosniff","Referrer-Policy":"no-referrer"}})}const WEB_UI_TYPES=["A","AAAA","CNAME","MX","TXT","NS","SOA","HTTPS","SVCB","CAA","SRV","PTR","DS","DNSKEY"];function getDohUrl(e,t){return`https://${e.host}/dns-query${t.token?`/${encodeURIComponent(t.token)}`:""}`}function buildClientSnippets(e,t,n){const r=new URL(n).pathname;return[{title:"DoH 地址",text:n},{title:"Firefox (policies.json)",text:JSON.stringify({policies:{DNSOverHTTPS:{Enabled:!0,ProviderURL:n,Locked:!1}}},null,2)},{title:"Chrome / Edge (企业策略)",text:JSON.stringify({DnsOverHttpsMode:"secure",DnsOverHttpsTemplates:n},null,2)},{title:"AdGuard / AdGuard Home (上游 DNS 服务器)",text:n},{title:"sing-box (dns.servers，1.12+)",text:JSON.stringify({type:"https",tag:"cf-doh",server:e.hostname,path:r},null,2)}]}async function handleMobileConfig(e,t){const n=getDohUrl(e,t),r=await sha256(`${e.host}|${t.token||""}`),s=`dns.${e.hostname.split(".").reverse().join(".")}`,a=`DNS over HTTPS (${e.hostname})`,o=`<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">\n<plist version="1.0">\n<dict>\n  <key>PayloadContent</key>\n  <array>\n    <dict>\n      <key>DNSSettings</key>\n      <dict>\n        <key>DNSProtocol</key>\n        <string>HTTPS</string>\n        <key>ServerURL</key>\n        <string>${escapeHtml(n)}</string>\n      </dict>\n      <key>PayloadDisplayName</key>\n      <string>${escapeHtml(a)}</string>\n      <key>PayloadIdentifier</key>\n      <string>${escapeHtml(s)}.settings</string>\n      <key>PayloadType</key>\n      <string>com.apple.dnsSettings.managed</string>\n      <key>PayloadUUID</key>\n      <string>${formatUuid(r.subarray(16))}</string>\n      <key>PayloadVersion</key>\n      <integer>1</integer>\n    </dict>\n  </array>\n  <key>PayloadDisplayName</key>\n  <string>${escapeHtml(a)}</string>\n  <key>PayloadIdentifier</key>\n  <string>${escapeHtml(s)}</string>\n  <key>PayloadRemovalDisallowed</key>\n  <false/>\n  <key>PayloadType</key>\n  <string>Configuration</string>\n  <key>PayloadUUID</key>\n  <string>${formatUuid(r.subarray(0,16))}</string>\n  <key>PayloadVersion</key>\n  <integer>1</integer>\n</dict>\n</plist>\n`;return new Response(o,{headers:{"Content-Type":"application/x-apple-aspen-config","Content-Disposition":`attachment; filename="${e.hostname.replace(/[^\w.-]/g,"_")}.mobileconfig"`,"Cache-Control":"no-store"}})}function formatUuid(e){const t=Uint8Array.from(e);t[6]=15&t[6]|64,t[8]=63&t[8]|128;const n=[...t].map(e=>e.toString(16).padStart(2,"0")).join("").toUpperCase();return`${n.slice(0,8)}-${n.slice(8,12)}-${n.slice(12,16)}-${n.slice(16,20)}-${n.slice(20)}`}function escapeHtml(e){return String(e).replace(/[&<>"']/g,e=>({"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"}[e]))}function scriptJson(e){return JSON.stringify(e).replace(/</g,"\\u003c")}const CONFIG_REFRESH_SECONDS=60,UPSTREAM_STRATEGIES=["race","failover","fastest","weighted","hedged"],CONFIG_SCHEMA={UPSTREAM_DOH_SERVERS:listValue(checkUpstream,/[\s,]+/,!0),UPSTREAM_ROUTES:jsonValue(checkRoutes),UPSTREAM_ALIASES:jsonValue(checkAliases),CUSTOM_SERVER_ALLOWLIST:listValue(stringValue(),/[\s,]+/),CUSTOM_SERVER_ALLOW_ANY:booleanValue(),DEFAULT_UPSTREAM_STRATEGY:enumValue(UPSTREAM_STRATEGIES),HEDGE_DELAY_MS:integerValue(0,6e4),GLOBAL_AUTH_TOKEN:stringValue(),AUTH_TOKENS:jsonValue(checkAuthTokens),CACHE_TTL_SECONDS:integerValue(0,604800),MIN_CACHE_TTL_SECONDS:integerValue(0,604800),TIMEOUT_MS:integerValue(1,6e4),UPSTREAM_TIMEOUT_MIN_MS:integerValue(1,6e4),UPSTREAM_TIMEOUT_MAX_MS:integerValue(1,6e4),HEALTH_EWMA_ALPHA:numberValue(0,1),CIRCUIT_BREAKER_THRESHOLD:integerValue(1,1e3),CIRCUIT_BREAKER_COOLDOWN_MS:integerValue(0,36e5),EDNS_UDP_PAYLOAD_SIZE:integerValue(512,65535),EDNS_PADDING:booleanValue(),ECS_FROM_CLIENT_IP:booleanValue(),ECS_IPV4_PREFIX:integerValue(0,32),ECS_IPV6_PREFIX:integerValue(0,128),ECS_POLICY:enumValue(["strip","keep","inject"]),BLOCKLIST_SOURCES:listValue(checkUrl(["https:","http:"]),/[\s,]+/),BLOCKLIST_RULES:listValue(e=>String(e),/\r?\n/),BLOCK_RESPONSE:enumValue(["nxdomain","zero","refused"]),BLOCKED_TTL_SECONDS:integerValue(0,86400),BLOCKLIST_REFRESH_SECONDS:integerValue(60,604800),BLOCKLIST_PROFILES:jsonValue(checkBlocklistProfiles),FILTER_AAAA:booleanValue(),REBINDING_PROTECTION:enumValue(["off","remove","refuse"]),REBINDING_ALLOWLIST:listValue(stringValue(),/[\s,]+/),BLOCKLIST_IP_CIDRS:listValue(checkCidr,/[\s,]+/),HTTPS_STRIP_ECH:booleanValue(),HTTPS_STRIP_ALPN:listValue(stringValue(),/[\s,]+/),HTTPS_IPV4HINT:listValue(checkIp(ipv4ToBytes),/[\s,]+/),HTTPS_IPV6HINT:listValue(checkIp(ipv6ToBytes),/[\s,]+/),LOCAL_RECORDS:jsonValue(checkLocalRecords),LOCAL_TTL_SECONDS:integerValue(0,604800),LOCAL_CNAME_MAX_DEPTH:integerValue(1,32),DNS_CACHE_ENABLED:booleanValue(),NEGATIVE_CACHE_TTL_SECONDS:integerValue(0,86400),SERVE_STALE:booleanValue(),SERVE_STALE_MAX_SECONDS:integerValue(0,604800),STALE_ANSWER_TTL_SECONDS:integerValue(0,86400),REFRESH_AHEAD_PERCENT:integerValue(0,100),REFRESH_AHEAD_MIN_HITS:integerValue(1,1e6),PREFETCH_DOMAINS:listValue(checkDomainName,/[\s,]+/),PREFETCH_TYPES:listValue(checkRecordType,/[\s,]+/,!0),QUERY_LOG_SINKS:listValue(checkLogSink,/[\s,]+/),QUERY_LOG_CLIENT_IP:enumValue(["full","hash","none"]),QUERY_LOG_IP_SALT:stringValue(),QUERY_LOG_HTTP_TOKEN:stringValue(),QUERY_LOG_BATCH_SIZE:integerValue(1,1e3),QUERY_LOG_FLUSH_SECONDS:integerValue(1,3600),BATCH_MAX_QUERIES:integerValue(1,1e4),BATCH_CONCURRENCY:integerValue(1,64),CNAME_CHAIN_MAX_DEPTH:integerValue(1,32),DNSSEC_VALIDATION:booleanValue(),DNSSEC_TRUST_ANCHORS:listValue(checkTrustAnchor,/\r?\n/,!0),WEB_UI:booleanValue()};function getCurrentConfig(){return{UPSTREAM_DOH_SERVERS:UPSTREAM_DOH_SERVERS,UPSTREAM_ROUTES:UPSTREAM_ROUTES,UPSTREAM_ALIASES:UPSTREAM_ALIASES,CUSTOM_SERVER_ALLOWLIST:CUSTOM_SERVER_ALLOWLIST,CUSTOM_SERVER_ALLOW_ANY:CUSTOM_SERVER_ALLOW_ANY,DEFAULT_UPSTREAM_STRATEGY:DEFAULT_UPSTREAM_STRATEGY,HEDGE_DELAY_MS:HEDGE_DELAY_MS,GLOBAL_AUTH_TOKEN:GLOBAL_AUTH_TOKEN,AUTH_TOKENS:AUTH_TOKENS,CACHE_TTL_SECONDS:CACHE_TTL_SECONDS,MIN_CACHE_TTL_SECONDS:MIN_CACHE_TTL_SECONDS,TIMEOUT_MS:TIMEOUT_MS,UPSTREAM_TIMEOUT_MIN_MS:UPSTREAM_TIMEOUT_MIN_MS,UPSTREAM_TIMEOUT_MAX_MS:UPSTREAM_TIMEOUT_MAX_MS,HEALTH_EWMA_ALPHA:HEALTH_EWMA_ALPHA,CIRCUIT_BREAKER_THRESHOLD:CIRCUIT_BREAKER_THRESHOLD,CIRCUIT_BREAKER_COOLDOWN_MS:CIRCUIT_BREAKER_COOLDOWN_MS,EDNS_UDP_PAYLOAD_SIZE:EDNS_UDP_PAYLOAD_SIZE,EDNS_PADDING:EDNS_PADDING,ECS_FROM_CLIENT_IP:ECS_FROM_CLIENT_IP,ECS_IPV4_PREFIX:ECS_IPV4_PREFIX,ECS_IPV6_PREFIX:ECS_IPV6_PREFIX,ECS_POLICY:ECS_POLICY,BLOCKLIST_SOURCES:BLOCKLIST_SOURCES,BLOCKLIST_RULES:BLOCKLIST_RULES,BLOCK_RESPONSE:BLOCK_RESPONSE,BLOCKED_TTL_SECONDS:BLOCKED_TTL_SECONDS,BLOCKLIST_REFRESH_SECONDS:BLOCKLIST_REFRESH_SECONDS,BLOCKLIST_PROFILES:BLOCKLIST_PROFILES,FILTER_AAAA:FILTER_AAAA,REBINDING_PROTECTION:REBINDING_PROTECTION,REBINDING_ALLOWLIST:REBINDING_ALLOWLIST,BLOCKLIST_IP_CIDRS:BLOCKLIST_IP_CIDRS,HTTPS_STRIP_ECH:HTTPS_STRIP_ECH,HTTPS_STRIP_ALPN:HTTPS_STRIP_ALPN,HTTPS_IPV4HINT:HTTPS_IPV4HINT,HTTPS_IPV6HINT:HTTPS_IPV6HINT,LOCAL_RECORDS:LOCAL_RECORDS,LOCAL_TTL_SECONDS:LOCAL_TTL_SECONDS,LOCAL_CNAME_MAX_DEPTH:LOCAL_CNAME_MAX_DEPTH,DNS_CACHE_ENABLED:DNS_CACHE_ENABLED,NEGATIVE_CACHE_TTL_SECONDS:NEGATIVE_CACHE_TTL_SECONDS,SERVE_STALE:SERVE_STALE,SERVE_STALE_MAX_SECONDS:SERVE_STALE_MAX_SECONDS,STALE_ANSWER_TTL_SECONDS:STALE_ANSWER_TTL_SECONDS,REFRESH_AHEAD_PERCENT:REFRESH_AHEAD_PERCENT,REFRESH_AHEAD_MIN_HITS:REFRESH_AHEAD_MIN_HITS,PREFETCH_DOMAINS:PREFETCH_DOMAINS,PREFETCH_TYPES:PREFETCH_TYPES,QUERY_LOG_SINKS:QUERY_LOG_SINKS,QUERY_LOG_CLIENT_IP:QUERY_LOG_CLIENT_IP,QUERY_LOG_IP_SALT:QUERY_LOG_IP_SALT,QUERY_LOG_HTTP_TOKEN:QUERY_LOG_HTTP_TOKEN,QUERY_LOG_BATCH_SIZE:QUERY_LOG_BATCH_SIZE,QUERY_LOG_FLUSH_SECONDS:QUERY_LOG_FLUSH_SECONDS,BATCH_MAX_QUERIES:BATCH_MAX_QUERIES,BATCH_CONCURRENCY:BATCH_CONCURRENCY,CNAME_CHAIN_MAX_DEPTH:CNAME_CHAIN_MAX_DEPTH,DNSSEC_VALIDATION:DNSSEC_VALIDATION,DNSSEC_TRUST_ANCHORS:DNSSEC_TRUST_ANCHORS,WEB_UI:WEB_UI}}function applyConfig(e){const t=JSON.stringify([e.BLOCKLIST_SOURCES,e.BLOCKLIST_RULES,e.BLOCKLIST_PROFILES])!==JSON.stringify([BLOCKLIST_SOURCES,BLOCKLIST_RULES,BLOCKLIST_PROFILES]),n=JSON.stringify(e.DNSSEC_TRUST_ANCHORS)!==JSON.stringify(DNSSEC_TRUST_ANCHORS);({UPSTREAM_DOH_SERVERS:UPSTREAM_DOH_SERVERS,UPSTREAM_ROUTES:UPSTREAM_ROUTES,UPSTREAM_ALIASES:UPSTREAM_ALIASES,CUSTOM_SERVER_ALLOWLIST:CUSTOM_SERVER_ALLOWLIST,CUSTOM_SERVER_ALLOW_ANY:CUSTOM_SERVER_ALLOW_ANY,DEFAULT_UPSTREAM_STRATEGY:DEFAULT_UPSTREAM_STRATEGY,HEDGE_DELAY_MS:HEDGE_DELAY_MS,GLOBAL_AUTH_TOKEN:GLOBAL_AUTH_TOKEN,AUTH_TOKENS:AUTH_TOKENS,CACHE_TTL_SECONDS:CACHE_TTL_SECONDS,MIN_CACHE_TTL_SECONDS:MIN_CACHE_TTL_SECONDS,TIMEOUT_MS:TIMEOUT_MS,UPSTREAM_TIMEOUT_MIN_MS:UPSTREAM_TIMEOUT_MIN_MS,UPSTREAM_TIMEOUT_MAX_MS:UPSTREAM_TIMEOUT_MAX_MS,HEALTH_EWMA_ALPHA:HEALTH_EWMA_ALPHA,CIRCUIT_BREAKER_THRESHOLD:CIRCUIT_BREAKER_THRESHOLD,CIRCUIT_BREAKER_COOLDOWN_MS:CIRCUIT_BREAKER_COOLDOWN_MS,EDNS_UDP_PAYLOAD_SIZE:EDNS_UDP_PAYLOAD_SIZE,EDNS_PADDING:EDNS_PADDING,ECS_FROM_CLIENT_IP:ECS_FROM_CLIENT_IP,ECS_IPV4_PREFIX:ECS_IPV4_PREFIX,ECS_IPV6_PREFIX:ECS_IPV6_PREFIX,ECS_POLICY:ECS_POLICY,BLOCKLIST_SOURCES:BLOCKLIST_SOURCES,BLOCKLIST_RULES:BLOCKLIST_RULES,BLOCK_RESPONSE:BLOCK_RESPONSE,BLOCKED_TTL_SECONDS:BLOCKED_TTL_SECONDS,BLOCKLIST_REFRESH_SECONDS:BLOCKLIST_REFRESH_SECONDS,BLOCKLIST_PROFILES:BLOCKLIST_PROFILES,FILTER_AAAA:FILTER_AAAA,REBINDING_PROTECTION:REBINDING_PROTECTION,REBINDING_ALLOWLIST:REBINDING_ALLOWLIST,BLOCKLIST_IP_CIDRS:BLOCKLIST_IP_CIDRS,HTTPS_STRIP_ECH:HTTPS_STRIP_ECH,HTTPS_STRIP_ALPN:HTTPS_STRIP_ALPN,HTTPS_IPV4HINT:HTTPS_IPV4HINT,HTTPS_IPV6HINT:HTTPS_IPV6HINT,LOCAL_RECORDS:LOCAL_RECORDS,LOCAL_TTL_SECONDS:LOCAL_TTL_SECONDS,LOCAL_CNAME_MAX_DEPTH:LOCAL_CNAME_MAX_DEPTH,DNS_CACHE_ENABLED:DNS_CACHE_ENABLED,NEGATIVE_CACHE_TTL_SECONDS:NEGATIVE_CACHE_TTL_SECONDS,SERVE_STALE:SERVE_STALE,SERVE_STALE_MAX_SECONDS:SERVE_STALE_MAX_SECONDS,STALE_ANSWER_TTL_SECONDS:STALE_ANSWER_TTL_SECONDS,REFRESH_AHEAD_PERCENT:REFRESH_AHEAD_PERCENT,REFRESH_AHEAD_MIN_HITS:REFRESH_AHEAD_MIN_HITS,PREFETCH_DOMAINS:PREFETCH_DOMAINS,PREFETCH_TYPES:PREFETCH_TYPES,QUERY_LOG_SINKS:QUERY_LOG_SINKS,QUERY_LOG_CLIENT_IP:QUERY_LOG_CLIENT_IP,QUERY_LOG_IP_SALT:QUERY_LOG_IP_SALT,QUERY_LOG_HTTP_TOKEN:QUERY_LOG_HTTP_TOKEN,QUERY_LOG_BATCH_SIZE:QUERY_LOG_BATCH_SIZE,QUERY_LOG_FLUSH_SECONDS:QUERY_LOG_FLUSH_SECONDS,BATCH_MAX_QUERIES:BATCH_MAX_QUERIES,BATCH_CONCURRENCY:BATCH_CONCURRENCY,CNAME_CHAIN_MAX_DEPTH:CNAME_CHAIN_MAX_DEPTH,DNSSEC_VALIDATION:DNSSEC_VALIDATION,DNSSEC_TRUST_ANCHORS:DNSSEC_TRUST_ANCHORS,WEB_UI:WEB_UI}=e),t&&domainFilters.clear(),n&&zoneKeyCache.clear(),authTokenDigests=null,logSinks=null}const DEFAULT_CONFIG=getCurrentConfig();let configErrors=null,configLoadedAt=0,configLoading=null;async function ensureConfig(e={}){const t=null!==configErrors&&e.CONFIG_KV&&Date.now()-configLoadedAt>1e3*CONFIG_REFRESH_SECONDS;return null!==configErrors&&!t||configLoading||(configLoading=loadConfig(e).finally(()=>configLoading=null)),null===configErrors&&await configLoading,configErrors}async function loadConfig(e){const t={},n=[],r=(e,r,s)=>{for(const[a,o]of Object.entries(e)){const e=CONFIG_SCHEMA[a];if(e){if(null!=o&&""!==o)try{t[a]=e(o)}catch(e){n.push(`${r}.${a}: ${e.message}`)}}else s&&n.push(`${r}.${a}: 未知配置项`)}};if(r(e,"env",!1),e.CONFIG_KV)try{const t=await e.CONFIG_KV.get(e.CONFIG_KV_KEY||"config","json");if(null!==t){if(!isPlainObject(t))throw new Error("需要 JSON 对象");r(t,"kv",!0)}}catch(e){n.push(`kv: ${e.message}`)}const s={...DEFAULT_CONFIG,...t};s.MIN_CACHE_TTL_SECONDS>s.CACHE_TTL_SECONDS&&n.push("MIN_CACHE_TTL_SECONDS: 不能大于 CACHE_TTL_SECONDS"),s.UPSTREAM_TIMEOUT_MIN_MS>s.UPSTREAM_TIMEOUT_MAX_MS&&n.push("UPSTREAM_TIMEOUT_MIN_MS: 不能大于 UPSTREAM_TIMEOUT_MAX_MS");const a=Object.values(s.AUTH_TOKENS).map(e=>e.token);s.GLOBAL_AUTH_TOKEN&&a.push(s.GLOBAL_AUTH_TOKEN),new Set(a).size!==a.length&&n.push("AUTH_TOKENS: 令牌不能重复 (含 GLOBAL_AUTH_TOKEN)");for(const e of Object.values(s.AUTH_TOKENS))e.blocklistProfile&&!s.BLOCKLIST_PROFILES[e.blocklistProfile]&&n.push(`AUTH_TOKENS.${e.name}: 过滤配置 ${e.blocklistProfile} 不存在`);if(configLoadedAt=Date.now(),n.length)return console.error(`Invalid configuration:\n  ${n.join("\n  ")}`),void((null===configErrors||configErrors.length)&&(configErrors=n));applyConfig(s),configErrors=[]}function configErrorResponse(){return jsonResponse({error:"Invalid configuration"},500)}function isEmptyArray(e){return Array.isArray(e)&&!e.length}function isPlainObject(e){return"object"==typeof e&&null!==e&&!Array.isArray(e)}function integerValue(e,t){return n=>{const r="string"==typeof n&&/^\s*-?\d+\s*$/.test(n)?Number(n):n;if(!Number.isInteger(r)||r<e||r>t)throw new Error(`需要 ${e} ~ ${t} 之间的整数`);return r}}function numberValue(e,t){return n=>{const r="string"==typeof n&&""!==n.trim()?Number(n):n;if("number"!=typeof r||!(r>e&&r<=t))throw new Error(`需要大于 ${e} 且不大于 ${t} 的数`);return r}}function booleanValue(){return e=>{if("boolean"==typeof e)return e;const t=String(e).trim().toLowerCase();if(["true","1","yes","on"].includes(t))return!0;if(["false","0","no","off"].includes(t))return!1;throw new Error("需要 true 或 false")}}function stringValue(){return e=>{if("string"!=typeof e)throw new Error("需要字符串");return e}}function enumValue(e){return t=>{if(!e.includes(t))throw new Error(`需要 ${e.join(" / ")} 之一`);return t}}function listValue(e,t,n=!1){return r=>{let s=r;if("string"==typeof r&&(s=r.trim().startsWith("[")?parseJson(r):r.split(t).map(e=>e.trim()).filter(Boolean)),!Array.isArray(s))throw new Error("需要数组");if(n&&!s.length)throw new Error("不能为空");return s.map((t,n)=>{try{return e(t)}catch(e){throw new Error(`[${n}] ${e.message}`)}})}}function jsonValue(e){return t=>e("string"==typeof t?parseJson(t):t)}function parseJson(e){try{return JSON.parse(e)}catch(e){throw new Error(`JSON 格式错误：${e.message}`)}}function checkUrl(e){return t=>{let n;try{n=new URL(t)}catch(e){throw new Error("不是有效的 URL")}if(!e.includes(n.protocol))throw new Error(`URL 协议需为 ${e.join(" / ")}`);return n.href}}function checkUpstream(e){if(!("string"==typeof e?parseUpstream(e.trim()):null))throw new Error("上游需为 https://、get+https://、json+https://、tcp:// 或 tls:// 地址");return e.trim()}function checkCidr(e){const t=String(e).trim(),n=t.includes("/")?t:`${t}/${t.includes(":")?128:32}`;if(!parseCidr(n))throw new Error(`无效的网段 ${t}`);return n}function checkDomainName(e){if("string"!=typeof e||!isValidDomainName(e.trim()))throw new Error(`无效的域名 ${e}`);return normalizeDomain(e)}function checkRecordType(e){const t=toTypeCode("string"==typeof e?e.trim():e);if(!t)throw new Error(`未知的查询类型 ${e}`);return String(toTypeName(t))}function checkIp(e){return t=>{if("string"!=typeof t||!e(t.trim()))throw new Error(`无效的地址 ${t}`);return t.trim()}}function checkTrustAnchor(e){const t=parseTrustAnchor(e);if(!t||!/^([0-9a-f]{2})+$/.test(t.digest))throw new Error('信任锚格式应为 "<区域> <key tag> <算法> <摘要类型> <摘要>"');return String(e).trim()}function checkLogSink(e){return"console"===e?e:checkUrl(["https:"])(e)}function checkStringList(e,t){if(!Array.isArray(e)||e.some(e=>"string"!=typeof e||!e))throw new Error(`${t} 需要字符串数组`);if(!e.length)throw new Error(`${t} 不能为空`);return e}function checkRoutes(e){if(!Array.isArray(e))throw new Error("需要数组");return e.map((e,t)=>{try{if(!isPlainObject(e))throw new Error("需要对象");const t={domains:checkStringList(e.domains,"domains"),servers:checkStringList(e.servers,"servers").map(checkUpstream)};if(void 0!==e.types){t.types=checkStringList(e.types,"types");const n=t.types.find(e=>!toTypeCode(e));if(n)throw new Error(`未知的查询类型 ${n}`)}return void 0!==e.strategy&&(t.strategy=enumValue(UPSTREAM_STRATEGIES)(e.strategy)),t}catch(e){throw new Error(`[${t}] ${e.message}`)}})}function checkAliases(e){if(!isPlainObject(e))throw new Error("需要对象");const t={};for(const[n,r]of Object.entries(e))try{t[n.toLowerCase()]=checkUpstream(r)}catch(e){throw new Error(`${n}: ${e.message}`)}return t}function checkAuthTokens(e){if(!isPlainObject(e))throw new Error("需要对象");const t={};for(const[n,r]of Object.entries(e)){if("global"===n)throw new Error("global 为 GLOBAL_AUTH_TOKEN 保留的名称");if(!isPlainObject(r))throw new Error(`${n}: 需要对象`);if("string"!=typeof r.token||!r.token)throw new Error(`${n}: token 需要非空字符串`);const e=void 0===r.endpoints?null:checkStringList(r.endpoints,"endpoints"),s=e&&e.find(e=>!AUTH_ENDPOINTS.includes(e));if(s)throw new Error(`${n}: 未知端点 ${s}`);if(void 0!==r.serverOverride&&"boolean"!=typeof r.serverOverride)throw new Error(`${n}: serverOverride 需要 true 或 false`);if(void 0!==r.blocklistProfile&&"string"!=typeof r.blocklistProfile)throw new Error(`${n}: blocklistProfile 需要字符串`);const a=void 0===r.rateLimit?0:r.rateLimit;if(!Number.isInteger(a)||a<0)throw new Error(`${n}: rateLimit 需要非负整数`);t[n]={name:n,token:r.token,endpoints:e,serverOverride:!0===r.serverOverride,blocklistProfile:r.blocklistProfile||null,rateLimit:a}}return t}function checkBlocklistProfiles(e){if(!isPlainObject(e))throw new Error("需要对象");const t=listValue(checkUrl(["https:","http:"])),n={};for(const[r,s]of Object.entries(e))try{if(!isPlainObject(s))throw new Error("需要对象");n[r]={sources:void 0===s.sources?[]:t(s.sources),rules:void 0===s.rules||isEmptyArray(s.rules)?[]:checkStringList(s.rules,"rules")}}catch(e){throw new Error(`${r}: ${e.message}`)}return n}function checkLocalRecords(e){if(!isPlainObject(e))throw new Error("需要对象");const t={A:e=>null!==ipv4ToBytes(e),AAAA:e=>null!==ipv6ToBytes(e),CNAME:e=>"string"==typeof e&&""!==e,TXT:e=>"string"==typeof e,MX:e=>isPlainObject(e)&&Number.isInteger(e.preference)&&"string"==typeof e.exchange},n={};for(const[r,s]of Object.entries(e)){if(!isPlainObject(s))throw new Error(`${r}: 需要对象`);for(const[e,n]of Object.entries(s)){if(!t[e])throw new Error(`${r}: 不支持的记录类型 ${e}`);if(![].concat(n).every(t[e]))throw new Error(`${r}: ${e} 记录格式错误`)}n[normalizeDomain(r)]=s}return n}const AUTH_ENDPOINTS=["/dns-query","/resolve","/resolve/batch","/stats"],OPEN_ACCESS={name:null,endpoints:null,serverOverride:!0,blocklistProfile:null,rateLimit:0};let authTokenDigests=null;const rateLimitWindows=new Map;function getAuthPolicies(){const e=Object.values(AUTH_TOKENS);return GLOBAL_AUTH_TOKEN&&e.push({...OPEN_ACCESS,name:"global",token:GLOBAL_AUTH_TOKEN}),e}function getAuthTokenDigests(){return authTokenDigests||(authTokenDigests=Promise.all(getAuthPolicies().map(async e=>({policy:e,digest:await sha256(e.token)})))),authTokenDigests}async function sha256(e){return new Uint8Array(await crypto.subtle.digest("SHA-256",encoder.encode(e)))}function timingSafeEqual(e,t){let n=e.length^t.length;for(let r=0;r<e.length;r++)n|=e[r]^t[r];return 0===n}function getPathToken(e){if(!e.startsWith("/dns-query/"))return null;try{return decodeURIComponent(e.slice(11))||null}catch(e){return null}}async function authenticate(e,t,n){const r=await getAuthTokenDigests();if(!r.length)return OPEN_ACCESS;const s=/^Bearer\s+(\S+)\s*$/i.exec(e.headers.get("Authorization")||""),a=s?s[1]:t.searchParams.get("token")||n;if(!a)return null;const o=await sha256(a);let i=null;for(const e of r)timingSafeEqual(e.digest,o)&&!i&&(i=e.policy);return i}function canAccessEndpoint(e,t){return"/"===t||"/dns.mobileconfig"===t||("/stats"===t?"global"===e.name||!(!e.endpoints||!e.endpoints.includes(t)):!e.endpoints||e.endpoints.includes(t))}function consumeRateLimit(e,t=1){if(!e.rateLimit)return!0;const n=Date.now(),r=n-n%6e4;let s=rateLimitWindows.get(e.name);return s&&s.windowStart===r||(s={windowStart:r,count:0},rateLimitWindows.set(e.name,s)),s.count+=t,s.count<=e.rateLimit}async function denyRequest(e,t,n,r){if("/dns-query"===n&&!wantsDnsJson(e,t)){let n=null;try{const r=t.searchParams.get("dns"),s="POST"===e.method?new Uint8Array(await e.arrayBuffer()):r&&base64UrlToBytes(r);n=s?parseDnsMessage(s):null}catch(e){}if(n&&!n.flags.qr&&n.questions.length)return dnsMessageResponse(buildDnsResponse(n,{rcode:5}))}const s={"Access-Control-Allow-Origin":"*"};return 429===r&&(s["Retry-After"]=String(60-Math.floor(Date.now()%6e4/1e3))),new Response(null,{status:r,headers:s})}const LOCAL_DOMAIN_SUFFIXES=["localhost","local","localdomain","internal","intranet","lan","home","corp","private","home.arpa","test","invalid","onion"];async function getCustomServers(e){const t=e.searchParams.get("server");if(!t)return{dnsServers:null};const n=t.toLowerCase();if(Object.prototype.hasOwnProperty.call(UPSTREAM_ALIASES,n))return{dnsServers:[UPSTREAM_ALIASES[n]]};let r;try{r=new URL(t)}catch(e){return{error:"server is neither a known alias nor a valid URL"}}if("https:"!==r.protocol)return{error:"only https:// servers are allowed"};if(r.username||r.password)return{error:"credentials in the server URL are not allowed"};if(r.port&&"443"!==r.port)return{error:"only the default https port is allowed"};const s=r.hostname;if(ipv4ToBytes(s)||s.startsWith("["))return{error:"IP address literals are not allowed"};if(!s.includes(".")||LOCAL_DOMAIN_SUFFIXES.some(e=>matchesDomainPattern(s,e)))return{error:"local or private hostnames are not allowed"};if(CUSTOM_SERVER_ALLOWLIST.some(e=>matchesServerEntry(r,e)))return{dnsServers:[r.href]};if(!CUSTOM_SERVER_ALLOW_ANY)return{error:"server is not in the allowlist"};const a=await checkServerAddresses(s);return a?{error:a}:{dnsServers:[r.href]}}function matchesServerEntry(e,t){return t.includes("://")?e.href===t:matchesDomainPattern(e.hostname,t)}async function checkServerAddresses(e){const t=(await Promise.all(["A","AAAA"].map(t=>forwardDnsQueryWithCacheControl(buildDnsQuery(e,t),UPSTREAM_DOH_SERVERS)))).map(e=>e&&parseDnsMessage(e.response));if(t.some(e=>!e))return"server hostname could not be resolved";const n=t.flatMap(e=>e.answers.filter(e=>"A"===e.type||"AAAA"===e.type).map(e=>e.data));return n.length?n.some(isPrivateAddress)?"server hostname resolves to a private address":null:"server hostname has no addresses"}function isValidReply(e,t,n){const r=parseDnsMessage(n);return!(!r||!r.flags.qr)&&(n[0]===e[0]&&n[1]===e[1]&&(!t||0!==r.rcode&&!r.questions.length||r.questions.length===t.questions.length&&r.questions.every((e,n)=>{const r=t.questions[n];return e.typeCode===r.typeCode&&e.class===r.class&&normalizeDomain(e.name)===normalizeDomain(r.name)})))}const STATS_MAX_TRACKED_DOMAINS=5e3,RCODE_NAMES=["NOERROR","FORMERR","SERVFAIL","NXDOMAIN","NOTIMP","REFUSED"],queryStats=createQueryStats();let logSinks=null;function createQueryStats(){return{since:(new Date).toISOString(),queries:0,cache:{hit:0,miss:0,stale:0},blocked:0,local:0,failed:0,rcodes:{},domains:new Map,blockedDomains:new Map}}function createLogSink(e){return"console"===e?{write:e=>console.log(JSON.stringify(e))}:createHttpLogSink(e)}function createHttpLogSink(e){let t=[],n=0;function r(){if(!t.length)return;const n=t.map(e=>JSON.stringify(e)).join("\n")+"\n";t=[];const r={"Content-Type":"application/x-ndjson"};return QUERY_LOG_HTTP_TOKEN&&(r.Authorization=`Bearer ${QUERY_LOG_HTTP_TOKEN}`),fetch(e,{method:"POST",headers:r,body:n}).then(e=>{if(!e.ok)throw new Error(`HTTP ${e.status}`)}).catch(t=>console.error(`Failed to send query logs to ${e}: ${t.message}`))}return{write(e,s){if(!t.length){n=Date.now();const e=t;runInBackground(s,new Promise(e=>setTimeout(e,1e3*QUERY_LOG_FLUSH_SECONDS)).then(()=>t===e?r():void 0))}if(t.push(e),t.length>=QUERY_LOG_BATCH_SIZE||Date.now()-n>=1e3*QUERY_LOG_FLUSH_SECONDS)return r()},flush:r}}function getLogSinks(){return logSinks||(logSinks=QUERY_LOG_SINKS.map(createLogSink)),logSinks}function flushLogSinks(){return Promise.all(getLogSinks().map(e=>e.flush&&e.flush()))}async function formatClientIp(e){return e&&"none"!==QUERY_LOG_CLIENT_IP?"full"===QUERY_LOG_CLIENT_IP?e:bytesToHex(await sha256(QUERY_LOG_IP_SALT+e)).slice(0,16):null}function createQueryLog(e,t,n){return{clientIp:e.headers.get("CF-Connecting-IP"),token:t.name,context:n}}function logQuery(e,t,n,r){const s=parseDnsMessage(t),a=s&&s.questions[0],o=n?parseDnsMessage(n.response):null,i=o?o.rcode:2,c=!n||n.blocked||n.local?null:n.cacheHit?n.stale?"stale":"hit":"miss",l={time:(new Date).toISOString(),clientIp:null,token:e.token,name:a?normalizeDomain(a.name):null,type:a?a.type:null,rcode:RCODE_NAMES[i]||String(i),upstream:n&&n.upstream?n.upstream:null,latency:r,cache:c,action:n?n.blocked?"blocked":n.local?"local":"allowed":"failed"};updateQueryStats(l);const u=getLogSinks();u.length&&runInBackground(e.context,formatClientIp(e.clientIp).then(t=>(l.clientIp=t,Promise.all(u.map(t=>t.write(l,e.context))))))}function updateQueryStats(e){queryStats.queries++,queryStats.rcodes[e.rcode]=(queryStats.rcodes[e.rcode]||0)+1,e.cache&&queryStats.cache[e.cache]++,"blocked"===e.action&&queryStats.blocked++,"local"===e.action&&queryStats.local++,"failed"===e.action&&queryStats.failed++,e.name&&(incrementCounter(queryStats.domains,e.name),"blocked"===e.action&&incrementCounter(queryStats.blockedDomains,e.name))}function incrementCounter(e,t){if(e.set(t,(e.get(t)||0)+1),e.size>5e3){const t=[...e.entries()].sort((e,t)=>t[1]-e[1]);e.clear();for(const[n,r]of t.slice(0,2500))e.set(n,r)}}function topEntries(e,t){return[...e.entries()].sort((e,t)=>t[1]-e[1]).slice(0,t).map(([e,t])=>({name:e,count:t}))}function handleStats(e){const t=Math.min(Math.max(parseInt(e.searchParams.get("limit"),10)||20,1),100),n=queryStats.cache.hit+queryStats.cache.miss+queryStats.cache.stale,r=Date.now();return jsonResponse({since:queryStats.since,queries:queryStats.queries,blocked:queryStats.blocked,local:queryStats.local,failed:queryStats.failed,rcodes:queryStats.rcodes,cache:{...queryStats.cache,hitRatio:n?Number(((queryStats.cache.hit+queryStats.cache.stale)/n).toFixed(4)):null},topDomains:topEntries(queryStats.domains,t),topBlockedDomains:topEntries(queryStats.blockedDomains,t),upstreams:[...upstreamHealth.entries()].map(([e,t])=>({server:e,requests:t.successes+t.failures,latencyMs:null===t.latency?null:Math.round(t.latency),errorRate:t.successes+t.failures?Number((t.failures/(t.successes+t.failures)).toFixed(4)):null,circuitOpen:t.openUntil>r}))})}const upstreamHealth=new Map;function getUpstreamHealth(e){let t=upstreamHealth.get(e);return t||(t={latency:null,deviation:0,successRate:1,successes:0,failures:0,consecutiveFailures:0,openUntil:0},isConfiguredUpstream(e)&&upstreamHealth.set(e,t)),t}function isConfiguredUpstream(e){return UPSTREAM_DOH_SERVERS.includes(e)||UPSTREAM_ROUTES.some(t=>t.servers.includes(e))||Object.values(UPSTREAM_ALIASES).includes(e)}function recordUpstreamSuccess(e,t){const n=getUpstreamHealth(e);null===n.latency?(n.latency=t,n.deviation=t/2):(n.deviation+=HEALTH_EWMA_ALPHA*(Math.abs(t-n.latency)-n.deviation),n.latency+=HEALTH_EWMA_ALPHA*(t-n.latency)),n.successRate+=HEALTH_EWMA_ALPHA*(1-n.successRate),n.successes++,n.consecutiveFailures=0,n.openUntil=0}function recordUpstreamFailure(e){const t=getUpstreamHealth(e);t.successRate-=HEALTH_EWMA_ALPHA*t.successRate,t.failures++,t.consecutiveFailures++,t.consecutiveFailures>=CIRCUIT_BREAKER_THRESHOLD&&(t.openUntil=Date.now()+CIRCUIT_BREAKER_COOLDOWN_MS)}function isUpstreamAvailable(e){return getUpstreamHealth(e).openUntil<=Date.now()}function getUpstreamTimeout(e){const t=getUpstreamHealth(e);if(null===t.latency)return TIMEOUT_MS;const n=t.latency+4*t.deviation;return Math.round(Math.max(UPSTREAM_TIMEOUT_MIN_MS,Math.min(n,UPSTREAM_TIMEOUT_MAX_MS)))}function getUpstreamScore(e){const t=getUpstreamHealth(e);return(null===t.latency?TIMEOUT_MS/2:t.latency)/Math.max(t.successRate,.05)}function orderByAvailability(e){return[...e.filter(isUpstreamAvailable),...e.filter(e=>!isUpstreamAvailable(e))]}function rankUpstreams(e){return orderByAvailability([...e].sort((e,t)=>getUpstreamScore(e)-getUpstreamScore(t)))}function weightedOrder(e){const t=e.filter(isUpstreamAvailable),n=[];for(;t.length;){const e=t.map(e=>1/getUpstreamScore(e));let r=Math.random()*e.reduce((e,t)=>e+t,0),s=0;for(;s<t.length-1&&(r-=e[s])>0;)s++;n.push(t.splice(s,1)[0])}return[...n,...e.filter(e=>!isUpstreamAvailable(e))]}async function fetchWithStrategy(e,t,n){if("race"===t){const t=e.filter(isUpstreamAvailable);return await Promise.any((t.length?t:e).map(n)).catch(()=>null)}if("hedged"===t)return await hedgedFetch(rankUpstreams(e),n);const r="fastest"===t?rankUpstreams(e):"weighted"===t?weightedOrder(e):orderByAvailability(e);for(const e of r)try{return await n(e)}catch(e){}return null}function hedgedFetch(e,t){return new Promise(n=>{let r=0,s=0,a=!1,o=null;const i=()=>{clearTimeout(o),a||(r>=e.length?0===s&&(a=!0,n(null)):(s++,t(e[r++]).then(e=>{s--,a||(a=!0,clearTimeout(o),n(e))},()=>{s--,i()}),o=setTimeout(i,HEDGE_DELAY_MS)))};i()})}const UPSTREAM_TRANSPORTS={https:fetchDohPost,"get+https":fetchDohGet,"json+https":fetchJsonApi,tcp:exchangeOverSocket,tls:exchangeOverSocket};function parseUpstream(e){const t=/^([a-z+]+):\/\//i.exec(String(e)),n=t&&t[1].toLowerCase();if(!n||!UPSTREAM_TRANSPORTS[n])return null;let r;try{r=new URL(n.endsWith("https")?"https"+e.slice(n.length):e)}catch(e){return null}if(n.endsWith("https"))return{transport:n,url:r.href};if(!r.hostname||r.pathname&&"/"!==r.pathname)return null;return{transport:n,hostname:r.hostname.replace(/^\[(.*)\]$/,"$1"),port:Number(r.port)||("tls"===n?853:53)}}async function fetchDohPost(e,t,n,r){return await fetchDnsMessage(e.url,{method:"POST",headers:{Accept:"application/dns-message","Content-Type":"application/dns-message"},body:t,signal:r})}async function fetchDohGet(e,t,n,r){const s=t.slice();s[0]=s[1]=0;const a=new URL(e.url);a.searchParams.set("dns",bytesToBase64Url(s));const o=await fetchDnsMessage(a,{headers:{Accept:"application/dns-message"},signal:r});return o.response.length>=2&&(o.response[0]=t[0],o.response[1]=t[1]),o}async function fetchDnsMessage(e,t){const n=await fetch(e,t);if(!n.ok)throw 0;return{response:new Uint8Array(await n.arrayBuffer()),upstreamCacheControl:n.headers.get("Cache-Control")}}async function fetchJsonApi(e,t,n,r){const s=n&&1===n.questions.length?n.questions[0]:null;if(!s)throw new Error("JSON upstream requires a single question");const a=n.additionals.find(e=>41===e.typeCode),o=a&&a.data.options.find(e=>e.code===EDNS_OPTION_ECS),i=o&&parseClientSubnetOption(o.data),c=new URL(e.url);c.searchParams.set("name",s.name||"."),c.searchParams.set("type",String(s.typeCode)),a&&a.data.dnssecOk&&c.searchParams.set("do","1"),n.flags.cd&&c.searchParams.set("cd","1"),i&&c.searchParams.set("edns_client_subnet",i.subnet);const l=await fetch(c,{headers:{Accept:"application/dns-json"},signal:r});if(!l.ok)throw 0;const u=await l.json(),d=e=>({name:e.name,type:toTypeName(e.type),ttl:e.TTL,data:parseRecordText(e.type,e.data)}),S=(u.Additional||[]).filter(e=>41!==e.type).map(d);return a&&S.push({name:"",type:"OPT",data:{udpPayloadSize:EDNS_UDP_PAYLOAD_SIZE,dnssecOk:a.data.dnssecOk,options:[]}}),{response:encodeDnsMessage({id:n.id,flags:{qr:!0,rd:!!u.RD,ra:!!u.RA,tc:!!u.TC,ad:!!u.AD,cd:!!u.CD},rcode:u.Status,questions:n.questions,answers:(u.Answer||[]).map(d),authorities:(u.Authority||[]).map(d),additionals:S}),upstreamCacheControl:l.headers.get("Cache-Control")}}async function exchangeOverSocket(e,t,n,r){const s=connect({hostname:e.hostname,port:e.port},{secureTransport:"tls"===e.transport?"on":"off"}),a=()=>s.close().catch(()=>{});r.addEventListener("abort",a);try{const e=new Uint8Array(t.length+2);e[0]=t.length>>8,e[1]=255&t.length,e.set(t,2);const n=s.writable.getWriter();await n.write(e);return{response:await readFramedMessage(s.readable.getReader()),upstreamCacheControl:null}}finally{r.removeEventListener("abort",a),a()}}async function readFramedMessage(e){let t=new Uint8Array(0);for(;t.length<2||t.length<2+(t[0]<<8|t[1]);){const{value:n,done:r}=await e.read();if(r)throw new Error("Connection closed before a full response");const s=new Uint8Array(t.length+n.length);s.set(t),s.set(n,t.length),t=s}return t.slice(2,2+(t[0]<<8|t[1]))}function cacheControlFromTtl(e){const t=parseDnsMessage(e),n=t?computeDnsCacheTtl(t):0;return n?`max-age=${n}`:null}const domainFilters=new Map;function createFilterNode(){return{children:null,exact:null,subtree:null,wildcard:null}}function addFilterRule(e,t,n,r){const s=normalizeDomain(t).split(".").reverse();if(!s[s.length-1])return!1;let a=e;for(const e of s){a.children||(a.children=new Map);let t=a.children.get(e);t||(t=createFilterNode(),a.children.set(e,t)),a=t}return"allow"!==a[n]&&(a[n]=r),!0}function matchDomainFilter(e,t){const n=normalizeDomain(t).split(".").reverse();let r=e,s=null;for(let e=0;e<n.length&&(r=r.children&&r.children.get(n[e]),r);e++){const t=e===n.length-1?[r.exact,r.subtree]:[r.subtree,r.wildcard];if(t.includes("allow"))return"allow";t.includes("block")&&(s="block")}return s}function normalizeDomain(e){return String(e).trim().toLowerCase().replace(/\.+$/,"")}const HOSTS_IGNORED_NAMES=new Set(["localhost","localhost.localdomain","local","broadcasthost","ip6-localhost","ip6-loopback","0.0.0.0"]);function parseFilterLine(e,t){let n=t.trim();if(!n||n.startsWith("!")||n.startsWith("#")||n.startsWith("["))return;const r=/^(\d{1,3}(?:\.\d{1,3}){3}|[0-9a-fA-F:]+:[0-9a-fA-F:]*)\s+(.+)$/.exec(n);if(r){for(const t of r[2].split("#")[0].trim().split(/\s+/))t&&!HOSTS_IGNORED_NAMES.has(t.toLowerCase())&&addFilterRule(e,t,"exact","block");return}let s="block";n.startsWith("@@")&&(s="allow",n=n.slice(2));const a=n.indexOf("$");if(-1!==a){if("important"!==n.slice(a+1))return;n=n.slice(0,a)}if(n.startsWith("/")&&n.endsWith("/"))return;let o="subtree";n.startsWith("||")?n=n.slice(2):n.startsWith("|")&&(n=n.slice(1),o="exact"),n=n.replace(/\^\|?$/,""),n.startsWith("*.")&&(n=n.slice(2),o="wildcard"),/^[a-z0-9_.-]+$/i.test(n)&&addFilterRule(e,n,o,s)}function parseFilterList(e,t){let n=0;for(;n<t.length;){let r=t.indexOf("\n",n);-1===r&&(r=t.length),parseFilterLine(e,t.slice(n,r)),n=r+1}}async function loadDomainFilter(e,t,n=!1){const r=createFilterNode();for(const e of t)parseFilterLine(r,e);const s=await Promise.all(e.map(async e=>{try{return await fetchBlocklistSource(e,n)}catch(t){return console.error(`Failed to load blocklist ${e}: ${t.message}`),""}}));for(const e of s)parseFilterList(r,e);return{trie:r,loadedAt:Date.now()}}async function fetchBlocklistSource(e,t=!1){const n=`https://blocklist-cache.internal/${encodeURIComponent(e)}`;if(!t){const e=await caches.default.match(n);if((e?Date.now()-Number(e.headers.get("X-Fetched-At")):1/0)<1e3*BLOCKLIST_REFRESH_SECONDS)return await e.text()}const r=await fetch(e);if(!r.ok)throw new Error(`HTTP ${r.status}`);const s=await r.text(),a=new Response(s,{headers:{"Cache-Control":`public, max-age=${BLOCKLIST_REFRESH_SECONDS}`,"X-Fetched-At":String(Date.now())}});return await caches.default.put(n,a).catch(()=>{}),s}async function getDomainFilter(e="",t=!1){const n=e?BLOCKLIST_PROFILES[e]:{sources:BLOCKLIST_SOURCES,rules:BLOCKLIST_RULES};if(!n||!n.sources.length&&!n.rules.length)return null;let r=domainFilters.get(e);r||(r={filter:null,loading:null},domainFilters.set(e,r));return(t||!r.filter||Date.now()-r.filter.loadedAt>1e3*BLOCKLIST_REFRESH_SECONDS)&&!r.loading&&(r.loading=loadDomainFilter(n.sources,n.rules,t).then(e=>r.filter=e).finally(()=>r.loading=null)),r.filter&&!t||await r.loading,r.filter}async function refreshDomainFilters(){let e=0;for(const t of["",...Object.keys(BLOCKLIST_PROFILES)]){const n=t?BLOCKLIST_PROFILES[t].sources:BLOCKLIST_SOURCES;n.length&&(await getDomainFilter(t,!0),e+=n.length)}return e}async function applyDomainFilter(e,t=null){const n=e.questions[0].name,r=t?await getDomainFilter(t):null;let s=r?matchDomainFilter(r.trie,n):null;if(!s){const e=await getDomainFilter();s=e?matchDomainFilter(e.trie,n):null}return"block"!==s?null:buildBlockedResponse(e)}function buildBlockedResponse(e){const t=e.questions[0],n={name:t.name,type:"SOA",ttl:BLOCKED_TTL_SECONDS,data:{mname:"blocked.invalid",rname:"hostmaster.blocked.invalid",serial:1,refresh:1800,retry:900,expire:604800,minimum:BLOCKED_TTL_SECONDS}};if("refused"===BLOCK_RESPONSE)return buildDnsResponse(e,{rcode:5});if("zero"===BLOCK_RESPONSE){const r={A:"0.0.0.0",AAAA:"::"}[t.type];return buildDnsResponse(e,r?{answers:[{name:t.name,type:t.type,ttl:BLOCKED_TTL_SECONDS,data:r}]}:{authorities:[n]})}return buildDnsResponse(e,{rcode:3,authorities:[n]})}async function applyAnswerFilters(e,t,n){const r=e.questions[0],s=parseDnsMessage(t.response);if(!s||0!==s.rcode||!s.answers.length)return t;const a=e=>1===e.typeCode||28===e.typeCode,o=BLOCKLIST_IP_CIDRS.map(parseCidr);if(s.answers.some(e=>a(e)&&o.some(t=>isAddressInRange(e.data,t))))return{...t,response:buildBlockedResponse(e),upstreamCacheControl:`max-age=${BLOCKED_TTL_SECONDS}`,blocked:!0,dnssec:null};const i=[];if("off"!==REBINDING_PROTECTION&&!isRebindingExempt(r.name)){const n=e=>a(e)&&isPrivateAddress(e.data);if(s.answers.some(n)){if("refuse"===REBINDING_PROTECTION)return{...t,response:buildDnsResponse(e,{rcode:5}),dnssec:null};i.push(n)}}FILTER_AAAA&&28===r.typeCode&&await hasAddressRecords(r.name,n)&&i.push(e=>28===e.typeCode);const c=s.answers.map(e=>65===e.typeCode?rewriteHttpsRecord(e):e),l=c.some((e,t)=>e!==s.answers[t]);if(!i.length&&!l)return t;const u=e=>i.some(t=>t(e)),d=new Set(c.filter(e=>"RRSIG"!==e.type&&!u(e)).map(e=>`${normalizeDomain(e.name)}/${e.type}`)),S=c.map(e=>"RRSIG"===e.type?d.has(`${normalizeDomain(e.name)}/${e.data.typeCovered}`):!u(e));s.answers=c.filter((e,t)=>S[t]),s.flags.ad=!1;const p=t.dnssec&&{...t.dnssec,answers:t.dnssec.answers.filter((e,t)=>S[t])};return{...t,response:encodeDnsMessage(s),dnssec:p}}function rewriteHttpsRecord(e){if(!e.data||!e.data.priority)return e;const t={...e.data.params};return HTTPS_STRIP_ECH&&delete t.ech,HTTPS_STRIP_ALPN.length&&t.alpn&&(t.alpn=t.alpn.filter(e=>!HTTPS_STRIP_ALPN.includes(e)),t.alpn.length||(delete t.alpn,delete t["no-default-alpn"])),HTTPS_IPV4HINT.length&&(t.ipv4hint=HTTPS_IPV4HINT),HTTPS_IPV6HINT.length&&(t.ipv6hint=HTTPS_IPV6HINT),t.mandatory&&(t.mandatory=t.mandatory.filter(e=>e in t),t.mandatory.length||delete t.mandatory),JSON.stringify(t)===JSON.stringify(e.data.params)?e:{name:e.name,type:e.type,typeCode:e.typeCode,class:e.class,ttl:e.ttl,data:{...e.data,params:t}}}function isRebindingExempt(e){return[...LOCAL_DOMAIN_SUFFIXES,...REBINDING_ALLOWLIST].some(t=>matchesDomainPattern(e,t))}async function hasAddressRecords(e,t){const n=buildDnsQuery(e,"A"),r=n&&await resolveDnsQuery(n,{...t,log:null}),s=r&&parseDnsMessage(r.response);return!!s&&s.answers.some(e=>1===e.typeCode)}function isAddressInRange(e,t){const n=ipv4ToBytes(e)||ipv6ToBytes(e);if(!n||!t||n.length!==t.network.length)return!1;const r=new Uint8Array(n.length);return r.set(truncateAddress(n,8*n.length-t.hostBits)),r.every((e,n)=>e===t.network[n])}function buildDnsCacheKey(e,t){if(!DNS_CACHE_ENABLED)return null;const n=e.questions[0],r=e.additionals.find(e=>41===e.typeCode),s=r&&r.data.options.find(e=>e.code===EDNS_OPTION_ECS),a=s&&parseClientSubnetOption(s.data),o=new URLSearchParams({class:String(n.class),do:r&&r.data.dnssecOk?"1":"0",cd:e.flags.cd?"1":"0"});return a&&o.set("ecs",a.subnet),DNSSEC_VALIDATION&&!e.flags.cd&&o.set("validated","1"),t&&o.set("server",t.join(",")),`https://dns-cache.internal/${encodeURIComponent(normalizeDomain(n.name))}/${n.typeCode}?${o}`}function computeDnsCacheTtl(e){if(e.flags.tc||0!==e.rcode&&3!==e.rcode)return 0;let t;if(0===e.rcode&&e.answers.length)t=Math.min(...e.answers.map(e=>e.ttl));else{const n=e.authorities.find(e=>"SOA"===e.type);t=n?Math.min(n.ttl,n.data.minimum):NEGATIVE_CACHE_TTL_SECONDS}return Math.max(MIN_CACHE_TTL_SECONDS,Math.min(t,CACHE_TTL_SECONDS))}async function storeDnsCache(e,t,n=null){if(!e)return;const r=parseDnsMessage(t),s=r?computeDnsCacheTtl(r):0;if(!s)return;const a={"Content-Type":"application/dns-message","Cache-Control":`public, max-age=${s+(SERVE_STALE?SERVE_STALE_MAX_SECONDS:0)}`,"X-DNS-Stored-At":String(Date.now()),"X-DNS-TTL":String(s)};n&&(a["X-DNSSEC"]=JSON.stringify(n)),await caches.default.put(e,new Response(t,{headers:a}))}async function lookupDnsCache(e,t){if(!e)return null;const n=await caches.default.match(e);if(!n)return null;const r=parseDnsMessage(new Uint8Array(await n.arrayBuffer()));if(!r)return null;const s=Math.floor((Date.now()-Number(n.headers.get("X-DNS-Stored-At")))/1e3),a=Number(n.headers.get("X-DNS-TTL")),o=s>=a;if(o&&!SERVE_STALE)return null;for(const e of[...r.answers,...r.authorities,...r.additionals])41!==e.typeCode&&(e.ttl=o?Math.min(e.ttl,STALE_ANSWER_TTL_SECONDS):Math.max(e.ttl,a)-s);r.id=t.id,r.questions=t.questions;const i=o?STALE_ANSWER_TTL_SECONDS:a-s,c=n.headers.get("X-DNSSEC");return{response:encodeDnsMessage(r),upstreamCacheControl:`max-age=${i}`,cacheHit:!0,stale:o,refreshDue:!o&&100*i<=a*REFRESH_AHEAD_PERCENT,dnssec:c?JSON.parse(c):null}}const REFRESH_AHEAD_TRACKED_KEYS=1e4,cacheHitCounts=new Map,refreshingKeys=new Set;function isRefreshAheadDue(e,t){if(!REFRESH_AHEAD_PERCENT||refreshingKeys.has(e))return!1;cacheHitCounts.size>=REFRESH_AHEAD_TRACKED_KEYS&&!cacheHitCounts.has(e)&&cacheHitCounts.clear();const n=(cacheHitCounts.get(e)||0)+1;return cacheHitCounts.set(e,n),t.refreshDue&&n>=REFRESH_AHEAD_MIN_HITS}async function refreshDnsCache(e,t,n,r,s){refreshingKeys.add(e);try{await forwardAndCache(t,n,e,r,s)&&cacheHitCounts.delete(e)}finally{refreshingKeys.delete(e)}}async function runScheduledTasks(e){const t=Date.now(),n=PREFETCH_DOMAINS.flatMap(e=>PREFETCH_TYPES.map(t=>buildDnsQuery(e,t))),r=(await mapWithConcurrency(n,BATCH_CONCURRENCY,t=>resolveDnsQuery(t,{context:e,refresh:!0}).catch(()=>null))).filter(e=>!e).length,s=await refreshDomainFilters();console.log(`Scheduled refresh: prefetched ${n.length-r}/${n.length} queries, reloaded ${s} blocklist sources in ${Date.now()-t} ms`)}const DNSSEC_ALGORITHMS={8:{keyFormat:"rsa",importParams:{name:"RSASSA-PKCS1-v1_5",hash:"SHA-256"},verifyParams:{name:"RSASSA-PKCS1-v1_5"}},10:{keyFormat:"rsa",importParams:{name:"RSASSA-PKCS1-v1_5",hash:"SHA-512"},verifyParams:{name:"RSASSA-PKCS1-v1_5"}},13:{keyFormat:"ec",importParams:{name:"ECDSA",namedCurve:"P-256"},verifyParams:{name:"ECDSA",hash:"SHA-256"}},14:{keyFormat:"ec",importParams:{name:"ECDSA",namedCurve:"P-384"},verifyParams:{name:"ECDSA",hash:"SHA-384"}},15:{keyFormat:"raw",importParams:{name:"Ed25519"},verifyParams:{name:"Ed25519"}}},DS_DIGEST_TYPES={1:"SHA-1",2:"SHA-256",4:"SHA-384"},DNSSEC_RECORD_TYPES=new Set(["RRSIG","NSEC","NSEC3"]),NSEC3_MAX_ITERATIONS=150,DNSSEC_KEY_CACHE_SECONDS=600,DNSSEC_KEY_CACHE_MAX_ZONES=1e3,zoneKeyCache=new Map;async function forwardValidatedQuery(e,t,n){const r=e.additionals.find(e=>41===e.typeCode),s=r?{...r,data:{...r.data,dnssecOk:!0}}:{name:"",type:"OPT",data:{udpPayloadSize:EDNS_UDP_PAYLOAD_SIZE,dnssecOk:!0,options:[]}},a=encodeDnsMessage({...e,flags:{...e.flags,cd:!0},additionals:[...e.additionals.filter(e=>41!==e.typeCode),s]}),o=await forwardDnsQueryWithCacheControl(a,t);if(!o)return null;const i=parseDnsMessage(o.response),c=await validateDnsResponse(i,{dnsServers:t,context:n,loading:new Set});if("bogus"===c.status)return{...o,response:buildDnsResponse(e,{rcode:2}),dnssec:{status:"bogus",answers:[]}};const l=e.questions[0],u=r&&r.data.dnssecOk,d=e=>u||!DNSSEC_RECORD_TYPES.has(e.type)||e.typeCode===l.typeCode,S=i.additionals.find(e=>41===e.typeCode);return S&&(S.data.dnssecOk=!!u),i.flags.ad="secure"===c.status,i.flags.cd=e.flags.cd,i.answers=i.answers.filter(d),i.authorities=i.authorities.filter(d),i.additionals=i.additionals.filter(e=>41===e.typeCode?!!r:d(e)),{...o,response:encodeDnsMessage(i),dnssec:{status:c.status,answers:c.answers.filter((e,t)=>d(c.records[t]))}}}async function validateDnsResponse(e,t){const n=e.questions[0],r=normalizeDomain(n.name),s={status:"insecure",answers:e.answers.map(()=>"insecure"),records:e.answers};if(null===findTrustAnchor(r)||0!==e.rcode&&3!==e.rcode)return s;const a=new Map,o=groupRRsets(e.answers);for(const e of o)e.records.length&&a.set(e.key,await validateRRsetOrProveInsecure(e,t));for(const e of o){if("CNAME"!==e.type||e.signatures.length)continue;const t=o.find(t=>"DNAME"===t.type&&e.name.endsWith("."+t.name));t&&a.has(t.key)&&a.set(e.key,a.get(t.key))}let i=r;for(let e=0;e<=o.length;e++){const e=o.find(e=>"CNAME"===e.type&&e.name===i&&e.records.length);if(!e||5===n.typeCode)break;i=normalizeDomain(e.records[0].data)}const c=String(toTypeName(n.typeCode)),l=o.some(e=>e.name===i&&e.type===c&&e.records.length);let u=worstStatus([...a.values()]);if(!l&&255!==n.typeCode){const n=await validateNegativeResponse(e,i,c,t);u=worstStatus([u,null===n.status?await proveInsecure(i,t):n.status])}return{status:u,answers:e.answers.map(e=>{const t="RRSIG"===e.type?e.data.typeCovered:e.type;return a.get(`${normalizeDomain(e.name)}/${t}`)||u}),records:e.answers}}function worstStatus(e){return e.includes("bogus")?"bogus":e.includes("insecure")?"insecure":"secure"}function groupRRsets(e){const t=new Map;for(const n of e){if(41===n.typeCode)continue;const e=normalizeDomain(n.name),r="RRSIG"===n.type?String(n.data.typeCovered):String(n.type),s=`${e}/${r}`;t.has(s)||t.set(s,{key:s,name:e,type:r,records:[],signatures:[]}),"RRSIG"===n.type?t.get(s).signatures.push(n):t.get(s).records.push(n)}return[...t.values()]}async function validateRRsetOrProveInsecure(e,t){return e.signatures.length?await validateRRset(e,t):await proveInsecure(e.name,t)}async function validateRRset(e,t){const n=Math.floor(Date.now()/1e3),r=countLabels(e.name);let s="bogus";for(const a of e.signatures){const o=a.data,i=normalizeDomain(o.signerName);if(!isSameOrSubdomain(e.name,i)||o.labels>r)continue;if(o.inception>n||o.expiration<n)continue;const c=await getZoneKeys(i,t);if("insecure"===c.status&&(s="insecure"),"secure"===c.status)for(const t of c.keys)if(t.data.algorithm===o.algorithm&&computeKeyTag(t.rdata)===o.keyTag&&await verifyRRsig(e,a,t))return"secure"}return s}async function proveInsecure(e,t){const n=findTrustAnchor(e);if(null===n)return"insecure";for(let r=e;r!==n;r=parentName(r)){const e=await getZoneKeys(r,t);if("secure"===e.status)return"bogus";if("none"!==e.status)return e.status}return"bogus"}function getZoneKeys(e,t){if(t.loading.has(e))return Promise.resolve({status:"bogus"});const n=zoneKeyCache.get(e);if(n&&n.expires>Date.now())return n.promise;zoneKeyCache.size>=1e3&&zoneKeyCache.clear();const r={expires:Date.now()+6e5,promise:null};return r.promise=loadZoneKeys(e,{...t,loading:new Set([...t.loading,e])}).then(t=>("bogus"===t.status&&zoneKeyCache.get(e)===r&&zoneKeyCache.delete(e),t)),zoneKeyCache.set(e,r),r.promise}async function loadZoneKeys(e,t){let n=getTrustAnchors().filter(t=>t.zone===e);if(!n.length){const r=await queryDnssecRecords(e,"DS",t);if(!r)return{status:"bogus"};const s=groupRRsets(r.answers).find(t=>t.name===e&&"DS"===t.type);if(!(s&&s.records.length&&s.signatures.length)){const n=s&&s.records.length?{status:null}:await validateNegativeResponse(r,e,"DS",t);if(null===n.status){return{status:"insecure"===(""===e?"bogus":await proveInsecure(parentName(e),t))?"insecure":"bogus"}}return"secure"!==n.status?{status:n.status}:{status:n.delegation?"insecure":"none"}}{s.signatures=s.signatures.filter(t=>normalizeDomain(t.data.signerName)!==e);const r=await validateRRset(s,t);if("secure"!==r)return{status:r};n=s.records.map(e=>e.data)}}const r=n.filter(e=>DNSSEC_ALGORITHMS[e.algorithm]&&DS_DIGEST_TYPES[e.digestType]);if(!r.length)return{status:"insecure"};const s=await queryDnssecRecords(e,"DNSKEY",t),a=s&&groupRRsets(s.answers).find(t=>t.name===e&&"DNSKEY"===t.type);if(!a||!a.records.length)return{status:"bogus"};const o=Math.floor(Date.now()/1e3);for(const t of a.records){if(!(256&t.data.flags&&await matchesDsRecord(e,t,r)))continue;const n=computeKeyTag(t.rdata);for(const r of a.signatures){const s=r.data;if(s.keyTag===n&&s.algorithm===t.data.algorithm&&normalizeDomain(s.signerName)===e&&(!(s.inception>o||s.expiration<o)&&await verifyRRsig(a,r,t)))return{status:"secure",keys:a.records.filter(e=>256&e.data.flags)}}}return{status:"bogus"}}async function queryDnssecRecords(e,t,n){const r=buildDnsQuery(e||".",t,{dnssecOk:!0,checkingDisabled:!0}),s=r&&parseDnsMessage(r);if(!s)return null;const a=buildDnsCacheKey(s,n.dnsServers),o=await lookupDnsCache(a,s),i=(o&&!o.stale?o:null)||await forwardAndCache(s,r,a,n.dnsServers,n.context)||o;return i?parseDnsMessage(i.response):null}async function validateNegativeResponse(e,t,n,r){const s=groupRRsets(e.authorities).filter(e=>["SOA","NSEC","NSEC3"].includes(e.type)).filter(e=>e.signatures.length&&e.records.length);if(!s.length)return{status:null};const a=[];for(const e of s)a.push(await validateRRset(e,r));const o=worstStatus(a);if("secure"!==o)return{status:o};const i=s.filter(e=>"NSEC"===e.type).flatMap(e=>e.records),c=s.filter(e=>"NSEC3"===e.type).flatMap(e=>e.records);return i.length?checkNsecDenial(i,t,n,e.rcode):c.length?await checkNsec3Denial(c,t,n,e.rcode):{status:"bogus"}}function checkNsecDenial(e,t,n,r){const s=e=>normalizeDomain(e.name),a=e=>normalizeDomain(e.data.nextDomain),o=(e,t)=>nsecCovers(s(e),a(e),t),i=e=>!e.data.types.includes(n)&&!e.data.types.includes("CNAME");if(0===r){const n=e.find(e=>s(e)===t);if(n)return i(n)?{status:"secure",delegation:n.data.types.includes("NS")&&!n.data.types.includes("SOA")}:{status:"bogus"};return{status:e.find(e=>s(e).startsWith("*.")&&isSameOrSubdomain(t,s(e).slice(2))&&i(e))&&e.some(e=>o(e,t))?"secure":"bogus"}}const c=e.find(e=>o(e,t));if(!c)return{status:"bogus"};const l=[commonAncestor(t,s(c)),commonAncestor(t,a(c))].reduce((e,t)=>countLabels(e)>=countLabels(t)?e:t),u=l?`*.${l}`:"*";return{status:e.some(e=>o(e,u))?"secure":"bogus"}}async function checkNsec3Denial(e,t,n,r){const{hashAlgorithm:s,iterations:a,salt:o}=e[0].data;if(1!==s||a>150)return{status:"insecure"};const i=parentName(normalizeDomain(e[0].name)),c=new Map,l=async e=>(c.has(e)||c.set(e,await computeNsec3Hash(e,o,a)),c.get(e)),u=e=>normalizeDomain(e.name).split(".")[0],d=async t=>{const n=await l(t);return e.find(e=>u(e)===n)},S=async t=>{const n=await l(t);return e.find(e=>nsec3Covers(u(e),e.data.nextHashed.toLowerCase(),n))},p=e=>!e.data.types.includes(n)&&!e.data.types.includes("CNAME");if(0===r){const e=await d(t);if(e)return p(e)?{status:"secure",delegation:e.data.types.includes("NS")&&!e.data.types.includes("SOA")}:{status:"bogus"}}let f=t,E=null;for(;!await d(f);){if(f===i||""===f)return{status:"bogus"};E=f,f=parentName(f)}const h=E&&await S(E);if(!h)return{status:"bogus"};if(1&h.data.flags)return{status:"insecure",delegation:!0};const _=f?`*.${f}`:"*";if(3===r)return{status:await S(_)?"secure":"bogus"};const T=await d(_);return{status:T&&p(T)?"secure":"bogus"}}async function computeNsec3Hash(e,t,n){const r=createDnsWriter({canonical:!0});r.name(e);const s=hexToBytes(t||"");let a=r.finish();for(let e=0;e<=n;e++){const e=new Uint8Array(a.length+s.length);e.set(a),e.set(s,a.length),a=new Uint8Array(await crypto.subtle.digest("SHA-1",e))}return bytesToBase32Hex(a)}function nsecCovers(e,t,n){return compareCanonicalNames(e,t)<0?compareCanonicalNames(e,n)<0&&compareCanonicalNames(n,t)<0:compareCanonicalNames(e,n)<0||compareCanonicalNames(n,t)<0}function nsec3Covers(e,t,n){return e<t?e<n&&n<t:e<n||n<t}function compareCanonicalNames(e,t){const n=nameToLabels(e).reverse(),r=nameToLabels(t).reverse();for(let e=0;e<Math.min(n.length,r.length);e++){const t=compareBytes(lowercaseBytes(n[e]),lowercaseBytes(r[e]));if(t)return t}return n.length-r.length}function compareBytes(e,t){for(let n=0;n<Math.min(e.length,t.length);n++)if(e[n]!==t[n])return e[n]-t[n];return e.length-t.length}function lowercaseBytes(e){return e.map(e=>e>=65&&e<=90?32|e:e)}async function verifyRRsig(e,t,n){const r=DNSSEC_ALGORITHMS[t.data.algorithm];if(!r)return!1;try{const s=await importDnskey(base64ToBytes(n.data.publicKey),r);return await crypto.subtle.verify(r.verifyParams,s,base64ToBytes(t.data.signature),buildSignedData(e.records,t.data))}catch(e){return!1}}function importDnskey(e,t){if("rsa"===t.keyFormat){const n=0===e[0],r=n?e[1]<<8|e[2]:e[0],s=n?3:1,a={kty:"RSA",e:bytesToBase64Url(e.subarray(s,s+r)),n:bytesToBase64Url(e.subarray(s+r))};return crypto.subtle.importKey("jwk",a,t.importParams,!1,["verify"])}const n="ec"===t.keyFormat?new Uint8Array([4,...e]):e;return crypto.subtle.importKey("raw",n,t.importParams,!1,["verify"])}function bytesToBase64Url(e){return bytesToBase64(e).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"")}function buildSignedData(e,t){const n=createDnsWriter({canonical:!0});n.u16(toTypeCode(t.typeCovered)),n.u8(t.algorithm),n.u8(t.labels),n.u32(t.originalTtl),n.u32(t.expiration),n.u32(t.inception),n.u16(t.keyTag),n.name(t.signerName);const r=normalizeDomain(e[0].name),s=r?r.split("."):[],a=s.length>t.labels?["*",...s.slice(s.length-t.labels)].join("."):r,o=e.map(canonicalRdata).sort(compareBytes).filter((e,t,n)=>0===t||0!==compareBytes(e,n[t-1]));for(const r of o)n.name(a),n.u16(e[0].typeCode),n.u16(e[0].class),n.u32(t.originalTtl),n.u16(r.length),n.bytes(r);return n.finish()}const CANONICAL_RDATA_TYPES=new Set([2,5,6,12,15,33,35,39,46]);function canonicalRdata(e){if(!CANONICAL_RDATA_TYPES.has(e.typeCode))return e.rdata;const t=createDnsWriter({canonical:!0});return RDATA_CODECS[e.typeCode].encode(t,e.data),t.finish()}function computeKeyTag(e){let t=0;for(let n=0;n<e.length;n++)t+=1&n?e[n]:e[n]<<8;return t+=t>>16&65535,65535&t}async function matchesDsRecord(e,t,n){const r=computeKeyTag(t.rdata),s=createDnsWriter({canonical:!0});s.name(e||"."),s.bytes(t.rdata);const a=s.finish();for(const e of n){if(e.keyTag!==r||e.algorithm!==t.data.algorithm)continue;if(bytesToHex(new Uint8Array(await crypto.subtle.digest(DS_DIGEST_TYPES[e.digestType],a)))===e.digest.toLowerCase())return!0}return!1}function parseTrustAnchor(e){const t=/^(\S+)\s+(?:IN\s+)?(?:DS\s+)?(\d+)\s+(\d+)\s+(\d+)\s+([0-9a-fA-F\s]+)$/i.exec(String(e).trim());return t?{zone:normalizeDomain(t[1]),keyTag:Number(t[2]),algorithm:Number(t[3]),digestType:Number(t[4]),digest:t[5].replace(/\s+/g,"").toLowerCase()}:null}function getTrustAnchors(){return DNSSEC_TRUST_ANCHORS.map(parseTrustAnchor).filter(Boolean)}function findTrustAnchor(e){let t=null;for(const n of getTrustAnchors())isSameOrSubdomain(e,n.zone)&&(null===t||countLabels(n.zone)>countLabels(t))&&(t=n.zone);return t}function isSameOrSubdomain(e,t){return""===t||e===t||e.endsWith("."+t)}function parentName(e){const t=e.indexOf(".");return-1===t?"":e.slice(t+1)}function countLabels(e){return e?e.split(".").filter((e,t)=>"*"!==e||t>0).length:0}function commonAncestor(e,t){const n=e?e.split("."):[],r=t?t.split("."):[],s=[];for(;n.length&&r.length&&n[n.length-1]===r[r.length-1];)s.unshift(n.pop()),r.pop();return s.join(".")}const LOCAL_RECORD_TYPES=["A","AAAA","CNAME","TXT","MX"];function findLocalRecords(e){const t=normalizeDomain(e);if(Object.prototype.hasOwnProperty.call(LOCAL_RECORDS,t))return LOCAL_RECORDS[t];const n=t.split(".");for(let e=1;e<n.length;e++){const t="*."+n.slice(e).join(".");if(Object.prototype.hasOwnProperty.call(LOCAL_RECORDS,t))return LOCAL_RECORDS[t]}return null}async function answerFromLocalZone(e,t,n){const r=e.questions[0],s=findLocalRecords(r.name);if(!s)return null;const a=(e,t)=>[].concat(t).map(t=>({name:r.name,type:e,ttl:LOCAL_TTL_SECONDS,data:t})),o=(e,t=`max-age=${LOCAL_TTL_SECONDS}`)=>({response:e,upstreamCacheControl:t,local:!0});if(void 0!==s[r.type]&&LOCAL_RECORD_TYPES.includes(r.type))return o(buildDnsResponse(e,{answers:a(r.type,s[r.type])}));if(void 0===s.CNAME)return o(buildDnsResponse(e));const i=[].concat(s.CNAME)[0],c=a("CNAME",i);if(n>=LOCAL_CNAME_MAX_DEPTH)return o(buildDnsResponse(e,{rcode:2,answers:c}));const l=buildDnsQuery(i,r.typeCode,{dnssecOk:e.additionals.some(e=>41===e.typeCode&&e.data.dnssecOk),checkingDisabled:e.flags.cd}),u=l?await resolveDnsQuery(l,{...t,depth:n+1}):null,d=u?parseDnsMessage(u.response):null;return d?o(buildDnsResponse(e,{rcode:d.rcode,answers:[...c,...d.answers],authorities:d.authorities}),u.upstreamCacheControl):o(buildDnsResponse(e,{rcode:2,answers:c}))}const DNS_TYPES={A:1,NS:2,CNAME:5,SOA:6,PTR:12,MX:15,TXT:16,AAAA:28,SRV:33,NAPTR:35,DNAME:39,OPT:41,DS:43,RRSIG:46,NSEC:47,DNSKEY:48,NSEC3:50,NSEC3PARAM:51,SVCB:64,HTTPS:65,ANY:255,CAA:257},DNS_TYPE_NAMES=Object.fromEntries(Object.entries(DNS_TYPES).map(([e,t])=>[t,e])),COMPRESSIBLE_TYPES=new Set([2,5,6,12,15]),EDNS_OPTION_ECS=8,EDNS_OPTION_PADDING=12,EDNS_PADDING_BLOCK=128,SVC_PARAM_KEYS=["mandatory","alpn","no-default-alpn","port","ipv4hint","ech","ipv6hint","dohpath"],strictDecoder=new TextDecoder("utf-8",{fatal:!0}),encoder=new TextEncoder;function toTypeCode(e){if("number"==typeof e)return e>0&&e<=65535?e:0;const t=String(e).toUpperCase();if(DNS_TYPES[t])return DNS_TYPES[t];const n=parseInt(t.startsWith("TYPE")?t.slice(4):t,10);return n>0&&n<=65535?n:0}function toTypeName(e){return DNS_TYPE_NAMES[e]||e}function buildDnsQuery(e,t,n={}){const r=toTypeCode(t);if(!r)return null;const s={id:Math.floor(65535*Math.random()),flags:{rd:!0,cd:!!n.checkingDisabled},questions:[{name:e,type:r}],additionals:[]};let a=null;if(n.udpPayloadSize||n.dnssecOk||n.clientSubnet||n.padding){if(a={name:"",type:"OPT",data:{udpPayloadSize:n.udpPayloadSize||EDNS_UDP_PAYLOAD_SIZE,dnssecOk:!!n.dnssecOk,options:[]}},n.clientSubnet){const e=buildClientSubnetOption(n.clientSubnet);e&&a.data.options.push(e)}s.additionals.push(a)}try{const e=encodeDnsMessage(s);if(!a||!n.padding)return e;const t=(EDNS_PADDING_BLOCK-(e.length+4)%EDNS_PADDING_BLOCK)%EDNS_PADDING_BLOCK;return a.data.options.push({code:EDNS_OPTION_PADDING,data:new Uint8Array(t)}),encodeDnsMessage(s)}catch(e){return null}}function buildDnsResponse(e,{rcode:t=0,answers:n=[],authorities:r=[],additionals:s=[]}={}){const a=e.additionals.find(e=>41===e.typeCode),o=[...s];return a&&o.push({name:"",type:"OPT",data:{udpPayloadSize:EDNS_UDP_PAYLOAD_SIZE,dnssecOk:a.data.dnssecOk,options:[]}}),encodeDnsMessage({id:e.id,flags:{qr:!0,opcode:e.flags.opcode,rd:e.flags.rd,ra:!0,cd:e.flags.cd},rcode:t,questions:e.questions,answers:n,authorities:r,additionals:o})}function parseClientSubnet(e){const[t,n]=String(e).trim().split("/"),r=ipv4ToBytes(t),s=r||ipv6ToBytes(t);if(!s)return null;const a=r?32:128;let o=r?ECS_IPV4_PREFIX:ECS_IPV6_PREFIX;if(void 0!==n){if(!/^\d{1,3}$/.test(n))return null;o=parseInt(n,10)}return o>a?null:{family:r?1:2,prefix:o,address:truncateAddress(s,o)}}function truncateAddress(e,t){const n=e.slice(0,Math.ceil(t/8));return t%8&&(n[n.length-1]&=255<<8-t%8&255),n}function buildClientSubnetOption(e){const t=parseClientSubnet(e);if(!t)return null;const n=new Uint8Array(4+t.address.length);return n[0]=0,n[1]=t.family,n[2]=t.prefix,n[3]=0,n.set(t.address,4),{code:EDNS_OPTION_ECS,data:n}}function parseClientSubnetOption(e){if(e.length<4)return null;const t=e[0]<<8|e[1],n=new Uint8Array(1===t?4:16);n.set(e.subarray(4,4+n.length));const r=1===t?parseIPv4(n,0):parseIPv6(n,0);return{family:t,sourcePrefix:e[2],scopePrefix:e[3],subnet:`${r}/${e[2]}`}}function parseDnsResponse(e,t,n){const r=parseDnsMessage(e);return r?0!==r.rcode?{domain:t,type:n,status:"error"}:0===r.answers.length?{domain:t,type:n,status:"no_records",answers:[]}:{domain:t,type:n,status:"success",count:r.answers.length,answers:r.answers}:{domain:t,type:n,status:"error"}}function parseDnsMessage(e){if(e.length<12)return null;const t=new DataView(e.buffer,e.byteOffset,e.byteLength),n=t.getUint16(2,!1),r=[4,6,8,10].map(e=>t.getUint16(e,!1)),s={id:t.getUint16(0,!1),flags:{qr:!!(32768&n),opcode:n>>11&15,aa:!!(1024&n),tc:!!(512&n),rd:!!(256&n),ra:!!(128&n),ad:!!(32&n),cd:!!(16&n)},rcode:15&n,questions:[],answers:[],authorities:[],additionals:[]};let a=12;for(let n=0;n<r[0];n++){const n=parseDnsName(e,a);if(!n||n.nextOffset+4>e.length)return null;const r=t.getUint16(n.nextOffset,!1);s.questions.push({name:n.name,type:toTypeName(r),typeCode:r,class:t.getUint16(n.nextOffset+2,!1)}),a=n.nextOffset+4}const o=[s.answers,s.authorities,s.additionals];for(let t=0;t<o.length;t++)for(let n=0;n<r[t+1];n++){if(a>=e.length)return null;const n=parseDnsAnswer(e,a);if(!n)return null;o[t].push(n),a=n.nextOffset}const i=s.additionals.find(e=>41===e.typeCode);return i&&(s.rcode|=i.data.extendedRcode<<4),s}function parseDnsAnswer(e,t){const n=parseDnsName(e,t);if(!n||n.nextOffset+10>e.length)return null;let r=n.nextOffset;const s=new DataView(e.buffer,e.byteOffset,e.byteLength),a=s.getUint16(r,!1),o=s.getUint16(r+2,!1),i=s.getUint32(r+4,!1),c=s.getUint16(r+8,!1);if(r+=10,r+c>e.length)return null;const l={name:n.name,type:toTypeName(a),typeCode:a,class:o,ttl:i,data:null,nextOffset:r+c};if(Object.defineProperty(l,"rdata",{value:e.slice(r,r+c)}),41===a)return l.data={udpPayloadSize:o,extendedRcode:i>>>24,version:i>>>16&255,dnssecOk:!!(32768&i),options:parseEdnsOptions(e,r,c)},l;const u=RDATA_CODECS[a];try{l.data=u?u.decode(e,s,r,c):formatGenericRdata(l.rdata)}catch(e){return null}return l}function parseEdnsOptions(e,t,n){const r=new DataView(e.buffer,e.byteOffset,e.byteLength),s=[],a=t+n;for(;t+4<=a;){const n=r.getUint16(t,!1),o=r.getUint16(t+2,!1);s.push({code:n,data:e.slice(t+4,Math.min(t+4+o,a))}),t+=4+o}return s}function formatGenericRdata(e){return e.length?`\\# ${e.length} ${bytesToHex(e)}`:"\\# 0"}function parseGenericRdata(e){const t=/^\\#\s+(\d+)\s*([0-9a-fA-F\s]*)$/.exec(String(e));if(!t)throw new Error(`Invalid generic RDATA: ${e}`);const n=hexToBytes(t[2].replace(/\s+/g,""));if(n.length!==parseInt(t[1],10))throw new Error(`Generic RDATA length mismatch: ${e}`);return n}function parseIPv4(e,t){return`${e[t]}.${e[t+1]}.${e[t+2]}.${e[t+3]}`}function parseIPv6(e,t){const n=[];for(let r=0;r<8;r++)n.push((e[t+2*r]<<8|e[t+2*r+1]).toString(16));let r=-1,s=0,a=-1,o=0;for(let e=0;e<8;e++)"0"===n[e]?(-1===a&&(a=e),o++,o>s&&(r=a,s=o)):(a=-1,o=0);return s>1&&(n.splice(r,s,""),0===r&&n.unshift(""),r+s===8&&n.push("")),n.join(":").replace(/:{3,}/,"::")}function ipv4ToBytes(e){const t=String(e).split(".");if(4!==t.length)return null;const n=new Uint8Array(4);for(let e=0;e<4;e++){if(!/^\d{1,3}$/.test(t[e])||Number(t[e])>255)return null;n[e]=Number(t[e])}return n}function ipToArpaName(e){const t=ipv4ToBytes(e);if(t)return`${[...t].reverse().join(".")}.in-addr.arpa`;const n=ipv6ToBytes(e);if(!n)return null;const r=[];for(const e of n)r.push((e>>4).toString(16),(15&e).toString(16));return`${r.reverse().join(".")}.ip6.arpa`}function ipv6ToBytes(e){let t=String(e);const n=/^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(t);if(n){const e=ipv4ToBytes(n[2]);if(!e)return null;t=`${n[1]}${(e[0]<<8|e[1]).toString(16)}:${(e[2]<<8|e[3]).toString(16)}`}const r=t.split("::");if(r.length>2)return null;const s=r[0]?r[0].split(":"):[],a=2===r.length&&r[1]?r[1].split(":"):[],o=8-s.length-a.length;if(1===r.length?0!==o:o<1)return null;const i=[...s,...new Array(2===r.length?o:0).fill("0"),...a],c=new Uint8Array(16);for(let e=0;e<8;e++){if(!/^[0-9a-fA-F]{1,4}$/.test(i[e]))return null;const t=parseInt(i[e],16);c[2*e]=t>>8,c[2*e+1]=255&t}return c}function isPrivateAddress(e){const t=ipv4ToBytes(e);if(t)return isPrivateIPv4(t);const n=ipv6ToBytes(e);if(!n)return!1;if(n.subarray(0,10).every(e=>0===e)){if(255===n[10]&&255===n[11])return isPrivateIPv4(n.subarray(12));if(0===n[10]&&0===n[11])return!0}return 0===n[0]&&100===n[1]&&255===n[2]&&155===n[3]&&n.subarray(4,12).every(e=>0===e)?isPrivateIPv4(n.subarray(12)):252==(254&n[0])||254===n[0]&&!(128&~n[1])||255===n[0]||32===n[0]&&1===n[1]&&13===n[2]&&184===n[3]}function isPrivateIPv4([e,t,n]){return 0===e||10===e||127===e||e>=224||100===e&&t>=64&&t<128||169===e&&254===t||172===e&&t>=16&&t<32||192===e&&168===t||192===e&&0===t&&(0===n||2===n)||198===e&&(18===t||19===t)||198===e&&51===t&&100===n||203===e&&0===t&&113===n}function parseDnsName(e,t){const n=[];let r=t,s=-1,a=0,o=t;for(;;){if(r>=e.length)return null;const t=e[r];if(0===t){-1===s&&(s=r+1);break}if(!(192&~t)){if(r+1>=e.length)return null;-1===s&&(s=r+2);const n=(63&t)<<8|e[r+1];if(n>=o)return null;o=n,r=n;continue}if(t>63||r+1+t>e.length)return null;if(a+=t+1,a>255)return null;n.push(decodeLabel(e.subarray(r+1,r+1+t))),r+=t+1}return{name:n.join("."),nextOffset:s}}function decodeLabel(e){let t;try{t=strictDecoder.decode(e)}catch(e){t=null}if(null!==t)return t.replace(/[.\\]/g,"\\$&").replace(/[\x00-\x1f\x7f]/g,e=>`\\${String(e.charCodeAt(0)).padStart(3,"0")}`);let n="";for(const t of e)n+=46===t||92===t?"\\"+String.fromCharCode(t):t>32&&t<127?String.fromCharCode(t):`\\${String(t).padStart(3,"0")}`;return n}function nameToLabels(e){const t=String(e);if(""===t||"."===t)return[];const n=[];let r=[];for(let e=0;e<t.length;e++){const s=t[e];if("\\"===s){const n=t.slice(e+1,e+4);/^\d{3}$/.test(n)?(r.push(255&parseInt(n,10)),e+=3):e+1<t.length&&r.push(...encoder.encode(t[++e]))}else if("."===s){if(e===t.length-1)break;n.push(r),r=[]}else r.push(...encoder.encode(s))}n.push(r);let s=1;for(const t of n){if(0===t.length||t.length>63)throw new Error(`Invalid label in name: ${e}`);s+=t.length+1}if(s>255)throw new Error(`Name too long: ${e}`);return n.map(e=>new Uint8Array(e))}function createDnsWriter({canonical:e=!1}={}){let t=new Uint8Array(512),n=0;const r=new Map,s=e=>{if(n+e<=t.length)return;let r=2*t.length;for(;r<n+e;)r*=2;const s=new Uint8Array(r);s.set(t.subarray(0,n)),t=s},a={get length(){return n},u8(e){s(1),t[n++]=255&e},u16(e){s(2),t[n++]=e>>8&255,t[n++]=255&e},u32(e){a.u16(e>>>16&65535),a.u16(65535&e)},bytes(e){s(e.length),t.set(e,n),n+=e.length},setU16(e,n){t[e]=n>>8&255,t[e+1]=255&n},name(t,s=!1){const o=nameToLabels(t);if(e){s=!1;for(const e of o)e.forEach((t,n)=>e[n]=t>=65&&t<=90?32|t:t)}for(let e=0;e<o.length;e++){const t=o.slice(e).map(e=>decoder.decode(e).toLowerCase()).join(".");if(s&&r.has(t))return void a.u16(49152|r.get(t));s&&n<16384&&r.set(t,n),a.u8(o[e].length),a.bytes(o[e])}a.u8(0)},finish:()=>t.slice(0,n)};return a}function encodeDnsMessage(e){const t=createDnsWriter(),n=e.flags||{},r=e.questions||[],s=[e.answers||[],e.authorities||[],e.additionals||[]],a=e.rcode||0;t.u16(e.id||0),t.u16((n.qr?32768:0)|(15&(n.opcode||0))<<11|(n.aa?1024:0)|(n.tc?512:0)|(n.rd?256:0)|(n.ra?128:0)|(n.ad?32:0)|(n.cd?16:0)|15&a),t.u16(r.length);for(const e of s)t.u16(e.length);for(const e of r)t.name(e.name,!0),t.u16(toTypeCode(e.typeCode||e.type)),t.u16(e.class||1);for(const e of s)for(const n of e)encodeDnsRecord(t,n,a);return t.finish()}function encodeDnsRecord(e,t,n=0){const r=toTypeCode(t.typeCode||t.type);if(!r)throw new Error(`Unknown record type: ${t.type}`);if(e.name(t.name,!0),e.u16(r),41===r){const r=t.data||{};e.u16(r.udpPayloadSize||1232),e.u8(void 0!==r.extendedRcode?r.extendedRcode:n>>4),e.u8(r.version||0),e.u16(r.dnssecOk?32768:0);const s=e.length;e.u16(0);for(const t of r.options||[])e.u16(t.code),e.u16(t.data.length),e.bytes(t.data);return void e.setU16(s,e.length-s-2)}e.u16(t.class||1),e.u32(t.ttl||0);const s=e.length;e.u16(0);const a=RDATA_CODECS[r];t.rdata&&!COMPRESSIBLE_TYPES.has(r)?e.bytes(t.rdata):a?a.encode(e,t.data):e.bytes(parseGenericRdata(t.data)),e.setU16(s,e.length-s-2)}function readCharString(e,t){const n=e[t];if(t+1+n>e.length)throw new RangeError("character-string out of range");return{text:decoder.decode(e.subarray(t+1,t+1+n)),nextOffset:t+1+n}}function writeCharString(e,t){const n=encoder.encode(t);if(n.length>255)throw new Error("character-string too long");e.u8(n.length),e.bytes(n)}function readName(e,t){const n=parseDnsName(e,t);if(!n)throw new RangeError("Malformed name in RDATA");return n}function parseTypeBitmap(e,t,n){const r=[];for(;t+2<=n;){const n=256*e[t],s=e[t+1];for(let a=0;a<s;a++){const s=e[t+2+a];for(let e=0;e<8;e++)s&128>>e&&r.push(toTypeName(n+8*a+e))}t+=2+s}return r}function writeTypeBitmap(e,t){const n=[...new Set(t.map(toTypeCode))].sort((e,t)=>e-t),r=new Map;for(const e of n){const t=e>>8;r.has(t)||r.set(t,new Uint8Array(32)),r.get(t)[(255&e)>>3]|=128>>(7&e)}for(const[t,n]of r){let r=32;for(;r>0&&0===n[r-1];)r--;e.u8(t),e.u8(r),e.bytes(n.subarray(0,r))}}function parseSvcParams(e,t,n,r){const s={};for(;n+4<=r;){const a=t.getUint16(n,!1),o=t.getUint16(n+2,!1),i=n+4;if(i+o>r)throw new RangeError("SvcParam out of range");const c=e.subarray(i,i+o),l=SVC_PARAM_KEYS[a]||`key${a}`;switch(l){case"mandatory":{const e=[];for(let n=0;n+1<o;n+=2){const r=t.getUint16(i+n,!1);e.push(SVC_PARAM_KEYS[r]||`key${r}`)}s[l]=e;break}case"alpn":{const e=[];for(let t=0;t<o;){const n=readCharString(c,t);e.push(n.text),t=n.nextOffset}s[l]=e;break}case"no-default-alpn":s[l]=!0;break;case"port":s[l]=t.getUint16(i,!1);break;case"ipv4hint":{const e=[];for(let t=0;t+4<=o;t+=4)e.push(parseIPv4(c,t));s[l]=e;break}case"ipv6hint":{const e=[];for(let t=0;t+16<=o;t+=16)e.push(parseIPv6(c,t));s[l]=e;break}case"ech":s[l]=bytesToBase64(c);break;case"dohpath":s[l]=decoder.decode(c);break;default:s[l]=bytesToHex(c)}n=i+o}return s}function svcParamKeyCode(e){const t=SVC_PARAM_KEYS.indexOf(e);if(t>=0)return t;const n=/^key(\d+)$/.exec(e);if(!n)throw new Error(`Unknown SvcParam key: ${e}`);return parseInt(n[1],10)}function writeSvcParams(e,t={}){const n=Object.keys(t).sort((e,t)=>svcParamKeyCode(e)-svcParamKeyCode(t));for(const r of n){const n=t[r],s=createDnsWriter();switch(r){case"mandatory":for(const e of n)s.u16(svcParamKeyCode(e));break;case"alpn":for(const e of n)writeCharString(s,e);break;case"no-default-alpn":break;case"port":s.u16(n);break;case"ipv4hint":for(const e of n)s.bytes(requireIp(ipv4ToBytes(e),e));break;case"ipv6hint":for(const e of n)s.bytes(requireIp(ipv6ToBytes(e),e));break;case"ech":s.bytes(base64ToBytes(n));break;case"dohpath":s.bytes(encoder.encode(n));break;default:s.bytes(hexToBytes(n))}const a=s.finish();e.u16(svcParamKeyCode(r)),e.u16(a.length),e.bytes(a)}}function requireIp(e,t){if(!e)throw new Error(`Invalid IP address: ${t}`);return e}const SVCB_CODEC={decode(e,t,n,r){const s=readName(e,n+2);return{priority:t.getUint16(n,!1),target:s.name,params:parseSvcParams(e,t,s.nextOffset,n+r)}},encode(e,t){e.u16(t.priority),e.name(t.target),writeSvcParams(e,t.params)}},NAME_CODEC={decode:(e,t,n)=>readName(e,n).name,encode:(e,t)=>e.name(t,!0)},RDATA_CODECS={1:{decode:(e,t,n,r)=>4===r?parseIPv4(e,n):null,encode:(e,t)=>e.bytes(requireIp(ipv4ToBytes(t),t))},28:{decode:(e,t,n,r)=>16===r?parseIPv6(e,n):null,encode:(e,t)=>e.bytes(requireIp(ipv6ToBytes(t),t))},2:NAME_CODEC,5:NAME_CODEC,12:NAME_CODEC,39:{decode:NAME_CODEC.decode,encode:(e,t)=>e.name(t)},6:{decode(e,t,n){const r=readName(e,n),s=readName(e,r.nextOffset),a=s.nextOffset;if(a+20>e.length)throw new RangeError("SOA out of range");return{mname:r.name,rname:s.name,serial:t.getUint32(a,!1),refresh:t.getUint32(a+4,!1),retry:t.getUint32(a+8,!1),expire:t.getUint32(a+12,!1),minimum:t.getUint32(a+16,!1)}},encode(e,t){e.name(t.mname,!0),e.name(t.rname,!0);for(const n of["serial","refresh","retry","expire","minimum"])e.u32(t[n])}},15:{decode:(e,t,n)=>({preference:t.getUint16(n,!1),exchange:readName(e,n+2).name}),encode(e,t){e.u16(t.preference),e.name(t.exchange,!0)}},16:{decode(e,t,n,r){const s=[];let a=n;for(;a<n+r;){const t=readCharString(e,a);s.push(t.text),a=t.nextOffset}return s.join("")},encode(e,t){const n=encoder.encode(t);0===n.length&&e.u8(0);for(let t=0;t<n.length;t+=255){const r=n.subarray(t,t+255);e.u8(r.length),e.bytes(r)}}},33:{decode(e,t,n){const r=readName(e,n+6);return{priority:t.getUint16(n,!1),weight:t.getUint16(n+2,!1),port:t.getUint16(n+4,!1),target:r.name}},encode(e,t){e.u16(t.priority),e.u16(t.weight),e.u16(t.port),e.name(t.target)}},35:{decode(e,t,n){const r=readCharString(e,n+4),s=readCharString(e,r.nextOffset),a=readCharString(e,s.nextOffset),o=readName(e,a.nextOffset);return{order:t.getUint16(n,!1),preference:t.getUint16(n+2,!1),flags:r.text,services:s.text,regexp:a.text,replacement:o.name}},encode(e,t){e.u16(t.order),e.u16(t.preference),writeCharString(e,t.flags),writeCharString(e,t.services),writeCharString(e,t.regexp),e.name(t.replacement)}},43:{decode:(e,t,n,r)=>({keyTag:t.getUint16(n,!1),algorithm:e[n+2],digestType:e[n+3],digest:bytesToHex(e.subarray(n+4,n+r))}),encode(e,t){e.u16(t.keyTag),e.u8(t.algorithm),e.u8(t.digestType),e.bytes(hexToBytes(t.digest))}},48:{decode:(e,t,n,r)=>({flags:t.getUint16(n,!1),protocol:e[n+2],algorithm:e[n+3],publicKey:bytesToBase64(e.subarray(n+4,n+r))}),encode(e,t){e.u16(t.flags),e.u8(void 0===t.protocol?3:t.protocol),e.u8(t.algorithm),e.bytes(base64ToBytes(t.publicKey))}},46:{decode(e,t,n,r){const s=readName(e,n+18);return{typeCovered:toTypeName(t.getUint16(n,!1)),algorithm:e[n+2],labels:e[n+3],originalTtl:t.getUint32(n+4,!1),expiration:t.getUint32(n+8,!1),inception:t.getUint32(n+12,!1),keyTag:t.getUint16(n+16,!1),signerName:s.name,signature:bytesToBase64(e.subarray(s.nextOffset,n+r))}},encode(e,t){e.u16(toTypeCode(t.typeCovered)),e.u8(t.algorithm),e.u8(t.labels),e.u32(t.originalTtl),e.u32(t.expiration),e.u32(t.inception),e.u16(t.keyTag),e.name(t.signerName),e.bytes(base64ToBytes(t.signature))}},47:{decode(e,t,n,r){const s=readName(e,n);return{nextDomain:s.name,types:parseTypeBitmap(e,s.nextOffset,n+r)}},encode(e,t){e.name(t.nextDomain),writeTypeBitmap(e,t.types)}},50:{decode(e,t,n,r){const s=n+5+e[n+4],a=e[s];return{hashAlgorithm:e[n],flags:e[n+1],iterations:t.getUint16(n+2,!1),salt:bytesToHex(e.subarray(n+5,s)),nextHashed:bytesToBase32Hex(e.subarray(s+1,s+1+a)),types:parseTypeBitmap(e,s+1+a,n+r)}},encode(e,t){const n=hexToBytes(t.salt||""),r=base32HexToBytes(t.nextHashed);e.u8(t.hashAlgorithm),e.u8(t.flags),e.u16(t.iterations),e.u8(n.length),e.bytes(n),e.u8(r.length),e.bytes(r),writeTypeBitmap(e,t.types)}},51:{decode:(e,t,n)=>({hashAlgorithm:e[n],flags:e[n+1],iterations:t.getUint16(n+2,!1),salt:bytesToHex(e.subarray(n+5,n+5+e[n+4]))}),encode(e,t){const n=hexToBytes(t.salt||"");e.u8(t.hashAlgorithm),e.u8(t.flags),e.u16(t.iterations),e.u8(n.length),e.bytes(n)}},64:SVCB_CODEC,65:SVCB_CODEC,257:{decode(e,t,n,r){const s=e[n+1];return{flags:e[n],tag:decoder.decode(e.subarray(n+2,n+2+s)),value:decoder.decode(e.subarray(n+2+s,n+r))}},encode(e,t){const n=encoder.encode(t.tag);e.u8(t.flags||0),e.u8(n.length),e.bytes(n),e.bytes(encoder.encode(t.value))}}};function formatRecordData(e){const t=e.data;if(null==t)return formatGenericRdata(e.rdata||new Uint8Array(0));switch(e.type){case"CNAME":case"NS":case"PTR":case"DNAME":return toFqdn(t);case"SOA":return`${toFqdn(t.mname)} ${toFqdn(t.rname)} ${t.serial} ${t.refresh} ${t.retry} ${t.expire} ${t.minimum}`;case"MX":return`${t.preference} ${toFqdn(t.exchange)}`;case"SRV":return`${t.priority} ${t.weight} ${t.port} ${toFqdn(t.target)}`;case"TXT":return quoteString(t);case"NAPTR":return`${t.order} ${t.preference} ${quoteString(t.flags)} ${quoteString(t.services)} ${quoteString(t.regexp)} ${toFqdn(t.replacement)}`;case"DS":return`${t.keyTag} ${t.algorithm} ${t.digestType} ${t.digest.toUpperCase()}`;case"DNSKEY":return`${t.flags} ${t.protocol} ${t.algorithm} ${t.publicKey}`;case"RRSIG":return`${t.typeCovered} ${t.algorithm} ${t.labels} ${t.originalTtl} ${formatSigTime(t.expiration)} ${formatSigTime(t.inception)} ${t.keyTag} ${toFqdn(t.signerName)} ${t.signature}`;case"NSEC":return`${toFqdn(t.nextDomain)} ${t.types.join(" ")}`;case"NSEC3":return`${t.hashAlgorithm} ${t.flags} ${t.iterations} ${t.salt||"-"} ${t.nextHashed} ${t.types.join(" ")}`.trim();case"NSEC3PARAM":return`${t.hashAlgorithm} ${t.flags} ${t.iterations} ${t.salt||"-"}`;case"SVCB":case"HTTPS":return formatSvcbData(t);case"CAA":return`${t.flags} ${t.tag} ${quoteString(t.value)}`;default:return String(t)}}function formatSvcbData(e){const t=Object.entries(e.params).map(([e,t])=>!0===t?e:Array.isArray(t)?`${e}=${t.join(",")}`:`${e}=${t}`);return[e.priority,toFqdn(e.target),...t].join(" ")}function parseRecordText(e,t){const n=toTypeCode(e),r=RDATA_CODECS[n];if(String(t).startsWith("\\#")){const e=parseGenericRdata(t);return r?r.decode(e,new DataView(e.buffer,e.byteOffset,e.byteLength),0,e.length):t}const s=splitPresentation(t),a=e=>{const r=Number(s[e]);if(!Number.isInteger(r))throw new Error(`Invalid ${toTypeName(n)} record: ${t}`);return r};switch(toTypeName(n)){case"A":case"AAAA":case"CNAME":case"NS":case"PTR":case"DNAME":return s[0];case"SOA":return{mname:s[0],rname:s[1],serial:a(2),refresh:a(3),retry:a(4),expire:a(5),minimum:a(6)};case"MX":return{preference:a(0),exchange:s[1]};case"SRV":return{priority:a(0),weight:a(1),port:a(2),target:s[3]};case"TXT":return String(t).trimStart().startsWith('"')?s.join(""):String(t);case"NAPTR":return{order:a(0),preference:a(1),flags:s[2],services:s[3],regexp:s[4],replacement:s[5]};case"DS":return{keyTag:a(0),algorithm:a(1),digestType:a(2),digest:s.slice(3).join("").toLowerCase()};case"DNSKEY":return{flags:a(0),protocol:a(1),algorithm:a(2),publicKey:s.slice(3).join("")};case"RRSIG":return{typeCovered:s[0],algorithm:a(1),labels:a(2),originalTtl:a(3),expiration:parseSigTime(s[4]),inception:parseSigTime(s[5]),keyTag:a(6),signerName:s[7],signature:s.slice(8).join("")};case"NSEC":return{nextDomain:s[0],types:s.slice(1)};case"NSEC3":return{hashAlgorithm:a(0),flags:a(1),iterations:a(2),salt:"-"===s[3]?"":s[3],nextHashed:s[4],types:s.slice(5)};case"SVCB":case"HTTPS":return{priority:a(0),target:s[1],params:parseSvcParamsText(s.slice(2))};case"CAA":return{flags:a(0),tag:s[1],value:s.slice(2).join(" ")};default:throw new Error(`Unsupported record text for type ${toTypeName(n)}`)}}function parseSvcParamsText(e){const t={};for(const n of e){const e=n.indexOf("="),r=e<0?n:n.slice(0,e),s=e<0?"":n.slice(e+1).replace(/^"(.*)"$/,"$1");switch(r){case"mandatory":case"alpn":case"ipv4hint":case"ipv6hint":t[r]=s.split(",");break;case"no-default-alpn":t[r]=!0;break;case"port":t[r]=Number(s);break;default:t[r]=s}}return t}function splitPresentation(e){const t=[],n=/"((?:[^"\\]|\\.)*)"|(\S+)/g;let r;for(;r=n.exec(String(e));)t.push(void 0!==r[1]?r[1].replace(/\\(\d{3}|.)/g,(e,t)=>3===t.length?String.fromCharCode(parseInt(t,10)):t):r[2]);return t}function quoteString(e){return`"${String(e).replace(/(["\\])/g,"\\$1")}"`}function toFqdn(e){return e.endsWith(".")?e:e+"."}function formatSigTime(e){return new Date(1e3*e).toISOString().replace(/[-:T]/g,"").slice(0,14)}function parseSigTime(e){const t=/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(e),n=t?Date.UTC(t[1],t[2]-1,t[3],t[4],t[5],t[6])/1e3:Number(e);if(!Number.isInteger(n))throw new Error(`Invalid signature time: ${e}`);return n}function bytesToHex(e){let t="";for(const n of e)t+=n.toString(16).padStart(2,"0");return t}function hexToBytes(e){if(e.length%2||/[^0-9a-fA-F]/.test(e))throw new Error(`Invalid hex string: ${e}`);const t=new Uint8Array(e.length/2);for(let n=0;n<t.length;n++)t[n]=parseInt(e.substr(2*n,2),16);return t}function bytesToBase64(e){let t="";for(const n of e)t+=String.fromCharCode(n);return btoa(t)}function base64ToBytes(e){const t=atob(e),n=new Uint8Array(t.length);for(let e=0;e<t.length;e++)n[e]=t.charCodeAt(e);return n}function base64UrlToBytes(e){if(!/^[A-Za-z0-9_-]*={0,2}$/.test(e))return null;const t=e.replace(/=+$/,"").replace(/-/g,"+").replace(/_/g,"/");return t.length%4==1?null:base64ToBytes(t+"=".repeat((4-t.length%4)%4))}const BASE32HEX_ALPHABET="0123456789abcdefghijklmnopqrstuv";function bytesToBase32Hex(e){let t=0,n=0,r="";for(const s of e)for(n=n<<8|s,t+=8;t>=5;)r+=BASE32HEX_ALPHABET[n>>>t-5&31],t-=5;return t>0&&(r+=BASE32HEX_ALPHABET[n<<5-t&31]),r}function base32HexToBytes(e){const t=[];let n=0,r=0;for(const s of e.toLowerCase()){const a=BASE32HEX_ALPHABET.indexOf(s);if(a<0)throw new Error(`Invalid base32hex string: ${e}`);r=r<<5|a,n+=5,n>=8&&(t.push(r>>>n-8&255),n-=8)}return new Uint8Array(t)}
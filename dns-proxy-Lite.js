@@ -1 +1 @@
-const UPSTREAM_DOH_SERVERS=["https://cloudflare-dns.com/dns-query","https://dns.google/dns-query"],GLOBAL_AUTH_TOKEN="",TIMEOUT_MS=500,CACHE_TTL_SECONDS=300,MIN_CACHE_TTL_SECONDS=60;export default{async fetch(e,s,t){const n=new URL(e.url),a=n.pathname;return"OPTIONS"===e.method?new Response(null,{headers:{"Access-Control-Allow-Origin":"*","Access-Control-Allow-Methods":"GET, POST, OPTIONS","Access-Control-Allow-Headers":"*","Access-Control-Max-Age":"86400"}}):"/dns-query"===a?await handleDnsQuery(e,t):new Response(null,{status:200})}};async function handleDnsQuery(e,s){const t=e.method;if("GET"!==t&&"POST"!==t)return new Response(null,{status:405});const n=caches.default;if("GET"===t){const s=await n.match(e);if(s){const e=new Headers(s.headers);return e.set("Access-Control-Allow-Origin","*"),new Response(s.body,{status:s.status,statusText:s.statusText,headers:e})}}let a=null;"POST"===t&&(a=await e.arrayBuffer());for(const o of UPSTREAM_DOH_SERVERS){const r=new AbortController,c=setTimeout(()=>r.abort(),500),l=new URL(o);if("GET"===t){const s=new URL(e.url);l.search=s.search}const u={method:t,headers:{Accept:"application/dns-message"},signal:r.signal};"POST"===t&&(u.headers["Content-Type"]="application/dns-message",u.body=a);const d=await fetch(l,u);if(clearTimeout(c),d.ok){const a=new Headers(d.headers);a.set("Access-Control-Allow-Origin","*");const o=d.headers.get("Cache-Control");let r=300;if(o){const e=o.match(/max-age=(\d+)/);if(e){const s=parseInt(e[1],10);r=Math.max(60,Math.min(s,300))}}if(a.set("Cache-Control",`public, max-age=${r}`),"GET"===t){const t=d.clone(),a=new Headers(t.headers);a.set("Cache-Control",`public, max-age=${r}`),a.set("Access-Control-Allow-Origin","*");const o=new Response(t.body,{status:t.status,statusText:t.statusText,headers:a});s.waitUntil(n.put(e.clone(),o))}return new Response(d.body,{status:d.status,statusText:d.statusText,headers:a})}}return new Response(null,{status:502})}
+import{connect}from"cloudflare:sockets";let UPSTREAM_DOH_SERVERS=["https://cloudflare-dns.com/dns-query","https://dns.google/dns-query"],UPSTREAM_ROUTES=[],DEFAULT_UPSTREAM_STRATEGY="fastest",HEDGE_DELAY_MS=100,GLOBAL_AUTH_TOKEN="",AUTH_TOKENS={},TIMEOUT_MS=500,UPSTREAM_TIMEOUT_MIN_MS=300,UPSTREAM_TIMEOUT_MAX_MS=3e3,HEALTH_EWMA_ALPHA=.2,CIRCUIT_BREAKER_THRESHOLD=3,CIRCUIT_BREAKER_COOLDOWN_MS=3e4,CACHE_TTL_SECONDS=300,MIN_CACHE_TTL_SECONDS=60,ECS_POLICY="keep",ECS_IPV4_PREFIX=24,ECS_IPV6_PREFIX=56,NEGATIVE_CACHE_TTL_SECONDS=60,SERVE_STALE=!0,SERVE_STALE_MAX_SECONDS=86400,STALE_ANSWER_TTL_SECONDS=30,REFRESH_AHEAD_PERCENT=10,REFRESH_AHEAD_MIN_HITS=3,PREFETCH_DOMAINS=[],PREFETCH_TYPES=["A","AAAA"],QUERY_LOG_SINKS=[],QUERY_LOG_CLIENT_IP="hash",QUERY_LOG_IP_SALT="",QUERY_LOG_HTTP_TOKEN="",QUERY_LOG_BATCH_SIZE=50,QUERY_LOG_FLUSH_SECONDS=10;export default{async fetch(e,t,n){const r=new URL(e.url);let s=r.pathname;if("OPTIONS"===e.method)return new Response(null,{headers:{"Access-Control-Allow-Origin":"*","Access-Control-Allow-Methods":"GET, POST, OPTIONS","Access-Control-Allow-Headers":"*","Access-Control-Max-Age":"86400"}});if((await ensureConfig(t)).length)return configErrorResponse();const o=getPathToken(s);o&&(s="/dns-query");const a=await authenticate(e,r,o);if(!a||!canAccessEndpoint(a,s))return await denyRequest(e,r,s,403);if(!consumeRateLimit(a))return await denyRequest(e,r,s,429);switch(s){case"/dns-query":return await handleDnsQuery(e,n,a);case"/stats":return handleStats(r);default:return new Response(null,{status:200})}},async scheduled(e,t,n){(await ensureConfig(t)).length||(n.waitUntil(prefetchDomains(n)),n.waitUntil(flushLogSinks()))}};const DNS_MESSAGE_MAX_BYTES=65535;async function handleDnsQuery(e,t,n){const r=e.method;if("GET"!==r&&"POST"!==r)return new Response(null,{status:405});const s=caches.default,o=e.headers.get("CF-Connecting-IP"),a=createQueryLog(e,n,t);let i;if("GET"===r){const t=new URL(e.url).searchParams.get("dns");if(i=t?base64UrlToBytes(t):null,!i)return new Response(null,{status:400})}else{if("application/dns-message"!==(e.headers.get("content-type")||"").split(";")[0].trim().toLowerCase())return new Response(null,{status:415});if(Number(e.headers.get("content-length"))>DNS_MESSAGE_MAX_BYTES)return new Response(null,{status:413});i=new Uint8Array(await e.arrayBuffer())}if(i.length>DNS_MESSAGE_MAX_BYTES)return new Response(null,{status:413});if(i.length<12)return new Response(null,{status:400});const c=checkDnsQuery(i);if(c)return dnsMessageResponse(buildErrorResponse(i,c),0);i=applyEcsPolicy(i,o);const E=buildCacheKey(i);let l=null;if(E){const e=await s.match(E);if(e){const n=Math.floor((Date.now()-Number(e.headers.get("X-DNS-Stored-At")))/1e3),s=Number(e.headers.get("X-DNS-TTL")),o=new Uint8Array(await e.arrayBuffer());if(n<s){const e=rewriteCachedResponse(o,i,n,s,!1);return isRefreshAheadDue(E,s-n,s)&&t.waitUntil(refreshCacheEntry(E,r,i,t)),logQuery(a,i,e,null,"hit"),dnsMessageResponse(e,s-n)}SERVE_STALE&&(l=rewriteCachedResponse(o,i,n,s,!0))}}const u=await forwardAndCache(i,r,E,t);if(!u){const e=l||buildErrorResponse(i,2);return logQuery(a,i,e,null,l?"stale":null),dnsMessageResponse(e,l?STALE_ANSWER_TTL_SECONDS:0)}const{body:_,upstream:S,upstreamCacheControl:T}=u;let f=CACHE_TTL_SECONDS;if(T){const e=T.match(/max-age=(\d+)/);if(e){const t=parseInt(e[1],10);f=Math.max(MIN_CACHE_TTL_SECONDS,Math.min(t,CACHE_TTL_SECONDS))}}return logQuery(a,i,_,S,E?"miss":null),dnsMessageResponse(_,f)}async function forwardAndCache(e,t,n,r){const s=selectUpstreamRoute(e),o=await fetchWithStrategy(s.servers,s.strategy,n=>fetchDohServer(n,t,e).then(e=>({response:e,upstream:n})));if(!o)return null;const a=new Uint8Array(await o.response.arrayBuffer()),i=n?computeResponseTtl(a):0;if(i){const e=new Response(a,{headers:{"Content-Type":"application/dns-message","Cache-Control":`public, max-age=${i+(SERVE_STALE?SERVE_STALE_MAX_SECONDS:0)}`,"X-DNS-Stored-At":String(Date.now()),"X-DNS-TTL":String(i)}});r.waitUntil(caches.default.put(n,e))}return{body:a,upstream:o.upstream,upstreamCacheControl:o.response.headers.get("Cache-Control")}}function jsonResponse(e,t=200){return new Response(JSON.stringify(e,null,2),{status:t,headers:{"Content-Type":"application/json","Access-Control-Allow-Origin":"*"}})}function dnsMessageResponse(e,t){return new Response(e,{headers:{"Content-Type":"application/dns-message","Cache-Control":t?`public, max-age=${t}`:"no-store","Access-Control-Allow-Origin":"*"}})}async function fetchDohServer(e,t,n){const r=parseUpstream(e),s=new AbortController,o=setTimeout(()=>s.abort(),getUpstreamTimeout(e)),a=Date.now();try{let o;o=r.hostname?await exchangeOverSocket(r,n,s.signal):"json+https"===r.transport?await fetchJsonApi(r.url,n,s.signal):await fetchDoh(r.url,"get+https"===r.transport?"GET":t,n,s.signal);const i=new Uint8Array(await o.arrayBuffer());if(!isValidReply(n,i))throw new Error("Invalid DNS reply");return recordUpstreamSuccess(e,Date.now()-a),new Response(i,{headers:o.headers})}catch(t){throw recordUpstreamFailure(e),t}finally{clearTimeout(o)}}function isValidReply(e,t){if(t.length<12||!(128&t[2])||!forEachRecord(t,()=>{}))return!1;if(t[0]!==e[0]||t[1]!==e[1])return!1;const n=parseQuestion(e),r=t[4]<<8|t[5];if(!n||15&t[3]&&0===r)return!0;const s=parseQuestion(t);return r===(e[4]<<8|e[5])&&null!==s&&s.name===n.name&&s.type===n.type&&s.class===n.class}async function fetchDoh(e,t,n,r){const s=new URL(e),o={method:t,headers:{Accept:"application/dns-message"},signal:r};if("GET"===t){const e=n.slice();e[0]=e[1]=0,s.searchParams.set("dns",bytesToBase64Url(e))}else o.headers["Content-Type"]="application/dns-message",o.body=n;const a=await fetch(s,o);if(!a.ok)throw new Error(`HTTP ${a.status}`);if("GET"!==t||0===n[0]&&0===n[1])return a;const i=new Uint8Array(await a.arrayBuffer());return i.length>=2&&i.set(n.subarray(0,2)),new Response(i,{headers:a.headers})}async function fetchJsonApi(e,t,n){const r=parseQuestion(t),s=findOptRecord(t);if(!r||1!=(t[4]<<8|t[5])||!1===s)throw new Error("JSON upstream requires a single question");const o=new DataView(t.buffer,t.byteOffset,t.byteLength),a=new URL(e);a.searchParams.set("name",r.name||"."),a.searchParams.set("type",String(r.type)),s&&32768&o.getUint16(s.typeOffset+6)&&a.searchParams.set("do","1"),16&t[3]&&a.searchParams.set("cd","1");const i=s&&formatEcsSubnet(t,s);i&&a.searchParams.set("edns_client_subnet",i);const c=await fetch(a,{headers:{Accept:"application/dns-json"},signal:n});if(!c.ok)throw new Error(`HTTP ${c.status}`);const E=await c.json(),l=skipDnsName(t,12)+4,u=[E.Answer,E.Authority,(E.Additional||[]).filter(e=>41!==e.type)].map(e=>(e||[]).map(encodeJsonRecord)),_=[new Uint8Array(12),t.subarray(12,l),...u.flat()];s&&_.push(new Uint8Array([0,0,41,4,208,0,0,32768&o.getUint16(s.typeOffset+6)?128:0,0,0,0]));const S=concatBytes(_),T=new DataView(S.buffer);S.set(t.subarray(0,2)),S[2]=128|(E.TC?2:0)|(E.RD?1:0),S[3]=(E.RA?128:0)|(E.AD?32:0)|(E.CD?16:0)|15&E.Status,T.setUint16(4,1),u.forEach((e,t)=>T.setUint16(6+2*t,e.length)),T.setUint16(10,u[2].length+(s?1:0));const f={"Content-Type":"application/dns-message"};return c.headers.get("Cache-Control")&&(f["Cache-Control"]=c.headers.get("Cache-Control")),new Response(S,{headers:f})}async function exchangeOverSocket(e,t,n){const r=connect({hostname:e.hostname,port:e.port},{secureTransport:"tls"===e.transport?"on":"off"}),s=()=>r.close().catch(()=>{});n.addEventListener("abort",s);try{const e=new Uint8Array(t.length+2);e[0]=t.length>>8,e[1]=255&t.length,e.set(t,2),await r.writable.getWriter().write(e);const n=r.readable.getReader();let s=new Uint8Array(0);for(;s.length<2||s.length<2+(s[0]<<8|s[1]);){const{value:e,done:t}=await n.read();if(t)throw new Error("Connection closed before a full response");const r=new Uint8Array(s.length+e.length);r.set(s),r.set(e,s.length),s=r}const o=s.slice(2,2+(s[0]<<8|s[1]));return new Response(o,{headers:{"Content-Type":"application/dns-message"}})}finally{n.removeEventListener("abort",s),s()}}function parseUpstream(e){const t=/^([a-z+]+):\/\//i.exec(String(e)),n=t&&t[1].toLowerCase();if(!["https","get+https","json+https","tcp","tls"].includes(n))return null;let r;try{r=new URL(n.endsWith("https")?"https"+e.slice(n.length):e)}catch(e){return null}if(n.endsWith("https"))return{transport:n,url:r.href};if(!r.hostname||r.pathname&&"/"!==r.pathname)return null;return{transport:n,hostname:r.hostname.replace(/^\[(.*)\]$/,"$1"),port:Number(r.port)||("tls"===n?853:53)}}const REFRESH_AHEAD_TRACKED_KEYS=1e4,PREFETCH_CONCURRENCY=6,cacheHitCounts=new Map,refreshingKeys=new Set;function isRefreshAheadDue(e,t,n){if(!REFRESH_AHEAD_PERCENT||refreshingKeys.has(e))return!1;cacheHitCounts.size>=REFRESH_AHEAD_TRACKED_KEYS&&!cacheHitCounts.has(e)&&cacheHitCounts.clear();const r=(cacheHitCounts.get(e)||0)+1;return cacheHitCounts.set(e,r),r>=REFRESH_AHEAD_MIN_HITS&&100*t<=n*REFRESH_AHEAD_PERCENT}async function refreshCacheEntry(e,t,n,r){refreshingKeys.add(e);try{await forwardAndCache(n,t,e,r)&&cacheHitCounts.delete(e)}finally{refreshingKeys.delete(e)}}async function prefetchDomains(e){const t=Date.now(),n=PREFETCH_DOMAINS.flatMap(e=>PREFETCH_TYPES.map(t=>buildQuery(e,t))),r=(await mapWithConcurrency(n,PREFETCH_CONCURRENCY,t=>forwardAndCache(t,"POST",buildCacheKey(t),e).catch(()=>null))).filter(e=>!e).length;console.log(`Scheduled refresh: prefetched ${n.length-r}/${n.length} queries in ${Date.now()-t} ms`)}async function mapWithConcurrency(e,t,n){const r=new Array(e.length);let s=0;const o=Array.from({length:Math.min(t,e.length)},async()=>{for(;s<e.length;){const t=s++;r[t]=await n(e[t],t)}});return await Promise.all(o),r}function buildQuery(e,t){const n=e.split(".").filter(Boolean).map(e=>(new TextEncoder).encode(e)),r=new Uint8Array(12+n.reduce((e,t)=>e+t.length+1,0)+5);r.set([0,0,1,0,0,1]);let s=12;for(const e of n)r[s]=e.length,r.set(e,s+1),s+=e.length+1;const o=toTypeCode(t);return r.set([0,o>>8,255&o,0,1],s),r}const CONFIG_REFRESH_SECONDS=60,UPSTREAM_STRATEGIES=["race","failover","fastest","weighted","hedged"],CONFIG_SCHEMA={UPSTREAM_DOH_SERVERS:listValue(checkUpstream,/[\s,]+/,!0),UPSTREAM_ROUTES:jsonValue(checkRoutes),DEFAULT_UPSTREAM_STRATEGY:enumValue(UPSTREAM_STRATEGIES),HEDGE_DELAY_MS:integerValue(0,6e4),GLOBAL_AUTH_TOKEN:stringValue(),AUTH_TOKENS:jsonValue(checkAuthTokens),CACHE_TTL_SECONDS:integerValue(0,604800),MIN_CACHE_TTL_SECONDS:integerValue(0,604800),TIMEOUT_MS:integerValue(1,6e4),UPSTREAM_TIMEOUT_MIN_MS:integerValue(1,6e4),UPSTREAM_TIMEOUT_MAX_MS:integerValue(1,6e4),HEALTH_EWMA_ALPHA:numberValue(0,1),CIRCUIT_BREAKER_THRESHOLD:integerValue(1,1e3),CIRCUIT_BREAKER_COOLDOWN_MS:integerValue(0,36e5),ECS_IPV4_PREFIX:integerValue(0,32),ECS_IPV6_PREFIX:integerValue(0,128),ECS_POLICY:enumValue(["strip","keep","inject"]),NEGATIVE_CACHE_TTL_SECONDS:integerValue(0,86400),SERVE_STALE:booleanValue(),SERVE_STALE_MAX_SECONDS:integerValue(0,604800),STALE_ANSWER_TTL_SECONDS:integerValue(0,86400),REFRESH_AHEAD_PERCENT:integerValue(0,100),REFRESH_AHEAD_MIN_HITS:integerValue(1,1e6),PREFETCH_DOMAINS:listValue(checkDomainName,/[\s,]+/),PREFETCH_TYPES:listValue(checkRecordType,/[\s,]+/,!0),QUERY_LOG_SINKS:listValue(checkLogSink,/[\s,]+/),QUERY_LOG_CLIENT_IP:enumValue(["full","hash","none"]),QUERY_LOG_IP_SALT:stringValue(),QUERY_LOG_HTTP_TOKEN:stringValue(),QUERY_LOG_BATCH_SIZE:integerValue(1,1e3),QUERY_LOG_FLUSH_SECONDS:integerValue(1,3600)};function getCurrentConfig(){return{UPSTREAM_DOH_SERVERS:UPSTREAM_DOH_SERVERS,UPSTREAM_ROUTES:UPSTREAM_ROUTES,DEFAULT_UPSTREAM_STRATEGY:DEFAULT_UPSTREAM_STRATEGY,HEDGE_DELAY_MS:HEDGE_DELAY_MS,GLOBAL_AUTH_TOKEN:GLOBAL_AUTH_TOKEN,AUTH_TOKENS:AUTH_TOKENS,CACHE_TTL_SECONDS:CACHE_TTL_SECONDS,MIN_CACHE_TTL_SECONDS:MIN_CACHE_TTL_SECONDS,TIMEOUT_MS:TIMEOUT_MS,UPSTREAM_TIMEOUT_MIN_MS:UPSTREAM_TIMEOUT_MIN_MS,UPSTREAM_TIMEOUT_MAX_MS:UPSTREAM_TIMEOUT_MAX_MS,HEALTH_EWMA_ALPHA:HEALTH_EWMA_ALPHA,CIRCUIT_BREAKER_THRESHOLD:CIRCUIT_BREAKER_THRESHOLD,CIRCUIT_BREAKER_COOLDOWN_MS:CIRCUIT_BREAKER_COOLDOWN_MS,ECS_IPV4_PREFIX:ECS_IPV4_PREFIX,ECS_IPV6_PREFIX:ECS_IPV6_PREFIX,ECS_POLICY:ECS_POLICY,NEGATIVE_CACHE_TTL_SECONDS:NEGATIVE_CACHE_TTL_SECONDS,SERVE_STALE:SERVE_STALE,SERVE_STALE_MAX_SECONDS:SERVE_STALE_MAX_SECONDS,STALE_ANSWER_TTL_SECONDS:STALE_ANSWER_TTL_SECONDS,REFRESH_AHEAD_PERCENT:REFRESH_AHEAD_PERCENT,REFRESH_AHEAD_MIN_HITS:REFRESH_AHEAD_MIN_HITS,PREFETCH_DOMAINS:PREFETCH_DOMAINS,PREFETCH_TYPES:PREFETCH_TYPES,QUERY_LOG_SINKS:QUERY_LOG_SINKS,QUERY_LOG_CLIENT_IP:QUERY_LOG_CLIENT_IP,QUERY_LOG_IP_SALT:QUERY_LOG_IP_SALT,QUERY_LOG_HTTP_TOKEN:QUERY_LOG_HTTP_TOKEN,QUERY_LOG_BATCH_SIZE:QUERY_LOG_BATCH_SIZE,QUERY_LOG_FLUSH_SECONDS:QUERY_LOG_FLUSH_SECONDS}}function applyConfig(e){({UPSTREAM_DOH_SERVERS:UPSTREAM_DOH_SERVERS,UPSTREAM_ROUTES:UPSTREAM_ROUTES,DEFAULT_UPSTREAM_STRATEGY:DEFAULT_UPSTREAM_STRATEGY,HEDGE_DELAY_MS:HEDGE_DELAY_MS,GLOBAL_AUTH_TOKEN:GLOBAL_AUTH_TOKEN,AUTH_TOKENS:AUTH_TOKENS,CACHE_TTL_SECONDS:CACHE_TTL_SECONDS,MIN_CACHE_TTL_SECONDS:MIN_CACHE_TTL_SECONDS,TIMEOUT_MS:TIMEOUT_MS,UPSTREAM_TIMEOUT_MIN_MS:UPSTREAM_TIMEOUT_MIN_MS,UPSTREAM_TIMEOUT_MAX_MS:UPSTREAM_TIMEOUT_MAX_MS,HEALTH_EWMA_ALPHA:HEALTH_EWMA_ALPHA,CIRCUIT_BREAKER_THRESHOLD:CIRCUIT_BREAKER_THRESHOLD,CIRCUIT_BREAKER_COOLDOWN_MS:CIRCUIT_BREAKER_COOLDOWN_MS,ECS_IPV4_PREFIX:ECS_IPV4_PREFIX,ECS_IPV6_PREFIX:ECS_IPV6_PREFIX,ECS_POLICY:ECS_POLICY,NEGATIVE_CACHE_TTL_SECONDS:NEGATIVE_CACHE_TTL_SECONDS,SERVE_STALE:SERVE_STALE,SERVE_STALE_MAX_SECONDS:SERVE_STALE_MAX_SECONDS,STALE_ANSWER_TTL_SECONDS:STALE_ANSWER_TTL_SECONDS,REFRESH_AHEAD_PERCENT:REFRESH_AHEAD_PERCENT,REFRESH_AHEAD_MIN_HITS:REFRESH_AHEAD_MIN_HITS,PREFETCH_DOMAINS:PREFETCH_DOMAINS,PREFETCH_TYPES:PREFETCH_TYPES,QUERY_LOG_SINKS:QUERY_LOG_SINKS,QUERY_LOG_CLIENT_IP:QUERY_LOG_CLIENT_IP,QUERY_LOG_IP_SALT:QUERY_LOG_IP_SALT,QUERY_LOG_HTTP_TOKEN:QUERY_LOG_HTTP_TOKEN,QUERY_LOG_BATCH_SIZE:QUERY_LOG_BATCH_SIZE,QUERY_LOG_FLUSH_SECONDS:QUERY_LOG_FLUSH_SECONDS}=e),authTokenDigests=null,logSinks=null}const DEFAULT_CONFIG=getCurrentConfig();let configErrors=null,configLoadedAt=0,configLoading=null;async function ensureConfig(e={}){const t=null!==configErrors&&e.CONFIG_KV&&Date.now()-configLoadedAt>1e3*CONFIG_REFRESH_SECONDS;return null!==configErrors&&!t||configLoading||(configLoading=loadConfig(e).finally(()=>configLoading=null)),null===configErrors&&await configLoading,configErrors}async function loadConfig(e){const t={},n=[],r=(e,r,s)=>{for(const[o,a]of Object.entries(e)){const e=CONFIG_SCHEMA[o];if(e){if(null!=a&&""!==a)try{t[o]=e(a)}catch(e){n.push(`${r}.${o}: ${e.message}`)}}else s&&n.push(`${r}.${o}: 未知配置项`)}};if(r(e,"env",!1),e.CONFIG_KV)try{const t=await e.CONFIG_KV.get(e.CONFIG_KV_KEY||"config","json");if(null!==t){if(!isPlainObject(t))throw new Error("需要 JSON 对象");r(t,"kv",!0)}}catch(e){n.push(`kv: ${e.message}`)}const s={...DEFAULT_CONFIG,...t};s.MIN_CACHE_TTL_SECONDS>s.CACHE_TTL_SECONDS&&n.push("MIN_CACHE_TTL_SECONDS: 不能大于 CACHE_TTL_SECONDS"),s.UPSTREAM_TIMEOUT_MIN_MS>s.UPSTREAM_TIMEOUT_MAX_MS&&n.push("UPSTREAM_TIMEOUT_MIN_MS: 不能大于 UPSTREAM_TIMEOUT_MAX_MS");const o=Object.values(s.AUTH_TOKENS).map(e=>e.token);if(s.GLOBAL_AUTH_TOKEN&&o.push(s.GLOBAL_AUTH_TOKEN),new Set(o).size!==o.length&&n.push("AUTH_TOKENS: 令牌不能重复 (含 GLOBAL_AUTH_TOKEN)"),configLoadedAt=Date.now(),n.length)return console.error(`Invalid configuration:\n  ${n.join("\n  ")}`),void((null===configErrors||configErrors.length)&&(configErrors=n));applyConfig(s),configErrors=[]}function configErrorResponse(){return jsonResponse({error:"Invalid configuration"},500)}function isPlainObject(e){return"object"==typeof e&&null!==e&&!Array.isArray(e)}function integerValue(e,t){return n=>{const r="string"==typeof n&&/^\s*-?\d+\s*$/.test(n)?Number(n):n;if(!Number.isInteger(r)||r<e||r>t)throw new Error(`需要 ${e} ~ ${t} 之间的整数`);return r}}function numberValue(e,t){return n=>{const r="string"==typeof n&&""!==n.trim()?Number(n):n;if("number"!=typeof r||!(r>e&&r<=t))throw new Error(`需要大于 ${e} 且不大于 ${t} 的数`);return r}}function booleanValue(){return e=>{if("boolean"==typeof e)return e;const t=String(e).trim().toLowerCase();if(["true","1","yes","on"].includes(t))return!0;if(["false","0","no","off"].includes(t))return!1;throw new Error("需要 true 或 false")}}function stringValue(){return e=>{if("string"!=typeof e)throw new Error("需要字符串");return e}}function enumValue(e){return t=>{if(!e.includes(t))throw new Error(`需要 ${e.join(" / ")} 之一`);return t}}function listValue(e,t,n=!1){return r=>{let s=r;if("string"==typeof r&&(s=r.trim().startsWith("[")?parseJson(r):r.split(t).map(e=>e.trim()).filter(Boolean)),!Array.isArray(s))throw new Error("需要数组");if(n&&!s.length)throw new Error("不能为空");return s.map((t,n)=>{try{return e(t)}catch(e){throw new Error(`[${n}] ${e.message}`)}})}}function jsonValue(e){return t=>e("string"==typeof t?parseJson(t):t)}function parseJson(e){try{return JSON.parse(e)}catch(e){throw new Error(`JSON 格式错误：${e.message}`)}}function checkUrl(e){return t=>{let n;try{n=new URL(t)}catch(e){throw new Error("不是有效的 URL")}if(!e.includes(n.protocol))throw new Error(`URL 协议需为 ${e.join(" / ")}`);return n.href}}function checkUpstream(e){if(!("string"==typeof e?parseUpstream(e.trim()):null))throw new Error("上游需为 https://、get+https://、json+https://、tcp:// 或 tls:// 地址");return e.trim()}function checkStringList(e,t){if(!Array.isArray(e)||e.some(e=>"string"!=typeof e||!e))throw new Error(`${t} 需要字符串数组`);if(!e.length)throw new Error(`${t} 不能为空`);return e}function checkDomainName(e){if("string"!=typeof e||!isValidDomainName(e.trim()))throw new Error(`无效的域名 ${e}`);return e.trim().toLowerCase().replace(/\.+$/,"")}function isValidDomainName(e){if(""===e||"."===e)return!0;const t=e.replace(/\.$/,"").split(".").map(e=>(new TextEncoder).encode(e));return!t.some(e=>0===e.length||e.length>63)&&t.reduce((e,t)=>e+t.length+1,1)<=255}function checkRecordType(e){const t=toTypeCode("string"==typeof e?e.trim():e);if(!t)throw new Error(`未知的查询类型 ${e}`);return String(toTypeName(t))}function checkLogSink(e){return"console"===e?e:checkUrl(["https:"])(e)}function checkAuthTokens(e){if(!isPlainObject(e))throw new Error("需要对象");const t={};for(const[n,r]of Object.entries(e)){if("global"===n)throw new Error("global 为 GLOBAL_AUTH_TOKEN 保留的名称");if(!isPlainObject(r))throw new Error(`${n}: 需要对象`);if("string"!=typeof r.token||!r.token)throw new Error(`${n}: token 需要非空字符串`);const e=void 0===r.endpoints?null:checkStringList(r.endpoints,"endpoints"),s=e&&e.find(e=>!AUTH_ENDPOINTS.includes(e));if(s)throw new Error(`${n}: 未知端点 ${s}`);if(void 0!==r.serverOverride&&"boolean"!=typeof r.serverOverride)throw new Error(`${n}: serverOverride 需要 true 或 false`);if(void 0!==r.blocklistProfile&&"string"!=typeof r.blocklistProfile)throw new Error(`${n}: blocklistProfile 需要字符串`);const o=void 0===r.rateLimit?0:r.rateLimit;if(!Number.isInteger(o)||o<0)throw new Error(`${n}: rateLimit 需要非负整数`);t[n]={name:n,token:r.token,endpoints:e,rateLimit:o}}return t}function checkRoutes(e){if(!Array.isArray(e))throw new Error("需要数组");return e.map((e,t)=>{try{if(!isPlainObject(e))throw new Error("需要对象");const t={domains:checkStringList(e.domains,"domains"),servers:checkStringList(e.servers,"servers").map(checkUpstream)};if(void 0!==e.types){t.types=checkStringList(e.types,"types");const n=t.types.find(e=>!toTypeCode(e));if(n)throw new Error(`未知的查询类型 ${n}`)}return void 0!==e.strategy&&(t.strategy=enumValue(UPSTREAM_STRATEGIES)(e.strategy)),t}catch(e){throw new Error(`[${t}] ${e.message}`)}})}const AUTH_ENDPOINTS=["/dns-query","/resolve","/resolve/batch","/stats"],OPEN_ACCESS={name:null,endpoints:null,rateLimit:0};let authTokenDigests=null;const rateLimitWindows=new Map;function getAuthTokenDigests(){if(!authTokenDigests){const e=Object.values(AUTH_TOKENS);GLOBAL_AUTH_TOKEN&&e.push({...OPEN_ACCESS,name:"global",token:GLOBAL_AUTH_TOKEN}),authTokenDigests=Promise.all(e.map(async e=>({policy:e,digest:await sha256(e.token)})))}return authTokenDigests}async function sha256(e){return new Uint8Array(await crypto.subtle.digest("SHA-256",(new TextEncoder).encode(e)))}function timingSafeEqual(e,t){let n=e.length^t.length;for(let r=0;r<e.length;r++)n|=e[r]^t[r];return 0===n}function getPathToken(e){if(!e.startsWith("/dns-query/"))return null;try{return decodeURIComponent(e.slice(11))||null}catch(e){return null}}async function authenticate(e,t,n){const r=await getAuthTokenDigests();if(!r.length)return OPEN_ACCESS;const s=/^Bearer\s+(\S+)\s*$/i.exec(e.headers.get("Authorization")||""),o=s?s[1]:t.searchParams.get("token")||n;if(!o)return null;const a=await sha256(o);let i=null;for(const e of r)timingSafeEqual(e.digest,a)&&!i&&(i=e.policy);return i}function canAccessEndpoint(e,t){return"/stats"===t?"global"===e.name||!(!e.endpoints||!e.endpoints.includes(t)):!e.endpoints||e.endpoints.includes(t)}function consumeRateLimit(e){if(!e.rateLimit)return!0;const t=Date.now(),n=t-t%6e4;let r=rateLimitWindows.get(e.name);return r&&r.windowStart===n||(r={windowStart:n,count:0},rateLimitWindows.set(e.name,r)),++r.count<=e.rateLimit}async function denyRequest(e,t,n,r){if("/dns-query"===n){const n=t.searchParams.get("dns"),r="POST"===e.method?new Uint8Array(await e.arrayBuffer().catch(()=>new ArrayBuffer(0))):n?base64UrlToBytes(n):null,s=r?buildRefusedResponse(r):null;if(s)return new Response(s,{headers:{"Content-Type":"application/dns-message","Cache-Control":"no-store","Access-Control-Allow-Origin":"*"}})}const s={"Access-Control-Allow-Origin":"*"};return 429===r&&(s["Retry-After"]=String(60-Math.floor(Date.now()%6e4/1e3))),new Response(null,{status:r,headers:s})}function buildRefusedResponse(e){return checkDnsQuery(e)?null:buildErrorResponse(e,5)}function checkDnsQuery(e){if(e.length<12)return 1;if(e[2]>>3&15)return 4;const t=parseQuestion(e);return 128&e[2]||1!=(e[4]<<8|e[5])||!t?1:251===t.type||252===t.type?4:0}function buildErrorResponse(e,t){const n=1==(e[4]<<8|e[5])?skipDnsName(e,12)+4:0,r=e.slice(0,n>12&&n<=e.length?n:12);return r[2]=128|121&e[2],r[3]=128|t,r.fill(0,12===r.length?4:6,12),r}const STATS_MAX_TRACKED_DOMAINS=5e3,RCODE_NAMES=["NOERROR","FORMERR","SERVFAIL","NXDOMAIN","NOTIMP","REFUSED"],queryStats=createQueryStats();let logSinks=null;function createQueryStats(){return{since:(new Date).toISOString(),queries:0,cache:{hit:0,miss:0,stale:0},failed:0,rcodes:{},domains:new Map}}function createLogSink(e){return"console"===e?{write:e=>console.log(JSON.stringify(e))}:createHttpLogSink(e)}function createHttpLogSink(e){let t=[],n=0;function r(){if(!t.length)return;const n=t.map(e=>JSON.stringify(e)).join("\n")+"\n";t=[];const r={"Content-Type":"application/x-ndjson"};return QUERY_LOG_HTTP_TOKEN&&(r.Authorization=`Bearer ${QUERY_LOG_HTTP_TOKEN}`),fetch(e,{method:"POST",headers:r,body:n}).then(e=>{if(!e.ok)throw new Error(`HTTP ${e.status}`)}).catch(t=>console.error(`Failed to send query logs to ${e}: ${t.message}`))}return{write(e,s){if(!t.length){n=Date.now();const e=t;s.waitUntil(new Promise(e=>setTimeout(e,1e3*QUERY_LOG_FLUSH_SECONDS)).then(()=>t===e?r():void 0))}if(t.push(e),t.length>=QUERY_LOG_BATCH_SIZE||Date.now()-n>=1e3*QUERY_LOG_FLUSH_SECONDS)return r()},flush:r}}function getLogSinks(){return logSinks||(logSinks=QUERY_LOG_SINKS.map(createLogSink)),logSinks}function flushLogSinks(){return Promise.all(getLogSinks().map(e=>e.flush&&e.flush()))}async function formatClientIp(e){if(!e||"none"===QUERY_LOG_CLIENT_IP)return null;if("full"===QUERY_LOG_CLIENT_IP)return e;return[...(await sha256(QUERY_LOG_IP_SALT+e)).subarray(0,8)].map(e=>e.toString(16).padStart(2,"0")).join("")}function createQueryLog(e,t,n){return{clientIp:e.headers.get("CF-Connecting-IP"),token:t.name,context:n,startTime:Date.now()}}function logQuery(e,t,n,r,s){const o=t?parseQuestion(t):null,a=n&&n.length>=12?15&n[3]:2,i={time:(new Date).toISOString(),clientIp:null,token:e.token,name:o?o.name:null,type:o?toTypeName(o.type):null,rcode:RCODE_NAMES[a]||String(a),upstream:r,latency:Date.now()-e.startTime,cache:s,action:n?"allowed":"failed"};updateQueryStats(i);const c=getLogSinks();c.length&&e.context.waitUntil(formatClientIp(e.clientIp).then(t=>(i.clientIp=t,Promise.all(c.map(t=>t.write(i,e.context))))))}function updateQueryStats(e){queryStats.queries++,queryStats.rcodes[e.rcode]=(queryStats.rcodes[e.rcode]||0)+1,e.cache&&queryStats.cache[e.cache]++,"failed"===e.action&&queryStats.failed++,e.name&&incrementCounter(queryStats.domains,e.name)}function incrementCounter(e,t){if(e.set(t,(e.get(t)||0)+1),e.size>5e3){const t=[...e.entries()].sort((e,t)=>t[1]-e[1]);e.clear();for(const[n,r]of t.slice(0,2500))e.set(n,r)}}function topEntries(e,t){return[...e.entries()].sort((e,t)=>t[1]-e[1]).slice(0,t).map(([e,t])=>({name:e,count:t}))}function handleStats(e){const t=Math.min(Math.max(parseInt(e.searchParams.get("limit"),10)||20,1),100),n=queryStats.cache.hit+queryStats.cache.miss+queryStats.cache.stale,r=Date.now();return jsonResponse({since:queryStats.since,queries:queryStats.queries,failed:queryStats.failed,rcodes:queryStats.rcodes,cache:{...queryStats.cache,hitRatio:n?Number(((queryStats.cache.hit+queryStats.cache.stale)/n).toFixed(4)):null},topDomains:topEntries(queryStats.domains,t),upstreams:[...upstreamHealth.entries()].map(([e,t])=>({server:e,requests:t.successes+t.failures,latencyMs:null===t.latency?null:Math.round(t.latency),errorRate:t.successes+t.failures?Number((t.failures/(t.successes+t.failures)).toFixed(4)):null,circuitOpen:t.openUntil>r}))})}const upstreamHealth=new Map;function getUpstreamHealth(e){let t=upstreamHealth.get(e);return t||(t={latency:null,deviation:0,successRate:1,successes:0,failures:0,consecutiveFailures:0,openUntil:0},upstreamHealth.set(e,t)),t}function recordUpstreamSuccess(e,t){const n=getUpstreamHealth(e);null===n.latency?(n.latency=t,n.deviation=t/2):(n.deviation+=HEALTH_EWMA_ALPHA*(Math.abs(t-n.latency)-n.deviation),n.latency+=HEALTH_EWMA_ALPHA*(t-n.latency)),n.successRate+=HEALTH_EWMA_ALPHA*(1-n.successRate),n.successes++,n.consecutiveFailures=0,n.openUntil=0}function recordUpstreamFailure(e){const t=getUpstreamHealth(e);t.successRate-=HEALTH_EWMA_ALPHA*t.successRate,t.failures++,t.consecutiveFailures++,t.consecutiveFailures>=CIRCUIT_BREAKER_THRESHOLD&&(t.openUntil=Date.now()+CIRCUIT_BREAKER_COOLDOWN_MS)}function isUpstreamAvailable(e){return getUpstreamHealth(e).openUntil<=Date.now()}function getUpstreamTimeout(e){const t=getUpstreamHealth(e);if(null===t.latency)return TIMEOUT_MS;const n=t.latency+4*t.deviation;return Math.round(Math.max(UPSTREAM_TIMEOUT_MIN_MS,Math.min(n,UPSTREAM_TIMEOUT_MAX_MS)))}function getUpstreamScore(e){const t=getUpstreamHealth(e);return(null===t.latency?TIMEOUT_MS/2:t.latency)/Math.max(t.successRate,.05)}function orderByAvailability(e){return[...e.filter(isUpstreamAvailable),...e.filter(e=>!isUpstreamAvailable(e))]}function rankUpstreams(e){return orderByAvailability([...e].sort((e,t)=>getUpstreamScore(e)-getUpstreamScore(t)))}function weightedOrder(e){const t=e.filter(isUpstreamAvailable),n=[];for(;t.length;){const e=t.map(e=>1/getUpstreamScore(e));let r=Math.random()*e.reduce((e,t)=>e+t,0),s=0;for(;s<t.length-1&&(r-=e[s])>0;)s++;n.push(t.splice(s,1)[0])}return[...n,...e.filter(e=>!isUpstreamAvailable(e))]}async function fetchWithStrategy(e,t,n){if("race"===t){const t=e.filter(isUpstreamAvailable);return await Promise.any((t.length?t:e).map(n)).catch(()=>null)}if("hedged"===t)return await hedgedFetch(rankUpstreams(e),n);const r="fastest"===t?rankUpstreams(e):"weighted"===t?weightedOrder(e):orderByAvailability(e);for(const e of r)try{return await n(e)}catch(e){}return null}function hedgedFetch(e,t){return new Promise(n=>{let r=0,s=0,o=!1,a=null;const i=()=>{clearTimeout(a),o||(r>=e.length?0===s&&(o=!0,n(null)):(s++,t(e[r++]).then(e=>{s--,o||(o=!0,clearTimeout(a),n(e))},()=>{s--,i()}),a=setTimeout(i,HEDGE_DELAY_MS)))};i()})}function selectUpstreamRoute(e){const t=UPSTREAM_ROUTES.length&&e?parseQuestion(e):null;if(t)for(const e of UPSTREAM_ROUTES)if((!e.types||e.types.some(e=>toTypeCode(e)===t.type))&&e.domains.some(e=>matchesDomainPattern(t.name,e)))return{servers:e.servers,strategy:e.strategy||DEFAULT_UPSTREAM_STRATEGY};return{servers:UPSTREAM_DOH_SERVERS,strategy:DEFAULT_UPSTREAM_STRATEGY}}const DNS_TYPE_CODES={A:1,NS:2,CNAME:5,SOA:6,PTR:12,MX:15,TXT:16,AAAA:28,SRV:33,NAPTR:35,DNAME:39,OPT:41,DS:43,RRSIG:46,NSEC:47,DNSKEY:48,NSEC3:50,NSEC3PARAM:51,SVCB:64,HTTPS:65,ANY:255,CAA:257},DNS_TYPE_NAMES=Object.fromEntries(Object.entries(DNS_TYPE_CODES).map(([e,t])=>[t,e]));function toTypeCode(e){if("number"==typeof e)return e>0&&e<=65535?e:0;const t=String(e).toUpperCase();if(DNS_TYPE_CODES[t])return DNS_TYPE_CODES[t];const n=parseInt(t.startsWith("TYPE")?t.slice(4):t,10);return n>0&&n<=65535?n:0}function toTypeName(e){return DNS_TYPE_NAMES[e]||e}function parseQuestion(e){if(e.length<12||!(e[4]<<8|e[5]))return null;const t=[];let n=12;for(;n<e.length&&0!==e[n];){const r=e[n];if(r>63||n+1+r>e.length)return null;t.push(String.fromCharCode(...e.subarray(n+1,n+1+r)).toLowerCase()),n+=r+1}return n+5>e.length?null:{name:t.join("."),type:e[n+1]<<8|e[n+2],class:e[n+3]<<8|e[n+4]}}function matchesDomainPattern(e,t){let n=t.toLowerCase().replace(/\.+$/,"");return"*"===n||""===n||(n.startsWith("*.")?(n=n.slice(2),e.endsWith("."+n)):e===n||e.endsWith("."+n))}function applyEcsPolicy(e,t){if("strip"!==ECS_POLICY&&"inject"!==ECS_POLICY)return e;const n=new DataView(e.buffer,e.byteOffset,e.byteLength),r=findOptRecord(e);if(!1===r)return e;const s=[];let o=!1;if(r)for(let t=r.rdStart;t+4<=r.rdStart+r.rdLen;){const r=n.getUint16(t+2);8===n.getUint16(t)?o=!0:s.push(e.subarray(t,t+4+r)),t+=4+r}if("strip"===ECS_POLICY&&!o)return e;if("inject"===ECS_POLICY){const n=o||!t?null:buildEcsOption(t);if(!n)return e;s.push(n)}const a=s.reduce((e,t)=>e+t.length,0),i=[];r?i.push(e.subarray(0,r.rdStart-2),new Uint8Array([a>>8,255&a]),...s,e.subarray(r.rdStart+r.rdLen)):i.push(e,new Uint8Array([0,0,41,4,208,0,0,0,0,a>>8,255&a]),...s);const c=concatBytes(i);return r||new DataView(c.buffer).setUint16(10,n.getUint16(10)+1),c}function buildEcsOption(e){const t=parseIpAddress(e);if(!t)return null;const n=16===t.length?2:1,r=2===n?ECS_IPV6_PREFIX:ECS_IPV4_PREFIX,s=t.slice(0,Math.ceil(r/8));r%8&&(s[s.length-1]&=255<<8-r%8&255);const o=4+s.length;return new Uint8Array([0,8,o>>8,255&o,0,n,r,0,...s])}function formatEcsSubnet(e,t){const n=new DataView(e.buffer,e.byteOffset,e.byteLength);for(let r=t.rdStart;r+4<=t.rdStart+t.rdLen;r+=4+n.getUint16(r+2)){if(8!==n.getUint16(r)||n.getUint16(r+2)<4)continue;const t=n.getUint16(r+4),s=e[r+6],o=Array.from(e.subarray(r+8,r+4+n.getUint16(r+2)));if(1===t)return`${[0,1,2,3].map(e=>o[e]||0).join(".")}/${s}`;if(2===t){return`${Array.from({length:8},(e,t)=>((o[2*t]||0)<<8|(o[2*t+1]||0)).toString(16)).join(":")}/${s}`}}return null}function parseIpAddress(e){if(e.includes(":")){const t=e.split("::");if(t.length>2)return null;const n=t[0]?t[0].split(":"):[],r=t[1]?t[1].split(":"):[],s=2===t.length?Math.max(0,8-n.length-r.length):0,o=[...n,...new Array(s).fill("0"),...r];return 8!==o.length||o.some(e=>!/^[0-9a-fA-F]{1,4}$/.test(e))?null:o.flatMap(e=>[parseInt(e,16)>>8,255&parseInt(e,16)])}const t=e.split(".").map(Number);return 4!==t.length||t.some(e=>!(e>=0&&e<=255))?null:t}function encodeJsonRecord(e){const t=encodeDnsName(e.name),n=encodeRecordText(e.type,String(e.data)),r=Math.max(0,Number(e.TTL)||0),s=new Uint8Array(10),o=new DataView(s.buffer);return o.setUint16(0,e.type),o.setUint16(2,1),o.setUint32(4,r),o.setUint16(8,n.length),concatBytes([t,s,n])}function encodeRecordText(e,t){if(t.startsWith("\\#")){const e=t.split(/\s+/).slice(2).join("");if(!/^([0-9a-f]{2})*$/i.test(e))throw new Error(`Invalid generic record: ${t}`);return new Uint8Array((e.match(/../g)||[]).map(e=>parseInt(e,16)))}const n=splitRecordText(t),r=(r,s)=>{const o=Number(n[r]);if(!Number.isInteger(o)||o<0||o>=2**(8*s))throw new Error(`Invalid ${e} record: ${t}`);return Array.from({length:s},(e,t)=>255&Math.floor(o/2**(8*(s-1-t))))},s=r=>{const s=parseIpAddress(n[0]||"");if(!s||s.length!==r)throw new Error(`Invalid ${e} record: ${t}`);return new Uint8Array(s)};switch(e){case 1:return s(4);case 28:return s(16);case 2:case 5:case 12:case 39:return encodeDnsName(n[0]);case 6:return concatBytes([encodeDnsName(n[0]),encodeDnsName(n[1]),new Uint8Array([2,3,4,5,6].flatMap(e=>r(e,4)))]);case 15:return concatBytes([new Uint8Array(r(0,2)),encodeDnsName(n[1])]);case 33:return concatBytes([new Uint8Array([...r(0,2),...r(1,2),...r(2,2)]),encodeDnsName(n[3])]);case 16:{const e=(new TextEncoder).encode(t.trimStart().startsWith('"')?n.join(""):t),r=[];for(let t=0;t<e.length||0===t;t+=255)r.push(new Uint8Array([Math.min(255,e.length-t)]),e.subarray(t,t+255));return concatBytes(r)}case 257:{const e=(new TextEncoder).encode(n[1]||"");return concatBytes([new Uint8Array([...r(0,1),e.length]),e,(new TextEncoder).encode(n.slice(2).join(" "))])}default:throw new Error(`Unsupported record type ${e} from JSON upstream`)}}function splitRecordText(e){const t=[],n=/"((?:[^"\\]|\\.)*)"|(\S+)/g;let r;for(;r=n.exec(e);){const e=void 0!==r[1]?r[1]:r[2];t.push(e.replace(/\\(\d{3}|.)/g,(e,t)=>3===t.length?String.fromCharCode(Number(t)):t))}return t}function encodeDnsName(e){const t=String(e).replace(/\.$/,"").split(".").filter(Boolean).map(e=>(new TextEncoder).encode(e));if(t.some(e=>e.length>63))throw new Error(`Invalid domain name: ${e}`);return concatBytes([...t.flatMap(e=>[new Uint8Array([e.length]),e]),new Uint8Array(1)])}function concatBytes(e){const t=new Uint8Array(e.reduce((e,t)=>e+t.length,0));let n=0;for(const r of e)t.set(r,n),n+=r.length;return t}function forEachRecord(e,t){if(e.length<12)return!1;const n=new DataView(e.buffer,e.byteOffset,e.byteLength);let r=12;for(let t=0;t<n.getUint16(4);t++)r=skipDnsName(e,r)+4;for(let s=0;s<3;s++){const o=n.getUint16(6+2*s);for(let a=0;a<o;a++){const o=skipDnsName(e,r);if(o+10>e.length)return!1;const a=n.getUint16(o+8);if(o+10+a>e.length)return!1;t(o,a,s),r=o+10+a}}return r<=e.length}function findOptRecord(e){const t=new DataView(e.buffer,e.byteOffset,e.byteLength);let n=null;return!!forEachRecord(e,(e,r)=>{41===t.getUint16(e)&&(n={typeOffset:e,rdStart:e+10,rdLen:r})})&&n}function buildCacheKey(e){const t=parseQuestion(e),n=findOptRecord(e);if(!t||!1===n)return null;const r=new DataView(e.buffer,e.byteOffset,e.byteLength),s=new URLSearchParams({class:String(t.class),do:n&&32768&r.getUint16(n.typeOffset+6)?"1":"0",cd:16&e[3]?"1":"0"});if(n)for(let t=n.rdStart;t+4<=n.rdStart+n.rdLen;t+=4+r.getUint16(t+2)){if(8!==r.getUint16(t))continue;const n=e.subarray(t+4,t+4+r.getUint16(t+2));s.set("ecs",Array.from(n,e=>e.toString(16).padStart(2,"0")).join(""))}return`https://dns-cache.internal/${encodeURIComponent(t.name)}/${t.type}?${s}`}function computeResponseTtl(e){if(e.length<12)return 0;const t=15&e[3];if(2&e[2]||0!==t&&3!==t)return 0;const n=new DataView(e.buffer,e.byteOffset,e.byteLength);let r=1/0,s=1/0;const o=forEachRecord(e,(e,t,o)=>{const a=n.getUint16(e),i=n.getUint32(e+4);0===o&&(r=Math.min(r,i)),1===o&&6===a&&t>=20&&(s=Math.min(i,n.getUint32(e+10+t-4)))});if(!o)return 0;const a=0===t&&r!==1/0?r:s;return a===1/0?NEGATIVE_CACHE_TTL_SECONDS:Math.max(MIN_CACHE_TTL_SECONDS,Math.min(a,CACHE_TTL_SECONDS))}function rewriteCachedResponse(e,t,n,r,s){const o=e.slice(),a=new DataView(o.buffer);o.set(t.subarray(0,2),0);const i=skipDnsName(o,12)+4;return skipDnsName(t,12)+4===i&&o.set(t.subarray(12,i),12),forEachRecord(o,e=>{if(41===a.getUint16(e))return;const t=a.getUint32(e+4);a.setUint32(e+4,s?Math.min(t,STALE_ANSWER_TTL_SECONDS):Math.max(t,r)-n)}),o}function skipDnsName(e,t){for(;t<e.length;){const n=e[t];if(0===n)return t+1;if(!(192&~n))return t+2;t+=n+1}return t}function base64UrlToBytes(e){try{const t=e.replace(/-/g,"+").replace(/_/g,"/"),n=atob(t+"=".repeat((4-t.length%4)%4)),r=new Uint8Array(n.length);for(let e=0;e<n.length;e++)r[e]=n.charCodeAt(e);return r}catch(e){return null}}function bytesToBase64Url(e){let t="";for(const n of e)t+=String.fromCharCode(n);return btoa(t).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"")}
@@ -1,19 +1,65 @@
-// 上游 DoH 服务器列表
-const UPSTREAM_DOH_SERVERS = [
+import { connect } from "cloudflare:sockets";
+
+// 以下均为默认配置，可通过环境变量 / Secret 或 KV 中的 JSON 覆盖 (见“配置加载”一节)
+// 上游 DoH 服务器列表，可用 get+https://、json+https://、tcp://、tls:// 前缀指定传输方式 (见 fetchDohServer)
+let UPSTREAM_DOH_SERVERS = [
   "https://cloudflare-dns.com/dns-query",
   "https://dns.google/dns-query",
 ];
 
+// 分流规则：按顺序匹配，第一条命中的规则决定上游；未命中时使用 UPSTREAM_DOH_SERVERS
+// domains 中 "corp.example" 匹配该域名及其子域名，"*.corp.example" 仅匹配子域名；types 可选，限定查询类型
+// strategy: race / failover / fastest / weighted / hedged，含义见下方 DEFAULT_UPSTREAM_STRATEGY
+let UPSTREAM_ROUTES = [
+  // { domains: ["corp.example"], servers: ["https://doh.corp.example/dns-query"] },
+  // { domains: ["cn"], types: ["A", "AAAA"], servers: ["https://doh.pub/dns-query", "https://dns.alidns.com/dns-query"], strategy: "race" },
+];
+// 上游选择策略：race 并发请求全部 / failover 按配置顺序 / fastest 按延迟与成功率评分顺序
+// weighted 按评分加权随机 / hedged 先请求评分最好的，超过 HEDGE_DELAY_MS 未返回再并发请求下一个
+let DEFAULT_UPSTREAM_STRATEGY = "fastest"; // 默认上游及未指定 strategy 的规则使用的策略
+let HEDGE_DELAY_MS = 100; // hedged 策略发出下一个请求前的等待时间（毫秒）
+
 // 配置
-const GLOBAL_AUTH_TOKEN = ""; // token如果为空则无需验证
-const TIMEOUT_MS = 500; // 超时时间（毫秒）
-const CACHE_TTL_SECONDS = 300; // 最大缓存时间（秒）
-const MIN_CACHE_TTL_SECONDS = 60; // 最小缓存时间（秒）
+let GLOBAL_AUTH_TOKEN = ""; // 全局令牌，与 AUTH_TOKENS 均为空时无需验证
+// 具名令牌：名称 -> { token, endpoints, rateLimit }，rateLimit 为每分钟请求数上限 (0 不限制)
+// endpoints 默认仅 /dns-query，/stats 需显式列出；与 源码.js 共用配置时，serverOverride、blocklistProfile 在此忽略
+let AUTH_TOKENS = {
+  // alice: { token: "change-me", rateLimit: 600 },
+};
+let TIMEOUT_MS = 500; // 初始超时时间（毫秒），有延迟样本后按上游自适应
+let UPSTREAM_TIMEOUT_MIN_MS = 300; // 自适应超时下限（毫秒）
+let UPSTREAM_TIMEOUT_MAX_MS = 3000; // 自适应超时上限（毫秒）
+let HEALTH_EWMA_ALPHA = 0.2; // 延迟与成功率的 EWMA 平滑系数
+let CIRCUIT_BREAKER_THRESHOLD = 3; // 连续失败多少次后熔断
+let CIRCUIT_BREAKER_COOLDOWN_MS = 30000; // 熔断持续时间（毫秒）
+let CACHE_TTL_SECONDS = 300; // 最大缓存时间（秒）
+let MIN_CACHE_TTL_SECONDS = 60; // 最小缓存时间（秒）
+let ECS_POLICY = "keep"; // 客户端查询中的 ECS：strip 移除 / keep 原样 / inject 缺失时按客户端 IP 添加
+let ECS_IPV4_PREFIX = 24; // inject 时 IPv4 截断长度
+let ECS_IPV6_PREFIX = 56; // inject 时 IPv6 截断长度
+let NEGATIVE_CACHE_TTL_SECONDS = 60; // 否定应答缺少 SOA 时的缓存时间（秒）
+let SERVE_STALE = true; // 所有上游失败时返回过期缓存 (RFC 8767)
+let SERVE_STALE_MAX_SECONDS = 86400; // 过期缓存最长保留时间（秒）
+let STALE_ANSWER_TTL_SECONDS = 30; // 返回过期缓存时记录的 TTL（秒）
+let REFRESH_AHEAD_PERCENT = 10; // 命中时剩余 TTL 不足原 TTL 的该百分比且命中足够频繁时，在后台提前刷新 (0 关闭)
+let REFRESH_AHEAD_MIN_HITS = 3; // 提前刷新要求的命中次数 (当前 isolate 内，自上次刷新起计数)
+
+// 定时任务 (Cron Trigger) 预热缓存的域名与查询类型，见 prefetchDomains
+let PREFETCH_DOMAINS = [];
+let PREFETCH_TYPES = ["A", "AAAA"];
+
+// 查询日志：输出为 "console" 或 https URL (批量 POST NDJSON)，为空则只累计 /stats 统计
+let QUERY_LOG_SINKS = [];
+let QUERY_LOG_CLIENT_IP = "hash"; // 客户端 IP 记录方式：full 原样 / hash 加盐哈希 / none 不记录
+let QUERY_LOG_IP_SALT = ""; // 哈希客户端 IP 时使用的盐，建议设置为 Secret
+let QUERY_LOG_HTTP_TOKEN = ""; // HTTP 输出的 Authorization: Bearer 令牌
+let QUERY_LOG_BATCH_SIZE = 50; // HTTP 输出每批条数
+let QUERY_LOG_FLUSH_SECONDS = 10; // HTTP 输出的最长缓冲时间（秒）
 
 export default {
   async fetch(request, env, context) {
     const url = new URL(request.url);
-    const path = url.pathname;
+    let path = url.pathname;
 
     // 处理 CORS 预检请求
     if (request.method === "OPTIONS") {
@@ -27,25 +73,41 @@ export default {
       });
     }
 
-    // Token 验证
-    if (GLOBAL_AUTH_TOKEN) {
-      const token = url.searchParams.get("token");
-      if (!token || token !== GLOBAL_AUTH_TOKEN) {
-        return new Response(null, { status: 403 });
-      }
-    }
+    // 加载环境变量 / KV 配置，配置无效时拒绝服务 (错误详情只输出到日志，此时尚未验证令牌)
+    const errors = await ensureConfig(env);
+    if (errors.length) return configErrorResponse();
+
+    // Token 验证 (?token=、/dns-query/<token> 或 Authorization: Bearer) 及频率限制
+    const pathToken = getPathToken(path);
+    if (pathToken) path = "/dns-query";
+    const access = await authenticate(request, url, pathToken);
+    if (!access || !canAccessEndpoint(access, path)) return await denyRequest(request, url, path, 403);
+    if (!consumeRateLimit(access)) return await denyRequest(request, url, path, 429);
 
     // 路由处理
     switch (path) {
       case "/dns-query":
-        return await handleDnsQuery(request, context);
+        return await handleDnsQuery(request, context, access);
+      case "/stats":
+        return handleStats(url);
       default:
         return new Response(null, { status: 200 });
     }
   },
+
+  // 定时任务 (Cron Trigger)：预热 PREFETCH_DOMAINS 的缓存并发送缓冲的查询日志，配置无效时跳过 (错误详情已输出到日志)
+  async scheduled(controller, env, context) {
+    const errors = await ensureConfig(env);
+    if (errors.length) return;
+    context.waitUntil(prefetchDomains(context));
+    context.waitUntil(flushLogSinks());
+  },
 };
 
-async function handleDnsQuery(request, context) {
+const DNS_MESSAGE_MAX_BYTES = 65535; // DNS 报文最大长度 (RFC 8484 §6)
+
+// 取不到报文时按 HTTP 状态码拒绝 (400/405/413/415)，取得报文后的错误以回显 ID 与问题部分的 DNS 响应返回
+async function handleDnsQuery(request, context, access) {
   const method = request.method;
 
   // 仅允许 GET 和 POST
@@ -54,101 +116,1478 @@ async function handleDnsQuery(request, context) {
   }
 
   const cache = caches.default;
-  
-  // 缓存读取 (仅限 GET)
+  const clientIp = request.headers.get("CF-Connecting-IP");
+  const log = createQueryLog(request, access, context);
+
+  // 解析查询报文 (GET 取 dns 参数，POST 取请求体)，用于 ECS 改写、分流和缓存；转发时按上游重新构造请求
+  let query;
   if (method === "GET") {
-    const cachedResponse = await cache.match(request);
+    const dns = new URL(request.url).searchParams.get("dns");
+    query = dns ? base64UrlToBytes(dns) : null;
+    if (!query) return new Response(null, { status: 400 });
+  } else {
+    const contentType = (request.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (contentType !== "application/dns-message") return new Response(null, { status: 415 });
+    if (Number(request.headers.get("content-length")) > DNS_MESSAGE_MAX_BYTES) return new Response(null, { status: 413 });
+    query = new Uint8Array(await request.arrayBuffer());
+  }
+  if (query.length > DNS_MESSAGE_MAX_BYTES) return new Response(null, { status: 413 });
+  if (query.length < 12) return new Response(null, { status: 400 }); // 不足报文头，无法回显 ID
+
+  const errorRcode = checkDnsQuery(query);
+  if (errorRcode) return dnsMessageResponse(buildErrorResponse(query, errorRcode), 0);
+
+  // 按 ECS 策略改写查询
+  query = applyEcsPolicy(query, clientIp);
+
+  // 缓存读取：按问题 (域名/类型/类/DO/CD/ECS) 作为键，GET 与 POST 共用
+  const cacheKey = buildCacheKey(query);
+  let staleResponse = null;
+  if (cacheKey) {
+    const cachedResponse = await cache.match(cacheKey);
     if (cachedResponse) {
-      const newHeaders = new Headers(cachedResponse.headers);
-      newHeaders.set("Access-Control-Allow-Origin", "*");
-      return new Response(cachedResponse.body, {
-        status: cachedResponse.status,
-        statusText: cachedResponse.statusText,
-        headers: newHeaders,
-      });
+      const age = Math.floor((Date.now() - Number(cachedResponse.headers.get("X-DNS-Stored-At"))) / 1000);
+      const ttl = Number(cachedResponse.headers.get("X-DNS-TTL"));
+      const cachedBody = new Uint8Array(await cachedResponse.arrayBuffer());
+      if (age < ttl) {
+        const body = rewriteCachedResponse(cachedBody, query, age, ttl, false);
+        if (isRefreshAheadDue(cacheKey, ttl - age, ttl)) context.waitUntil(refreshCacheEntry(cacheKey, method, query, context));
+        logQuery(log, query, body, null, "hit");
+        return dnsMessageResponse(body, ttl - age);
+      }
+      if (SERVE_STALE) staleResponse = rewriteCachedResponse(cachedBody, query, age, ttl, true);
     }
   }
 
-  // 准备请求体 (仅限 POST)
-  let requestBody = null;
-  if (method === "POST") {
-    requestBody = await request.arrayBuffer();
+  const result = await forwardAndCache(query, method, cacheKey, context);
+  if (!result) {
+    // 所有上游失败时返回过期缓存 (RFC 8767)，没有则返回 SERVFAIL
+    const failure = staleResponse || buildErrorResponse(query, 2);
+    logQuery(log, query, failure, null, staleResponse ? "stale" : null);
+    return dnsMessageResponse(failure, staleResponse ? STALE_ANSWER_TTL_SECONDS : 0);
   }
 
-  // 轮询上游服务器
-  for (const dohServer of UPSTREAM_DOH_SERVERS) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  // 从上游响应获取缓存控制信息
+  const { body, upstream, upstreamCacheControl } = result;
+  let cacheTtl = CACHE_TTL_SECONDS;
+  
+  if (upstreamCacheControl) {
+    // 解析上游的 max-age 值
+    const maxAgeMatch = upstreamCacheControl.match(/max-age=(\d+)/);
+    if (maxAgeMatch) {
+      const upstreamMaxAge = parseInt(maxAgeMatch[1], 10);
+      cacheTtl = Math.max(MIN_CACHE_TTL_SECONDS, Math.min(upstreamMaxAge, CACHE_TTL_SECONDS));
+    }
+  }
 
-    const upstreamUrl = new URL(dohServer);
+  logQuery(log, query, body, upstream, cacheKey ? "miss" : null);
+  return dnsMessageResponse(body, cacheTtl);
+}
 
-    // 如果是 GET，将查询参数复制到上游 URL
-    if (method === "GET") {
-      const requestUrl = new URL(request.url);
-      upstreamUrl.search = requestUrl.search;
-    }
+// 按分流规则选择上游并按策略请求，成功时返回 { body, upstream, upstreamCacheControl }，所有上游失败返回 null
+// 缓存写入在后台进行：TTL 按记录计算，serve-stale 时额外保留一段时间
+async function forwardAndCache(query, method, cacheKey, context) {
+  const route = selectUpstreamRoute(query);
+  const result = await fetchWithStrategy(route.servers, route.strategy,
+    (server) => fetchDohServer(server, method, query).then((response) => ({ response, upstream: server })));
+  if (!result) return null;
 
-    // 构建 Fetch 选项
-    const fetchOptions = {
-      method: method,
+  const body = new Uint8Array(await result.response.arrayBuffer());
+  const responseTtl = cacheKey ? computeResponseTtl(body) : 0;
+  if (responseTtl) {
+    const keepSeconds = responseTtl + (SERVE_STALE ? SERVE_STALE_MAX_SECONDS : 0);
+    const cacheEntry = new Response(body, {
       headers: {
-        "Accept": "application/dns-message",
+        "Content-Type": "application/dns-message",
+        "Cache-Control": `public, max-age=${keepSeconds}`,
+        "X-DNS-Stored-At": String(Date.now()),
+        "X-DNS-TTL": String(responseTtl),
       },
-      signal: controller.signal,
-    };
+    });
+    context.waitUntil(caches.default.put(cacheKey, cacheEntry));
+  }
+  return { body, upstream: result.upstream, upstreamCacheControl: result.response.headers.get("Cache-Control") };
+}
 
-    // 如果是 POST，附加 Body 和 Content-Type
-    if (method === "POST") {
-      fetchOptions.headers["Content-Type"] = "application/dns-message";
-      fetchOptions.body = requestBody;
-    }
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
+}
 
-    const response = await fetch(upstreamUrl, fetchOptions);
+// cacheTtl 为 0 时不允许缓存 (错误响应)
+function dnsMessageResponse(body, cacheTtl) {
+  return new Response(body, {
+    headers: {
+      "Content-Type": "application/dns-message",
+      "Cache-Control": cacheTtl ? `public, max-age=${cacheTtl}` : "no-store",
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
+}
 
+// 请求单个上游并记录健康状态，返回成功的响应；失败、超时、非 2xx 或应答无效 (见 isValidReply) 时抛出异常
+// 上游地址前缀：https:// 使用与客户端相同的方法，get+https:// 固定使用 GET (RFC 8484)，
+// json+https:// 请求 JSON API (如 https://dns.google/resolve) 并把应答转换回报文 (见 fetchJsonApi)，
+// tcp://主机[:端口] 与 tls://主机[:端口] 通过 connect() 发送 DNS over TCP / TLS (默认端口 53 / 853)
+async function fetchDohServer(server, method, query) {
+  const upstream = parseUpstream(server);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), getUpstreamTimeout(server));
+  const startTime = Date.now();
+
+  try {
+    let response;
+    if (upstream.hostname) response = await exchangeOverSocket(upstream, query, controller.signal);
+    else if (upstream.transport === "json+https") response = await fetchJsonApi(upstream.url, query, controller.signal);
+    else response = await fetchDoh(upstream.url, upstream.transport === "get+https" ? "GET" : method, query, controller.signal);
+    const body = new Uint8Array(await response.arrayBuffer());
+    if (!isValidReply(query, body)) throw new Error("Invalid DNS reply");
+    recordUpstreamSuccess(server, Date.now() - startTime);
+    return new Response(body, { headers: response.headers });
+  } catch (error) {
+    recordUpstreamFailure(server);
+    throw error;
+  } finally {
     clearTimeout(timeoutId);
+  }
+}
 
-    if (response.ok) {
-      const responseHeaders = new Headers(response.headers);
-      responseHeaders.set("Access-Control-Allow-Origin", "*");
-      
-      // 从上游响应获取缓存控制信息
-      const upstreamCacheControl = response.headers.get("Cache-Control");
-      let cacheTtl = CACHE_TTL_SECONDS;
-      
-      if (upstreamCacheControl) {
-        // 解析上游的 max-age 值
-        const maxAgeMatch = upstreamCacheControl.match(/max-age=(\d+)/);
-        if (maxAgeMatch) {
-          const upstreamMaxAge = parseInt(maxAgeMatch[1], 10);
-          cacheTtl = Math.max(MIN_CACHE_TTL_SECONDS, Math.min(upstreamMaxAge, CACHE_TTL_SECONDS));
-        }
+// 校验上游应答：须为完整的响应报文，ID 与问题部分和查询一致，避免错误或伪造的应答被缓存和返回
+// 错误应答 (rcode 非 0) 可以不带问题部分 (RFC 1035)
+function isValidReply(query, reply) {
+  if (reply.length < 12 || !(reply[2] & 0x80) || !forEachRecord(reply, () => {})) return false;
+  if (reply[0] !== query[0] || reply[1] !== query[1]) return false;
+  const question = parseQuestion(query);
+  const questionCount = (reply[4] << 8) | reply[5];
+  if (!question || ((reply[3] & 0x0f) !== 0 && questionCount === 0)) return true;
+
+  const replyQuestion = parseQuestion(reply);
+  return questionCount === ((query[4] << 8) | query[5]) && replyQuestion !== null &&
+    replyQuestion.name === question.name && replyQuestion.type === question.type && replyQuestion.class === question.class;
+}
+
+// GET 时 dns 参数附加到上游 URL 已有参数之后，ID 置 0 (RFC 8484 §4.1) 便于缓存，应答再改回原 ID
+async function fetchDoh(url, method, query, signal) {
+  const upstreamUrl = new URL(url);
+  const fetchOptions = {
+    method,
+    headers: {
+      "Accept": "application/dns-message",
+    },
+    signal,
+  };
+
+  if (method === "GET") {
+    const getQuery = query.slice();
+    getQuery[0] = getQuery[1] = 0;
+    upstreamUrl.searchParams.set("dns", bytesToBase64Url(getQuery));
+  } else {
+    fetchOptions.headers["Content-Type"] = "application/dns-message";
+    fetchOptions.body = query;
+  }
+
+  const response = await fetch(upstreamUrl, fetchOptions);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  if (method !== "GET" || (query[0] === 0 && query[1] === 0)) return response;
+
+  const body = new Uint8Array(await response.arrayBuffer());
+  if (body.length >= 2) body.set(query.subarray(0, 2));
+  return new Response(body, { headers: response.headers });
+}
+
+// JSON API 仅支持单个问题；查询中的 DO/CD 位和 ECS 转为对应参数
+// 应答中的记录按 presentation 格式编码回 RDATA，TXT 的多个字符串会合并，无法编码的类型视为该上游失败
+async function fetchJsonApi(url, query, signal) {
+  const question = parseQuestion(query);
+  const opt = findOptRecord(query);
+  if (!question || ((query[4] << 8) | query[5]) !== 1 || opt === false) throw new Error("JSON upstream requires a single question");
+
+  const view = new DataView(query.buffer, query.byteOffset, query.byteLength);
+  const upstreamUrl = new URL(url);
+  upstreamUrl.searchParams.set("name", question.name || ".");
+  upstreamUrl.searchParams.set("type", String(question.type));
+  if (opt && view.getUint16(opt.typeOffset + 6) & 0x8000) upstreamUrl.searchParams.set("do", "1");
+  if (query[3] & 0x10) upstreamUrl.searchParams.set("cd", "1");
+  const subnet = opt && formatEcsSubnet(query, opt);
+  if (subnet) upstreamUrl.searchParams.set("edns_client_subnet", subnet);
+
+  const response = await fetch(upstreamUrl, { headers: { "Accept": "application/dns-json" }, signal });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const json = await response.json();
+
+  // 报文头与问题部分取自查询，客户端带 OPT 时应答也附带 OPT (保留 DO 位)
+  const questionEnd = skipDnsName(query, 12) + 4;
+  const sections = [json.Answer, json.Authority, (json.Additional || []).filter((record) => record.type !== 41)]
+    .map((records) => (records || []).map(encodeJsonRecord));
+  const parts = [new Uint8Array(12), query.subarray(12, questionEnd), ...sections.flat()];
+  if (opt) parts.push(new Uint8Array([0, 0, 41, 0x04, 0xd0, 0, 0, view.getUint16(opt.typeOffset + 6) & 0x8000 ? 0x80 : 0, 0, 0, 0]));
+
+  const body = concatBytes(parts);
+  const header = new DataView(body.buffer);
+  body.set(query.subarray(0, 2));
+  body[2] = 0x80 | (json.TC ? 0x02 : 0) | (json.RD ? 0x01 : 0);
+  body[3] = (json.RA ? 0x80 : 0) | (json.AD ? 0x20 : 0) | (json.CD ? 0x10 : 0) | (json.Status & 0x0f);
+  header.setUint16(4, 1);
+  sections.forEach((records, index) => header.setUint16(6 + index * 2, records.length));
+  header.setUint16(10, sections[2].length + (opt ? 1 : 0));
+
+  const headers = { "Content-Type": "application/dns-message" };
+  if (response.headers.get("Cache-Control")) headers["Cache-Control"] = response.headers.get("Cache-Control");
+  return new Response(body, { headers });
+}
+
+// 每个查询一个连接，报文前加 2 字节长度 (RFC 1035 §4.2.2)；connect() 不能连接 Cloudflare 自身的地址 (如 1.1.1.1)
+async function exchangeOverSocket(upstream, query, signal) {
+  const socket = connect(
+    { hostname: upstream.hostname, port: upstream.port },
+    { secureTransport: upstream.transport === "tls" ? "on" : "off" },
+  );
+  const close = () => socket.close().catch(() => {});
+  signal.addEventListener("abort", close);
+
+  try {
+    const framed = new Uint8Array(query.length + 2);
+    framed[0] = query.length >> 8;
+    framed[1] = query.length & 0xff;
+    framed.set(query, 2);
+    await socket.writable.getWriter().write(framed);
+
+    const reader = socket.readable.getReader();
+    let buffer = new Uint8Array(0);
+    while (buffer.length < 2 || buffer.length < 2 + ((buffer[0] << 8) | buffer[1])) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error("Connection closed before a full response");
+      const next = new Uint8Array(buffer.length + value.length);
+      next.set(buffer);
+      next.set(value, buffer.length);
+      buffer = next;
+    }
+    const body = buffer.slice(2, 2 + ((buffer[0] << 8) | buffer[1]));
+    return new Response(body, { headers: { "Content-Type": "application/dns-message" } });
+  } finally {
+    signal.removeEventListener("abort", close);
+    close();
+  }
+}
+
+// 解析上游地址，返回 { transport, url } 或 { transport, hostname, port }，格式不支持时返回 null
+function parseUpstream(server) {
+  const match = /^([a-z+]+):\/\//i.exec(String(server));
+  const transport = match && match[1].toLowerCase();
+  if (!["https", "get+https", "json+https", "tcp", "tls"].includes(transport)) return null;
+
+  let url;
+  try {
+    url = new URL(transport.endsWith("https") ? "https" + server.slice(transport.length) : server);
+  } catch (error) {
+    return null;
+  }
+  if (transport.endsWith("https")) return { transport, url: url.href };
+  if (!url.hostname || (url.pathname && url.pathname !== "/")) return null;
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  return { transport, hostname, port: Number(url.port) || (transport === "tls" ? 853 : 53) };
+}
+
+// ==================== 提前刷新与定时预热 ====================
+// 热门条目在过期前由命中它的请求在后台重新查询 (context.waitUntil)，之后的客户端不必等待上游
+// 命中次数保存在当前 isolate 内存中，只统计本 isolate 处理的请求；同一条目同时只有一个刷新请求
+// 定时任务需在 wrangler.toml 的 [triggers] 中配置 crons；caches.default 按数据中心划分，只能预热其运行所在数据中心的缓存
+
+const REFRESH_AHEAD_TRACKED_KEYS = 10000; // 最多跟踪的缓存键数，超出时清空重新计数
+// 预热时同时进行的查询数：Worker 同时最多打开 6 个出站连接，超出的请求排队时上游超时已在计时，
+// 会被误判为超时并切换上游，额外消耗本次定时任务的子请求配额
+const PREFETCH_CONCURRENCY = 6;
+const cacheHitCounts = new Map(); // 缓存键 -> 自上次刷新起的命中次数
+const refreshingKeys = new Set();
+
+// 记录一次命中，剩余 TTL 低于阈值且命中次数达到 REFRESH_AHEAD_MIN_HITS 时返回 true
+function isRefreshAheadDue(cacheKey, remaining, ttl) {
+  if (!REFRESH_AHEAD_PERCENT || refreshingKeys.has(cacheKey)) return false;
+  if (cacheHitCounts.size >= REFRESH_AHEAD_TRACKED_KEYS && !cacheHitCounts.has(cacheKey)) cacheHitCounts.clear();
+  const hits = (cacheHitCounts.get(cacheKey) || 0) + 1;
+  cacheHitCounts.set(cacheKey, hits);
+  return hits >= REFRESH_AHEAD_MIN_HITS && remaining * 100 <= ttl * REFRESH_AHEAD_PERCENT;
+}
+
+async function refreshCacheEntry(cacheKey, method, query, context) {
+  refreshingKeys.add(cacheKey);
+  try {
+    if (await forwardAndCache(query, method, cacheKey, context)) cacheHitCounts.delete(cacheKey);
+  } finally {
+    refreshingKeys.delete(cacheKey);
+  }
+}
+
+// 预热 PREFETCH_DOMAINS × PREFETCH_TYPES：查询不带 EDNS，与不发送 ECS、DO 位的客户端共用缓存条目
+// (ECS_POLICY 为 inject 时客户端查询会带上 ECS，不会命中预热的条目)
+async function prefetchDomains(context) {
+  const startTime = Date.now();
+  const queries = PREFETCH_DOMAINS.flatMap((name) => PREFETCH_TYPES.map((type) => buildQuery(name, type)));
+  const results = await mapWithConcurrency(queries, PREFETCH_CONCURRENCY,
+    (query) => forwardAndCache(query, "POST", buildCacheKey(query), context).catch(() => null));
+  const failed = results.filter((result) => !result).length;
+  console.log(`Scheduled refresh: prefetched ${queries.length - failed}/${queries.length} queries in ${Date.now() - startTime} ms`);
+}
+
+// 以最多 limit 个并发对 items 执行 worker(item, index)，结果顺序与 items 一致
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+// 标准查询报文 (RD=1，ID 为 0)，type 为类型名称或类型编号
+function buildQuery(name, type) {
+  const labels = name.split(".").filter(Boolean).map((label) => new TextEncoder().encode(label));
+  const query = new Uint8Array(12 + labels.reduce((acc, label) => acc + label.length + 1, 0) + 5);
+  query.set([0, 0, 0x01, 0, 0, 1]);
+  let offset = 12;
+  for (const label of labels) {
+    query[offset] = label.length;
+    query.set(label, offset + 1);
+    offset += label.length + 1;
+  }
+  const code = toTypeCode(type);
+  query.set([0, code >> 8, code & 0xff, 0, 1], offset);
+  return query;
+}
+
+// ==================== 配置加载 ====================
+// 文件顶部的变量为默认值，可被 Worker 环境变量 / Secret 及 KV 中的 JSON 配置覆盖，键名与变量名相同
+// 优先级：KV > 环境变量 > 默认值；未设置或为空字符串的项保留默认值
+// 环境变量中的数组可写成 JSON 或逗号/换行分隔的文本，对象须为 JSON
+// KV：绑定名 CONFIG_KV，键为 CONFIG_KV_KEY (默认 "config")，每 CONFIG_REFRESH_SECONDS 秒重新读取
+// 与 源码.js 同名的配置项使用相同的校验函数和错误信息，同一份配置 (环境变量或 KV) 在两个 Worker 中结果一致；
+// 修改其中一方的校验时需同步另一方 (test/config-parity.test.mjs 会比较两者)
+
+const CONFIG_REFRESH_SECONDS = 60; // KV 配置的重新读取间隔（秒）
+const UPSTREAM_STRATEGIES = ["race", "failover", "fastest", "weighted", "hedged"];
+
+// 每个配置项的解析函数：接收原始值 (字符串或 JSON 值)，返回规范化后的值，不合法时抛出带说明的异常
+const CONFIG_SCHEMA = {
+  UPSTREAM_DOH_SERVERS: listValue(checkUpstream, /[\s,]+/, true),
+  UPSTREAM_ROUTES: jsonValue(checkRoutes),
+  DEFAULT_UPSTREAM_STRATEGY: enumValue(UPSTREAM_STRATEGIES),
+  HEDGE_DELAY_MS: integerValue(0, 60000),
+  GLOBAL_AUTH_TOKEN: stringValue(),
+  AUTH_TOKENS: jsonValue(checkAuthTokens),
+  CACHE_TTL_SECONDS: integerValue(0, 604800),
+  MIN_CACHE_TTL_SECONDS: integerValue(0, 604800),
+  TIMEOUT_MS: integerValue(1, 60000),
+  UPSTREAM_TIMEOUT_MIN_MS: integerValue(1, 60000),
+  UPSTREAM_TIMEOUT_MAX_MS: integerValue(1, 60000),
+  HEALTH_EWMA_ALPHA: numberValue(0, 1),
+  CIRCUIT_BREAKER_THRESHOLD: integerValue(1, 1000),
+  CIRCUIT_BREAKER_COOLDOWN_MS: integerValue(0, 3600000),
+  ECS_IPV4_PREFIX: integerValue(0, 32),
+  ECS_IPV6_PREFIX: integerValue(0, 128),
+  ECS_POLICY: enumValue(["strip", "keep", "inject"]),
+  NEGATIVE_CACHE_TTL_SECONDS: integerValue(0, 86400),
+  SERVE_STALE: booleanValue(),
+  SERVE_STALE_MAX_SECONDS: integerValue(0, 604800),
+  STALE_ANSWER_TTL_SECONDS: integerValue(0, 86400),
+  REFRESH_AHEAD_PERCENT: integerValue(0, 100),
+  REFRESH_AHEAD_MIN_HITS: integerValue(1, 1000000),
+  PREFETCH_DOMAINS: listValue(checkDomainName, /[\s,]+/),
+  PREFETCH_TYPES: listValue(checkRecordType, /[\s,]+/, true),
+  QUERY_LOG_SINKS: listValue(checkLogSink, /[\s,]+/),
+  QUERY_LOG_CLIENT_IP: enumValue(["full", "hash", "none"]),
+  QUERY_LOG_IP_SALT: stringValue(),
+  QUERY_LOG_HTTP_TOKEN: stringValue(),
+  QUERY_LOG_BATCH_SIZE: integerValue(1, 1000),
+  QUERY_LOG_FLUSH_SECONDS: integerValue(1, 3600),
+};
+
+function getCurrentConfig() {
+  return {
+    UPSTREAM_DOH_SERVERS, UPSTREAM_ROUTES, DEFAULT_UPSTREAM_STRATEGY, HEDGE_DELAY_MS, GLOBAL_AUTH_TOKEN, AUTH_TOKENS,
+    CACHE_TTL_SECONDS, MIN_CACHE_TTL_SECONDS, TIMEOUT_MS, UPSTREAM_TIMEOUT_MIN_MS, UPSTREAM_TIMEOUT_MAX_MS,
+    HEALTH_EWMA_ALPHA, CIRCUIT_BREAKER_THRESHOLD, CIRCUIT_BREAKER_COOLDOWN_MS,
+    ECS_IPV4_PREFIX, ECS_IPV6_PREFIX, ECS_POLICY,
+    NEGATIVE_CACHE_TTL_SECONDS, SERVE_STALE, SERVE_STALE_MAX_SECONDS, STALE_ANSWER_TTL_SECONDS,
+    REFRESH_AHEAD_PERCENT, REFRESH_AHEAD_MIN_HITS, PREFETCH_DOMAINS, PREFETCH_TYPES,
+    QUERY_LOG_SINKS, QUERY_LOG_CLIENT_IP, QUERY_LOG_IP_SALT, QUERY_LOG_HTTP_TOKEN, QUERY_LOG_BATCH_SIZE, QUERY_LOG_FLUSH_SECONDS,
+  };
+}
+
+function applyConfig(config) {
+  ({
+    UPSTREAM_DOH_SERVERS, UPSTREAM_ROUTES, DEFAULT_UPSTREAM_STRATEGY, HEDGE_DELAY_MS, GLOBAL_AUTH_TOKEN, AUTH_TOKENS,
+    CACHE_TTL_SECONDS, MIN_CACHE_TTL_SECONDS, TIMEOUT_MS, UPSTREAM_TIMEOUT_MIN_MS, UPSTREAM_TIMEOUT_MAX_MS,
+    HEALTH_EWMA_ALPHA, CIRCUIT_BREAKER_THRESHOLD, CIRCUIT_BREAKER_COOLDOWN_MS,
+    ECS_IPV4_PREFIX, ECS_IPV6_PREFIX, ECS_POLICY,
+    NEGATIVE_CACHE_TTL_SECONDS, SERVE_STALE, SERVE_STALE_MAX_SECONDS, STALE_ANSWER_TTL_SECONDS,
+    REFRESH_AHEAD_PERCENT, REFRESH_AHEAD_MIN_HITS, PREFETCH_DOMAINS, PREFETCH_TYPES,
+    QUERY_LOG_SINKS, QUERY_LOG_CLIENT_IP, QUERY_LOG_IP_SALT, QUERY_LOG_HTTP_TOKEN, QUERY_LOG_BATCH_SIZE, QUERY_LOG_FLUSH_SECONDS,
+  } = config);
+  authTokenDigests = null;
+  logSinks = null;
+}
+
+const DEFAULT_CONFIG = getCurrentConfig();
+
+let configErrors = null; // 最近一次生效的校验结果，null 表示尚未加载
+let configLoadedAt = 0;
+let configLoading = null;
+
+// 请求入口调用，返回配置错误列表 (为空表示配置有效)
+// 首次请求时等待加载；之后仅在绑定了 CONFIG_KV 时于后台定期刷新，不阻塞请求
+async function ensureConfig(env = {}) {
+  const expired = configErrors !== null && env.CONFIG_KV && Date.now() - configLoadedAt > CONFIG_REFRESH_SECONDS * 1000;
+  if ((configErrors === null || expired) && !configLoading) {
+    configLoading = loadConfig(env).finally(() => (configLoading = null));
+  }
+  if (configErrors === null) await configLoading;
+  return configErrors;
+}
+
+// 读取并校验环境变量与 KV 配置；有错误时不应用任何改动，已有有效配置时继续沿用
+async function loadConfig(env) {
+  const overrides = {};
+  const errors = [];
+  const readSource = (source, label, reportUnknown) => {
+    for (const [key, value] of Object.entries(source)) {
+      const parse = CONFIG_SCHEMA[key];
+      if (!parse) {
+        if (reportUnknown) errors.push(`${label}.${key}: 未知配置项`);
+        continue;
       }
-      
-      responseHeaders.set("Cache-Control", `public, max-age=${cacheTtl}`);
-
-      // 缓存写入 (仅限 GET)
-      if (method === "GET") {
-          const responseToCache = response.clone();
-          const cacheHeaders = new Headers(responseToCache.headers);
-          cacheHeaders.set("Cache-Control", `public, max-age=${cacheTtl}`);
-          cacheHeaders.set("Access-Control-Allow-Origin", "*");
-          
-          const cacheEntry = new Response(responseToCache.body, {
-              status: responseToCache.status,
-              statusText: responseToCache.statusText,
-              headers: cacheHeaders
-          });
-          
-          context.waitUntil(cache.put(request.clone(), cacheEntry));
+      if (value === undefined || value === null || value === "") continue;
+      try {
+        overrides[key] = parse(value);
+      } catch (error) {
+        errors.push(`${label}.${key}: ${error.message}`);
       }
+    }
+  };
+
+  readSource(env, "env", false); // env 中还有 KV 等其他绑定，忽略未知键
+  if (env.CONFIG_KV) {
+    try {
+      const kvConfig = await env.CONFIG_KV.get(env.CONFIG_KV_KEY || "config", "json");
+      if (kvConfig !== null) {
+        if (!isPlainObject(kvConfig)) throw new Error("需要 JSON 对象");
+        readSource(kvConfig, "kv", true);
+      }
+    } catch (error) {
+      errors.push(`kv: ${error.message}`);
+    }
+  }
+
+  const config = { ...DEFAULT_CONFIG, ...overrides };
+  if (config.MIN_CACHE_TTL_SECONDS > config.CACHE_TTL_SECONDS) {
+    errors.push("MIN_CACHE_TTL_SECONDS: 不能大于 CACHE_TTL_SECONDS");
+  }
+  if (config.UPSTREAM_TIMEOUT_MIN_MS > config.UPSTREAM_TIMEOUT_MAX_MS) {
+    errors.push("UPSTREAM_TIMEOUT_MIN_MS: 不能大于 UPSTREAM_TIMEOUT_MAX_MS");
+  }
+  const tokens = Object.values(config.AUTH_TOKENS).map((policy) => policy.token);
+  if (config.GLOBAL_AUTH_TOKEN) tokens.push(config.GLOBAL_AUTH_TOKEN);
+  if (new Set(tokens).size !== tokens.length) errors.push("AUTH_TOKENS: 令牌不能重复 (含 GLOBAL_AUTH_TOKEN)");
+
+  configLoadedAt = Date.now();
+  if (errors.length) {
+    console.error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+    if (configErrors === null || configErrors.length) configErrors = errors;
+    return;
+  }
+  applyConfig(config);
+  configErrors = [];
+}
+
+// 错误详情含配置中的值 (上游地址、令牌名称等)，不返回给客户端
+function configErrorResponse() {
+  return jsonResponse({ error: "Invalid configuration" }, 500);
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function integerValue(min, max) {
+  return (value) => {
+    const number = typeof value === "string" && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min || number > max) throw new Error(`需要 ${min} ~ ${max} 之间的整数`);
+    return number;
+  };
+}
+
+function numberValue(min, max) {
+  return (value) => {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !(number > min && number <= max)) throw new Error(`需要大于 ${min} 且不大于 ${max} 的数`);
+    return number;
+  };
+}
+
+function booleanValue() {
+  return (value) => {
+    if (typeof value === "boolean") return value;
+    const text = String(value).trim().toLowerCase();
+    if (["true", "1", "yes", "on"].includes(text)) return true;
+    if (["false", "0", "no", "off"].includes(text)) return false;
+    throw new Error("需要 true 或 false");
+  };
+}
+
+function stringValue() {
+  return (value) => {
+    if (typeof value !== "string") throw new Error("需要字符串");
+    return value;
+  };
+}
+
+function enumValue(options) {
+  return (value) => {
+    if (!options.includes(value)) throw new Error(`需要 ${options.join(" / ")} 之一`);
+    return value;
+  };
+}
+
+// 字符串以 "[" 开头时按 JSON 解析，否则按 separator 拆分；checkItem 校验并规范化每一项
+function listValue(checkItem, separator, nonEmpty = false) {
+  return (value) => {
+    let items = value;
+    if (typeof value === "string") {
+      items = value.trim().startsWith("[") ? parseJson(value) : value.split(separator).map((item) => item.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(items)) throw new Error("需要数组");
+    if (nonEmpty && !items.length) throw new Error("不能为空");
+    return items.map((item, index) => {
+      try {
+        return checkItem(item);
+      } catch (error) {
+        throw new Error(`[${index}] ${error.message}`);
+      }
+    });
+  };
+}
+
+function jsonValue(check) {
+  return (value) => check(typeof value === "string" ? parseJson(value) : value);
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`JSON 格式错误：${error.message}`);
+  }
+}
+
+function checkUrl(protocols) {
+  return (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new Error("不是有效的 URL");
+    }
+    if (!protocols.includes(url.protocol)) throw new Error(`URL 协议需为 ${protocols.join(" / ")}`);
+    return url.href;
+  };
+}
+
+// 上游地址，支持的传输方式见 fetchDohServer
+function checkUpstream(value) {
+  const upstream = typeof value === "string" ? parseUpstream(value.trim()) : null;
+  if (!upstream) throw new Error("上游需为 https://、get+https://、json+https://、tcp:// 或 tls:// 地址");
+  return value.trim();
+}
+
+function checkStringList(value, field) {
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item)) throw new Error(`${field} 需要字符串数组`);
+  if (!value.length) throw new Error(`${field} 不能为空`);
+  return value;
+}
+
+function checkDomainName(value) {
+  if (typeof value !== "string" || !isValidDomainName(value.trim())) throw new Error(`无效的域名 ${value}`);
+  return value.trim().toLowerCase().replace(/\.+$/, "");
+}
+
+// 与 源码.js 的 isValidDomainName 规则相同：标签非空且不超过 63 字节，编码后不超过 255 字节；本代理不支持 \ 转义
+function isValidDomainName(name) {
+  if (name === "" || name === ".") return true;
+  const labels = name.replace(/\.$/, "").split(".").map((label) => new TextEncoder().encode(label));
+  if (labels.some((label) => label.length === 0 || label.length > 63)) return false;
+  return labels.reduce((total, label) => total + label.length + 1, 1) <= 255;
+}
+
+function checkRecordType(value) {
+  const code = toTypeCode(typeof value === "string" ? value.trim() : value);
+  if (!code) throw new Error(`未知的查询类型 ${value}`);
+  return String(toTypeName(code));
+}
+
+function checkLogSink(value) {
+  if (value === "console") return value;
+  return checkUrl(["https:"])(value);
+}
+
+function checkAuthTokens(tokens) {
+  if (!isPlainObject(tokens)) throw new Error("需要对象");
+  const checked = {};
+  for (const [name, policy] of Object.entries(tokens)) {
+    if (name === "global") throw new Error("global 为 GLOBAL_AUTH_TOKEN 保留的名称");
+    if (!isPlainObject(policy)) throw new Error(`${name}: 需要对象`);
+    if (typeof policy.token !== "string" || !policy.token) throw new Error(`${name}: token 需要非空字符串`);
+    const endpoints = policy.endpoints === undefined ? null : checkStringList(policy.endpoints, "endpoints");
+    const unknown = endpoints && endpoints.find((endpoint) => !AUTH_ENDPOINTS.includes(endpoint));
+    if (unknown) throw new Error(`${name}: 未知端点 ${unknown}`);
+    if (policy.serverOverride !== undefined && typeof policy.serverOverride !== "boolean") {
+      throw new Error(`${name}: serverOverride 需要 true 或 false`);
+    }
+    if (policy.blocklistProfile !== undefined && typeof policy.blocklistProfile !== "string") {
+      throw new Error(`${name}: blocklistProfile 需要字符串`);
+    }
+    const rateLimit = policy.rateLimit === undefined ? 0 : policy.rateLimit;
+    if (!Number.isInteger(rateLimit) || rateLimit < 0) throw new Error(`${name}: rateLimit 需要非负整数`);
+    checked[name] = { name, token: policy.token, endpoints, rateLimit }; // serverOverride、blocklistProfile 只校验类型，本代理不使用
+  }
+  return checked;
+}
+
+function checkRoutes(routes) {
+  if (!Array.isArray(routes)) throw new Error("需要数组");
+  return routes.map((route, index) => {
+    try {
+      if (!isPlainObject(route)) throw new Error("需要对象");
+      const checked = {
+        domains: checkStringList(route.domains, "domains"),
+        servers: checkStringList(route.servers, "servers").map(checkUpstream),
+      };
+      if (route.types !== undefined) {
+        checked.types = checkStringList(route.types, "types");
+        const unknown = checked.types.find((type) => !toTypeCode(type));
+        if (unknown) throw new Error(`未知的查询类型 ${unknown}`);
+      }
+      if (route.strategy !== undefined) checked.strategy = enumValue(UPSTREAM_STRATEGIES)(route.strategy);
+      return checked;
+    } catch (error) {
+      throw new Error(`[${index}] ${error.message}`);
+    }
+  });
+}
+
+// ==================== 访问控制 ====================
+// 令牌比较先做 SHA-256 再逐字节比较全部令牌，耗时与令牌内容及匹配位置无关
+// 频率限制按分钟计数，状态保存在当前 isolate 内存中，多个 isolate 之间不共享，仅作近似限制
+
+// endpoints 可填写的端点，与 源码.js 相同；/resolve、/resolve/batch 在本代理中没有对应功能
+const AUTH_ENDPOINTS = ["/dns-query", "/resolve", "/resolve/batch", "/stats"];
+
+const OPEN_ACCESS = { name: null, endpoints: null, rateLimit: 0 }; // 未配置任何令牌时的访问策略
+
+let authTokenDigests = null; // Promise<[{ policy, digest }]>，配置变化后重新计算
+const rateLimitWindows = new Map(); // 令牌名 -> { windowStart, count }
+
+function getAuthTokenDigests() {
+  if (!authTokenDigests) {
+    const policies = Object.values(AUTH_TOKENS);
+    if (GLOBAL_AUTH_TOKEN) policies.push({ ...OPEN_ACCESS, name: "global", token: GLOBAL_AUTH_TOKEN });
+    authTokenDigests = Promise.all(policies.map(async (policy) => ({ policy, digest: await sha256(policy.token) })));
+  }
+  return authTokenDigests;
+}
+
+async function sha256(text) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+}
+
+function timingSafeEqual(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+// 从 /dns-query/<token> 中取出令牌，其他路径返回 null
+function getPathToken(path) {
+  if (!path.startsWith("/dns-query/")) return null;
+  try {
+    return decodeURIComponent(path.slice("/dns-query/".length)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 校验令牌：未配置令牌时返回 OPEN_ACCESS，令牌无效返回 null，否则返回该令牌的策略
+async function authenticate(request, url, pathToken) {
+  const entries = await getAuthTokenDigests();
+  if (!entries.length) return OPEN_ACCESS;
+
+  const bearer = /^Bearer\s+(\S+)\s*$/i.exec(request.headers.get("Authorization") || "");
+  const token = bearer ? bearer[1] : url.searchParams.get("token") || pathToken;
+  if (!token) return null;
+
+  const digest = await sha256(token);
+  let matched = null;
+  for (const entry of entries) {
+    if (timingSafeEqual(entry.digest, digest) && !matched) matched = entry.policy;
+  }
+  return matched;
+}
+
+// /stats 含所有用户的查询统计，仅 GLOBAL_AUTH_TOKEN 及 endpoints 中显式列出 "/stats" 的令牌可访问，未配置令牌时不开放
+function canAccessEndpoint(access, path) {
+  if (path === "/stats") return access.name === "global" || !!(access.endpoints && access.endpoints.includes(path));
+  return !access.endpoints || access.endpoints.includes(path);
+}
+
+// 计数并判断是否超过每分钟请求数限制，rateLimit 为 0 表示不限制
+function consumeRateLimit(policy) {
+  if (!policy.rateLimit) return true;
+  const now = Date.now();
+  const windowStart = now - (now % 60000);
+  let window = rateLimitWindows.get(policy.name);
+  if (!window || window.windowStart !== windowStart) {
+    window = { windowStart, count: 0 };
+    rateLimitWindows.set(policy.name, window);
+  }
+  return ++window.count <= policy.rateLimit;
+}
 
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: responseHeaders,
+// 拒绝请求：/dns-query 上能解析出查询时返回 REFUSED (存根解析器能识别)，否则返回 HTTP 状态码
+async function denyRequest(request, url, path, status) {
+  if (path === "/dns-query") {
+    const dns = url.searchParams.get("dns");
+    const query = request.method === "POST"
+      ? new Uint8Array(await request.arrayBuffer().catch(() => new ArrayBuffer(0)))
+      : dns ? base64UrlToBytes(dns) : null;
+    const refused = query ? buildRefusedResponse(query) : null;
+    if (refused) {
+      return new Response(refused, {
+        headers: {
+          "Content-Type": "application/dns-message",
+          "Cache-Control": "no-store",
+          "Access-Control-Allow-Origin": "*",
+        },
       });
     }
   }
-  
-  return new Response(null, { status: 502 });
+
+  const headers = { "Access-Control-Allow-Origin": "*" };
+  if (status === 429) headers["Retry-After"] = String(60 - Math.floor((Date.now() % 60000) / 1000));
+  return new Response(null, { status, headers });
+}
+
+// 由查询构造 REFUSED 响应；不是单问题查询时返回 null
+function buildRefusedResponse(query) {
+  if (checkDnsQuery(query)) return null;
+  return buildErrorResponse(query, 5);
+}
+
+// 检查客户端查询，合法时返回 0，否则返回应答的 RCODE：
+// opcode 不是 QUERY 或查询区域传送 (AXFR/IXFR) 时为 NOTIMP；报文为响应、不足报文头或不是单个可解析的问题时为 FORMERR
+function checkDnsQuery(query) {
+  if (query.length < 12) return 1;
+  if (((query[2] >> 3) & 0x0f) !== 0) return 4;
+  const question = parseQuestion(query);
+  if (query[2] & 0x80 || ((query[4] << 8) | query[5]) !== 1 || !question) return 1;
+  if (question.type === 251 || question.type === 252) return 4;
+  return 0;
+}
+
+// 由查询构造错误响应：保留 ID、opcode、RD 位和问题部分，清空其余记录；问题部分无法解析时只保留报文头
+function buildErrorResponse(query, rcode) {
+  const end = ((query[4] << 8) | query[5]) === 1 ? skipDnsName(query, 12) + 4 : 0;
+  const response = query.slice(0, end > 12 && end <= query.length ? end : 12);
+  response[2] = 0x80 | (query[2] & 0x79); // QR=1，保留 opcode 与 RD
+  response[3] = 0x80 | rcode; // RA=1
+  response.fill(0, response.length === 12 ? 4 : 6, 12);
+  return response;
+}
+
+// ==================== 查询日志与统计 ====================
+// 每次查询生成一条结构化日志，写入 QUERY_LOG_SINKS 中的各个输出，并累加到 /stats 的统计中 (本代理不做过滤，无拦截统计)
+// 日志在 waitUntil 中异步写出，不增加响应延迟；统计保存在当前 isolate 内存中，自 isolate 启动起累计
+
+const STATS_MAX_TRACKED_DOMAINS = 5000; // 每个排行榜最多跟踪的域名数，超出时丢弃计数较小的一半
+const RCODE_NAMES = ["NOERROR", "FORMERR", "SERVFAIL", "NXDOMAIN", "NOTIMP", "REFUSED"];
+
+const queryStats = createQueryStats();
+let logSinks = null; // 由 QUERY_LOG_SINKS 创建，配置变化后重建
+
+function createQueryStats() {
+  return {
+    since: new Date().toISOString(),
+    queries: 0,
+    cache: { hit: 0, miss: 0, stale: 0 },
+    failed: 0,
+    rcodes: {},
+    domains: new Map(),
+  };
+}
+
+// 日志输出：QUERY_LOG_SINKS 中每一项为 "console" (每行一条 JSON) 或 https URL (批量 POST NDJSON)
+// 新增输出方式时在此按配置项创建 { write(entry, context) → Promise | undefined, flush?() } 对象即可
+function createLogSink(spec) {
+  if (spec === "console") {
+    return { write: (entry) => console.log(JSON.stringify(entry)) };
+  }
+  return createHttpLogSink(spec);
+}
+
+// 批量 HTTP 输出：攒够 QUERY_LOG_BATCH_SIZE 条或距第一条超过 QUERY_LOG_FLUSH_SECONDS 秒时发送
+// 缓冲开始时通过 waitUntil 安排定时发送，查询稀少时不必等到下一条日志；waitUntil 约 30 秒后可能被终止，
+// 更长的间隔由之后的查询或定时任务 (flushLogSinks) 发送。缓冲在 isolate 内存中，isolate 被回收时未发送的日志会丢失
+function createHttpLogSink(url) {
+  let buffer = [];
+  let firstAt = 0;
+
+  function flush() {
+    if (!buffer.length) return;
+    const body = buffer.map((item) => JSON.stringify(item)).join("\n") + "\n";
+    buffer = [];
+    const headers = { "Content-Type": "application/x-ndjson" };
+    if (QUERY_LOG_HTTP_TOKEN) headers.Authorization = `Bearer ${QUERY_LOG_HTTP_TOKEN}`;
+    return fetch(url, { method: "POST", headers, body })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      })
+      .catch((error) => console.error(`Failed to send query logs to ${url}: ${error.message}`));
+  }
+
+  return {
+    write(entry, context) {
+      if (!buffer.length) {
+        firstAt = Date.now();
+        // 该批已因条数发送时 buffer 已替换为新数组，定时器不再重复发送
+        const batch = buffer;
+        context.waitUntil(new Promise((resolve) => setTimeout(resolve, QUERY_LOG_FLUSH_SECONDS * 1000))
+          .then(() => (buffer === batch ? flush() : undefined)));
+      }
+      buffer.push(entry);
+      if (buffer.length >= QUERY_LOG_BATCH_SIZE || Date.now() - firstAt >= QUERY_LOG_FLUSH_SECONDS * 1000) return flush();
+    },
+    flush,
+  };
+}
+
+function getLogSinks() {
+  if (!logSinks) logSinks = QUERY_LOG_SINKS.map(createLogSink);
+  return logSinks;
+}
+
+// 发送各输出中缓冲的日志 (由定时任务调用)
+function flushLogSinks() {
+  return Promise.all(getLogSinks().map((sink) => sink.flush && sink.flush()));
+}
+
+// 客户端 IP 的记录方式：full 原样 / hash 加盐 SHA-256 前 16 位十六进制 / none 不记录
+async function formatClientIp(clientIp) {
+  if (!clientIp || QUERY_LOG_CLIENT_IP === "none") return null;
+  if (QUERY_LOG_CLIENT_IP === "full") return clientIp;
+  const digest = await sha256(QUERY_LOG_IP_SALT + clientIp);
+  return [...digest.subarray(0, 8)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// 记录一次查询：log 为 { clientIp, token, context }，result 为 resolveDnsQuery 的返回值 (失败时为 null)
+function createQueryLog(request, access, context) {
+  return { clientIp: request.headers.get("CF-Connecting-IP"), token: access.name, context, startTime: Date.now() };
+}
+
+// 记录一次查询：log 由 createQueryLog 创建；body 为返回给客户端的响应报文 (失败时为 null)，cache 为 hit/miss/stale
+function logQuery(log, query, body, upstream, cache) {
+  const question = query ? parseQuestion(query) : null;
+  const rcode = body && body.length >= 12 ? body[3] & 0x0f : 2;
+  const entry = {
+    time: new Date().toISOString(),
+    clientIp: null,
+    token: log.token,
+    name: question ? question.name : null,
+    type: question ? toTypeName(question.type) : null,
+    rcode: RCODE_NAMES[rcode] || String(rcode),
+    upstream,
+    latency: Date.now() - log.startTime,
+    cache,
+    action: body ? "allowed" : "failed",
+  };
+  updateQueryStats(entry);
+
+  const sinks = getLogSinks();
+  if (!sinks.length) return;
+  log.context.waitUntil(formatClientIp(log.clientIp).then((clientIp) => {
+    entry.clientIp = clientIp;
+    return Promise.all(sinks.map((sink) => sink.write(entry, log.context)));
+  }));
+}
+
+function updateQueryStats(entry) {
+  queryStats.queries++;
+  queryStats.rcodes[entry.rcode] = (queryStats.rcodes[entry.rcode] || 0) + 1;
+  if (entry.cache) queryStats.cache[entry.cache]++;
+  if (entry.action === "failed") queryStats.failed++;
+  if (entry.name) incrementCounter(queryStats.domains, entry.name);
+}
+
+function incrementCounter(counter, key) {
+  counter.set(key, (counter.get(key) || 0) + 1);
+  if (counter.size > STATS_MAX_TRACKED_DOMAINS) {
+    const sorted = [...counter.entries()].sort((a, b) => b[1] - a[1]);
+    counter.clear();
+    for (const [name, count] of sorted.slice(0, STATS_MAX_TRACKED_DOMAINS / 2)) counter.set(name, count);
+  }
+}
+
+function topEntries(counter, limit) {
+  return [...counter.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, count }));
+}
+
+// /stats：limit 参数控制排行榜长度 (默认 20，最大 100)
+function handleStats(url) {
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get("limit"), 10) || 20, 1), 100);
+  const lookups = queryStats.cache.hit + queryStats.cache.miss + queryStats.cache.stale;
+  const now = Date.now();
+
+  return jsonResponse({
+    since: queryStats.since,
+    queries: queryStats.queries,
+    failed: queryStats.failed,
+    rcodes: queryStats.rcodes,
+    cache: {
+      ...queryStats.cache,
+      hitRatio: lookups ? Number(((queryStats.cache.hit + queryStats.cache.stale) / lookups).toFixed(4)) : null,
+    },
+    topDomains: topEntries(queryStats.domains, limit),
+    upstreams: [...upstreamHealth.entries()].map(([server, health]) => ({
+      server,
+      requests: health.successes + health.failures,
+      latencyMs: health.latency === null ? null : Math.round(health.latency),
+      errorRate: health.successes + health.failures
+        ? Number((health.failures / (health.successes + health.failures)).toFixed(4))
+        : null,
+      circuitOpen: health.openUntil > now,
+    })),
+  });
+}
+
+// ==================== 上游健康状态与选择 ====================
+// 每个上游记录 EWMA 延迟、抖动和成功率；连续失败达到阈值后熔断一段时间，冷却结束后重新参与选择
+// 状态保存在当前 isolate 内存中，不同 isolate 各自独立统计
+
+const upstreamHealth = new Map();
+
+function getUpstreamHealth(server) {
+  let health = upstreamHealth.get(server);
+  if (!health) {
+    health = { latency: null, deviation: 0, successRate: 1, successes: 0, failures: 0, consecutiveFailures: 0, openUntil: 0 };
+    upstreamHealth.set(server, health);
+  }
+  return health;
+}
+
+function recordUpstreamSuccess(server, latency) {
+  const health = getUpstreamHealth(server);
+  if (health.latency === null) {
+    health.latency = latency;
+    health.deviation = latency / 2;
+  } else {
+    health.deviation += HEALTH_EWMA_ALPHA * (Math.abs(latency - health.latency) - health.deviation);
+    health.latency += HEALTH_EWMA_ALPHA * (latency - health.latency);
+  }
+  health.successRate += HEALTH_EWMA_ALPHA * (1 - health.successRate);
+  health.successes++;
+  health.consecutiveFailures = 0;
+  health.openUntil = 0;
+}
+
+function recordUpstreamFailure(server) {
+  const health = getUpstreamHealth(server);
+  health.successRate -= HEALTH_EWMA_ALPHA * health.successRate;
+  health.failures++;
+  health.consecutiveFailures++;
+  if (health.consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD) {
+    health.openUntil = Date.now() + CIRCUIT_BREAKER_COOLDOWN_MS;
+  }
+}
+
+function isUpstreamAvailable(server) {
+  return getUpstreamHealth(server).openUntil <= Date.now();
+}
+
+// 自适应超时：EWMA 延迟 + 4 倍抖动 (与 TCP RTO 算法相同)，没有样本时使用 TIMEOUT_MS
+function getUpstreamTimeout(server) {
+  const health = getUpstreamHealth(server);
+  if (health.latency === null) return TIMEOUT_MS;
+  const timeout = health.latency + 4 * health.deviation;
+  return Math.round(Math.max(UPSTREAM_TIMEOUT_MIN_MS, Math.min(timeout, UPSTREAM_TIMEOUT_MAX_MS)));
+}
+
+// 评分越低越好：延迟按成功率放大，没有样本的上游按 TIMEOUT_MS 的一半估计
+function getUpstreamScore(server) {
+  const health = getUpstreamHealth(server);
+  const latency = health.latency === null ? TIMEOUT_MS / 2 : health.latency;
+  return latency / Math.max(health.successRate, 0.05);
+}
+
+// 熔断中的上游排在最后，仅在其余上游都失败时尝试
+function orderByAvailability(servers) {
+  return [...servers.filter(isUpstreamAvailable), ...servers.filter((server) => !isUpstreamAvailable(server))];
+}
+
+function rankUpstreams(servers) {
+  return orderByAvailability([...servers].sort((a, b) => getUpstreamScore(a) - getUpstreamScore(b)));
+}
+
+// 按 1/评分 加权随机排序 (不放回抽样)
+function weightedOrder(servers) {
+  const pool = servers.filter(isUpstreamAvailable);
+  const ordered = [];
+  while (pool.length) {
+    const weights = pool.map((server) => 1 / getUpstreamScore(server));
+    let pick = Math.random() * weights.reduce((acc, weight) => acc + weight, 0);
+    let index = 0;
+    while (index < pool.length - 1 && (pick -= weights[index]) > 0) index++;
+    ordered.push(pool.splice(index, 1)[0]);
+  }
+  return [...ordered, ...servers.filter((server) => !isUpstreamAvailable(server))];
+}
+
+// 按策略请求上游，fetchOne(server) 成功时返回结果、失败时抛出异常；全部失败返回 null
+// race: 并发请求所有可用上游 / failover: 按配置顺序 / fastest: 按评分顺序
+// weighted: 按评分加权随机顺序 / hedged: 先请求评分最好的，HEDGE_DELAY_MS 内未返回再请求下一个
+async function fetchWithStrategy(servers, strategy, fetchOne) {
+  if (strategy === "race") {
+    const available = servers.filter(isUpstreamAvailable);
+    return await Promise.any((available.length ? available : servers).map(fetchOne)).catch(() => null);
+  }
+  if (strategy === "hedged") return await hedgedFetch(rankUpstreams(servers), fetchOne);
+
+  const ordered = strategy === "fastest" ? rankUpstreams(servers)
+    : strategy === "weighted" ? weightedOrder(servers)
+    : orderByAvailability(servers);
+  for (const server of ordered) {
+    try {
+      return await fetchOne(server);
+    } catch (error) {
+      // 继续尝试下一个上游
+    }
+  }
+  return null;
+}
+
+function hedgedFetch(servers, fetchOne) {
+  return new Promise((resolve) => {
+    let index = 0;
+    let pending = 0;
+    let done = false;
+    let timer = null;
+
+    const launchNext = () => {
+      clearTimeout(timer);
+      if (done) return;
+      if (index >= servers.length) {
+        if (pending === 0) {
+          done = true;
+          resolve(null);
+        }
+        return;
+      }
+      pending++;
+      fetchOne(servers[index++]).then(
+        (result) => {
+          pending--;
+          if (done) return;
+          done = true;
+          clearTimeout(timer);
+          resolve(result);
+        },
+        () => {
+          pending--;
+          launchNext(); // 失败时立即请求下一个
+        }
+      );
+      timer = setTimeout(launchNext, HEDGE_DELAY_MS);
+    };
+
+    launchNext();
+  });
+}
+
+// 按查询域名和类型匹配分流规则，查询无法解析时使用默认上游
+function selectUpstreamRoute(query) {
+  const question = UPSTREAM_ROUTES.length && query ? parseQuestion(query) : null;
+  if (question) {
+    for (const route of UPSTREAM_ROUTES) {
+      if (route.types && !route.types.some((type) => toTypeCode(type) === question.type)) continue;
+      if (route.domains.some((pattern) => matchesDomainPattern(question.name, pattern))) {
+        return { servers: route.servers, strategy: route.strategy || DEFAULT_UPSTREAM_STRATEGY };
+      }
+    }
+  }
+  return { servers: UPSTREAM_DOH_SERVERS, strategy: DEFAULT_UPSTREAM_STRATEGY };
+}
+
+// 类型名称与 源码.js 的 DNS_TYPES 相同，分流规则等配置中的类型在两个 Worker 中含义一致
+const DNS_TYPE_CODES = {
+  A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, SRV: 33, NAPTR: 35,
+  DNAME: 39, OPT: 41, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48, NSEC3: 50, NSEC3PARAM: 51,
+  SVCB: 64, HTTPS: 65, ANY: 255, CAA: 257,
+};
+const DNS_TYPE_NAMES = Object.fromEntries(Object.entries(DNS_TYPE_CODES).map(([name, code]) => [code, name]));
+
+// 记录类型名称或数字 (含 TYPE123 写法) 转为类型码
+function toTypeCode(type) {
+  if (typeof type === "number") return type > 0 && type <= 0xffff ? type : 0;
+  const upper = String(type).toUpperCase();
+  if (DNS_TYPE_CODES[upper]) return DNS_TYPE_CODES[upper];
+  const code = parseInt(upper.startsWith("TYPE") ? upper.slice(4) : upper, 10);
+  return code > 0 && code <= 0xffff ? code : 0;
+}
+
+function toTypeName(code) {
+  return DNS_TYPE_NAMES[code] || code;
+}
+
+// 读取第一个问题的域名 (小写) 与类型
+function parseQuestion(query) {
+  if (query.length < 12 || ((query[4] << 8) | query[5]) === 0) return null;
+  const labels = [];
+  let offset = 12;
+  while (offset < query.length && query[offset] !== 0) {
+    const len = query[offset];
+    if (len > 63 || offset + 1 + len > query.length) return null;
+    labels.push(String.fromCharCode(...query.subarray(offset + 1, offset + 1 + len)).toLowerCase());
+    offset += len + 1;
+  }
+  if (offset + 5 > query.length) return null;
+  return {
+    name: labels.join("."),
+    type: (query[offset + 1] << 8) | query[offset + 2],
+    class: (query[offset + 3] << 8) | query[offset + 4],
+  };
+}
+
+// "example.com" 匹配自身及子域名，"*.example.com" 仅匹配子域名，"*" 或 "." 匹配全部
+function matchesDomainPattern(name, pattern) {
+  let suffix = pattern.toLowerCase().replace(/\.+$/, "");
+  if (suffix === "*" || suffix === "") return true;
+  if (suffix.startsWith("*.")) {
+    suffix = suffix.slice(2);
+    return name.endsWith("." + suffix);
+  }
+  return name === suffix || name.endsWith("." + suffix);
+}
+
+// 按 ECS_POLICY 处理查询中的 EDNS Client Subnet 选项，无需改写或报文不合法时原样返回
+function applyEcsPolicy(query, clientIp) {
+  if (ECS_POLICY !== "strip" && ECS_POLICY !== "inject") return query;
+
+  const view = new DataView(query.buffer, query.byteOffset, query.byteLength);
+  const opt = findOptRecord(query);
+  if (opt === false) return query;
+
+  // 收集 OPT 中除 ECS (code 8) 外的选项
+  const options = [];
+  let hasEcs = false;
+  if (opt) {
+    for (let pos = opt.rdStart; pos + 4 <= opt.rdStart + opt.rdLen; ) {
+      const optLen = view.getUint16(pos + 2);
+      if (view.getUint16(pos) === 8) hasEcs = true;
+      else options.push(query.subarray(pos, pos + 4 + optLen));
+      pos += 4 + optLen;
+    }
+  }
+
+  if (ECS_POLICY === "strip" && !hasEcs) return query;
+  if (ECS_POLICY === "inject") {
+    const ecsOption = hasEcs || !clientIp ? null : buildEcsOption(clientIp);
+    if (!ecsOption) return query;
+    options.push(ecsOption);
+  }
+
+  const optionsLen = options.reduce((acc, option) => acc + option.length, 0);
+  const parts = [];
+  if (opt) {
+    // 替换已有 OPT 的 RDATA
+    parts.push(query.subarray(0, opt.rdStart - 2), new Uint8Array([optionsLen >> 8, optionsLen & 0xff]), ...options, query.subarray(opt.rdStart + opt.rdLen));
+  } else {
+    // 新增 OPT：根域名、TYPE 41、UDP 负载 1232、TTL 0
+    parts.push(query, new Uint8Array([0, 0, 41, 0x04, 0xd0, 0, 0, 0, 0, optionsLen >> 8, optionsLen & 0xff]), ...options);
+  }
+
+  const result = concatBytes(parts);
+  if (!opt) new DataView(result.buffer).setUint16(10, view.getUint16(10) + 1); // ARCOUNT
+  return result;
+}
+
+// 根据客户端 IP 构造截断后的 ECS 选项
+function buildEcsOption(clientIp) {
+  const bytes = parseIpAddress(clientIp);
+  if (!bytes) return null;
+  const family = bytes.length === 16 ? 2 : 1;
+  const prefix = family === 2 ? ECS_IPV6_PREFIX : ECS_IPV4_PREFIX;
+
+  const address = bytes.slice(0, Math.ceil(prefix / 8));
+  if (prefix % 8) address[address.length - 1] &= (0xff << (8 - (prefix % 8))) & 0xff;
+  const dataLen = 4 + address.length;
+  return new Uint8Array([0, 8, dataLen >> 8, dataLen & 0xff, 0, family, prefix, 0, ...address]);
+}
+
+// ECS 选项转为 "地址/前缀长度" (JSON API 的 edns_client_subnet 参数)，没有 ECS 或格式不支持时返回 null
+function formatEcsSubnet(query, opt) {
+  const view = new DataView(query.buffer, query.byteOffset, query.byteLength);
+  for (let pos = opt.rdStart; pos + 4 <= opt.rdStart + opt.rdLen; pos += 4 + view.getUint16(pos + 2)) {
+    if (view.getUint16(pos) !== 8 || view.getUint16(pos + 2) < 4) continue;
+    const family = view.getUint16(pos + 4);
+    const prefix = query[pos + 6];
+    const address = Array.from(query.subarray(pos + 8, pos + 4 + view.getUint16(pos + 2)));
+    if (family === 1) return `${[0, 1, 2, 3].map((i) => address[i] || 0).join(".")}/${prefix}`;
+    if (family === 2) {
+      const groups = Array.from({ length: 8 }, (_, i) => (((address[i * 2] || 0) << 8) | (address[i * 2 + 1] || 0)).toString(16));
+      return `${groups.join(":")}/${prefix}`;
+    }
+  }
+  return null;
+}
+
+// IPv4 或 IPv6 (完整/压缩形式) 地址转为 4 或 16 字节数组，格式不对时返回 null
+function parseIpAddress(text) {
+  if (text.includes(":")) {
+    const halves = text.split("::");
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(":") : [];
+    const tail = halves[1] ? halves[1].split(":") : [];
+    const fill = halves.length === 2 ? Math.max(0, 8 - head.length - tail.length) : 0;
+    const groups = [...head, ...new Array(fill).fill("0"), ...tail];
+    if (groups.length !== 8 || groups.some((g) => !/^[0-9a-fA-F]{1,4}$/.test(g))) return null;
+    return groups.flatMap((g) => [parseInt(g, 16) >> 8, parseInt(g, 16) & 0xff]);
+  }
+  const bytes = text.split(".").map(Number);
+  if (bytes.length !== 4 || bytes.some((b) => !(b >= 0 && b <= 255))) return null;
+  return bytes;
+}
+
+// JSON API 记录 { name, type, TTL, data } 编码为资源记录 (类 IN，名称不压缩)
+function encodeJsonRecord(record) {
+  const name = encodeDnsName(record.name);
+  const rdata = encodeRecordText(record.type, String(record.data));
+  const ttl = Math.max(0, Number(record.TTL) || 0);
+  const fixed = new Uint8Array(10);
+  const view = new DataView(fixed.buffer);
+  view.setUint16(0, record.type);
+  view.setUint16(2, 1);
+  view.setUint32(4, ttl);
+  view.setUint16(8, rdata.length);
+  return concatBytes([name, fixed, rdata]);
+}
+
+// presentation 格式的 RDATA 编码，支持常用类型及 RFC 3597 通用格式 (\# 长度 十六进制)，其他类型抛出异常
+function encodeRecordText(type, text) {
+  if (text.startsWith("\\#")) {
+    const hex = text.split(/\s+/).slice(2).join("");
+    if (!/^([0-9a-f]{2})*$/i.test(hex)) throw new Error(`Invalid generic record: ${text}`);
+    return new Uint8Array((hex.match(/../g) || []).map((byte) => parseInt(byte, 16)));
+  }
+  const fields = splitRecordText(text);
+  const number = (index, bytes) => {
+    const value = Number(fields[index]);
+    if (!Number.isInteger(value) || value < 0 || value >= 2 ** (bytes * 8)) throw new Error(`Invalid ${type} record: ${text}`);
+    return Array.from({ length: bytes }, (_, i) => Math.floor(value / 2 ** ((bytes - 1 - i) * 8)) & 0xff);
+  };
+  const address = (length) => {
+    const bytes = parseIpAddress(fields[0] || "");
+    if (!bytes || bytes.length !== length) throw new Error(`Invalid ${type} record: ${text}`);
+    return new Uint8Array(bytes);
+  };
+
+  switch (type) {
+    case 1: // A
+      return address(4);
+    case 28: // AAAA
+      return address(16);
+    case 2: // NS
+    case 5: // CNAME
+    case 12: // PTR
+    case 39: // DNAME
+      return encodeDnsName(fields[0]);
+    case 6: // SOA
+      return concatBytes([encodeDnsName(fields[0]), encodeDnsName(fields[1]), new Uint8Array([2, 3, 4, 5, 6].flatMap((i) => number(i, 4)))]);
+    case 15: // MX
+      return concatBytes([new Uint8Array(number(0, 2)), encodeDnsName(fields[1])]);
+    case 33: // SRV
+      return concatBytes([new Uint8Array([...number(0, 2), ...number(1, 2), ...number(2, 2)]), encodeDnsName(fields[3])]);
+    case 16: { // TXT：引号内的字符串合并 (未加引号的如 dns.google 的应答按原文)，再按 255 字节拆分
+      const bytes = new TextEncoder().encode(text.trimStart().startsWith('"') ? fields.join("") : text);
+      const strings = [];
+      for (let i = 0; i < bytes.length || i === 0; i += 255) strings.push(new Uint8Array([Math.min(255, bytes.length - i)]), bytes.subarray(i, i + 255));
+      return concatBytes(strings);
+    }
+    case 257: { // CAA
+      const tag = new TextEncoder().encode(fields[1] || "");
+      return concatBytes([new Uint8Array([...number(0, 1), tag.length]), tag, new TextEncoder().encode(fields.slice(2).join(" "))]);
+    }
+    default:
+      throw new Error(`Unsupported record type ${type} from JSON upstream`);
+  }
+}
+
+// 按空白拆分字段，引号内的空白保留，并处理 \X 与 \DDD 转义
+function splitRecordText(text) {
+  const fields = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const field = match[1] !== undefined ? match[1] : match[2];
+    fields.push(field.replace(/\\(\d{3}|.)/g, (all, escaped) => (escaped.length === 3 ? String.fromCharCode(Number(escaped)) : escaped)));
+  }
+  return fields;
+}
+
+// 域名编码为标签序列 (不压缩)，"." 与空字符串为根
+function encodeDnsName(name) {
+  const labels = String(name).replace(/\.$/, "").split(".").filter(Boolean).map((label) => new TextEncoder().encode(label));
+  if (labels.some((label) => label.length > 63)) throw new Error(`Invalid domain name: ${name}`);
+  return concatBytes([...labels.flatMap((label) => [new Uint8Array([label.length]), label]), new Uint8Array(1)]);
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((acc, part) => acc + part.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    result.set(part, pos);
+    pos += part.length;
+  }
+  return result;
+}
+
+// 遍历 Answer/Authority/Additional 中的资源记录，回调参数为类型字段偏移、RDATA 长度和所在部分 (0/1/2)
+// 报文不完整时返回 false
+function forEachRecord(message, callback) {
+  if (message.length < 12) return false;
+  const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+
+  let offset = 12;
+  for (let i = 0; i < view.getUint16(4); i++) offset = skipDnsName(message, offset) + 4;
+  for (let section = 0; section < 3; section++) {
+    const count = view.getUint16(6 + section * 2);
+    for (let i = 0; i < count; i++) {
+      const pos = skipDnsName(message, offset);
+      if (pos + 10 > message.length) return false;
+      const rdLen = view.getUint16(pos + 8);
+      if (pos + 10 + rdLen > message.length) return false;
+      callback(pos, rdLen, section);
+      offset = pos + 10 + rdLen;
+    }
+  }
+  return offset <= message.length;
+}
+
+// 定位 OPT 记录：返回 { typeOffset, rdStart, rdLen }，没有 OPT 返回 null，报文不完整返回 false
+function findOptRecord(query) {
+  const view = new DataView(query.buffer, query.byteOffset, query.byteLength);
+  let opt = null;
+  const complete = forEachRecord(query, (pos, rdLen) => {
+    if (view.getUint16(pos) === 41) opt = { typeOffset: pos, rdStart: pos + 10, rdLen };
+  });
+  return complete ? opt : false;
+}
+
+// 缓存键：问题 (小写域名、类型、类) + DO/CD 位 + ECS 选项，与消息 ID 无关
+function buildCacheKey(query) {
+  const question = parseQuestion(query);
+  const opt = findOptRecord(query);
+  if (!question || opt === false) return null;
+
+  const view = new DataView(query.buffer, query.byteOffset, query.byteLength);
+  const params = new URLSearchParams({
+    class: String(question.class),
+    do: opt && view.getUint16(opt.typeOffset + 6) & 0x8000 ? "1" : "0",
+    cd: query[3] & 0x10 ? "1" : "0",
+  });
+  if (opt) {
+    for (let pos = opt.rdStart; pos + 4 <= opt.rdStart + opt.rdLen; pos += 4 + view.getUint16(pos + 2)) {
+      if (view.getUint16(pos) !== 8) continue;
+      const ecs = query.subarray(pos + 4, pos + 4 + view.getUint16(pos + 2));
+      params.set("ecs", Array.from(ecs, (b) => b.toString(16).padStart(2, "0")).join(""));
+    }
+  }
+  return `https://dns-cache.internal/${encodeURIComponent(question.name)}/${question.type}?${params}`;
+}
+
+// 缓存 TTL：肯定应答取 Answer 最小 TTL，否定应答取 min(SOA TTL, SOA MINIMUM)，截断及其他 RCODE 不缓存
+function computeResponseTtl(response) {
+  if (response.length < 12) return 0;
+  const rcode = response[3] & 0x0f;
+  if (response[2] & 0x02 || (rcode !== 0 && rcode !== 3)) return 0;
+
+  const view = new DataView(response.buffer, response.byteOffset, response.byteLength);
+  let answerTtl = Infinity;
+  let negativeTtl = Infinity;
+  const complete = forEachRecord(response, (pos, rdLen, section) => {
+    const type = view.getUint16(pos);
+    const ttl = view.getUint32(pos + 4);
+    if (section === 0) answerTtl = Math.min(answerTtl, ttl);
+    // SOA 的 MINIMUM 为 RDATA 最后 4 字节
+    if (section === 1 && type === 6 && rdLen >= 20) negativeTtl = Math.min(ttl, view.getUint32(pos + 10 + rdLen - 4));
+  });
+  if (!complete) return 0;
+
+  const ttl = rcode === 0 && answerTtl !== Infinity ? answerTtl : negativeTtl;
+  if (ttl === Infinity) return NEGATIVE_CACHE_TTL_SECONDS;
+  return Math.max(MIN_CACHE_TTL_SECONDS, Math.min(ttl, CACHE_TTL_SECONDS));
+}
+
+// 缓存命中时改写响应：ID 与问题取自当前查询，记录 TTL 按缓存时长递减 (过期缓存统一为 STALE_ANSWER_TTL_SECONDS)
+// cacheTtl 为缓存条目的有效期，低于它的记录 (受 MIN_CACHE_TTL_SECONDS 抬高) 按有效期递减，避免返回 TTL 为 0 的应答
+function rewriteCachedResponse(cached, query, age, cacheTtl, stale) {
+  const response = cached.slice();
+  const view = new DataView(response.buffer);
+  response.set(query.subarray(0, 2), 0);
+
+  // 问题部分长度一致时 (仅大小写不同) 回显客户端的问题
+  const questionEnd = skipDnsName(response, 12) + 4;
+  if (skipDnsName(query, 12) + 4 === questionEnd) response.set(query.subarray(12, questionEnd), 12);
+
+  forEachRecord(response, (pos) => {
+    if (view.getUint16(pos) === 41) return;
+    const ttl = view.getUint32(pos + 4);
+    view.setUint32(pos + 4, stale ? Math.min(ttl, STALE_ANSWER_TTL_SECONDS) : Math.max(ttl, cacheTtl) - age);
+  });
+  return response;
+}
+
+function skipDnsName(query, offset) {
+  while (offset < query.length) {
+    const len = query[offset];
+    if (len === 0) return offset + 1;
+    if ((len & 0xc0) === 0xc0) return offset + 2; // 指针
+    offset += len + 1;
+  }
+  return offset;
+}
+
+// Base64URL 编解码 (RFC 8484 GET 的 dns 参数)
+function base64UrlToBytes(text) {
+  try {
+    const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const str = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+    const bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i);
+    return bytes;
+  } catch (error) {
+    return null;
+  }
+}
+
+function bytesToBase64Url(bytes) {
+  let str = "";
+  for (const byte of bytes) str += String.fromCharCode(byte);
+  return btoa(str).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
 }
@@ -0,0 +1,71 @@
+// 源码.js 与 dns-proxy.js 共有的配置项：同一份配置在两个 Worker 中应同样接受或拒绝，且日志中的错误信息一致
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, reply } from "./helpers/mock-upstream.mjs";
+import { encodeQuery } from "./helpers/dns.mjs";
+
+const UPSTREAM = "https://upstream.test/dns-query";
+const ENV = { UPSTREAM_DOH_SERVERS: UPSTREAM, ECS_FROM_CLIENT_IP: "false" };
+
+// 返回 /dns-query 的状态码与 console.error 输出的配置错误 (每行一条)
+async function loadWith(file, env) {
+  const errors = [];
+  const logger = { ...console, error: (message) => errors.push(...String(message).split("\n").slice(1).map((line) => line.trim())) };
+  const upstream = createMockUpstream().script(UPSTREAM, reply());
+  const { worker } = loadWorker(file, { fetch: upstream.fetch, caches: createCaches(), globals: { console: logger } });
+  const context = createExecutionContext();
+  const request = new Request("https://doh.test/dns-query", {
+    method: "POST",
+    headers: { "content-type": "application/dns-message" },
+    body: encodeQuery("example.com", "A"),
+  });
+  const response = await worker.fetch(request, { ...ENV, ...env }, context);
+  await context.settle();
+  return { status: response.status, errors };
+}
+
+const route = (extra) => JSON.stringify([{ domains: ["example.com"], servers: [UPSTREAM], ...extra }]);
+const tokens = (policy) => JSON.stringify({ app: { token: "secret", ...policy } });
+
+const VALID = {
+  "route types outside the common set": { UPSTREAM_ROUTES: route({ types: ["DNSKEY", "TYPE99", "nsec3"] }) },
+  "every transport": { UPSTREAM_DOH_SERVERS: `${UPSTREAM},get+${UPSTREAM},json+https://upstream.test/resolve,tcp://192.0.2.53,tls://dns.test:853` },
+  "token policies written for 源码.js": { AUTH_TOKENS: tokens({ endpoints: ["/resolve", "/dns-query"], serverOverride: false, rateLimit: 10 }) },
+  "numeric prefetch types": { PREFETCH_DOMAINS: "example.com", PREFETCH_TYPES: "TYPE99 https 65" },
+};
+
+const INVALID = {
+  "unknown route types": { UPSTREAM_ROUTES: route({ types: ["BOGUS"] }) },
+  "unsupported upstream schemes": { UPSTREAM_DOH_SERVERS: "udp://192.0.2.53" },
+  "unknown token endpoints": { AUTH_TOKENS: tokens({ endpoints: ["/admin"] }) },
+  "a non-boolean serverOverride": { AUTH_TOKENS: tokens({ serverOverride: "yes" }) },
+  "a non-string blocklistProfile": { AUTH_TOKENS: tokens({ blocklistProfile: 1 }) },
+  "a negative rate limit": { AUTH_TOKENS: tokens({ rateLimit: -1 }) },
+  "empty domain labels": { PREFETCH_DOMAINS: "example..com" },
+  "labels over 63 bytes": { PREFETCH_DOMAINS: `${"a".repeat(64)}.com` },
+  "unknown prefetch types": { PREFETCH_TYPES: "A FOO" },
+};
+
+describe("shared configuration", () => {
+  for (const [name, env] of Object.entries(VALID)) {
+    test(`both workers accept ${name}`, async () => {
+      for (const file of ["源码.js", "dns-proxy.js"]) {
+        const { status, errors } = await loadWith(file, env);
+        assert.deepEqual(errors, [], file);
+        assert.equal(status, 200, file);
+      }
+    });
+  }
+
+  for (const [name, env] of Object.entries(INVALID)) {
+    test(`both workers reject ${name} with the same message`, async () => {
+      const source = await loadWith("源码.js", env);
+      const proxy = await loadWith("dns-proxy.js", env);
+      assert.equal(source.status, 500);
+      assert.equal(proxy.status, 500);
+      assert.equal(source.errors.length, 1);
+      assert.deepEqual(proxy.errors, source.errors);
+    });
+  }
+});
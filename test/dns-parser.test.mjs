@@ -0,0 +1,128 @@
+// 报文解析：域名 (压缩指针、指针循环)、IPv6 格式化、截断报文，以及 fixtures/responses.json 中的应答
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { loadWorker, ROOT } from "./helpers/load-worker.mjs";
+import { encodeName, encodeQuery, encodeResponse, hexToBytes } from "./helpers/dns.mjs";
+
+const worker = loadWorker("源码.js", {
+  internals: ["parseDnsName", "parseIPv6", "parseDnsMessage", "parseDnsAnswer", "formatRecordData", "toFqdn"],
+});
+const fixtures = JSON.parse(fs.readFileSync(`${ROOT}/test/fixtures/responses.json`, "utf8"));
+
+describe("parseDnsName", () => {
+  test("reads uncompressed names", () => {
+    const bytes = Uint8Array.from([0, ...encodeName("www.example.com"), 0xff]);
+    assert.deepEqual({ ...worker.parseDnsName(bytes, 1) }, { name: "www.example.com", nextOffset: 18 });
+  });
+
+  test("follows compression pointers and continues after the first pointer", () => {
+    // 0: example.com  13: www + 指向 0 的指针
+    const bytes = Uint8Array.from([...encodeName("example.com"), 3, 0x77, 0x77, 0x77, 0xc0, 0x00, 0xaa]);
+    assert.deepEqual({ ...worker.parseDnsName(bytes, 13) }, { name: "www.example.com", nextOffset: 19 });
+  });
+
+  test("reads the root name", () => {
+    assert.deepEqual({ ...worker.parseDnsName(Uint8Array.from([0]), 0) }, { name: "", nextOffset: 1 });
+  });
+
+  test("rejects a pointer to itself", () => {
+    assert.equal(worker.parseDnsName(Uint8Array.from([0xc0, 0x00]), 0), null);
+  });
+
+  test("rejects pointer loops between two names", () => {
+    // 0: a + 指向 4 的指针，4: b + 指向 0 的指针
+    const bytes = Uint8Array.from([1, 0x61, 0xc0, 0x04, 1, 0x62, 0xc0, 0x00]);
+    assert.equal(worker.parseDnsName(bytes, 4), null);
+    assert.equal(worker.parseDnsName(bytes, 0), null);
+  });
+
+  test("rejects forward pointers and pointers past the end", () => {
+    assert.equal(worker.parseDnsName(Uint8Array.from([0xc0, 0x02, 0]), 0), null);
+    assert.equal(worker.parseDnsName(Uint8Array.from([0, 0xc0, 0x40]), 1), null);
+    assert.equal(worker.parseDnsName(Uint8Array.from([0, 0xc0]), 1), null);
+  });
+
+  test("rejects truncated labels, reserved label types and names over 255 bytes", () => {
+    assert.equal(worker.parseDnsName(Uint8Array.from([5, 0x61, 0x62]), 0), null);
+    assert.equal(worker.parseDnsName(Uint8Array.from([3, 0x61, 0x62, 0x63]), 0), null);
+    assert.equal(worker.parseDnsName(Uint8Array.from([0x41, 0]), 0), null);
+    const long = Uint8Array.from(encodeName(Array(5).fill("a".repeat(63)).join(".")));
+    assert.equal(worker.parseDnsName(long, 0), null);
+  });
+
+  test("escapes dots inside labels", () => {
+    const bytes = Uint8Array.from([3, 0x61, 0x2e, 0x62, 3, 0x63, 0x6f, 0x6d, 0]);
+    assert.equal(worker.parseDnsName(bytes, 0).name, "a\\.b.com");
+  });
+});
+
+describe("parseIPv6", () => {
+  const format = (groups) => worker.parseIPv6(Uint8Array.from(groups.flatMap((group) => [group >> 8, group & 0xff])), 0);
+
+  test("compresses the longest run of zero groups", () => {
+    assert.equal(format([0x2001, 0xdb8, 0, 0, 1, 0, 0, 0]), "2001:db8:0:0:1::");
+    assert.equal(format([0x2001, 0xdb8, 0, 0, 0, 1, 0, 0]), "2001:db8::1:0:0");
+  });
+
+  test("does not compress a single zero group", () => {
+    assert.equal(format([0x2001, 0xdb8, 0, 1, 1, 1, 1, 1]), "2001:db8:0:1:1:1:1:1");
+  });
+
+  test("formats all-zero, loopback and leading-zero addresses", () => {
+    assert.equal(format([0, 0, 0, 0, 0, 0, 0, 0]), "::");
+    assert.equal(format([0, 0, 0, 0, 0, 0, 0, 1]), "::1");
+    assert.equal(format([0xfe80, 0, 0, 0, 0, 0, 0, 0]), "fe80::");
+    assert.equal(format([0x2001, 0x0db8, 0x00a0, 0, 0, 0, 0, 0x000f]), "2001:db8:a0::f");
+  });
+});
+
+describe("parseDnsMessage", () => {
+  const query = encodeQuery("example.com", "A");
+  const response = encodeResponse(query, { answers: [{ type: "A", data: "192.0.2.1" }, { type: "A", data: "192.0.2.2" }] });
+
+  test("parses header flags and sections", () => {
+    const message = worker.parseDnsMessage(response);
+    assert.equal(message.id, 0x1234);
+    assert.equal(message.flags.qr, true);
+    assert.equal(message.flags.rd, true);
+    assert.deepEqual(Array.from(message.answers, (answer) => answer.data), ["192.0.2.1", "192.0.2.2"]);
+  });
+
+  test("returns null for every truncated prefix", () => {
+    for (let length = 0; length < response.length; length++) {
+      assert.equal(worker.parseDnsMessage(response.slice(0, length)), null, `length ${length}`);
+    }
+  });
+
+  test("returns null when a record name is a pointer loop", () => {
+    const looped = response.slice();
+    const recordOffset = 12 + encodeName("example.com").length + 4;
+    looped[recordOffset + 1] = recordOffset;
+    assert.equal(worker.parseDnsMessage(looped), null);
+  });
+
+  test("parseDnsAnswer rejects RDATA longer than the message", () => {
+    const recordOffset = 12 + encodeName("example.com").length + 4;
+    const broken = response.slice();
+    broken[recordOffset + 11] = 0x40;
+    assert.equal(worker.parseDnsAnswer(broken, recordOffset), null);
+    assert.equal(worker.parseDnsAnswer(response, recordOffset).data, "192.0.2.1");
+  });
+});
+
+// 录制格式的应答：expected 为 dig 风格的记录文本
+describe("golden responses", () => {
+  const present = (records) => Array.from(records, (rr) => `${worker.toFqdn(rr.name)} ${rr.ttl} ${rr.type} ${worker.formatRecordData(rr)}`);
+
+  for (const fixture of fixtures) {
+    test(`${fixture.question}: ${fixture.description}`, () => {
+      const message = worker.parseDnsMessage(hexToBytes(fixture.response));
+      assert.ok(message, "response should parse");
+      assert.equal(message.rcode, fixture.expected.rcode);
+      assert.equal(`${worker.toFqdn(message.questions[0].name).slice(0, -1)} ${message.questions[0].type}`, fixture.question);
+      assert.deepEqual(present(message.answers), fixture.expected.answers);
+      if (fixture.expected.authorities) assert.deepEqual(present(message.authorities), fixture.expected.authorities);
+    });
+  }
+});
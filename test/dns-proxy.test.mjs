@@ -0,0 +1,204 @@
+// dns-proxy.js：按客户端方法转发、切换上游、缓存；应答须与查询匹配，否则视为该上游失败
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createClock, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, createMockSockets, jsonReply, reply, raw, delay, hang, fail, networkError, malformed, truncated } from "./helpers/mock-upstream.mjs";
+import { encodeQuery, encodeResponse, readHeader, readAnswers, readQuestion, bytesToBase64Url } from "./helpers/dns.mjs";
+
+const PRIMARY = "https://primary.test/dns-query";
+const SECONDARY = "https://secondary.test/dns-query";
+const ENV = {
+  UPSTREAM_DOH_SERVERS: `${PRIMARY},${SECONDARY}`,
+  DEFAULT_UPSTREAM_STRATEGY: "failover",
+  TIMEOUT_MS: "100",
+  UPSTREAM_TIMEOUT_MIN_MS: "50",
+  UPSTREAM_TIMEOUT_MAX_MS: "200",
+};
+
+function setup(primary, secondary = reply(), env = {}) {
+  const upstream = createMockUpstream().script(PRIMARY, ...[primary].flat()).script(SECONDARY, ...[secondary].flat());
+  const sockets = createMockSockets();
+  const caches = createCaches();
+  const clock = createClock();
+  const { worker } = loadWorker("dns-proxy.js", { fetch: upstream.fetch, connect: sockets.connect, caches, globals: { Date: clock.Date } });
+  const context = createExecutionContext();
+  const send = async (path, init) => {
+    const response = await worker.fetch(new Request(`https://doh.test${path}`, init), { ...ENV, ...env }, context);
+    await context.settle();
+    return { response, body: new Uint8Array(await response.arrayBuffer()) };
+  };
+  const post = (query) => send("/dns-query", { method: "POST", headers: { "content-type": "application/dns-message" }, body: query });
+  return { upstream, sockets, caches, clock, send, post };
+}
+
+describe("dns-proxy forwarding", () => {
+  test("forwards POST queries and returns the upstream answer", async () => {
+    const { upstream, post } = setup(reply());
+    const { response, body } = await post(encodeQuery("example.com", "A", { id: 0x4242 }));
+    assert.equal(response.status, 200);
+    assert.equal(readHeader(body).id, 0x4242);
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 300, data: [192, 0, 2, 1] }]);
+    assert.equal(upstream.requests[0].method, "POST");
+  });
+
+  test("forwards GET queries as GET with a zero ID and restores the client's ID", async () => {
+    const { upstream, send } = setup(reply());
+    const { body } = await send(`/dns-query?dns=${bytesToBase64Url(encodeQuery("example.com", "A", { id: 0x0102 }))}`);
+    assert.equal(readHeader(body).id, 0x0102);
+    assert.equal(upstream.requests[0].method, "GET");
+    assert.equal(readHeader(upstream.requests[0].query).id, 0);
+    assert.equal(readQuestion(upstream.requests[0].query).name, "example.com");
+  });
+
+  test("uses GET for get+https upstreams regardless of the client's method", async () => {
+    const { upstream, post } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: `get+${PRIMARY}` });
+    const { body } = await post(encodeQuery("example.com", "A", { id: 9 }));
+    assert.equal(readHeader(body).id, 9);
+    assert.equal(upstream.requests[0].method, "GET");
+  });
+
+  const failovers = {
+    "a slow upstream that exceeds the timeout": delay(1000),
+    "an upstream that never answers": hang(),
+    "an HTTP error": fail(503),
+    "a network error": networkError(),
+    "a reply that is not a DNS message": malformed(),
+    "a truncated reply": truncated(30),
+    "a query echoed back": raw(encodeQuery("example.com", "A")),
+    "a reply to another question": raw(encodeResponse(encodeQuery("other.example", "A"), { answers: [{ type: "A", data: "192.0.2.9" }] })),
+  };
+  for (const [name, behavior] of Object.entries(failovers)) {
+    test(`fails over to the next upstream on ${name}`, async () => {
+      const { upstream, caches, post } = setup(behavior);
+      const { body } = await post(encodeQuery("example.com", "A"));
+      assert.equal(readHeader(body).ancount, 1);
+      assert.deepEqual(readAnswers(body)[0].data, [192, 0, 2, 1]);
+      assert.equal(upstream.requestsTo(SECONDARY).length, 1);
+      assert.equal(caches.store.size, 1);
+    });
+  }
+
+  test("accepts error replies without a question section", async () => {
+    const { upstream, post } = setup(raw([0, 0, 0x81, 0x82, 0, 0, 0, 0, 0, 0, 0, 0]));
+    const { body } = await post(encodeQuery("example.com", "A", { id: 3 }));
+    assert.deepEqual(readHeader(body), { id: 3, qr: true, ad: false, rcode: 2, qdcount: 0, ancount: 0 });
+    assert.equal(upstream.requestsTo(SECONDARY).length, 0);
+  });
+
+  test("answers SERVFAIL when every upstream fails", async () => {
+    const { response, body } = await setup(fail(), networkError()).post(encodeQuery("example.com", "A", { id: 5 }));
+    assert.equal(response.headers.get("cache-control"), "no-store");
+    assert.deepEqual(readHeader(body), { id: 5, qr: true, ad: false, rcode: 2, qdcount: 1, ancount: 0 });
+  });
+});
+
+describe("dns-proxy cache", () => {
+  test("serves repeated questions from the cache with decremented TTLs", async () => {
+    const { upstream, clock, post } = setup(reply());
+    await post(encodeQuery("example.com", "A", { id: 1 }));
+    clock.advance(100);
+    const { body } = await post(encodeQuery("example.com", "A", { id: 2 }));
+    assert.equal(readHeader(body).id, 2);
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 200, data: [192, 0, 2, 1] }]);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test("keeps record TTLs at MIN_CACHE_TTL_SECONDS while the entry is cached", async () => {
+    const short = reply(() => ({ answers: [{ type: "A", ttl: 5, data: "192.0.2.1" }] }));
+    const { upstream, clock, post } = setup(short, reply(), { MIN_CACHE_TTL_SECONDS: "60" });
+    await post(encodeQuery("example.com", "A"));
+    clock.advance(10);
+    const { body } = await post(encodeQuery("example.com", "A"));
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 50, data: [192, 0, 2, 1] }]);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test("serves a stale answer when every upstream fails after expiry", async () => {
+    const { upstream, clock, post } = setup(reply(), fail());
+    await post(encodeQuery("example.com", "A"));
+    upstream.script(PRIMARY, fail());
+    clock.advance(3600);
+    const { body } = await post(encodeQuery("example.com", "A"));
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 30, data: [192, 0, 2, 1] }]);
+  });
+});
+
+describe("dns-proxy upstream transports", () => {
+  test("sends tcp:// queries with a length prefix to port 53", async () => {
+    const { sockets, upstream, post } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: "tcp://dns.test" });
+    sockets.script("dns.test:53", reply());
+    const { body } = await post(encodeQuery("example.com", "A", { id: 0x0a0b }));
+    assert.equal(readHeader(body).id, 0x0a0b);
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 300, data: [192, 0, 2, 1] }]);
+    assert.equal(sockets.connections[0].secureTransport, "off");
+    assert.equal(readQuestion(sockets.connections[0].query).name, "example.com");
+    assert.equal(sockets.connections[0].closed, true);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  test("uses TLS on port 853 or the given port for tls:// upstreams", async () => {
+    const { sockets, post } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: "tls://dns.test,tls://[2001:db8::53]:8853" });
+    sockets.script("dns.test:853", networkError()).script("2001:db8::53:8853", reply());
+    const { body } = await post(encodeQuery("example.com", "A"));
+    assert.equal(readHeader(body).ancount, 1);
+    assert.deepEqual(sockets.connections.map((connection) => [connection.address, connection.secureTransport]),
+      [["dns.test:853", "on"], ["2001:db8::53:8853", "on"]]);
+  });
+
+  for (const [name, behavior] of Object.entries({ "closes without a response": networkError(), "never answers": hang() })) {
+    test(`fails over when the connection ${name}`, async () => {
+      const { sockets, upstream, post } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: `tcp://dns.test,${SECONDARY}` });
+      sockets.script("dns.test:53", behavior);
+      const { body } = await post(encodeQuery("example.com", "A"));
+      assert.equal(readHeader(body).ancount, 1);
+      assert.equal(upstream.requestsTo(SECONDARY).length, 1);
+      assert.equal(sockets.connections[0].closed, true);
+    });
+  }
+
+  test("translates json+https:// answers to wire format", async () => {
+    const JSON_API = "https://json.test/resolve";
+    const { upstream, post } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: `json+${JSON_API}` });
+    upstream.script(JSON_API, jsonReply((params) => ({
+      Status: 0, RD: true, RA: true, AD: params.do === "1",
+      Answer: [
+        { name: "www.example.com.", type: 5, TTL: 120, data: "example.com." },
+        { name: "example.com.", type: 1, TTL: 60, data: "192.0.2.7" },
+        { name: "example.com.", type: 16, TTL: 60, data: "v=spf1 -all" },
+        { name: "example.com.", type: 16, TTL: 60, data: "\"a b\" \"c\"" },
+      ],
+    })));
+    const { body } = await post(encodeQuery("www.example.com", "A", { id: 77, dnssecOk: true }));
+    const params = new URL(upstream.requests[0].url).searchParams;
+    assert.deepEqual([params.get("name"), params.get("type"), params.get("do"), params.get("cd")], ["www.example.com", "1", "1", null]);
+    assert.deepEqual(readHeader(body), { id: 77, qr: true, ad: true, rcode: 0, qdcount: 1, ancount: 4 });
+    assert.deepEqual(readAnswers(body), [
+      { type: 5, ttl: 120, data: [7, ...Buffer.from("example"), 3, ...Buffer.from("com"), 0] },
+      { type: 1, ttl: 60, data: [192, 0, 2, 7] },
+      { type: 16, ttl: 60, data: [11, ...Buffer.from("v=spf1 -all")] },
+      { type: 16, ttl: 60, data: [4, ...Buffer.from("a bc")] },
+    ]);
+  });
+
+  test("passes the JSON status through and fails over on records it cannot encode", async () => {
+    const JSON_API = "https://json.test/resolve";
+    const { upstream, post } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: `json+${JSON_API},${SECONDARY}` });
+    upstream.script(JSON_API, jsonReply(() => ({ Status: 3, Authority: [] })));
+    assert.equal(readHeader((await post(encodeQuery("missing.example", "A"))).body).rcode, 3);
+
+    upstream.script(JSON_API, jsonReply(() => ({ Status: 0, Answer: [{ name: "example.com.", type: 99, TTL: 60, data: "unknown" }] })));
+    const { body } = await post(encodeQuery("example.com", "A"));
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 300, data: [192, 0, 2, 1] }]);
+    assert.equal(upstream.requestsTo(SECONDARY).length, 1);
+  });
+});
+
+describe("dns-proxy invalid configuration", () => {
+  test("answers 500 without echoing the validation errors", async () => {
+    const { upstream, post } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: "ftp://secret-upstream.internal" });
+    const { response, body } = await post(encodeQuery("example.com", "A"));
+    assert.equal(response.status, 500);
+    assert.deepEqual(JSON.parse(new TextDecoder().decode(body)), { error: "Invalid configuration" });
+    assert.equal(upstream.requests.length, 0);
+  });
+});
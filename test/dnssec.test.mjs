@@ -0,0 +1,128 @@
+// 源码.js 的 DNSSEC 验证：模拟上游返回签名的测试区域，覆盖 secure / insecure / bogus 及 /dns-query 的 AD 位
+import { describe, test, before } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, reply } from "./helpers/mock-upstream.mjs";
+import { createSignedZones, rdata } from "./helpers/dnssec-zones.mjs";
+import { encodeQuery, readHeader, readAnswers, TYPES } from "./helpers/dns.mjs";
+
+const UPSTREAM = "https://upstream.test/dns-query";
+
+// test 为信任锚区域；secure.test 签名，insecure.test 未签名 (上级以 NSEC 证明没有 DS)
+let zones;
+before(async () => {
+  zones = await createSignedZones([
+    { name: "test", signed: true, records: [] },
+    { name: "secure.test", signed: true, records: [
+      { name: "www.secure.test", type: "A", data: rdata.a("192.0.2.1") },
+      { name: "bad.secure.test", type: "A", data: rdata.a("192.0.2.66") },
+      { name: "www2.secure.test", type: "A", data: rdata.a("192.0.2.2") },
+    ] },
+    { name: "insecure.test", signed: false, records: [
+      { name: "www.insecure.test", type: "A", data: rdata.a("192.0.2.9") },
+    ] },
+  ], { corrupt: ["bad.secure.test/A"] });
+});
+
+// tamper(question, result) 可改写模拟上游的应答
+function setup(env = {}, tamper = (question, result) => result) {
+  const upstream = createMockUpstream().script(UPSTREAM, reply((question) => tamper(question, zones.lookup(question.name, question.type))));
+  const { worker } = loadWorker("源码.js", { fetch: upstream.fetch, caches: createCaches() });
+  const context = createExecutionContext();
+  env = {
+    UPSTREAM_DOH_SERVERS: UPSTREAM,
+    ECS_FROM_CLIENT_IP: "false",
+    DNSSEC_VALIDATION: "true",
+    DNSSEC_TRUST_ANCHORS: zones.trustAnchor,
+    ...env,
+  };
+  const send = async (path, init) => {
+    const response = await worker.fetch(new Request(`https://doh.test${path}`, init), env, context);
+    await context.settle();
+    return response;
+  };
+  const dnsQuery = async (query) => {
+    const response = await send("/dns-query", { method: "POST", headers: { "content-type": "application/dns-message" }, body: query });
+    return new Uint8Array(await response.arrayBuffer());
+  };
+  const resolve = async (name, type = "A") => (await send(`/resolve?name=${name}&type=${type}`)).json();
+  return { upstream, dnsQuery, resolve };
+}
+
+const answerTypes = (body) => readAnswers(body).map((answer) => answer.type);
+
+describe("DNSSEC validation", () => {
+  test("marks a signed answer secure and sets AD on /dns-query", async () => {
+    const { dnsQuery, resolve } = setup();
+    const body = await dnsQuery(encodeQuery("www.secure.test", "A"));
+    assert.deepEqual(readHeader(body), { id: 0x1234, qr: true, ad: true, rcode: 0, qdcount: 1, ancount: 1 });
+    assert.deepEqual(readAnswers(body)[0].data, [192, 0, 2, 1]);
+
+    const result = await resolve("www.secure.test");
+    assert.equal(result.dnssec, "secure");
+    assert.deepEqual(result.answers.map((answer) => answer.dnssec), ["secure"]);
+  });
+
+  test("keeps RRSIG records only for clients that set DO", async () => {
+    const { dnsQuery } = setup();
+    assert.deepEqual(answerTypes(await dnsQuery(encodeQuery("www.secure.test", "A", { edns: true }))), [TYPES.A]);
+    assert.deepEqual(answerTypes(await dnsQuery(encodeQuery("www.secure.test", "A", { dnssecOk: true }))), [TYPES.A, TYPES.RRSIG]);
+  });
+
+  test("proves NXDOMAIN with NSEC records", async () => {
+    const { dnsQuery, resolve } = setup();
+    const header = readHeader(await dnsQuery(encodeQuery("missing.secure.test", "A")));
+    assert.equal(header.rcode, 3);
+    assert.equal(header.ad, true);
+    assert.equal((await resolve("missing.secure.test")).dnssec, "secure");
+  });
+
+  test("treats an unsigned delegation as insecure without AD", async () => {
+    const { dnsQuery, resolve } = setup();
+    const body = await dnsQuery(encodeQuery("www.insecure.test", "A"));
+    assert.equal(readHeader(body).ad, false);
+    assert.deepEqual(readAnswers(body)[0].data, [192, 0, 2, 9]);
+    assert.equal((await resolve("www.insecure.test")).dnssec, "insecure");
+  });
+
+  test("answers SERVFAIL for a bad signature unless the client sets CD", async () => {
+    const { dnsQuery, resolve } = setup();
+    assert.deepEqual(readHeader(await dnsQuery(encodeQuery("bad.secure.test", "A"))), { id: 0x1234, qr: true, ad: false, rcode: 2, qdcount: 1, ancount: 0 });
+    assert.equal((await resolve("bad.secure.test")).dnssec, "bogus");
+
+    const body = await dnsQuery(encodeQuery("bad.secure.test", "A", { cd: true }));
+    assert.equal(readHeader(body).rcode, 0);
+    assert.deepEqual(readAnswers(body)[0].data, [192, 0, 2, 66]);
+  });
+
+  test("rejects unsigned answers injected into a signed zone", async () => {
+    const { dnsQuery } = setup({}, (question, result) =>
+      (question.name === "www2.secure.test" ? { answers: [{ type: "A", data: "203.0.113.6" }] } : result));
+    assert.equal(readHeader(await dnsQuery(encodeQuery("www2.secure.test", "A"))).rcode, 2);
+  });
+
+  test("rejects a stripped DS proof for an unsigned delegation", async () => {
+    const { resolve } = setup({}, (question, result) =>
+      (question.name === "insecure.test" && question.type === TYPES.DS ? { ...result, authorities: [] } : result));
+    assert.equal((await resolve("www.insecure.test")).dnssec, "bogus");
+  });
+
+  test("treats names outside the trust anchor as insecure", async () => {
+    const { resolve } = setup({ DNSSEC_TRUST_ANCHORS: `other. 1 ${13} 2 ${"00".repeat(32)}` });
+    assert.equal((await resolve("www.secure.test")).dnssec, "insecure");
+  });
+
+  // 信任链的 DS/DNSKEY 查询不经过本地记录与过滤规则
+  const overrides = {
+    "a local record at a zone apex": { LOCAL_RECORDS: JSON.stringify({ "secure.test": { TXT: "local" } }) },
+    "a blocklist rule for a zone apex": { BLOCKLIST_RULES: "0.0.0.0 secure.test" },
+  };
+  for (const [name, env] of Object.entries(overrides)) {
+    test(`is not affected by ${name}`, async () => {
+      const { dnsQuery } = setup(env);
+      const header = readHeader(await dnsQuery(encodeQuery("www.secure.test", "A")));
+      assert.equal(header.rcode, 0);
+      assert.equal(header.ad, true);
+    });
+  }
+});
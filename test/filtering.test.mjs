@@ -0,0 +1,219 @@
+// 源码.js 的域名过滤、本地记录与应答过滤 (重绑定防护、地址网段拦截、FILTER_AAAA、HTTPS 记录改写)
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, zoneReply } from "./helpers/mock-upstream.mjs";
+import { encodeQuery, encodeName, readHeader, readAnswers, TYPES } from "./helpers/dns.mjs";
+
+const UPSTREAM = "https://upstream.test/dns-query";
+const ENV = { UPSTREAM_DOH_SERVERS: UPSTREAM, ECS_FROM_CLIENT_IP: "false" };
+
+// HTTPS 记录 (RFC 9460) 的 rdata：ServiceMode，目标为 "."，参数按键排列
+const uint16 = (value) => [value >> 8, value & 0xff];
+const svcParam = (key, value) => [...uint16(key), ...uint16(value.length), ...value];
+const alpn = (...ids) => ids.flatMap((id) => [id.length, ...new TextEncoder().encode(id)]);
+const HTTPS_RDATA = [...uint16(1), 0, ...svcParam(1, alpn("h3", "h2")), ...svcParam(4, [192, 0, 2, 1]), ...svcParam(5, [0xfe, 0x0d, 0x00])];
+
+// 重绑定防护把文档网段 (192.0.2.0/24、198.51.100.0/24、203.0.113.0/24) 也视为内网地址，公网地址使用 93.184.215.0/24
+const ZONE = {
+  "example.com/A": [{ type: "A", data: "93.184.215.14" }],
+  "ads.example/A": [{ type: "A", data: "203.0.113.1" }],
+  "pixel.ads.example/A": [{ type: "A", data: "203.0.113.2" }],
+  "cdn.ads.example/A": [{ type: "A", data: "203.0.113.3" }],
+  "games.example/A": [{ type: "A", data: "203.0.113.4" }],
+  "cdn.example/A": [{ type: "A", data: "93.184.215.7" }],
+  "mixed.example/A": [{ type: "A", data: "10.0.0.5" }, { type: "A", data: "93.184.215.8" }],
+  "lan.example/A": [{ type: "A", data: "192.168.1.1" }],
+  "dual.example/A": [{ type: "A", data: "93.184.215.9" }],
+  "dual.example/AAAA": [{ type: "AAAA", data: "2606:2800:21f:cb07::9" }],
+  "v6only.example/AAAA": [{ type: "AAAA", data: "2606:2800:21f:cb07::6" }],
+  "parked.example/A": [{ type: "A", data: "198.18.0.1" }],
+  "svc.example/HTTPS": [{ type: "HTTPS", data: HTTPS_RDATA }],
+};
+
+function setup(env = {}) {
+  const upstream = createMockUpstream().script(UPSTREAM, zoneReply(ZONE));
+  const { worker } = loadWorker("源码.js", { fetch: upstream.fetch, caches: createCaches() });
+  const context = createExecutionContext();
+  const send = async (path) => {
+    const response = await worker.fetch(new Request(`https://doh.test${path}`), { ...ENV, ...env }, context);
+    await context.settle();
+    return response;
+  };
+  const dnsQuery = async (name, type = "A", path = "/dns-query") => {
+    const response = await worker.fetch(new Request(`https://doh.test${path}`, {
+      method: "POST",
+      headers: { "content-type": "application/dns-message" },
+      body: encodeQuery(name, type),
+    }), { ...ENV, ...env }, context);
+    await context.settle();
+    return new Uint8Array(await response.arrayBuffer());
+  };
+  const resolve = async (name, type = "A") => (await send(`/resolve?name=${name}&type=${type}`)).json();
+  return { upstream, dnsQuery, resolve };
+}
+
+const dataOf = (result) => result.answers.map((answer) => answer.data);
+
+describe("blocklists", () => {
+  const RULES = { BLOCKLIST_RULES: JSON.stringify(["||ads.example^", "@@||cdn.ads.example^", "0.0.0.0 games.example"]) };
+
+  test("answers NXDOMAIN for blocked names and their subdomains without contacting upstreams", async () => {
+    const { upstream, dnsQuery } = setup(RULES);
+    assert.equal(readHeader(await dnsQuery("ads.example")).rcode, 3);
+    assert.equal(readHeader(await dnsQuery("pixel.ads.example")).rcode, 3);
+    assert.equal(readHeader(await dnsQuery("games.example")).rcode, 3);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  test("lets allow rules override block rules and hosts entries match only the name itself", async () => {
+    const { upstream, dnsQuery } = setup(RULES);
+    assert.deepEqual(readAnswers(await dnsQuery("cdn.ads.example"))[0].data, [203, 0, 113, 3]);
+    assert.equal(readHeader(await dnsQuery("www.games.example")).rcode, 3); // 上游同样没有该名称
+    assert.equal(readHeader(await dnsQuery("example.com")).rcode, 0);
+    assert.equal(upstream.requests.length, 3);
+  });
+
+  test("answers with zero addresses or REFUSED as configured", async () => {
+    const zero = setup({ ...RULES, BLOCK_RESPONSE: "zero" });
+    assert.deepEqual(readAnswers(await zero.dnsQuery("ads.example")), [{ type: TYPES.A, ttl: 10, data: [0, 0, 0, 0] }]);
+    assert.deepEqual(readAnswers(await zero.dnsQuery("ads.example", "AAAA"))[0].data, new Array(16).fill(0));
+    assert.equal(readHeader(await zero.dnsQuery("ads.example", "MX")).ancount, 0);
+
+    const refused = setup({ ...RULES, BLOCK_RESPONSE: "refused" });
+    assert.equal(readHeader(await refused.dnsQuery("ads.example")).rcode, 5);
+  });
+
+  test("applies a token's blocklist profile before the default rules", async () => {
+    const { dnsQuery } = setup({
+      ...RULES,
+      BLOCKLIST_PROFILES: JSON.stringify({ kids: { sources: [], rules: ["||example.com^", "@@||pixel.ads.example^"] } }),
+      AUTH_TOKENS: JSON.stringify({ kids: { token: "kids-secret", blocklistProfile: "kids" }, adult: { token: "adult-secret" } }),
+    });
+    assert.equal(readHeader(await dnsQuery("example.com", "A", "/dns-query/kids-secret")).rcode, 3);
+    assert.equal(readHeader(await dnsQuery("pixel.ads.example", "A", "/dns-query/kids-secret")).rcode, 0);
+    assert.equal(readHeader(await dnsQuery("ads.example", "A", "/dns-query/kids-secret")).rcode, 3);
+    assert.equal(readHeader(await dnsQuery("example.com", "A", "/dns-query/adult-secret")).rcode, 0);
+    assert.equal(readHeader(await dnsQuery("pixel.ads.example", "A", "/dns-query/adult-secret")).rcode, 3);
+  });
+
+  test("marks blocked /resolve results", async () => {
+    const { resolve } = setup(RULES);
+    const result = await resolve("ads.example");
+    assert.equal(result.blocked, true);
+    assert.equal(result.status, "error");
+  });
+});
+
+describe("local records", () => {
+  const LOCAL = {
+    LOCAL_RECORDS: JSON.stringify({
+      "nas.home.arpa": { A: "192.168.1.10", AAAA: "fd00::10", TXT: "nas" },
+      "*.dev.home.arpa": { A: ["192.168.1.20", "192.168.1.21"] },
+      "alias.home.arpa": { CNAME: "cdn.example" },
+      "ads.example": { A: "192.168.1.99" },
+    }),
+    BLOCKLIST_RULES: "||ads.example^",
+  };
+
+  test("answers exact and wildcard names without contacting upstreams", async () => {
+    const { upstream, resolve } = setup(LOCAL);
+    const nas = await resolve("nas.home.arpa");
+    assert.equal(nas.local, true);
+    assert.deepEqual(dataOf(nas), ["192.168.1.10"]);
+    assert.deepEqual(dataOf(await resolve("nas.home.arpa", "AAAA")), ["fd00::10"]);
+    assert.deepEqual(dataOf(await resolve("a.b.dev.home.arpa")), ["192.168.1.20", "192.168.1.21"]);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  test("answers NODATA for types the name has no records of", async () => {
+    const { upstream, dnsQuery } = setup(LOCAL);
+    const body = await dnsQuery("nas.home.arpa", "MX");
+    assert.equal(readHeader(body).rcode, 0);
+    assert.equal(readHeader(body).ancount, 0);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  test("resolves CNAME targets through upstreams", async () => {
+    const { upstream, dnsQuery } = setup(LOCAL);
+    const answers = readAnswers(await dnsQuery("alias.home.arpa"));
+    assert.deepEqual(answers.map((answer) => answer.type), [TYPES.CNAME, TYPES.A]);
+    assert.deepEqual(answers[1].data, [93, 184, 215, 7]);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test("take precedence over blocklists", async () => {
+    const { dnsQuery } = setup(LOCAL);
+    assert.deepEqual(readAnswers(await dnsQuery("ads.example"))[0].data, [192, 168, 1, 99]);
+  });
+});
+
+describe("answer filters", () => {
+  test("removes or refuses private addresses with REBINDING_PROTECTION", async () => {
+    const remove = setup({ REBINDING_PROTECTION: "remove" });
+    assert.deepEqual(dataOf(await remove.resolve("mixed.example")), ["93.184.215.8"]);
+    assert.equal(readHeader(await remove.dnsQuery("lan.example")).ancount, 0);
+
+    const refuse = setup({ REBINDING_PROTECTION: "refuse" });
+    assert.equal(readHeader(await refuse.dnsQuery("mixed.example")).rcode, 5);
+    assert.equal(readHeader(await refuse.dnsQuery("cdn.example")).rcode, 0);
+  });
+
+  test("exempts REBINDING_ALLOWLIST names", async () => {
+    const { resolve } = setup({ REBINDING_PROTECTION: "refuse", REBINDING_ALLOWLIST: "lan.example" });
+    assert.deepEqual(dataOf(await resolve("lan.example")), ["192.168.1.1"]);
+  });
+
+  test("blocks answers with addresses in BLOCKLIST_IP_CIDRS", async () => {
+    const { dnsQuery } = setup({ BLOCKLIST_IP_CIDRS: "198.18.0.0/15" });
+    assert.equal(readHeader(await dnsQuery("parked.example")).rcode, 3);
+    assert.equal(readHeader(await dnsQuery("cdn.example")).rcode, 0);
+  });
+
+  test("drops AAAA answers for names with A records when FILTER_AAAA is on", async () => {
+    const { dnsQuery } = setup({ FILTER_AAAA: "true" });
+    const dual = await dnsQuery("dual.example", "AAAA");
+    assert.equal(readHeader(dual).rcode, 0);
+    assert.equal(readHeader(dual).ancount, 0);
+    assert.equal(readHeader(await dnsQuery("v6only.example", "AAAA")).ancount, 1);
+    assert.equal(readHeader(await dnsQuery("dual.example", "A")).ancount, 1);
+  });
+});
+
+describe("HTTPS record rewriting", () => {
+  test("leaves records unchanged by default", async () => {
+    const { resolve } = setup();
+    assert.deepEqual((await resolve("svc.example", "HTTPS")).answers[0].data.params, {
+      alpn: ["h3", "h2"],
+      ipv4hint: ["192.0.2.1"],
+      ech: "/g0A",
+    });
+  });
+
+  test("strips ech and alpn entries and replaces address hints", async () => {
+    const { dnsQuery, resolve } = setup({
+      HTTPS_STRIP_ECH: "true",
+      HTTPS_STRIP_ALPN: "h3",
+      HTTPS_IPV4HINT: "198.51.100.1",
+      HTTPS_IPV6HINT: "2606:2800:21f:cb07::1",
+    });
+    assert.deepEqual((await resolve("svc.example", "HTTPS")).answers[0].data.params, {
+      alpn: ["h2"],
+      ipv4hint: ["198.51.100.1"],
+      ipv6hint: ["2606:2800:21f:cb07::1"],
+    });
+    assert.equal(readHeader(await dnsQuery("svc.example", "HTTPS")).ad, false);
+  });
+
+  test("removes alpn when every protocol is stripped", async () => {
+    const { resolve } = setup({ HTTPS_STRIP_ALPN: "h2,h3" });
+    assert.deepEqual((await resolve("svc.example", "HTTPS")).answers[0].data.params, { ipv4hint: ["192.0.2.1"], ech: "/g0A" });
+  });
+
+  test("leaves AliasMode records alone", async () => {
+    const upstream = zoneReply({ "alias.example/HTTPS": [{ type: "HTTPS", data: [0, 0, ...encodeName("svc.example")] }] });
+    const { resolve, upstream: mock } = setup({ HTTPS_STRIP_ECH: "true", HTTPS_IPV4HINT: "198.51.100.1" });
+    mock.script(UPSTREAM, upstream);
+    assert.deepEqual((await resolve("alias.example", "HTTPS")).answers[0].data, { priority: 0, target: "svc.example", params: {} });
+  });
+});
@@ -0,0 +1,34 @@
+// 用公共解析器的真实应答刷新 responses.json (需要网络)：
+//   node test/fixtures/capture.mjs [解析器 URL] ["名称 类型" ...]
+// 默认重新录制文件中已有的问题，参数中的问题追加到末尾；expected 由当前解析器生成，提交前需人工核对
+import fs from "node:fs";
+import { loadWorker, ROOT } from "../helpers/load-worker.mjs";
+import { encodeQuery, bytesToBase64Url } from "../helpers/dns.mjs";
+
+const FILE = `${ROOT}/test/fixtures/responses.json`;
+const args = process.argv.slice(2);
+const resolver = args[0] && args[0].startsWith("https://") ? args.shift() : "https://cloudflare-dns.com/dns-query";
+
+const { parseDnsMessage, formatRecordData, toFqdn } = loadWorker("源码.js", {
+  internals: ["parseDnsMessage", "formatRecordData", "toFqdn"],
+});
+const present = (records) => Array.from(records, (rr) => `${toFqdn(rr.name)} ${rr.ttl} ${rr.type} ${formatRecordData(rr)}`);
+
+const fixtures = JSON.parse(fs.readFileSync(FILE, "utf8"));
+for (const question of args) fixtures.push({ description: `${question} (${new URL(resolver).hostname})`, question });
+
+for (const fixture of fixtures) {
+  const [name, type] = fixture.question.split(" ");
+  const query = encodeQuery(name, type, { id: 0, edns: true });
+  const response = await fetch(`${resolver}?dns=${bytesToBase64Url(query)}`, { headers: { accept: "application/dns-message" } });
+  if (!response.ok) throw new Error(`${fixture.question}: HTTP ${response.status}`);
+  const body = new Uint8Array(await response.arrayBuffer());
+  const message = parseDnsMessage(body);
+  if (!message) throw new Error(`${fixture.question}: response does not parse`);
+
+  fixture.response = Buffer.from(body).toString("hex");
+  fixture.expected = { rcode: message.rcode, answers: present(message.answers) };
+  if (message.authorities.length) fixture.expected.authorities = present(message.authorities);
+  console.log(`${fixture.question}: ${fixture.expected.answers.length} answers`);
+}
+fs.writeFileSync(FILE, JSON.stringify(fixtures, null, 2) + "\n");
@@ -0,0 +1,214 @@
+// 源码.js 的转发逻辑：/dns-query 与 /resolve 经模拟上游应答，覆盖超时、失败、畸形报文时的切换与缓存
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createClock, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, createMockSockets, jsonReply, reply, delay, hang, fail, networkError, malformed, truncated, pointerLoop } from "./helpers/mock-upstream.mjs";
+import { encodeQuery, readHeader, readAnswers, readQuestion, bytesToBase64Url } from "./helpers/dns.mjs";
+
+const PRIMARY = "https://primary.test/dns-query";
+const SECONDARY = "https://secondary.test/dns-query";
+const ENV = {
+  UPSTREAM_DOH_SERVERS: `${PRIMARY},${SECONDARY}`,
+  DEFAULT_UPSTREAM_STRATEGY: "failover",
+  TIMEOUT_MS: "100",
+  UPSTREAM_TIMEOUT_MIN_MS: "50",
+  UPSTREAM_TIMEOUT_MAX_MS: "200",
+  ECS_FROM_CLIENT_IP: "false",
+};
+
+// 每个测试独立加载 Worker，避免缓存和上游健康状态互相影响
+function setup(primary, secondary = reply(), env = {}) {
+  const upstream = createMockUpstream().script(PRIMARY, ...[primary].flat()).script(SECONDARY, ...[secondary].flat());
+  const sockets = createMockSockets();
+  const clock = createClock();
+  const { worker } = loadWorker("源码.js", { fetch: upstream.fetch, connect: sockets.connect, caches: createCaches(), globals: { Date: clock.Date } });
+  const context = createExecutionContext();
+  const send = async (path, init) => {
+    const response = await worker.fetch(new Request(`https://doh.test${path}`, init), { ...ENV, ...env }, context);
+    await context.settle();
+    return response;
+  };
+  const dnsQuery = async (query) => {
+    const response = await send("/dns-query", { method: "POST", headers: { "content-type": "application/dns-message" }, body: query });
+    return { response, body: new Uint8Array(await response.arrayBuffer()) };
+  };
+  return { upstream, sockets, clock, send, dnsQuery };
+}
+
+describe("/dns-query forwarding", () => {
+  test("returns the upstream answer with the client's ID", async () => {
+    const { upstream, dnsQuery } = setup(reply());
+    const { response, body } = await dnsQuery(encodeQuery("example.com", "A", { id: 0xbeef }));
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "application/dns-message");
+    assert.deepEqual(readHeader(body), { id: 0xbeef, qr: true, ad: false, rcode: 0, qdcount: 1, ancount: 1 });
+    assert.equal(upstream.requestsTo(PRIMARY).length, 1);
+    assert.equal(upstream.requestsTo(SECONDARY).length, 0);
+  });
+
+  test("accepts GET with a base64url dns parameter", async () => {
+    const { send } = setup(reply());
+    const response = await send(`/dns-query?dns=${bytesToBase64Url(encodeQuery("example.com", "A", { id: 7 }))}`);
+    const header = readHeader(new Uint8Array(await response.arrayBuffer()));
+    assert.equal(header.id, 7);
+    assert.equal(header.ancount, 1);
+  });
+
+  const failovers = {
+    "a slow upstream that exceeds the timeout": delay(1000),
+    "an upstream that never answers": hang(),
+    "an HTTP error": fail(502),
+    "a network error": networkError(),
+    "a reply that is not a DNS message": malformed(),
+    "a truncated reply": truncated(20),
+    "a reply with a compression-pointer loop": pointerLoop(),
+  };
+  for (const [name, behavior] of Object.entries(failovers)) {
+    test(`fails over to the next upstream on ${name}`, async () => {
+      const { upstream, dnsQuery } = setup(behavior);
+      const { body } = await dnsQuery(encodeQuery("example.com", "A"));
+      assert.equal(readHeader(body).rcode, 0);
+      assert.equal(readHeader(body).ancount, 1);
+      assert.equal(upstream.requestsTo(SECONDARY).length, 1);
+    });
+  }
+
+  test("answers SERVFAIL without caching when every upstream fails", async () => {
+    const { dnsQuery } = setup(fail(500), malformed());
+    const { response, body } = await dnsQuery(encodeQuery("example.com", "A", { id: 42 }));
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("cache-control"), "no-store");
+    assert.deepEqual(readHeader(body), { id: 42, qr: true, ad: false, rcode: 2, qdcount: 1, ancount: 0 });
+  });
+
+  test("serves repeated questions from the cache", async () => {
+    const { upstream, dnsQuery } = setup(reply());
+    await dnsQuery(encodeQuery("example.com", "A", { id: 1 }));
+    const { body } = await dnsQuery(encodeQuery("example.com", "A", { id: 2 }));
+    assert.equal(readHeader(body).id, 2);
+    assert.equal(readHeader(body).ancount, 1);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test("keeps record TTLs at MIN_CACHE_TTL_SECONDS while the entry is cached", async () => {
+    const short = reply(() => ({ answers: [{ type: "A", ttl: 5, data: "192.0.2.1" }] }));
+    const { upstream, clock, dnsQuery } = setup(short, reply(), { MIN_CACHE_TTL_SECONDS: "60" });
+    await dnsQuery(encodeQuery("example.com", "A"));
+    clock.advance(10);
+    const { body } = await dnsQuery(encodeQuery("example.com", "A"));
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 50, data: [192, 0, 2, 1] }]);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test("serves a stale answer when every upstream fails", async () => {
+    const { upstream, clock, dnsQuery } = setup(reply(), fail());
+    await dnsQuery(encodeQuery("example.com", "A"));
+    upstream.script(PRIMARY, fail());
+    clock.advance(3600);
+    const { body } = await dnsQuery(encodeQuery("example.com", "A"));
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 30, data: [192, 0, 2, 1] }]);
+  });
+
+  test("rejects malformed client queries before contacting upstreams", async () => {
+    const { upstream, send } = setup(reply());
+    assert.equal((await send("/dns-query?dns=***")).status, 400);
+    assert.equal((await send("/dns-query", { method: "POST", headers: { "content-type": "text/plain" }, body: "x" })).status, 415);
+    assert.equal(upstream.requests.length, 0);
+  });
+});
+
+describe("/resolve", () => {
+  test("returns parsed answers as JSON", async () => {
+    const { send } = setup(reply(() => ({ answers: [{ type: "MX", ttl: 60, data: [0, 10, 4, 0x6d, 0x61, 0x69, 0x6c, 0xc0, 0x0c] }] })));
+    const response = await send("/resolve?name=example.com&type=MX");
+    const result = await response.json();
+    assert.equal(result.status, "success");
+    assert.deepEqual(result.answers.map((answer) => answer.data), [{ preference: 10, exchange: "mail.example.com" }]);
+  });
+
+  test("reports an upstream failure", async () => {
+    const { send } = setup(fail(), fail());
+    assert.equal((await send("/resolve?name=example.com&type=A")).status, 502);
+  });
+});
+
+describe("upstream transports", () => {
+  test("sends tcp:// queries with a length prefix to port 53", async () => {
+    const { sockets, upstream, dnsQuery } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: "tcp://dns.test" });
+    sockets.script("dns.test:53", reply());
+    const { body } = await dnsQuery(encodeQuery("example.com", "A", { id: 0x0a0b }));
+    assert.equal(readHeader(body).id, 0x0a0b);
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 300, data: [192, 0, 2, 1] }]);
+    assert.equal(sockets.connections[0].secureTransport, "off");
+    assert.equal(readQuestion(sockets.connections[0].query).name, "example.com");
+    assert.equal(sockets.connections[0].closed, true);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  test("uses TLS on port 853 or the given port for tls:// upstreams", async () => {
+    const { sockets, dnsQuery } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: "tls://dns.test,tls://[2001:db8::53]:8853" });
+    sockets.script("dns.test:853", networkError()).script("2001:db8::53:8853", reply());
+    const { body } = await dnsQuery(encodeQuery("example.com", "A"));
+    assert.equal(readHeader(body).ancount, 1);
+    assert.deepEqual(sockets.connections.map((connection) => [connection.address, connection.secureTransport]),
+      [["dns.test:853", "on"], ["2001:db8::53:8853", "on"]]);
+  });
+
+  for (const [name, behavior] of Object.entries({ "closes without a response": networkError(), "never answers": hang(), "returns a truncated message": truncated(20) })) {
+    test(`fails over when the connection ${name}`, async () => {
+      const { sockets, upstream, dnsQuery } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: `tcp://dns.test,${SECONDARY}` });
+      sockets.script("dns.test:53", behavior);
+      const { body } = await dnsQuery(encodeQuery("example.com", "A"));
+      assert.equal(readHeader(body).ancount, 1);
+      assert.equal(upstream.requestsTo(SECONDARY).length, 1);
+      assert.equal(sockets.connections[0].closed, true);
+    });
+  }
+
+  test("translates json+https:// answers to wire format", async () => {
+    const JSON_API = "https://json.test/resolve";
+    const { upstream, dnsQuery } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: `json+${JSON_API}` });
+    upstream.script(JSON_API, jsonReply(() => ({
+      Status: 0, RD: true, RA: true,
+      Answer: [
+        { name: "www.example.com.", type: 5, TTL: 120, data: "example.com." },
+        { name: "example.com.", type: 1, TTL: 60, data: "192.0.2.7" },
+        { name: "example.com.", type: 16, TTL: 60, data: "v=spf1 -all" },
+        { name: "example.com.", type: 16, TTL: 60, data: "\"a b\" \"c\"" },
+      ],
+    })));
+    const { body } = await dnsQuery(encodeQuery("www.example.com", "A", { id: 77, cd: true }));
+    const params = new URL(upstream.requests[0].url).searchParams;
+    assert.deepEqual([params.get("name"), params.get("type"), params.get("cd")], ["www.example.com", "1", "1"]);
+    assert.deepEqual(readHeader(body), { id: 77, qr: true, ad: false, rcode: 0, qdcount: 1, ancount: 4 });
+    const answers = readAnswers(body);
+    assert.deepEqual(answers.map((answer) => [answer.type, answer.ttl]), [[5, 120], [1, 60], [16, 60], [16, 60]]);
+    assert.deepEqual(answers.slice(1).map((answer) => answer.data), [
+      [192, 0, 2, 7],
+      [11, ...Buffer.from("v=spf1 -all")],
+      [4, ...Buffer.from("a bc")],
+    ]);
+  });
+
+  test("passes the JSON status through and fails over on records it cannot parse", async () => {
+    const JSON_API = "https://json.test/resolve";
+    const { upstream, dnsQuery } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: `json+${JSON_API},${SECONDARY}` });
+    upstream.script(JSON_API, jsonReply(() => ({ Status: 3, Authority: [] })));
+    assert.equal(readHeader((await dnsQuery(encodeQuery("missing.example", "A"))).body).rcode, 3);
+
+    upstream.script(JSON_API, jsonReply(() => ({ Status: 0, Answer: [{ name: "example.com.", type: 1, TTL: 60, data: "not-an-address" }] })));
+    const { body } = await dnsQuery(encodeQuery("example.com", "A"));
+    assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 300, data: [192, 0, 2, 1] }]);
+    assert.equal(upstream.requestsTo(SECONDARY).length, 1);
+  });
+});
+
+describe("invalid configuration", () => {
+  test("answers 500 without echoing the validation errors", async () => {
+    const { upstream, send } = setup(reply(), reply(), { UPSTREAM_DOH_SERVERS: "ftp://secret-upstream.internal" });
+    const response = await send("/resolve?name=example.com&type=A");
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { error: "Invalid configuration" });
+    assert.equal(upstream.requests.length, 0);
+  });
+});
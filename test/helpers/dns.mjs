@@ -0,0 +1,103 @@
+// 测试用的最小 DNS 报文编解码，与 Worker 的实现无关，用于构造查询和上游应答
+export const TYPES = { A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, OPT: 41, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48, HTTPS: 65 };
+
+export function encodeName(name) {
+  const bytes = [];
+  for (const label of name.replace(/\.$/, "").split(".").filter(Boolean)) {
+    const encoded = new TextEncoder().encode(label);
+    bytes.push(encoded.length, ...encoded);
+  }
+  bytes.push(0);
+  return bytes;
+}
+
+export function ipv4(text) {
+  return text.split(".").map(Number);
+}
+
+export function ipv6(text) {
+  const [head, tail] = text.split("::");
+  const parse = (part) => (part ? part.split(":").map((group) => parseInt(group, 16)) : []);
+  const groups = parse(head);
+  const rest = parse(tail);
+  if (tail !== undefined) groups.push(...new Array(8 - groups.length - rest.length).fill(0), ...rest);
+  return groups.flatMap((group) => [group >> 8, group & 0xff]);
+}
+
+// 查询：{ id, rd, cd, dnssecOk, edns } ；dnssecOk 或 edns 时附加 OPT
+export function encodeQuery(name, type, { id = 0x1234, rd = true, cd = false, dnssecOk = false, edns = dnssecOk } = {}) {
+  const bytes = [id >> 8, id & 0xff, rd ? 0x01 : 0, cd ? 0x10 : 0, 0, 1, 0, 0, 0, 0, 0, edns ? 1 : 0];
+  const code = TYPES[type] || type;
+  bytes.push(...encodeName(name), code >> 8, code & 0xff, 0, 1);
+  if (edns) bytes.push(0, 0, 41, 0x04, 0xd0, 0, 0, dnssecOk ? 0x80 : 0, 0, 0, 0);
+  return new Uint8Array(bytes);
+}
+
+// 应答：回显查询的 ID 与问题，记录名与问题相同时像公共解析器一样使用指向问题的压缩指针 (0xc00c)
+// 记录 { name, type, ttl, data }，data 为 rdata 字节数组，A/AAAA 可直接写地址
+export function encodeResponse(query, { rcode = 0, answers = [], authorities = [], aa = false, ad = false } = {}) {
+  const question = readQuestion(query);
+  const questionEnd = 12 + question.length + 4;
+  const bytes = [query[0], query[1], 0x80 | (query[2] & 0x01) | (aa ? 0x04 : 0), 0x80 | (ad ? 0x20 : 0) | (query[3] & 0x10) | rcode];
+  bytes.push(0, 1, 0, answers.length, 0, authorities.length, 0, 0);
+  bytes.push(...query.subarray(12, questionEnd));
+  for (const record of [...answers, ...authorities]) {
+    const type = TYPES[record.type] || record.type;
+    let data = record.data;
+    if (typeof data === "string") data = type === TYPES.AAAA ? ipv6(data) : ipv4(data);
+    const name = record.name === undefined || record.name === question.name ? [0xc0, 12] : encodeName(record.name);
+    const ttl = record.ttl === undefined ? 300 : record.ttl;
+    bytes.push(...name, type >> 8, type & 0xff, 0, 1, ttl >>> 24, (ttl >> 16) & 0xff, (ttl >> 8) & 0xff, ttl & 0xff);
+    bytes.push(data.length >> 8, data.length & 0xff, ...data);
+  }
+  return new Uint8Array(bytes);
+}
+
+// 读取第一个问题 (不支持压缩指针，测试中的查询都不含指针)
+export function readQuestion(message) {
+  const labels = [];
+  let offset = 12;
+  while (message[offset]) {
+    labels.push(new TextDecoder().decode(message.subarray(offset + 1, offset + 1 + message[offset])));
+    offset += message[offset] + 1;
+  }
+  const type = (message[offset + 1] << 8) | message[offset + 2];
+  return { name: labels.join("."), type, length: offset + 1 - 12 };
+}
+
+export function readHeader(message) {
+  return {
+    id: (message[0] << 8) | message[1],
+    qr: !!(message[2] & 0x80),
+    ad: !!(message[3] & 0x20),
+    rcode: message[3] & 0x0f,
+    qdcount: (message[4] << 8) | message[5],
+    ancount: (message[6] << 8) | message[7],
+  };
+}
+
+// 应答部分的记录：[{ type, ttl, data }]，data 为 rdata 字节 (名称不展开)
+export function readAnswers(message) {
+  const skipName = (offset) => {
+    while (message[offset] && (message[offset] & 0xc0) !== 0xc0) offset += message[offset] + 1;
+    return offset + (message[offset] ? 2 : 1);
+  };
+  const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+  let offset = skipName(12) + 4;
+  const answers = [];
+  for (let i = 0; i < view.getUint16(6); i++) {
+    offset = skipName(offset);
+    const length = view.getUint16(offset + 8);
+    answers.push({ type: view.getUint16(offset), ttl: view.getUint32(offset + 4), data: [...message.subarray(offset + 10, offset + 10 + length)] });
+    offset += 10 + length;
+  }
+  return answers;
+}
+
+export function hexToBytes(hex) {
+  return new Uint8Array(hex.replace(/\s+/g, "").match(/../g).map((byte) => parseInt(byte, 16)));
+}
+
+export function bytesToBase64Url(bytes) {
+  return Buffer.from(bytes).toString("base64url");
+}
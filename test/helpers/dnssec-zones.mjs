@@ -0,0 +1,185 @@
+// 签名的测试区域：每个签名区域一个 ECDSA P-256 (算法 13) 密钥，签名 RRset 并生成 NSEC 链，作为模拟上游的应答来源
+// 与 Worker 的实现无关；区域按名称包含关系形成委派，上级区域为签名子区域发布 DS，为未签名子区域只发布 NS
+import { encodeName, ipv4, TYPES } from "./dns.mjs";
+
+const subtle = globalThis.crypto.subtle;
+const ALGORITHM = 13;
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, code]) => [code, name]));
+
+// 记录数据 (rdata 字节数组)
+export const rdata = {
+  a: ipv4,
+  name: (name) => encodeName(name.toLowerCase()),
+  soa: (zone) => [...encodeName("ns." + zone), ...encodeName("hostmaster." + zone), ...[1, 3600, 600, 86400, 300].flatMap(uint32)],
+};
+
+// specs: [{ name, signed, records: [{ name, type, ttl, data }] }]；corrupt 为签名被篡改的 "名称/类型"
+// 返回 { trustAnchor, lookup(name, typeCode) }，lookup 的结果可直接作为 encodeResponse 的选项
+export async function createSignedZones(specs, { corrupt = [] } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const zones = new Map();
+  for (const spec of specs) {
+    const zone = { name: spec.name, signed: spec.signed, records: [], signatures: [] };
+    zone.records.push({ name: spec.name, type: "SOA", ttl: 300, data: rdata.soa(spec.name) });
+    zone.records.push({ name: spec.name, type: "NS", ttl: 3600, data: rdata.name("ns." + spec.name) });
+    zone.records.push(...spec.records.map((record) => ({ ttl: 300, ...record })));
+    if (spec.signed) {
+      zone.key = await subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, ["sign", "verify"]);
+      const publicKey = new Uint8Array(await subtle.exportKey("raw", zone.key.publicKey)).slice(1);
+      zone.dnskey = [1, 1, 3, ALGORITHM, ...publicKey]; // flags 257 (SEP)，同时用作 KSK 与 ZSK
+      zone.keyTag = computeKeyTag(zone.dnskey);
+      zone.records.push({ name: spec.name, type: "DNSKEY", ttl: 3600, data: zone.dnskey });
+    }
+    zones.set(spec.name, zone);
+  }
+
+  const zoneOf = (name) => [...zones.keys()].filter((zone) => isSameOrSubdomain(name, zone)).sort((a, b) => b.length - a.length)[0];
+  const parentOf = (zone) => zone && zoneOf(zone.slice(zone.indexOf(".") + 1));
+
+  // 委派：上级区域中的 NS，签名子区域另有 DS
+  for (const zone of zones.values()) {
+    const parent = zones.get(parentOf(zone.name));
+    if (!parent || parent === zone) continue;
+    parent.records.push({ name: zone.name, type: "NS", ttl: 3600, data: rdata.name("ns." + zone.name) });
+    if (zone.signed) parent.records.push({ name: zone.name, type: "DS", ttl: 3600, data: await dsRdata(zone) });
+  }
+
+  for (const zone of zones.values()) {
+    if (!zone.signed) continue;
+    const isCut = (name) => name !== zone.name && zone.records.some((r) => r.name === name && r.type === "NS");
+    const names = [...new Set(zone.records.map((r) => r.name))].sort(compareCanonical);
+    names.forEach((name, index) => {
+      const types = [...new Set(zone.records.filter((r) => r.name === name).map((r) => r.type)), "NSEC", "RRSIG"];
+      zone.records.push({ name, type: "NSEC", ttl: 300, data: [...rdata.name(names[(index + 1) % names.length]), ...typeBitmap(types)] });
+    });
+
+    // 委派点的 NS 不签名 (由子区域权威)
+    const rrsets = new Map();
+    for (const record of zone.records) {
+      if (record.type === "NS" && isCut(record.name)) continue;
+      const key = `${record.name}/${record.type}`;
+      if (!rrsets.has(key)) rrsets.set(key, []);
+      rrsets.get(key).push(record);
+    }
+    for (const [key, records] of rrsets) {
+      const signature = await signRRset(zone, records, now);
+      if (corrupt.includes(key)) signature.data[signature.data.length - 1] ^= 0xff;
+      zone.signatures.push(signature);
+    }
+  }
+
+  const root = zones.get(specs[0].name);
+  const ds = await dsRdata(root);
+  const trustAnchor = `${root.name}. ${root.keyTag} ${ALGORITHM} 2 ${toHex(ds.slice(4)).toUpperCase()}`;
+
+  function lookup(qname, qtype) {
+    qname = qname.toLowerCase();
+    const type = TYPE_NAMES[qtype];
+    let zone = zones.get(zoneOf(qname));
+    if (!zone) return { rcode: 5 };
+    if (type === "DS" && qname === zone.name && zones.has(parentOf(zone.name))) zone = zones.get(parentOf(zone.name));
+
+    const rrset = (name, rrType) => {
+      const records = zone.records.filter((r) => r.name === name && r.type === rrType);
+      const signatures = zone.signatures.filter((sig) => sig.name === name && sig.covered === rrType);
+      return records.length ? [...records, ...signatures] : [];
+    };
+    const answers = rrset(qname, type);
+    if (answers.length) return { answers };
+
+    // 否定应答：SOA 以及证明名称或类型不存在的 NSEC
+    const exists = zone.records.some((r) => isSameOrSubdomain(r.name, qname));
+    const authorities = rrset(zone.name, "SOA");
+    if (zone.signed) {
+      const nsecs = zone.records.filter((r) => r.type === "NSEC");
+      const covering = (name) => nsecs.find((r) => r.name === name) || nsecs.find((r) => covers(r, name));
+      const proofs = new Set([covering(qname)]);
+      if (!exists) proofs.add(covering("*." + zone.name));
+      for (const nsec of proofs) authorities.push(...rrset(nsec.name, "NSEC"));
+    }
+    return { rcode: exists ? 0 : 3, authorities };
+  }
+
+  return { trustAnchor, lookup };
+}
+
+async function signRRset(zone, records, now) {
+  const { name, type, ttl } = records[0];
+  const labels = name.split(".").filter((label) => label && label !== "*").length;
+  const fields = [...uint16(TYPES[type]), ALGORITHM, labels, ...uint32(ttl), ...uint32(now + 86400), ...uint32(now - 3600), ...uint16(zone.keyTag), ...rdata.name(zone.name)];
+  const owner = rdata.name(name);
+  const canonical = records.map((r) => r.data).sort(compareBytes)
+    .flatMap((data) => [...owner, ...uint16(TYPES[type]), 0, 1, ...uint32(ttl), ...uint16(data.length), ...data]);
+  const signature = new Uint8Array(await subtle.sign({ name: "ECDSA", hash: "SHA-256" }, zone.key.privateKey, new Uint8Array([...fields, ...canonical])));
+  return { name, type: "RRSIG", covered: type, ttl, data: [...fields, ...signature] };
+}
+
+async function dsRdata(zone) {
+  const digest = new Uint8Array(await subtle.digest("SHA-256", new Uint8Array([...rdata.name(zone.name), ...zone.dnskey])));
+  return [...uint16(zone.keyTag), ALGORITHM, 2, ...digest];
+}
+
+// RFC 4034 附录 B
+function computeKeyTag(data) {
+  let sum = 0;
+  data.forEach((byte, index) => (sum += index & 1 ? byte : byte << 8));
+  return (sum + (sum >> 16)) & 0xffff;
+}
+
+function typeBitmap(types) {
+  const windows = new Map();
+  for (const code of types.map((type) => TYPES[type])) {
+    const block = windows.get(code >> 8) || [];
+    block[(code & 0xff) >> 3] = (block[(code & 0xff) >> 3] || 0) | (0x80 >> (code & 7));
+    windows.set(code >> 8, block);
+  }
+  return [...windows.entries()].sort(([a], [b]) => a - b)
+    .flatMap(([window, block]) => [window, block.length, ...Array.from(block, (byte) => byte || 0)]);
+}
+
+// NSEC 记录 (所有者 -> 下一个名称) 是否覆盖 name，最后一条记录绕回区域顶点
+function covers(nsec, name) {
+  const next = readName(nsec.data);
+  const afterOwner = compareCanonical(nsec.name, name) < 0;
+  return compareCanonical(nsec.name, next) < 0 ? afterOwner && compareCanonical(name, next) < 0 : afterOwner;
+}
+
+// 规范顺序 (RFC 4034 §6.1)：从最右边的标签开始逐个比较
+function compareCanonical(a, b) {
+  const labelsA = a.split(".").filter(Boolean).reverse();
+  const labelsB = b.split(".").filter(Boolean).reverse();
+  for (let i = 0; i < Math.min(labelsA.length, labelsB.length); i++) {
+    const order = compareBytes(new TextEncoder().encode(labelsA[i]), new TextEncoder().encode(labelsB[i]));
+    if (order) return order;
+  }
+  return labelsA.length - labelsB.length;
+}
+
+function compareBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return a.length - b.length;
+}
+
+function readName(bytes) {
+  const labels = [];
+  for (let offset = 0; bytes[offset]; offset += bytes[offset] + 1) {
+    labels.push(new TextDecoder().decode(Uint8Array.from(bytes.slice(offset + 1, offset + 1 + bytes[offset]))));
+  }
+  return labels.join(".");
+}
+
+function isSameOrSubdomain(name, zone) {
+  return name === zone || name.endsWith("." + zone);
+}
+
+function uint16(value) {
+  return [value >> 8, value & 0xff];
+}
+
+function uint32(value) {
+  return [value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
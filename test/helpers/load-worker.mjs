@@ -0,0 +1,103 @@
+// 在独立的 vm 上下文中加载 Worker 源文件 (源码.js、dns-proxy.js 及压缩后的 Lite 版本)
+// fetch、caches 与 cloudflare:sockets 的 connect 由测试提供；每次加载都有独立的模块状态 (配置、缓存、上游健康度)
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath } from "node:url";
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// internals 为需要直接测试的顶层函数名，压缩版本中同样保留顶层名称；globals 覆盖上下文中的全局对象 (如 Date)
+export function loadWorker(file, { fetch, caches, connect, internals = [], globals = {} } = {}) {
+  let source = fs.readFileSync(path.resolve(ROOT, file), "utf8");
+  source = source.replace(/import\s*\{([^}]*)\}\s*from\s*"cloudflare:sockets";?/, (match, names) =>
+    `const {${names.replace(/\s+as\s+/g, ": ")}} = __sockets__;`);
+  source = source.replace(/export\s+default\s*\{/, "const __worker__ = {");
+  source += `\n;({ worker: __worker__, internals: { ${internals.map((name) => `${name}: typeof ${name} === "undefined" ? undefined : ${name}`).join(", ")} } });`;
+
+  const context = vm.createContext({
+    console, TextEncoder, TextDecoder, URL, URLSearchParams, Request, Response, Headers, AbortController,
+    ReadableStream, WritableStream, TransformStream, setTimeout, clearTimeout, atob, btoa, crypto, structuredClone,
+    queueMicrotask, Uint8Array, DataView, ArrayBuffer, Promise,
+    fetch: fetch || (async () => new Response(null, { status: 404 })),
+    caches: caches || createCaches(),
+    __sockets__: { connect: connect || (() => { throw new Error("connect() is not available in tests"); }) },
+    Date,
+    ...globals,
+  });
+  const { worker, internals: exported } = vm.runInContext(source, context, { filename: file });
+  for (const name of internals) {
+    if (exported[name] === undefined) throw new Error(`${file} has no top-level ${name}`);
+  }
+  return { worker, ...exported };
+}
+
+// caches.default 的内存实现，按 URL 保存响应
+export function createCaches() {
+  const store = new Map();
+  const keyOf = (key) => (typeof key === "string" ? key : key.url);
+  return {
+    store,
+    default: {
+      async match(key) {
+        const response = store.get(keyOf(key));
+        return response ? response.clone() : undefined;
+      },
+      async put(key, response) {
+        store.set(keyOf(key), response);
+      },
+      async delete(key) {
+        return store.delete(keyOf(key));
+      },
+    },
+  };
+}
+
+// 可手动推进的时钟：作为 globals.Date 传入，advance(seconds) 后 Date.now() 与 new Date() 随之变化
+// 需要控制定时器时同时传入 setTimeout/clearTimeout，到期的回调在 advance 中按时间顺序执行
+export function createClock(start = Date.UTC(2025, 0, 1)) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, callback }
+  class FakeDate extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [now]));
+    }
+
+    static now() {
+      return now;
+    }
+  }
+  return {
+    Date: FakeDate,
+    setTimeout(callback, ms = 0) {
+      timers.set(nextId, { at: now + ms, callback });
+      return nextId++;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    advance(seconds) {
+      now += seconds * 1000;
+      const due = [...timers].filter(([, timer]) => timer.at <= now).sort(([, a], [, b]) => a.at - b.at);
+      for (const [id, timer] of due) {
+        timers.delete(id);
+        timer.callback();
+      }
+    },
+  };
+}
+
+// ExecutionContext：收集 waitUntil 的任务，settle() 等待全部完成
+export function createExecutionContext() {
+  const tasks = [];
+  return {
+    waitUntil(promise) {
+      tasks.push(Promise.resolve(promise).catch(() => {}));
+    },
+    passThroughOnException() {},
+    async settle() {
+      while (tasks.length) await tasks.shift();
+    },
+  };
+}
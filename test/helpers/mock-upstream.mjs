@@ -0,0 +1,187 @@
+// 可编排的模拟 DoH 上游：作为 Worker 的 fetch，按上游 URL 依次执行预设的行为
+// 行为为 (query, { signal, url }) => Promise<Response>，可延迟、失败、返回畸形或截断的报文、含指针循环的报文
+import { encodeResponse, readQuestion, TYPES } from "./dns.mjs";
+
+export function createMockUpstream() {
+  const scripts = new Map(); // 上游 URL (不含查询参数) -> 行为队列，最后一个行为重复使用
+  const requests = [];
+
+  async function fetch(input, init = {}) {
+    const url = new URL(String(input.url || input));
+    const server = url.origin + url.pathname;
+    const method = (init.method || "GET").toUpperCase();
+    const dns = url.searchParams.get("dns");
+    const query = method === "POST" ? new Uint8Array(init.body) : dns ? new Uint8Array(Buffer.from(dns, "base64url")) : null;
+    requests.push({ server, method, url: url.href, query });
+
+    const queue = scripts.get(server);
+    if (!queue) return new Response(null, { status: 404 });
+    const behavior = queue.length > 1 ? queue.shift() : queue[0];
+    return behavior(query, { signal: init.signal, url });
+  }
+
+  return {
+    fetch,
+    requests,
+    // 为上游设置行为序列；未设置的 URL 返回 404
+    script(server, ...behaviors) {
+      scripts.set(server, behaviors.length ? behaviors : [reply()]);
+      return this;
+    },
+    requestsTo(server) {
+      return requests.filter((request) => request.server === server);
+    },
+  };
+}
+
+// 正常应答：build(question, query) 返回 encodeResponse 的选项；默认 A 查询返回 192.0.2.1，其他类型无记录
+export function reply(build = defaultAnswer, headers = {}) {
+  return async (query) => dnsResponse(encodeResponse(query, build(readQuestion(query), query)), headers);
+}
+
+export function defaultAnswer(question) {
+  return question.type === TYPES.A ? { answers: [{ type: "A", ttl: 300, data: "192.0.2.1" }] } : {};
+}
+
+// 按名称与类型应答：records 为 { "名称/类型": [记录] }，类型写名称 ("A") 或数字；记录名缺省为问题名
+// 名称存在但没有该类型时返回 NODATA，名称不存在返回 NXDOMAIN
+export function zoneReply(records) {
+  const typeOf = (key) => key.slice(key.lastIndexOf("/") + 1);
+  const nameOf = (key) => key.slice(0, key.lastIndexOf("/"));
+  return reply((question) => {
+    const key = Object.keys(records).find((entry) =>
+      nameOf(entry) === question.name && (TYPES[typeOf(entry)] || Number(typeOf(entry))) === question.type);
+    if (key) return { answers: records[key] };
+    return { rcode: Object.keys(records).some((entry) => nameOf(entry) === question.name) ? 0 : 3 };
+  });
+}
+
+// JSON API 应答：build(params) 返回 JSON 对象，params 为请求 URL 的查询参数
+export function jsonReply(build, headers = {}) {
+  return async (query, { url }) => new Response(JSON.stringify(build(Object.fromEntries(url.searchParams))), {
+    headers: { "Content-Type": "application/dns-json", "Cache-Control": "max-age=300", ...headers },
+  });
+}
+
+// 模拟 cloudflare:sockets 的 connect：每个连接按 "主机:端口" 执行行为 (与 script 相同)，应答加 2 字节长度返回
+// 未设置的地址连接后立即关闭
+export function createMockSockets() {
+  const scripts = new Map();
+  const connections = [];
+
+  function connect({ hostname, port }, { secureTransport = "off" } = {}) {
+    const connection = { address: `${hostname}:${port}`, secureTransport, query: null, closed: false };
+    connections.push(connection);
+    let respond;
+    const response = new Promise((resolve) => (respond = resolve));
+    const controller = new AbortController();
+    return {
+      writable: new WritableStream({
+        async write(chunk) {
+          const length = (chunk[0] << 8) | chunk[1];
+          connection.query = Uint8Array.from(chunk.subarray(2, 2 + length));
+          const queue = scripts.get(connection.address);
+          if (!queue) return respond(null);
+          const behavior = queue.length > 1 ? queue.shift() : queue[0];
+          respond(behavior(connection.query, { signal: controller.signal }).then((r) => r.arrayBuffer()).catch(() => null));
+        },
+      }),
+      readable: new ReadableStream({
+        async pull(stream) {
+          const body = await response;
+          if (body && !connection.closed) {
+            const bytes = new Uint8Array(body);
+            stream.enqueue(new Uint8Array([bytes.length >> 8, bytes.length & 0xff, ...bytes]));
+          }
+          stream.close();
+        },
+      }),
+      async close() {
+        connection.closed = true;
+        controller.abort();
+        respond(null);
+      },
+    };
+  }
+
+  return {
+    connect,
+    connections,
+    script(address, ...behaviors) {
+      scripts.set(address, behaviors.length ? behaviors : [reply()]);
+      return this;
+    },
+  };
+}
+
+// 固定报文 (如录制的应答)，ID 改为查询的 ID
+export function raw(bytes, headers = {}) {
+  return async (query) => {
+    const body = Uint8Array.from(bytes);
+    body.set(query.subarray(0, 2));
+    return dnsResponse(body, headers);
+  };
+}
+
+export function delay(ms, behavior = reply()) {
+  return async (query, options) => {
+    await sleep(ms, options.signal);
+    return behavior(query, options);
+  };
+}
+
+// 不返回，直到请求被中止 (超时)
+export function hang() {
+  return (query, { signal }) => sleep(Infinity, signal);
+}
+
+export function fail(status = 500) {
+  return async () => new Response("upstream error", { status });
+}
+
+export function networkError() {
+  return async () => {
+    throw new TypeError("fetch failed");
+  };
+}
+
+// 状态码 200 但内容不是 DNS 报文
+export function malformed() {
+  return async () => dnsResponse(new TextEncoder().encode("<html>not dns</html>"));
+}
+
+// 正常应答截断到 length 字节
+export function truncated(length, behavior = reply()) {
+  return async (query, options) => {
+    const body = new Uint8Array(await (await behavior(query, options)).arrayBuffer());
+    return dnsResponse(body.slice(0, length));
+  };
+}
+
+// 应答记录名为指向自身的压缩指针
+export function pointerLoop() {
+  return async (query) => {
+    const body = encodeResponse(query, { answers: [{ type: "A", data: "192.0.2.66" }] });
+    const question = readQuestion(query);
+    const recordOffset = 12 + question.length + 4;
+    body[recordOffset] = 0xc0 | (recordOffset >> 8);
+    body[recordOffset + 1] = recordOffset & 0xff;
+    return dnsResponse(body);
+  };
+}
+
+function dnsResponse(body, headers = {}) {
+  return new Response(body, { headers: { "Content-Type": "application/dns-message", "Cache-Control": "max-age=300", ...headers } });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("The operation was aborted", "AbortError"));
+    };
+    if (signal && signal.aborted) return abort();
+    const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+    if (signal) signal.addEventListener("abort", abort, { once: true });
+  });
+}
@@ -0,0 +1,78 @@
+// Lite.js 与 dns-proxy-Lite.js 是对应源文件的压缩版本：同样的请求与上游行为应得到相同的响应
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createClock, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, reply, fail, malformed, hang } from "./helpers/mock-upstream.mjs";
+import { encodeQuery, bytesToBase64Url } from "./helpers/dns.mjs";
+
+const PRIMARY = "https://primary.test/dns-query";
+const SECONDARY = "https://secondary.test/dns-query";
+const ENV = {
+  UPSTREAM_DOH_SERVERS: `${PRIMARY},${SECONDARY}`,
+  DEFAULT_UPSTREAM_STRATEGY: "failover",
+  TIMEOUT_MS: "100",
+  UPSTREAM_TIMEOUT_MIN_MS: "50",
+  UPSTREAM_TIMEOUT_MAX_MS: "200",
+  ECS_FROM_CLIENT_IP: "false",
+};
+const COMPARED_HEADERS = ["content-type", "cache-control", "retry-after"];
+
+const post = (query, path = "/dns-query") => ({ path, init: { method: "POST", headers: { "content-type": "application/dns-message" }, body: query } });
+const get = (path, headers = {}) => ({ path, init: { headers } });
+
+const shared = {
+  "POST /dns-query": { request: post(encodeQuery("example.com", "A", { id: 1 })) },
+  "GET /dns-query": { request: get(`/dns-query?dns=${bytesToBase64Url(encodeQuery("example.com", "AAAA", { id: 2 }))}`) },
+  "failover after an HTTP error": { primary: fail(), request: post(encodeQuery("example.com", "A", { id: 3 })) },
+  "failover after a timeout": { primary: hang(), request: post(encodeQuery("example.com", "A", { id: 4 })) },
+  "every upstream failing": { primary: fail(), secondary: fail(), request: post(encodeQuery("example.com", "A", { id: 5 })) },
+  "an invalid dns parameter": { request: get("/dns-query?dns=%%%") },
+  "a query with the QR bit set": { request: post(Uint8Array.from([0, 6, 0x80, 0, 0, 0, 0, 0, 0, 0, 0, 0])) },
+  "a wrong content type": { request: { path: "/dns-query", init: { method: "POST", headers: { "content-type": "text/plain" }, body: "x" } } },
+  "a missing token": { env: { GLOBAL_AUTH_TOKEN: "secret" }, request: post(encodeQuery("example.com", "A", { id: 7 })) },
+  "a path token": { env: { GLOBAL_AUTH_TOKEN: "secret" }, request: post(encodeQuery("example.com", "A", { id: 8 }), "/dns-query/secret") },
+  "invalid configuration": { env: { TIMEOUT_MS: "soon" }, request: post(encodeQuery("example.com", "A", { id: 9 })) },
+};
+
+const pairs = {
+  "源码.js / Lite.js": {
+    ...shared,
+    "malformed upstream reply": { primary: malformed(), request: post(encodeQuery("example.com", "A", { id: 10 })) },
+    "GET /resolve": { request: get("/resolve?name=example.com&type=A") },
+    "GET /resolve without a type": { request: get("/resolve?name=example.com") },
+    "GET /resolve?ip=": { request: get("/resolve?ip=192.0.2.1") },
+    "JSON API": { request: get("/dns-query?name=example.com&type=A", { accept: "application/dns-json" }) },
+    "POST /resolve/batch": { request: { path: "/resolve/batch?type=A", init: { method: "POST", body: "example.com\nexample.net" } } },
+    "web UI": { request: get("/") },
+  },
+  "dns-proxy.js / dns-proxy-Lite.js": shared,
+};
+
+async function run(file, scenario) {
+  const upstream = createMockUpstream()
+    .script(PRIMARY, scenario.primary || reply())
+    .script(SECONDARY, scenario.secondary || reply());
+  const { worker } = loadWorker(file, { fetch: upstream.fetch, caches: createCaches(), globals: { Date: createClock().Date } });
+  const context = createExecutionContext();
+  const { path, init } = scenario.request;
+  const response = await worker.fetch(new Request(`https://doh.test${path}`, init), { ...ENV, ...scenario.env }, context);
+  const body = new Uint8Array(await response.arrayBuffer());
+  await context.settle();
+  return {
+    status: response.status,
+    headers: Object.fromEntries(COMPARED_HEADERS.map((name) => [name, response.headers.get(name)])),
+    body: Buffer.from(body).toString("hex"),
+    upstreamRequests: upstream.requests.map(({ server, method }) => `${method} ${server}`),
+  };
+}
+
+for (const [pair, scenarios] of Object.entries(pairs)) {
+  const [source, minified] = pair.split(" / ");
+  describe(pair, () => {
+    for (const [name, scenario] of Object.entries(scenarios)) {
+      test(name, async () => {
+        assert.deepEqual(await run(minified, scenario), await run(source, scenario));
+      });
+    }
+  });
+}
@@ -0,0 +1,85 @@
+// 查询日志的 HTTP 输出：攒够 QUERY_LOG_BATCH_SIZE 条时发送，不足一批时在 QUERY_LOG_FLUSH_SECONDS 秒后或定时任务中发送
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createClock, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, reply } from "./helpers/mock-upstream.mjs";
+import { encodeQuery } from "./helpers/dns.mjs";
+
+const UPSTREAM = "https://upstream.test/dns-query";
+const LOGS = "https://logs.test/ingest";
+const ENV = {
+  UPSTREAM_DOH_SERVERS: UPSTREAM,
+  ECS_FROM_CLIENT_IP: "false",
+  QUERY_LOG_SINKS: LOGS,
+  QUERY_LOG_CLIENT_IP: "none",
+  QUERY_LOG_BATCH_SIZE: "3",
+  QUERY_LOG_FLUSH_SECONDS: "10",
+};
+
+// 日志请求单独记录 (含请求体)，其余请求交给模拟上游；定时器由 clock 控制
+function setup(file) {
+  const upstream = createMockUpstream().script(UPSTREAM, reply());
+  const batches = [];
+  const fetch = async (input, init = {}) => {
+    if (String(input) !== LOGS) return upstream.fetch(input, init);
+    batches.push(init.body.trim().split("\n").map((line) => JSON.parse(line).name));
+    return new Response(null, { status: 204 });
+  };
+  const clock = createClock();
+  const { worker } = loadWorker(file, {
+    fetch,
+    caches: createCaches(),
+    globals: { Date: clock.Date, setTimeout: clock.setTimeout, clearTimeout: clock.clearTimeout },
+  });
+  const context = createExecutionContext();
+  // 不等待后台任务 (定时发送要等 clock 推进后才完成)，只等当前的微任务执行完
+  const dnsQuery = async (name) => {
+    const response = await worker.fetch(new Request("https://doh.test/dns-query", {
+      method: "POST",
+      headers: { "content-type": "application/dns-message" },
+      body: encodeQuery(name, "A"),
+    }), ENV, context);
+    await response.arrayBuffer();
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+  const runScheduled = () => worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, ENV, context);
+  return { clock, context, batches, dnsQuery, runScheduled };
+}
+
+for (const file of ["源码.js", "dns-proxy.js"]) {
+  describe(`${file} HTTP query log`, () => {
+    test("sends a full batch immediately", async () => {
+      const { batches, dnsQuery } = setup(file);
+      for (const name of ["a.example", "b.example", "c.example"]) await dnsQuery(name);
+      assert.deepEqual(batches, [["a.example", "b.example", "c.example"]]);
+    });
+
+    test("sends a partial batch after QUERY_LOG_FLUSH_SECONDS without further queries", async () => {
+      const { clock, context, batches, dnsQuery } = setup(file);
+      await dnsQuery("a.example");
+      clock.advance(9);
+      assert.deepEqual(batches, []);
+      clock.advance(1);
+      await context.settle();
+      assert.deepEqual(batches, [["a.example"]]);
+    });
+
+    test("does not resend a batch that was already sent by size", async () => {
+      const { clock, context, batches, dnsQuery } = setup(file);
+      for (const name of ["a.example", "b.example", "c.example", "d.example"]) await dnsQuery(name);
+      clock.advance(10);
+      await context.settle();
+      assert.deepEqual(batches, [["a.example", "b.example", "c.example"], ["d.example"]]);
+    });
+
+    test("sends buffered entries from the scheduled handler", async () => {
+      const { clock, context, batches, dnsQuery, runScheduled } = setup(file);
+      await dnsQuery("a.example");
+      await runScheduled();
+      assert.deepEqual(batches, [["a.example"]]);
+      clock.advance(10);
+      await context.settle();
+      assert.equal(batches.length, 1);
+    });
+  });
+}
@@ -0,0 +1,241 @@
+// 源码.js 的 /resolve 扩展功能：CNAME/DNAME 链、反向解析 (单个地址与网段)、/resolve/batch 批量解析
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, zoneReply, networkError } from "./helpers/mock-upstream.mjs";
+import { encodeName } from "./helpers/dns.mjs";
+
+const UPSTREAM = "https://upstream.test/dns-query";
+const ENV = { UPSTREAM_DOH_SERVERS: UPSTREAM, ECS_FROM_CLIENT_IP: "false" };
+
+const cname = (target) => ({ type: "CNAME", data: encodeName(target) });
+const ptr = (target) => ({ type: "PTR", data: encodeName(target) });
+
+const ZONE = {
+  // 上游一次返回整条链
+  "www.example/A": [cname("edge.cdn.example"), { name: "edge.cdn.example", type: "A", data: "93.184.215.1" }],
+  // 上游只返回 CNAME，目标需要重新查询
+  "short.example/A": [cname("target.example")],
+  "target.example/A": [{ type: "A", data: "93.184.215.2" }, { type: "A", data: "93.184.215.3" }],
+  "target.example/AAAA": [{ type: "AAAA", data: "2606:2800:21f:cb07::2" }],
+  "short.example/AAAA": [cname("target.example")],
+  // DNAME：old.example 的子域名改写到 new.example (应答中没有合成的 CNAME)
+  "www.old.example/A": [{ name: "old.example", type: 39, data: encodeName("new.example") }],
+  "www.new.example/A": [{ type: "A", data: "93.184.215.4" }],
+  "loop-a.example/A": [cname("loop-b.example")],
+  "loop-b.example/A": [cname("loop-a.example")],
+  "hop1.example/A": [cname("hop2.example")],
+  "hop2.example/A": [cname("hop3.example")],
+  "hop3.example/A": [cname("hop4.example")],
+  "hop4.example/A": [{ type: "A", data: "93.184.215.5" }],
+  // 目标的查询只返回其他名称的记录
+  "lost.example/A": [cname("lost-target.example")],
+  "lost-target.example/A": [{ name: "elsewhere.example", type: "A", data: "93.184.215.6" }],
+
+  "1.2.0.192.in-addr.arpa/PTR": [ptr("host1.example")],
+  "3.2.0.192.in-addr.arpa/PTR": [cname("3.0/26.2.0.192.in-addr.arpa")], // RFC 2317 无类别委派
+  "3.0/26.2.0.192.in-addr.arpa/PTR": [ptr("host3.example")],
+  "1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa/PTR": [ptr("v6host.example")],
+
+  "a.example/A": [{ type: "A", data: "93.184.215.10" }],
+  "a.example/MX": [{ type: "MX", data: [0, 10, ...encodeName("mail.a.example")] }],
+  "b.example/A": [{ type: "A", data: "93.184.215.11" }],
+};
+
+function setup(env = {}, upstreamBehavior = zoneReply(ZONE)) {
+  const upstream = createMockUpstream().script(UPSTREAM, upstreamBehavior);
+  const { worker } = loadWorker("源码.js", { fetch: upstream.fetch, caches: createCaches() });
+  const context = createExecutionContext();
+  const open = (path, init) => worker.fetch(new Request(`https://doh.test${path}`, init), { ...ENV, ...env }, context);
+  const send = async (path, init) => {
+    const response = await open(path, init);
+    await context.settle();
+    return response;
+  };
+  const resolve = async (query) => (await send(`/resolve?${query}`)).json();
+  const batch = (body, query = "", headers = {}) => send(`/resolve/batch${query}`, { method: "POST", body, headers });
+  return { upstream, context, open, send, resolve, batch };
+}
+
+describe("CNAME chains", () => {
+  test("follows a chain returned in one answer", async () => {
+    const { upstream, resolve } = setup();
+    const result = await resolve("name=www.example&type=A");
+    assert.deepEqual(result.chain, [{ name: "www.example", type: "CNAME", target: "edge.cdn.example", ttl: 300 }]);
+    assert.equal(result.canonicalName, "edge.cdn.example");
+    assert.deepEqual(result.addresses, ["93.184.215.1"]);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test("queries the target when the upstream only returns the CNAME", async () => {
+    const { upstream, resolve } = setup();
+    const result = await resolve("name=short.example&type=A");
+    assert.equal(result.status, "success");
+    assert.equal(result.canonicalName, "target.example");
+    assert.deepEqual(result.addresses, ["93.184.215.2", "93.184.215.3"]);
+    assert.equal(upstream.requests.length, 2);
+  });
+
+  test("collects the final addresses of both families without a type", async () => {
+    const { resolve } = setup();
+    const result = await resolve("name=short.example&prefer=ipv6");
+    assert.deepEqual(result.types, ["A", "AAAA"]);
+    assert.deepEqual(result.chain.map((step) => step.target), ["target.example"]);
+    assert.deepEqual(result.addresses, ["2606:2800:21f:cb07::2", "93.184.215.2", "93.184.215.3"]);
+  });
+
+  test("rewrites names under a DNAME", async () => {
+    const { upstream, resolve } = setup();
+    const result = await resolve("name=www.old.example&type=A");
+    assert.deepEqual(result.chain.map(({ type, owner, target }) => ({ type, owner, target })), [
+      { type: "DNAME", owner: "old.example", target: "www.new.example" },
+    ]);
+    assert.deepEqual(result.addresses, ["93.184.215.4"]);
+    assert.equal(upstream.requests.length, 2);
+  });
+
+  test("stops at loops", async () => {
+    const { resolve } = setup();
+    const result = await resolve("name=loop-a.example&type=A");
+    assert.equal(result.chainError, "CNAME loop detected at loop-a.example");
+    assert.deepEqual(result.chain.map((step) => step.target), ["loop-b.example", "loop-a.example"]);
+    assert.deepEqual(result.addresses, []);
+  });
+
+  test("stops after CNAME_CHAIN_MAX_DEPTH steps", async () => {
+    const { upstream, resolve } = setup({ CNAME_CHAIN_MAX_DEPTH: "2" });
+    const result = await resolve("name=hop1.example&type=A");
+    assert.equal(result.chainError, "CNAME chain longer than 2");
+    assert.deepEqual(result.addresses, []);
+    assert.equal(upstream.requests.length, 2);
+
+    assert.deepEqual((await setup().resolve("name=hop1.example&type=A")).addresses, ["93.184.215.5"]);
+  });
+
+  test("reports a target that cannot be resolved", async () => {
+    const { upstream, resolve } = setup();
+    upstream.script(UPSTREAM, zoneReply(ZONE), networkError());
+    const result = await resolve("name=short.example&type=A");
+    assert.equal(result.chainError, "Failed to resolve target.example");
+    assert.equal(result.canonicalName, "target.example");
+  });
+
+  test("reports a target whose reply has none of its records", async () => {
+    const { upstream, resolve } = setup();
+    const result = await resolve("name=lost.example&type=A");
+    assert.equal(result.chainError, "No records for lost-target.example in the reply");
+    assert.equal(result.canonicalName, "lost-target.example");
+    assert.deepEqual(result.addresses, []);
+    assert.equal(upstream.requests.length, 2);
+  });
+
+  test("does not follow CNAME queries", async () => {
+    const { upstream, resolve } = setup();
+    const result = await resolve("name=short.example&type=CNAME");
+    assert.deepEqual(result.chain, []);
+    assert.equal(upstream.requests.length, 1);
+  });
+});
+
+describe("reverse lookups", () => {
+  test("converts an IPv4 address to its in-addr.arpa name", async () => {
+    const { resolve } = setup();
+    const result = await resolve("ip=192.0.2.1");
+    assert.equal(result.domain, "1.2.0.192.in-addr.arpa");
+    assert.equal(result.ip, "192.0.2.1");
+    assert.deepEqual(result.answers.map((answer) => answer.data), ["host1.example"]);
+    assert.equal((await resolve("name=192.0.2.1&type=PTR")).domain, "1.2.0.192.in-addr.arpa");
+  });
+
+  test("converts an IPv6 address to its ip6.arpa name", async () => {
+    const { resolve } = setup();
+    const result = await resolve("ip=2001:db8::1");
+    assert.equal(result.domain, "1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa");
+    assert.deepEqual(result.answers.map((answer) => answer.data), ["v6host.example"]);
+  });
+
+  test("rejects invalid addresses", async () => {
+    const { upstream, send } = setup();
+    assert.equal((await send("/resolve?ip=192.0.2.300")).status, 400);
+    assert.equal((await send("/resolve?ip=192.0.2.0/33")).status, 400);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  test("looks up every address of a network in order and follows RFC 2317 delegations", async () => {
+    const { resolve } = setup();
+    const result = await resolve("ip=192.0.2.0/30");
+    assert.equal(result.count, 4);
+    assert.deepEqual(result.results.map(({ ip, names }) => ({ ip, names })), [
+      { ip: "192.0.2.0", names: [] },
+      { ip: "192.0.2.1", names: ["host1.example"] },
+      { ip: "192.0.2.2", names: [] },
+      { ip: "192.0.2.3", names: ["host3.example"] },
+    ]);
+  });
+
+  test("limits the network size", async () => {
+    const { upstream, send } = setup();
+    assert.equal((await send("/resolve?ip=192.0.2.0/23")).status, 413);
+    assert.equal((await send("/resolve?ip=2001:db8::/119")).status, 413);
+    assert.equal(upstream.requests.length, 0);
+  });
+});
+
+describe("/resolve/batch", () => {
+  test("resolves each name and type from a text body in request order", async () => {
+    const { batch } = setup();
+    const response = await batch("# hosts\na.example\n\nb.example\n", "?type=A,MX");
+    const { count, results } = await response.json();
+    assert.equal(count, 4);
+    assert.deepEqual(results.map(({ name, type, result }) => [name, type, result.count || 0]), [
+      ["a.example", "A", 1],
+      ["a.example", "MX", 1],
+      ["b.example", "A", 1],
+      ["b.example", "MX", 0],
+    ]);
+  });
+
+  test("keeps invalid JSON entries in place with an error", async () => {
+    const { upstream, batch } = setup();
+    const body = JSON.stringify(["a.example", { name: "b.example", type: ["A", "A"] }, { name: "bad..name" }, { name: "a.example", type: "NOPE" }, 42]);
+    const { results } = await (await batch(body, "", { "content-type": "application/json" })).json();
+    assert.deepEqual(results.map(({ name, type, error }) => [name, type, error || null]), [
+      ["a.example", "A", null],
+      ["a.example", "AAAA", null],
+      ["b.example", "A", null],
+      ["bad..name", null, "Invalid name"],
+      ["a.example", "NOPE", "Invalid type"],
+      [null, null, "Missing name"],
+    ]);
+    assert.equal(upstream.requests.length, 3);
+  });
+
+  test("rejects bad requests before querying", async () => {
+    const { upstream, send, batch } = setup({ BATCH_MAX_QUERIES: "3" });
+    assert.equal((await send("/resolve/batch")).status, 405);
+    assert.equal((await batch("a.example\nb.example", "?type=A,AAAA")).status, 413);
+    assert.equal((await batch("a.example", "?type=NOPE")).status, 400);
+    assert.equal((await batch("[not json")).status, 400);
+    assert.equal((await batch("# only comments\n")).status, 400);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  // 流式输出在后台写入，需先读取响应体再等待后台任务
+  test("streams NDJSON lines in request order", async () => {
+    const { context, open } = setup();
+    const response = await open("/resolve/batch?type=A", { method: "POST", body: "a.example\nb.example", headers: { accept: "application/x-ndjson" } });
+    assert.equal(response.headers.get("content-type"), "application/x-ndjson");
+    const lines = (await response.text()).trim().split("\n").map((line) => JSON.parse(line));
+    await context.settle();
+    assert.deepEqual(lines.map(({ name, result }) => [name, result.answers[0].data]), [
+      ["a.example", "93.184.215.10"],
+      ["b.example", "93.184.215.11"],
+    ]);
+  });
+
+  test("reports upstream failures per query", async () => {
+    const { batch } = setup({}, networkError());
+    const { results } = await (await batch("a.example", "?type=A")).json();
+    assert.deepEqual(results, [{ name: "a.example", type: "A", error: "All upstream servers failed" }]);
+  });
+});
@@ -0,0 +1,73 @@
+// 分流规则 (UPSTREAM_ROUTES)：按域名与查询类型选择上游，第一条命中的规则生效，未命中时使用默认上游
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, reply, networkError } from "./helpers/mock-upstream.mjs";
+import { encodeQuery, readHeader } from "./helpers/dns.mjs";
+
+const DEFAULT = "https://default.test/dns-query";
+const CORP = "https://corp.test/dns-query";
+const CORP_BACKUP = "https://corp-backup.test/dns-query";
+const V6 = "https://v6.test/dns-query";
+const ROUTES = [
+  { domains: ["corp.example"], servers: [CORP, CORP_BACKUP], strategy: "failover" },
+  { domains: ["*.cn.example"], types: ["AAAA", "TYPE65"], servers: [V6] },
+  { domains: ["corp.example"], servers: [V6] }, // 前一条已命中，不会生效
+];
+const ENV = {
+  UPSTREAM_DOH_SERVERS: DEFAULT,
+  UPSTREAM_ROUTES: JSON.stringify(ROUTES),
+  DEFAULT_UPSTREAM_STRATEGY: "failover",
+  ECS_FROM_CLIENT_IP: "false",
+};
+
+function setup(file, corp = reply()) {
+  const upstream = createMockUpstream().script(DEFAULT, reply()).script(CORP, corp).script(CORP_BACKUP, reply()).script(V6, reply());
+  const { worker } = loadWorker(file, { fetch: upstream.fetch, caches: createCaches() });
+  const context = createExecutionContext();
+  const dnsQuery = async (name, type = "A") => {
+    const response = await worker.fetch(new Request("https://doh.test/dns-query", {
+      method: "POST",
+      headers: { "content-type": "application/dns-message" },
+      body: encodeQuery(name, type),
+    }), ENV, context);
+    await context.settle();
+    return readHeader(new Uint8Array(await response.arrayBuffer()));
+  };
+  // 返回该查询发往的上游
+  const serverFor = async (name, type) => {
+    const before = upstream.requests.length;
+    await dnsQuery(name, type);
+    return upstream.requests.slice(before).map((request) => request.server);
+  };
+  return { upstream, dnsQuery, serverFor };
+}
+
+for (const file of ["源码.js", "dns-proxy.js"]) {
+  describe(`${file} upstream routes`, () => {
+    test("sends a domain and its subdomains to the matching route", async () => {
+      const { serverFor } = setup(file);
+      assert.deepEqual(await serverFor("corp.example", "A"), [CORP]);
+      assert.deepEqual(await serverFor("wiki.Corp.Example", "A"), [CORP]);
+      assert.deepEqual(await serverFor("notcorp.example", "A"), [DEFAULT]);
+    });
+
+    test("limits wildcard routes to subdomains and listed types", async () => {
+      const { serverFor } = setup(file);
+      assert.deepEqual(await serverFor("www.cn.example", "AAAA"), [V6]);
+      assert.deepEqual(await serverFor("www.cn.example", "HTTPS"), [V6]);
+      assert.deepEqual(await serverFor("www.cn.example", "A"), [DEFAULT]);
+      assert.deepEqual(await serverFor("cn.example", "AAAA"), [DEFAULT]);
+    });
+
+    test("fails over within the route and not to the default upstreams", async () => {
+      const failing = setup(file, networkError());
+      assert.deepEqual(await failing.serverFor("corp.example", "A"), [CORP, CORP_BACKUP]);
+
+      const down = setup(file, networkError());
+      down.upstream.script(CORP_BACKUP, networkError());
+      assert.equal((await down.dnsQuery("corp.example")).rcode, 2);
+      assert.equal(down.upstream.requestsTo(DEFAULT).length, 0);
+    });
+  });
+}
@@ -0,0 +1,137 @@
+// 提前刷新与定时任务：热门条目临近过期时在后台重新查询；scheduled 预热 PREFETCH_DOMAINS 并重新下载远程过滤规则
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { loadWorker, createCaches, createClock, createExecutionContext } from "./helpers/load-worker.mjs";
+import { createMockUpstream, reply } from "./helpers/mock-upstream.mjs";
+import { encodeQuery, readHeader, readAnswers, readQuestion } from "./helpers/dns.mjs";
+
+const UPSTREAM = "https://upstream.test/dns-query";
+const BLOCKLIST = "https://lists.test/hosts.txt";
+const ENV = {
+  UPSTREAM_DOH_SERVERS: UPSTREAM,
+  DEFAULT_UPSTREAM_STRATEGY: "failover",
+  ECS_FROM_CLIENT_IP: "false",
+};
+
+function setup(file, env = {}) {
+  const upstream = createMockUpstream().script(UPSTREAM, reply());
+  const clock = createClock();
+  const { worker } = loadWorker(file, { fetch: upstream.fetch, caches: createCaches(), globals: { Date: clock.Date } });
+  const context = createExecutionContext();
+  env = { ...ENV, ...env };
+  const dnsQuery = async (name, type = "A") => {
+    const request = new Request("https://doh.test/dns-query", {
+      method: "POST",
+      headers: { "content-type": "application/dns-message" },
+      body: encodeQuery(name, type),
+    });
+    const response = await worker.fetch(request, env, context);
+    await context.settle();
+    return new Uint8Array(await response.arrayBuffer());
+  };
+  const runScheduled = async () => {
+    await worker.scheduled({ cron: "*/5 * * * *", scheduledTime: Date.now() }, env, context);
+    await context.settle();
+  };
+  return { upstream, clock, dnsQuery, runScheduled };
+}
+
+for (const file of ["源码.js", "dns-proxy.js"]) {
+  describe(`${file} refresh-ahead`, () => {
+    test("re-resolves a popular entry in the background when it is close to expiry", async () => {
+      const { upstream, clock, dnsQuery } = setup(file);
+      await dnsQuery("example.com");
+      clock.advance(275); // 剩余 25 秒，低于 300 秒的 10%
+      for (let i = 0; i < 3; i++) await dnsQuery("example.com");
+      assert.equal(upstream.requests.length, 2);
+
+      // 刷新后的条目重新计时，原条目过期后仍由缓存应答
+      clock.advance(100);
+      const body = await dnsQuery("example.com");
+      assert.equal(upstream.requests.length, 2);
+      assert.deepEqual(readAnswers(body), [{ type: 1, ttl: 200, data: [192, 0, 2, 1] }]);
+    });
+
+    test("does not refresh entries with too few hits or enough remaining TTL", async () => {
+      const { upstream, clock, dnsQuery } = setup(file);
+      await dnsQuery("example.com");
+      for (let i = 0; i < 5; i++) await dnsQuery("example.com");
+      clock.advance(275);
+      assert.equal(upstream.requests.length, 1);
+
+      const { upstream: quiet, clock: quietClock, dnsQuery: quietQuery } = setup(file, { REFRESH_AHEAD_MIN_HITS: "10" });
+      await quietQuery("example.com");
+      quietClock.advance(275);
+      for (let i = 0; i < 3; i++) await quietQuery("example.com");
+      assert.equal(quiet.requests.length, 1);
+    });
+
+    test("can be turned off with REFRESH_AHEAD_PERCENT=0", async () => {
+      const { upstream, clock, dnsQuery } = setup(file, { REFRESH_AHEAD_PERCENT: "0" });
+      await dnsQuery("example.com");
+      clock.advance(299);
+      for (let i = 0; i < 5; i++) await dnsQuery("example.com");
+      assert.equal(upstream.requests.length, 1);
+    });
+  });
+
+  describe(`${file} scheduled prefetch`, () => {
+    test("warms the cache for every configured domain and type", async () => {
+      const { upstream, dnsQuery, runScheduled } = setup(file, { PREFETCH_DOMAINS: "example.com, Example.NET.", PREFETCH_TYPES: "A" });
+      await runScheduled();
+      assert.deepEqual(upstream.requests.map((request) => readQuestion(request.query).name).sort(), ["example.com", "example.net"]);
+
+      const body = await dnsQuery("example.net");
+      assert.equal(readHeader(body).ancount, 1);
+      assert.equal(upstream.requests.length, 2);
+    });
+
+    test("rewarms entries that are already cached", async () => {
+      const { upstream, clock, dnsQuery, runScheduled } = setup(file, { PREFETCH_DOMAINS: "example.com", PREFETCH_TYPES: "A" });
+      await dnsQuery("example.com");
+      clock.advance(200);
+      await runScheduled();
+      assert.equal(upstream.requests.length, 2);
+      assert.equal(readAnswers(await dnsQuery("example.com"))[0].ttl, 300);
+    });
+
+    test("runs a bounded number of prefetch queries at a time", async () => {
+      const domains = Array.from({ length: 20 }, (_, i) => `host${i}.example`);
+      const { upstream, runScheduled } = setup(file, { PREFETCH_DOMAINS: domains.join(","), PREFETCH_TYPES: "A" });
+      let active = 0;
+      let peak = 0;
+      const answer = reply();
+      upstream.script(UPSTREAM, async (query, options) => {
+        peak = Math.max(peak, ++active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+        return answer(query, options);
+      });
+      await runScheduled();
+      assert.equal(upstream.requests.length, 20);
+      assert.ok(peak > 1 && peak <= 8, `peak concurrency ${peak}`);
+    });
+
+    test("rejects invalid prefetch configuration", async () => {
+      const { upstream, runScheduled } = setup(file, { PREFETCH_DOMAINS: "example..com" });
+      await runScheduled();
+      assert.equal(upstream.requests.length, 0);
+    });
+  });
+}
+
+describe("源码.js scheduled blocklist refresh", () => {
+  test("downloads remote blocklist sources again", async () => {
+    let list = "0.0.0.0 ads.example\n";
+    const { upstream, dnsQuery, runScheduled } = setup("源码.js", { BLOCKLIST_SOURCES: BLOCKLIST });
+    upstream.script(BLOCKLIST, async () => new Response(list));
+
+    assert.equal(readHeader(await dnsQuery("ads.example")).rcode, 3);
+    assert.equal(readHeader(await dnsQuery("tracker.example")).rcode, 0);
+
+    list += "0.0.0.0 tracker.example\n";
+    await runScheduled();
+    assert.equal(upstream.requestsTo(BLOCKLIST).length, 2);
+    assert.equal(readHeader(await dnsQuery("tracker.example")).rcode, 3);
+  });
+});
@@ -4,27 +4,172 @@ DNS查询服务
 可用端点：
 • /dns-query - 标准DNS over HTTPS查询
 • /resolve - 简化域名解析（JSON格式）
+• /resolve 或 /dns-query + Accept: application/dns-json - 兼容 Google/Cloudflare 的 JSON API
+• /resolve/batch - 批量解析 (POST JSON 或每行一个域名，可 NDJSON 流式返回)
+• /stats - 查询统计 (需要 GLOBAL_AUTH_TOKEN 或 endpoints 包含 /stats 的令牌)
+• / - 网页查询界面及本部署的客户端配置 (DoH 地址、Firefox / Chrome / AdGuard / sing-box 配置片段)
+• /dns.mobileconfig - Apple 描述文件 (iOS / macOS 系统级 DoH)
+
+可选域名过滤 (BLOCKLIST_SOURCES / BLOCKLIST_RULES)，对 /dns-query 与 /resolve 均生效
+可选多用户令牌 (AUTH_TOKENS)，支持 ?token=、/dns-query/<token> 路径及 Authorization: Bearer，每个令牌可设置端点、过滤配置与频率限制
+可选分流规则 (UPSTREAM_ROUTES)，按域名后缀和查询类型选择不同的上游
+上游按延迟和成功率评分，失败自动熔断，默认 hedged 策略 (先请求最快的，慢时再请求下一个)
+上游支持 DoH POST / GET、JSON API (json+https://)、DNS over TCP (tcp://) 与 DNS over TLS (tls://)
+可选应答过滤：去掉 AAAA (FILTER_AAAA)、DNS 重绑定防护 (REBINDING_PROTECTION)、按地址网段拦截 (BLOCKLIST_IP_CIDRS)、改写 HTTPS 记录的 ech / alpn / 地址提示 (HTTPS_*)
+可选本地记录 (LOCAL_RECORDS)，固定解析、内网域名及 CNAME 改写
+按问题缓存响应 (GET/POST 共用)，上游全部失败时可返回过期缓存，热门条目过期前在后台提前刷新 (REFRESH_AHEAD_*)
+可选定时任务 (Cron Trigger)：预热 PREFETCH_DOMAINS 的缓存并重新下载远程过滤规则
+可选查询日志 (QUERY_LOG_SINKS)，/stats 返回查询量、排行、缓存命中率及各上游延迟与错误率
+可选 DNSSEC 验证 (DNSSEC_VALIDATION)：bogus 应答返回 SERVFAIL，/dns-query 按验证结果设置 AD 位，/resolve 返回 dnssec 状态 (secure/insecure/bogus)
+配置可通过环境变量 / Secret (与下方变量同名) 或 KV (绑定 CONFIG_KV) 中的 JSON 设置，无需修改源码
+
+/resolve 支持 do=1 (DNSSEC)、cd=1、edns_client_subnet=1.2.3.0/24 参数，默认按 CF-Connecting-IP 附带 ECS
+/resolve?ip=1.2.3.4 (或 name=<IP>&type=PTR) 反向解析，ip=192.0.2.0/24 反查整个网段 (最多 256 个地址)
+/resolve 会跟随 CNAME/DNAME 链 (必要时重新查询目标)，返回 chain 与最终地址 addresses，支持 sort=1、dedupe=0、prefer=ipv4|ipv6
+/resolve?format=dig 以 dig 风格的纯文本返回完整应答
+server 参数仅接受别名 (UPSTREAM_ALIASES) 或白名单中的 https 上游 (CUSTOM_SERVER_ALLOWLIST)
 
 示例：
 curl "https://your-worker.workers.dev/resolve?name=google.com&type=A"
-curl "https://your-worker.workers.dev/resolve?name=google.com&type=A&server=https://custom-dns.com/dns-query"
+curl -H "Accept: application/dns-json" "https://your-worker.workers.dev/dns-query?name=google.com&type=A&do=1"
+curl "https://your-worker.workers.dev/resolve?name=google.com&type=A&server=quad9"
+curl -X POST --data-binary $'google.com\ngithub.com' "https://your-worker.workers.dev/resolve/batch?type=A,AAAA,MX"
 */
 
-const UPSTREAM_DOH_SERVERS = [
+import { connect } from "cloudflare:sockets";
+
+// 以下均为默认配置，可通过环境变量 / Secret 或 KV 中的 JSON 覆盖 (见“配置加载”一节)
+// 上游列表，可用 get+https://、json+https://、tcp://、tls:// 前缀指定传输方式 (见“上游传输”一节)
+let UPSTREAM_DOH_SERVERS = [
   "https://cloudflare-dns.com/dns-query",
   "https://dns.google/dns-query",
+  // "tls://dns.quad9.net", "json+https://dns.google/resolve",
+];
+
+// 分流规则：按顺序匹配，第一条命中的规则决定上游；未命中时使用 UPSTREAM_DOH_SERVERS
+// domains 中 "corp.example" 匹配该域名及其子域名，"*.corp.example" 仅匹配子域名；types 可选，限定查询类型
+// strategy: race / failover / fastest / weighted / hedged，含义见下方 DEFAULT_UPSTREAM_STRATEGY
+let UPSTREAM_ROUTES = [
+  // { domains: ["corp.example"], servers: ["https://doh.corp.example/dns-query"], strategy: "failover" },
+  // { domains: ["cn"], types: ["A", "AAAA"], servers: ["https://doh.pub/dns-query", "https://dns.alidns.com/dns-query"] },
 ];
+// 上游选择策略：race 并发请求全部 / failover 按配置顺序 / fastest 按延迟与成功率评分顺序
+// weighted 按评分加权随机 / hedged 先请求评分最好的，超过 HEDGE_DELAY_MS 未返回再并发请求下一个
+// server 参数可用的上游别名，如 server=quad9
+let UPSTREAM_ALIASES = {
+  cloudflare: "https://cloudflare-dns.com/dns-query",
+  google: "https://dns.google/dns-query",
+  quad9: "https://dns.quad9.net/dns-query",
+  adguard: "https://dns.adguard-dns.com/dns-query",
+  alidns: "https://dns.alidns.com/dns-query",
+  dnspod: "https://doh.pub/dns-query",
+};
+let CUSTOM_SERVER_ALLOWLIST = []; // server 参数允许的其他上游：完整 URL 或域名 ("dns.example.com"、"*.example.com")
+let CUSTOM_SERVER_ALLOW_ANY = false; // 是否允许白名单外的任意公网 https 上游 (会先解析域名，拒绝指向内网地址的目标)
+
+let DEFAULT_UPSTREAM_STRATEGY = "hedged"; // 默认上游及未指定 strategy 的规则使用的策略
+let HEDGE_DELAY_MS = 100; // hedged 策略发出下一个请求前的等待时间（毫秒）
+
+let GLOBAL_AUTH_TOKEN = ""; // 不受限制的全局令牌，与 AUTH_TOKENS 均为空时无需验证
+
+// 具名令牌：名称 -> { token, endpoints, serverOverride, blocklistProfile, rateLimit }
+// endpoints 可访问的端点 (默认 /dns-query、/resolve 与 /resolve/batch，/stats 需显式列出)；serverOverride 是否允许 server= 参数 (默认否)
+// blocklistProfile 附加的过滤配置 (BLOCKLIST_PROFILES 中的名称)；rateLimit 每分钟请求数上限 (0 不限制)
+let AUTH_TOKENS = {
+  // alice: { token: "change-me", rateLimit: 600 },
+  // kids: { token: "change-me-too", endpoints: ["/dns-query"], blocklistProfile: "kids", rateLimit: 300 },
+};
+let CACHE_TTL_SECONDS = 300; // 最大缓存时间（秒）
+let MIN_CACHE_TTL_SECONDS = 60; // 最小缓存时间（秒）
+let TIMEOUT_MS = 500; // 初始超时时间（毫秒），有延迟样本后按上游自适应
+let UPSTREAM_TIMEOUT_MIN_MS = 300; // 自适应超时下限（毫秒）
+let UPSTREAM_TIMEOUT_MAX_MS = 3000; // 自适应超时上限（毫秒）
+let HEALTH_EWMA_ALPHA = 0.2; // 延迟与成功率的 EWMA 平滑系数
+let CIRCUIT_BREAKER_THRESHOLD = 3; // 连续失败多少次后熔断
+let CIRCUIT_BREAKER_COOLDOWN_MS = 30000; // 熔断持续时间（毫秒）
+
+// EDNS(0) 配置
+let EDNS_UDP_PAYLOAD_SIZE = 1232; // 通告的 UDP 负载大小（DNS Flag Day 2020 推荐值）
+let EDNS_PADDING = true; // /resolve 查询按 RFC 8467 填充到 128 字节的整数倍
+let ECS_FROM_CLIENT_IP = true; // /resolve 未指定 edns_client_subnet 时，使用 CF-Connecting-IP 生成 ECS
+let ECS_IPV4_PREFIX = 24; // ECS IPv4 截断长度
+let ECS_IPV6_PREFIX = 56; // ECS IPv6 截断长度
+let ECS_POLICY = "keep"; // /dns-query 客户端查询中的 ECS：strip 移除 / keep 原样 / inject 缺失时按客户端 IP 添加
+
+// 域名过滤配置
+let BLOCKLIST_SOURCES = []; // 远程规则列表 URL，支持 hosts、纯域名列表和 AdGuard/ABP 语法
+let BLOCKLIST_RULES = []; // 内置规则，如 "||ads.example.com^"、"@@||cdn.example.com^"、"0.0.0.0 tracker.example"
+let BLOCK_RESPONSE = "nxdomain"; // 拦截响应：nxdomain / zero (A 返回 0.0.0.0，AAAA 返回 ::) / refused
+let BLOCKED_TTL_SECONDS = 10; // 拦截响应的 TTL（秒）
+let BLOCKLIST_REFRESH_SECONDS = 3600; // 远程规则列表刷新间隔（秒）
+// 过滤配置：名称 -> { sources, rules }，由令牌的 blocklistProfile 引用；命中时的放行或拦截结果优先于上方默认规则
+let BLOCKLIST_PROFILES = {
+  // kids: { sources: ["https://example.com/family-blocklist.txt"], rules: ["||games.example^"] },
+};
+
+// 应答过滤：对上游返回的地址做检查和改写 (见“应答过滤”一节)
+let FILTER_AAAA = false; // 域名有 A 记录时去掉 AAAA 应答 (客户端 IPv6 不通时使用)
+let REBINDING_PROTECTION = "off"; // DNS 重绑定防护：off / remove 删除指向内网地址的记录 / refuse 返回 REFUSED
+let REBINDING_ALLOWLIST = []; // 允许解析到内网地址的域名 ("corp.example.com" 含子域名，"*.example.com" 仅子域名)
+let BLOCKLIST_IP_CIDRS = []; // 应答中的地址落在这些网段时拦截，如 ["203.0.113.0/24", "2001:db8::/32"]
+let HTTPS_STRIP_ECH = false; // 删除 HTTPS 记录中的 ech 参数 (网络不支持 ECH 时使用)
+let HTTPS_STRIP_ALPN = []; // 从 HTTPS 记录的 alpn 中删除这些协议，如 ["h3"] 禁止客户端使用 QUIC
+let HTTPS_IPV4HINT = []; // 非空时替换 HTTPS 记录的 ipv4hint
+let HTTPS_IPV6HINT = []; // 非空时替换 HTTPS 记录的 ipv6hint
+
+// 本地记录：优先于过滤与上游，键为域名 ("*.example.lan" 为通配)，支持 A/AAAA/CNAME/TXT/MX
+// 值可以是单个或数组；CNAME 为改写目标，目标域名继续向上游解析
+let LOCAL_RECORDS = {
+  // "nas.home.arpa": { A: "192.168.1.10", AAAA: "fd00::10" },
+  // "*.dev.home.arpa": { A: ["192.168.1.20", "192.168.1.21"] },
+  // "youtube.com": { CNAME: "restrict.youtube.com" },
+  // "home.arpa": { TXT: "v=spf1 -all", MX: { preference: 10, exchange: "mail.home.arpa" } },
+};
+let LOCAL_TTL_SECONDS = 300; // 本地记录的 TTL（秒）
+let LOCAL_CNAME_MAX_DEPTH = 8; // 本地 CNAME 连续改写的最大层数
 
-const GLOBAL_AUTH_TOKEN = ""; // token如果为空则无需验证
-const CACHE_TTL_SECONDS = 300; // 最大缓存时间（秒）
-const MIN_CACHE_TTL_SECONDS = 60; // 最小缓存时间（秒）
-const TIMEOUT_MS = 500; // 超时时间（毫秒）
+// 响应缓存配置 (按问题缓存，GET/POST 共用)，TTL 取记录最小 TTL，并限制在 MIN_CACHE_TTL_SECONDS ~ CACHE_TTL_SECONDS
+let DNS_CACHE_ENABLED = true; // 是否启用响应缓存
+let NEGATIVE_CACHE_TTL_SECONDS = 60; // 否定应答缺少 SOA 时的缓存时间（秒）
+let SERVE_STALE = true; // 所有上游失败时返回过期缓存 (RFC 8767)
+let SERVE_STALE_MAX_SECONDS = 86400; // 过期缓存最长保留时间（秒）
+let STALE_ANSWER_TTL_SECONDS = 30; // 返回过期缓存时记录的 TTL（秒）
+let REFRESH_AHEAD_PERCENT = 10; // 命中时剩余 TTL 不足原 TTL 的该百分比且命中足够频繁时，在后台提前刷新 (0 关闭)
+let REFRESH_AHEAD_MIN_HITS = 3; // 提前刷新要求的命中次数 (当前 isolate 内，自上次刷新起计数)
+
+// 定时任务 (Cron Trigger)：预热常用域名的缓存，并重新下载远程过滤规则 (见“定时任务”一节)
+let PREFETCH_DOMAINS = []; // 预热的域名，如 ["www.google.com", "github.com"]
+let PREFETCH_TYPES = ["A", "AAAA"]; // 预热的查询类型
+
+// 查询日志：输出为 "console" 或 https URL (批量 POST NDJSON)，为空则只累计 /stats 统计
+let QUERY_LOG_SINKS = [];
+let QUERY_LOG_CLIENT_IP = "hash"; // 客户端 IP 记录方式：full 原样 / hash 加盐哈希 / none 不记录
+let QUERY_LOG_IP_SALT = ""; // 哈希客户端 IP 时使用的盐，建议设置为 Secret
+let QUERY_LOG_HTTP_TOKEN = ""; // HTTP 输出的 Authorization: Bearer 令牌
+let QUERY_LOG_BATCH_SIZE = 50; // HTTP 输出每批条数
+let QUERY_LOG_FLUSH_SECONDS = 10; // HTTP 输出的最长缓冲时间（秒）
+
+// 批量解析 (/resolve/batch)
+let BATCH_MAX_QUERIES = 500; // 单次请求最多的查询数 (域名数 × 类型数)
+let BATCH_CONCURRENCY = 8; // 同时进行的查询数
+
+let CNAME_CHAIN_MAX_DEPTH = 8; // /resolve 跟随 CNAME/DNAME 链的最大长度
+
+let WEB_UI = true; // 在 / 提供查询页面与客户端配置说明 (配置了令牌时需 ?token=)
+
+// DNSSEC 验证：开启后由 Worker 验证上游应答 (客户端设置 CD 位时不验证)，bogus 返回 SERVFAIL，secure 设置 AD 位
+let DNSSEC_VALIDATION = false;
+// 信任锚，DS 文本格式 "<区域> <key tag> <算法> <摘要类型> <摘要>"；默认为根区域 KSK-2017 与 KSK-2024
+let DNSSEC_TRUST_ANCHORS = [
+  ". 20326 8 2 E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D",
+  ". 38696 8 2 683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16",
+];
 const decoder = new TextDecoder(); // 全局 TextDecoder 实例
 
 export default {
-  async fetch(request) {
+  async fetch(request, env, context) {
     const url = new URL(request.url);
-    const path = url.pathname;
+    let path = url.pathname;
 
     // 处理OPTIONS预检请求
     if (request.method === "OPTIONS") {
@@ -38,153 +183,464 @@ export default {
       });
     }
 
-    // 简单token验证
-    if (GLOBAL_AUTH_TOKEN) {
-      const token = url.searchParams.get("token");
-      if (!token || token !== GLOBAL_AUTH_TOKEN) {
-        return new Response(null, { status: 403 });
-      }
+    // 加载环境变量 / KV 配置，配置无效时拒绝服务 (错误详情只输出到日志，此时尚未验证令牌)
+    const errors = await ensureConfig(env);
+    if (errors.length) return configErrorResponse();
+
+    // 令牌验证及令牌策略 (端点、server 参数、频率限制)
+    const pathToken = getPathToken(path);
+    if (pathToken) path = "/dns-query";
+    const access = await authenticate(request, url, pathToken);
+    if (!access || !canAccessEndpoint(access, path)) {
+      return await denyRequest(request, url, path, 403);
+    }
+    if (!consumeRateLimit(access)) return await denyRequest(request, url, path, 429);
+    if (url.searchParams.has("server") && !access.serverOverride) {
+      return jsonResponse({ error: "server parameter is not allowed for this token" }, 403);
     }
 
     // 路由处理
     switch (path) {
       case "/dns-query":
-        return await handleDnsQuery(request);
+        if (wantsDnsJson(request, url)) return await handleJsonQuery(request, context, access);
+        return await handleDnsQuery(request, context, access);
       case "/resolve":
-        return await handleDomainResolve(request);
+        if (wantsDnsJson(request, url)) return await handleJsonQuery(request, context, access);
+        return await handleDomainResolve(request, context, access);
+      case "/resolve/batch":
+        return await handleBatchResolve(request, context, access);
+      case "/stats":
+        return handleStats(url);
+      case "/":
+        if (WEB_UI) return await handleWebUi(url, access);
+        return new Response(null, { status: 200 });
+      case "/dns.mobileconfig":
+        if (WEB_UI) return await handleMobileConfig(url, access);
+        return new Response(null, { status: 404 });
       default:
         return new Response(null, { status: 200 });
     }
   },
+
+  // 定时任务 (Cron Trigger)：预热缓存、重新下载远程过滤规则并发送缓冲的查询日志，配置无效时跳过 (错误详情已输出到日志)
+  async scheduled(controller, env, context) {
+    const errors = await ensureConfig(env);
+    if (errors.length) return;
+    context.waitUntil(runScheduledTasks(context));
+    context.waitUntil(flushLogSinks());
+  },
 };
 
-// 标准 DoH 处理 (RFC 8484)
-async function handleDnsQuery(request) {
+const DNS_MESSAGE_MAX_BYTES = 65535; // DNS 报文最大长度 (RFC 8484 §6)
+
+// /dns-query (RFC 8484)：取不到报文时按 HTTP 状态码拒绝 (400/405/413/415)，
+// 取得报文后的错误以回显 ID 与问题部分的 DNS 响应返回，客户端可以立即失败而不是等待超时
+async function handleDnsQuery(request, context, access) {
   let query;
 
   if (request.method === "GET") {
-    const url = new URL(request.url);
-    const dns = url.searchParams.get("dns");
-    if (!dns) return new Response(null, { status: 400 });
-
-    // Base64URL 解码
-    const str = atob(dns.replace(/-/g, '+').replace(/_/g, '/'));
-    query = new Uint8Array(str.length);
-    for (let i = 0; i < str.length; i++) {
-      query[i] = str.charCodeAt(i);
-    }
+    const dns = new URL(request.url).searchParams.get("dns");
+    query = dns ? base64UrlToBytes(dns) : null;
+    if (!query) return new Response(null, { status: 400 });
   } else if (request.method === "POST") {
-    if (request.headers.get("content-type") !== "application/dns-message") {
-      return new Response(null, { status: 415 });
-    }
+    const contentType = (request.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (contentType !== "application/dns-message") return new Response(null, { status: 415 });
+    if (Number(request.headers.get("content-length")) > DNS_MESSAGE_MAX_BYTES) return new Response(null, { status: 413 });
     query = new Uint8Array(await request.arrayBuffer());
   } else {
     return new Response(null, { status: 405 });
   }
+  if (query.length > DNS_MESSAGE_MAX_BYTES) return new Response(null, { status: 413 });
+  if (query.length < 12) return new Response(null, { status: 400 }); // 不足报文头，无法回显 ID
+
+  const message = parseDnsMessage(query);
+  const errorRcode = checkDnsQuery(query, message);
+  if (errorRcode) return dnsMessageResponse(buildErrorResponse(query, message, errorRcode));
+
+  query = applyEcsPolicy(query, request.headers.get("CF-Connecting-IP"));
 
   // 获取上游响应和缓存控制信息
-  const { response, upstreamCacheControl } = await forwardDnsQueryWithCacheControl(query);
-  if (!response) return new Response(null, { status: 502 });
+  const result = await resolveDnsQuery(query, {
+    context,
+    blocklistProfile: access.blocklistProfile,
+    log: createQueryLog(request, access, context),
+  });
+  if (!result) return dnsMessageResponse(buildDnsResponse(message, { rcode: 2 })); // 所有上游失败：SERVFAIL
 
-  // 计算缓存TTL
-  let cacheTtl = CACHE_TTL_SECONDS;
-  if (upstreamCacheControl) {
-    // 解析上游的 max-age 值
-    const maxAgeMatch = upstreamCacheControl.match(/max-age=(\d+)/);
-    if (maxAgeMatch) {
-      const upstreamMaxAge = parseInt(maxAgeMatch[1], 10);
-      cacheTtl = Math.max(MIN_CACHE_TTL_SECONDS, Math.min(upstreamMaxAge, CACHE_TTL_SECONDS));
-    }
+  return dnsMessageResponse(result.response, computeCacheTtl(result.upstreamCacheControl));
+}
+
+// 检查客户端查询，合法时返回 0，否则返回应答的 RCODE：
+// opcode 不是 QUERY 或查询区域传送 (AXFR/IXFR) 时为 NOTIMP；报文为响应、无法解析、问题数不为 1 或含多条 OPT 记录时为 FORMERR
+function checkDnsQuery(query, message) {
+  const opcode = (query[2] >> 3) & 0x0f;
+  if (opcode !== 0) return 4;
+  if (!message || message.flags.qr || message.questions.length !== 1) return 1;
+  if (message.additionals.filter((rr) => rr.typeCode === 41).length > 1) return 1;
+  const typeCode = message.questions[0].typeCode;
+  if (typeCode === 251 || typeCode === 252) return 4;
+  return 0;
+}
+
+// 错误响应：回显 ID、opcode、RD 位和问题部分；其余记录无法解析时只解析问题部分，问题也无法解析时只返回报文头
+function buildErrorResponse(query, message, rcode) {
+  if (!message) {
+    const questionsOnly = query.slice();
+    questionsOnly.fill(0, 6, 12);
+    message = parseDnsMessage(questionsOnly);
   }
+  if (message) return buildDnsResponse(message, { rcode });
+  return encodeDnsMessage({
+    id: (query[0] << 8) | query[1],
+    flags: { qr: true, opcode: (query[2] >> 3) & 0x0f, rd: !!(query[2] & 0x01), ra: true },
+    rcode,
+  });
+}
 
-  return new Response(response, {
-    headers: { 
+// cacheTtl 为 0 时不允许缓存 (错误响应)
+function dnsMessageResponse(body, cacheTtl = 0) {
+  return new Response(body, {
+    headers: {
       "Content-Type": "application/dns-message",
-      "Cache-Control": `public, max-age=${cacheTtl}`,
-      "Access-Control-Allow-Origin": "*"
-    }
+      "Cache-Control": cacheTtl ? `public, max-age=${cacheTtl}` : "no-store",
+      "Access-Control-Allow-Origin": "*",
+    },
   });
 }
 
 // 域名解析处理
-async function handleDomainResolve(request) {
+async function handleDomainResolve(request, context, access) {
   if (request.method !== "GET") return jsonResponse({}, 405);
 
   const url = new URL(request.url);
-  const domain = url.searchParams.get("name");
+  const ip = url.searchParams.get("ip");
+  const domain = ip || url.searchParams.get("name");
   if (!domain) return jsonResponse({}, 400);
+  if (ip && !ip.includes("/") && !ipToArpaName(ip)) return jsonResponse({ error: "Invalid ip", ip }, 400);
 
-  const recordType = url.searchParams.get("type");
-  const customDns = url.searchParams.get("server");
-  const dnsServers = customDns ? [customDns] : UPSTREAM_DOH_SERVERS;
+  const recordType = ip ? "PTR" : url.searchParams.get("type");
+  const { dnsServers, error } = await getCustomServers(url);
+  if (error) return jsonResponse({ error: "Server not allowed", server: url.searchParams.get("server"), reason: error }, 400);
+  const edns = getEdnsOptions(request, url);
+  if (!edns) return jsonResponse({ error: "Invalid edns_client_subnet" }, 400);
+  const options = {
+    dnsServers,
+    edns,
+    context,
+    blocklistProfile: access.blocklistProfile,
+    log: createQueryLog(request, access, context),
+  };
 
+  if (url.searchParams.get("format") === "dig") {
+    if (domain.includes("/")) return new Response("format=dig does not support address ranges\n", { status: 400, headers: textHeaders() });
+    return await handleDigResolve(domain, recordType ? [recordType] : ["A", "AAAA"], options);
+  }
+  if (recordType && toTypeCode(recordType) === 12 && domain.includes("/")) {
+    return await handleReverseRange(request, url, domain, access, options);
+  }
   if (!recordType) {
     const [aResult, aaaaResult] = await Promise.all([
-      queryDnsRecord(domain, "A", dnsServers),
-      queryDnsRecord(domain, "AAAA", dnsServers)
+      queryDnsRecord(domain, "A", options).then((result) => result && followCnameChain(result, options)),
+      queryDnsRecord(domain, "AAAA", options).then((result) => result && followCnameChain(result, options))
     ]);
+    const chained = aResult && aResult.chain ? aResult : aaaaResult;
     return jsonResponse({
       domain,
       types: ["A", "AAAA"],
       status: "success",
+      chain: chained && chained.chain ? chained.chain : [],
+      addresses: collectAddresses([aResult, aaaaResult], url),
       results: { A: aResult, AAAA: aaaaResult }
     });
   } else {
-    const result = await queryDnsRecord(domain, recordType, dnsServers);
+    const result = await queryDnsRecord(domain, recordType, options);
     if (!result) return jsonResponse({}, 502);
+    await followCnameChain(result, options);
+    if (toTypeCode(recordType) === 1 || toTypeCode(recordType) === 28) result.addresses = collectAddresses([result], url);
     return jsonResponse(result);
   }
 }
 
-async function forwardDnsQueryWithCacheControl(dnsQuery, dnsServers = UPSTREAM_DOH_SERVERS) {
-  // 并发请求所有 DNS 服务器，使用 Promise.any 取最快成功的
-  const promises = dnsServers.map(async (dohServer) => {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+// 判断是否请求 JSON API 格式 (Accept 头或 ct 参数)，/dns-query 上带 name 而无 dns 参数也视为 JSON 查询
+function wantsDnsJson(request, url) {
+  const accept = request.headers.get("accept") || "";
+  if (accept.includes("application/dns-json")) return true;
+  if (url.searchParams.get("ct") === "application/dns-json") return true;
+  return /^\/dns-query(\/|$)/.test(url.pathname) && url.searchParams.has("name") && !url.searchParams.has("dns");
+}
 
-    try {
-      const response = await fetch(dohServer, {
-        method: "POST",
-        headers: {
-          "Accept": "application/dns-message",
-          "Content-Type": "application/dns-message",
-        },
-        body: dnsQuery,
-        signal: controller.signal,
-      });
+// JSON API 处理 (兼容 dns.google / cloudflare-dns.com 的 application/dns-json)
+async function handleJsonQuery(request, context, access) {
+  if (request.method !== "GET") return dnsJsonResponse({ Status: 1, Comment: "Method not allowed" }, 405);
+
+  const url = new URL(request.url);
+  const name = url.searchParams.get("name");
+  if (!name) return dnsJsonResponse({ Status: 1, Comment: "Missing name parameter" }, 400);
 
-      clearTimeout(timeoutId);
+  const recordType = url.searchParams.get("type") || "A";
+  const edns = getEdnsOptions(request, url);
+  if (!edns) return dnsJsonResponse({ Status: 1, Comment: "Invalid edns_client_subnet" }, 400);
+  const query = buildDnsQuery(name, recordType, edns);
+  if (!query) return dnsJsonResponse({ Status: 1, Comment: `Invalid type: ${recordType}` }, 400);
 
-      if (response.ok) {
-        const upstreamCacheControl = response.headers.get("Cache-Control");
-        const responseData = new Uint8Array(await response.arrayBuffer());
-        return { response: responseData, upstreamCacheControl };
-      } else {
-        throw 0; // 抛出轻量级异常，触发 Promise.any 切换
-      }
-    } catch (error) {
-      clearTimeout(timeoutId);
-      throw error; // 继续抛出，让 Promise.any 处理
+  const { dnsServers, error } = await getCustomServers(url);
+  if (error) return dnsJsonResponse({ Status: 5, Comment: `Server not allowed: ${error}` }, 400);
+  const result = await resolveDnsQuery(query, {
+    dnsServers,
+    context,
+    blocklistProfile: access.blocklistProfile,
+    log: createQueryLog(request, access, context),
+  });
+  if (!result) return dnsJsonResponse({ Status: 2, Comment: "All upstream servers failed" });
+
+  const message = parseDnsMessage(result.response);
+  if (!message) return dnsJsonResponse({ Status: 2, Comment: "Malformed upstream response" });
+
+  const json = toDnsJson(message);
+  if (result.blocked) json.Comment = "Blocked by filter";
+  return dnsJsonResponse(json, 200, computeCacheTtl(result.upstreamCacheControl));
+}
+
+// do/cd 参数：与 Google 一致，接受 1/true
+function isTruthyParam(value) {
+  return value === "1" || value === "true";
+}
+
+// /resolve 与 JSON API 的 EDNS 选项：DO/CD 位、ECS (edns_client_subnet 参数或 CF-Connecting-IP)、填充
+// edns_client_subnet 参数不合法时返回 null
+function getEdnsOptions(request, url) {
+  const subnetParam = url.searchParams.get("edns_client_subnet");
+  if (subnetParam !== null && !parseClientSubnet(subnetParam)) return null;
+
+  const clientIp = ECS_FROM_CLIENT_IP ? request.headers.get("CF-Connecting-IP") : null;
+  return {
+    udpPayloadSize: EDNS_UDP_PAYLOAD_SIZE,
+    dnssecOk: isTruthyParam(url.searchParams.get("do")),
+    checkingDisabled: isTruthyParam(url.searchParams.get("cd")),
+    clientSubnet: subnetParam !== null ? subnetParam : clientIp,
+    padding: EDNS_PADDING,
+  };
+}
+
+// /dns-query 客户端查询的 ECS 处理，报文无法解析时原样转发
+function applyEcsPolicy(query, clientIp) {
+  if (ECS_POLICY === "keep") return query;
+
+  const message = parseDnsMessage(query);
+  if (!message) return query;
+
+  let opt = message.additionals.find((rr) => rr.typeCode === 41);
+  const hasEcs = !!opt && opt.data.options.some((option) => option.code === EDNS_OPTION_ECS);
+
+  if (ECS_POLICY === "strip") {
+    if (!hasEcs) return query;
+    opt.data.options = opt.data.options.filter((option) => option.code !== EDNS_OPTION_ECS);
+  } else if (ECS_POLICY === "inject") {
+    const ecsOption = clientIp ? buildClientSubnetOption(clientIp) : null;
+    if (hasEcs || !ecsOption) return query;
+    if (!opt) {
+      opt = { name: "", type: "OPT", data: { udpPayloadSize: EDNS_UDP_PAYLOAD_SIZE, dnssecOk: false, options: [] } };
+      message.additionals.push(opt);
     }
+    opt.data.options.push(ecsOption);
+  } else {
+    return query;
+  }
+
+  try {
+    return encodeDnsMessage(message);
+  } catch (error) {
+    return query;
+  }
+}
+
+// 转换为 Google/Cloudflare JSON 格式，OPT 伪记录不输出
+function toDnsJson(message) {
+  const toRecord = (rr) => ({
+    name: toFqdn(rr.name),
+    type: rr.typeCode,
+    TTL: rr.ttl,
+    data: formatRecordData(rr),
   });
+  const json = {
+    Status: message.rcode,
+    TC: message.flags.tc,
+    RD: message.flags.rd,
+    RA: message.flags.ra,
+    AD: message.flags.ad,
+    CD: message.flags.cd,
+    Question: message.questions.map((q) => ({ name: toFqdn(q.name), type: q.typeCode })),
+  };
+  const answers = message.answers.map(toRecord);
+  const authorities = message.authorities.map(toRecord);
+  const additionals = message.additionals.filter((rr) => rr.typeCode !== 41).map(toRecord);
+  if (answers.length) json.Answer = answers;
+  if (authorities.length) json.Authority = authorities;
+  if (additionals.length) json.Additional = additionals;
+
+  const opt = message.additionals.find((rr) => rr.typeCode === 41);
+  const ecsOption = opt && opt.data.options.find((option) => option.code === EDNS_OPTION_ECS);
+  const ecs = ecsOption && parseClientSubnetOption(ecsOption.data);
+  if (ecs) json.edns_client_subnet = ecs.subnet;
+  return json;
+}
+
+function dnsJsonResponse(data, status = 200, cacheTtl = 0) {
+  const headers = {
+    "Content-Type": "application/dns-json",
+    "Access-Control-Allow-Origin": "*",
+  };
+  if (cacheTtl) headers["Cache-Control"] = `public, max-age=${cacheTtl}`;
+  return new Response(JSON.stringify(data), { status, headers });
+}
+
+// 根据上游 Cache-Control 计算缓存 TTL
+function computeCacheTtl(upstreamCacheControl) {
+  let cacheTtl = CACHE_TTL_SECONDS;
+  if (upstreamCacheControl) {
+    // 解析上游的 max-age 值
+    const maxAgeMatch = upstreamCacheControl.match(/max-age=(\d+)/);
+    if (maxAgeMatch) {
+      const upstreamMaxAge = parseInt(maxAgeMatch[1], 10);
+      cacheTtl = Math.max(MIN_CACHE_TTL_SECONDS, Math.min(upstreamMaxAge, CACHE_TTL_SECONDS));
+    }
+  }
+  return cacheTtl;
+}
+
+// 查询处理流程：本地记录 -> 域名过滤 -> 缓存 -> 转发上游 (开启 DNSSEC 验证时验证应答) -> 应答过滤；返回值与 forwardDnsQueryWithCacheControl 一致
+// options.dnsServers: 指定上游 (不走分流)；options.context: 用于 waitUntil 写缓存；options.depth: 本地 CNAME 改写的递归层数
+// options.blocklistProfile: 令牌附加的过滤配置名；options.log: 查询日志上下文 (见 createQueryLog)，仅记录顶层查询
+// options.refresh: 不读取缓存，直接请求上游并更新缓存 (定时预热使用)
+async function resolveDnsQuery(dnsQuery, options = {}) {
+  if (options.log) {
+    const startTime = Date.now();
+    const result = await resolveDnsQuery(dnsQuery, { ...options, log: null });
+    logQuery(options.log, dnsQuery, result, Date.now() - startTime);
+    return result;
+  }
+
+  const { dnsServers = null, context = null, depth = 0, blocklistProfile = null } = options;
+  const message = parseDnsMessage(dnsQuery);
+  const question = message && message.questions.length === 1 ? message.questions[0] : null;
+  if (!question) return await forwardDnsQueryWithCacheControl(dnsQuery, dnsServers);
+
+  const localResult = await answerFromLocalZone(message, options, depth);
+  if (localResult) return localResult;
+
+  const blockedResponse = await applyDomainFilter(message, blocklistProfile);
+  if (blockedResponse) {
+    return { response: blockedResponse, upstreamCacheControl: `max-age=${BLOCKED_TTL_SECONDS}`, blocked: true };
+  }
+
+  const cacheKey = buildDnsCacheKey(message, dnsServers);
+  const cached = options.refresh ? null : await lookupDnsCache(cacheKey, message);
+  let result = cached && !cached.stale ? cached : null;
+  if (result && isRefreshAheadDue(cacheKey, result)) {
+    runInBackground(context, refreshDnsCache(cacheKey, message, dnsQuery, dnsServers, context));
+  }
+  if (!result) {
+    result = await forwardAndCache(message, dnsQuery, cacheKey, dnsServers, context);
+    if (!result) result = cached; // 所有上游失败时返回过期缓存 (serve-stale)，没有则为 null
+  }
+  return result && await applyAnswerFilters(message, result, options);
+}
+
+// 请求上游 (开启 DNSSEC 验证时验证应答)，成功时在后台写入缓存；所有上游都失败时返回 null
+async function forwardAndCache(message, dnsQuery, cacheKey, dnsServers, context) {
+  const result = DNSSEC_VALIDATION && !message.flags.cd
+    ? await forwardValidatedQuery(message, dnsServers, context)
+    : await forwardDnsQueryWithCacheControl(dnsQuery, dnsServers);
+  if (result) runInBackground(context, storeDnsCache(cacheKey, result.response, result.dnssec));
+  return result;
+}
+
+// 后台任务：有 context 时交给 waitUntil，否则仅吞掉异常
+function runInBackground(context, promise) {
+  if (context && context.waitUntil) context.waitUntil(promise);
+  else promise.catch(() => {});
+}
+
+// 转发到上游：指定 dnsServers 时使用默认策略，否则按分流规则选择上游及策略；所有上游都失败时返回 null
+async function forwardDnsQueryWithCacheControl(dnsQuery, dnsServers = null) {
+  const route = dnsServers
+    ? { servers: dnsServers, strategy: DEFAULT_UPSTREAM_STRATEGY }
+    : selectUpstreamRoute(dnsQuery);
+  const queryMessage = parseDnsMessage(dnsQuery);
+
+  return await fetchWithStrategy(route.servers, route.strategy,
+    (server) => fetchUpstream(server, dnsQuery, queryMessage));
+}
+
+// 请求单个上游并记录健康状态，失败、超时或应答与查询不匹配时抛出异常；传输方式见“上游传输”一节
+async function fetchUpstream(server, dnsQuery, queryMessage) {
+  const upstream = parseUpstream(server);
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), getUpstreamTimeout(server));
+  const startTime = Date.now();
 
   try {
-    return await Promise.any(promises);
+    const result = await UPSTREAM_TRANSPORTS[upstream.transport](upstream, dnsQuery, queryMessage, controller.signal);
+    clearTimeout(timeoutId);
+    if (!isValidReply(dnsQuery, queryMessage, result.response)) throw 0;
+    recordUpstreamSuccess(server, Date.now() - startTime);
+    return {
+      response: result.response,
+      upstreamCacheControl: result.upstreamCacheControl || cacheControlFromTtl(result.response),
+      upstream: server,
+    };
   } catch (error) {
-    return null; // 所有上游都失败
+    clearTimeout(timeoutId);
+    recordUpstreamFailure(server);
+    throw error; // 继续抛出，由调用方切换上游
+  }
+}
+
+// 按查询域名和类型匹配分流规则
+function selectUpstreamRoute(dnsQuery) {
+  const message = UPSTREAM_ROUTES.length ? parseDnsMessage(dnsQuery) : null;
+  const question = message && message.questions[0];
+  if (question) {
+    for (const route of UPSTREAM_ROUTES) {
+      if (route.types && !route.types.some((type) => toTypeCode(type) === question.typeCode)) continue;
+      if (route.domains.some((pattern) => matchesDomainPattern(question.name, pattern))) {
+        return { servers: route.servers, strategy: route.strategy || DEFAULT_UPSTREAM_STRATEGY };
+      }
+    }
   }
+  return { servers: UPSTREAM_DOH_SERVERS, strategy: DEFAULT_UPSTREAM_STRATEGY };
 }
 
-async function forwardDnsQuery(dnsQuery, dnsServers = UPSTREAM_DOH_SERVERS) {
-  const result = await forwardDnsQueryWithCacheControl(dnsQuery, dnsServers);
-  return result ? result.response : null;
+// "example.com" 匹配自身及子域名，"*.example.com" 仅匹配子域名，"*" 或 "." 匹配全部
+function matchesDomainPattern(domain, pattern) {
+  const name = normalizeDomain(domain);
+  let suffix = normalizeDomain(pattern);
+  if (suffix === "*" || suffix === "") return true;
+  if (suffix.startsWith("*.")) {
+    suffix = suffix.slice(2);
+    return name.endsWith("." + suffix);
+  }
+  return name === suffix || name.endsWith("." + suffix);
 }
 
-async function queryDnsRecord(domain, recordType, dnsServers = UPSTREAM_DOH_SERVERS) {
-  const query = buildDnsQuery(domain, recordType);
+// options: { dnsServers, edns, context, blocklistProfile, log }，其中 edns 传给 buildDnsQuery，其余传给 resolveDnsQuery
+// PTR 查询的 domain 可以直接是 IP 地址，会转换为反向解析名称，结果中以 ip 字段保留原地址
+async function queryDnsRecord(domain, recordType, options = {}) {
+  const arpaName = toTypeCode(recordType) === 12 ? ipToArpaName(domain) : null;
+  const name = arpaName || domain;
+  const query = buildDnsQuery(name, recordType, options.edns || {});
   if (!query) return null;
-  const response = await forwardDnsQuery(query, dnsServers);
-  return response ? parseDnsResponse(response, domain, recordType) : null;
+  const result = await resolveDnsQuery(query, options);
+  if (!result) return null;
+  const parsed = parseDnsResponse(result.response, name, recordType);
+  if (arpaName) parsed.ip = domain;
+  if (result.dnssec) {
+    parsed.dnssec = result.dnssec.status;
+    (parsed.answers || []).forEach((answer, index) => (answer.dnssec = result.dnssec.answers[index] || result.dnssec.status));
+  }
+  if (result.blocked) parsed.blocked = true;
+  if (result.local) parsed.local = true;
+  return parsed;
 }
 
 function jsonResponse(data, status = 200) {
@@ -197,241 +653,4091 @@ function jsonResponse(data, status = 200) {
   });
 }
 
-// 构建 DNS Query 包
-function buildDnsQuery(domain, recordType) {
-  const typeCodes = { A: 1, AAAA: 28, CNAME: 5, NS: 2, TXT: 16, MX: 15 };
+// ==================== 批量解析 ====================
+// POST /resolve/batch：请求体为 JSON 数组 (元素为 {name, type} 或域名字符串)，或每行一个域名的文本 (# 开头为注释)
+// type 可为 "A"、"A,AAAA,MX" 或数组，缺省时使用 type 参数 (默认 A,AAAA)；每个 (域名, 类型) 为一个查询
+// 结果按请求顺序返回；stream=1 或 Accept: application/x-ndjson 时逐行输出 NDJSON，前面的结果完成即开始返回
+// server、do、cd、edns_client_subnet 参数与 /resolve 相同，作用于整批查询；频率限制按查询数计数
 
-  const typeCode = typeCodes[recordType.toUpperCase()] || parseInt(recordType);
+async function handleBatchResolve(request, context, access) {
+  if (request.method !== "POST") return jsonResponse({ error: "Method not allowed" }, 405);
 
-  if (!typeCode) return null;
+  const url = new URL(request.url);
+  const defaultTypes = parseTypeList(url.searchParams.get("type") || "A,AAAA");
+  if (!defaultTypes) return jsonResponse({ error: "Invalid type parameter" }, 400);
 
+  let queries;
+  try {
+    queries = parseBatchQueries(await request.text(), request.headers.get("content-type") || "", defaultTypes);
+  } catch (error) {
+    return jsonResponse({ error: error.message }, 400);
+  }
+  if (!queries.length) return jsonResponse({ error: "No queries" }, 400);
+  if (queries.length > BATCH_MAX_QUERIES) {
+    return jsonResponse({ error: `Too many queries: ${queries.length} (max ${BATCH_MAX_QUERIES})` }, 413);
+  }
+  if (!consumeRateLimit(access, queries.length - 1)) return await denyRequest(request, url, "/resolve/batch", 429);
 
-  // 使用 TextEncoder 处理域名，速度更快且支持多语言
-  const encoder = new TextEncoder();
-  const domainParts = domain.split('.').map(part => encoder.encode(part));
-  const domainLen = domainParts.reduce((acc, part) => acc + part.length + 1, 1);
+  const { dnsServers, error } = await getCustomServers(url);
+  if (error) return jsonResponse({ error: "Server not allowed", server: url.searchParams.get("server"), reason: error }, 400);
+  const edns = getEdnsOptions(request, url);
+  if (!edns) return jsonResponse({ error: "Invalid edns_client_subnet" }, 400);
 
+  const options = {
+    dnsServers,
+    edns,
+    context,
+    blocklistProfile: access.blocklistProfile,
+    log: createQueryLog(request, access, context),
+  };
+  const resolveOne = async ({ name, type, error }) => {
+    if (error) return { name, type, error };
+    const result = await queryDnsRecord(name, type, options);
+    return result ? { name, type, result } : { name, type, error: "All upstream servers failed" };
+  };
 
-  const packet = new Uint8Array(12 + domainLen + 4);
-  const view = new DataView(packet.buffer);
+  const wantsStream = isTruthyParam(url.searchParams.get("stream")) ||
+    (request.headers.get("accept") || "").includes("application/x-ndjson");
+  if (!wantsStream) {
+    const results = await mapWithConcurrency(queries, BATCH_CONCURRENCY, resolveOne);
+    return jsonResponse({ count: results.length, results });
+  }
 
+  // 流式输出：结果可能乱序完成，按序号缓存，前面的都完成后依次写出
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const completed = new Map();
+  let nextIndex = 0;
+  const writing = mapWithConcurrency(queries, BATCH_CONCURRENCY, async (query, index) => {
+    completed.set(index, await resolveOne(query));
+    while (completed.has(nextIndex)) {
+      const line = JSON.stringify(completed.get(nextIndex)) + "\n";
+      completed.delete(nextIndex++);
+      await writer.write(encoder.encode(line));
+    }
+  }).then(() => writer.close(), (error) => writer.abort(error));
+  runInBackground(context, writing);
 
-  // Header: 12字节
-  view.setUint16(0, Math.floor(Math.random() * 65535), false); // ID
-  // 0x0100 意味着 RD=1。在大端序下，这行代码已经把 header[2] 设为 1 了。
-  view.setUint16(2, 0x0100, false);
-  view.setUint16(4, 1, false); // QDCOUNT
+  return new Response(readable, {
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
+}
 
+// 解析批量请求体，返回 [{ name, type }] (无效项带 error 字段，保留在原位置以便按顺序返回)
+function parseBatchQueries(body, contentType, defaultTypes) {
+  const queries = [];
+  const addQueries = (name, types) => {
+    if (typeof name !== "string" || !name.trim()) {
+      queries.push({ name: name === undefined ? null : name, type: null, error: "Missing name" });
+      return;
+    }
+    name = name.trim();
+    if (!isValidDomainName(name)) {
+      queries.push({ name, type: null, error: "Invalid name" });
+      return;
+    }
+    const typeList = types === undefined || types === null ? defaultTypes : parseTypeList(types);
+    if (!typeList) {
+      queries.push({ name, type: types, error: "Invalid type" });
+      return;
+    }
+    for (const type of typeList) queries.push({ name, type });
+  };
 
-  // Question 部分
-  let offset = 12;
-  for (const part of domainParts) {
-    packet[offset++] = part.length;
-    packet.set(part, offset);
-    offset += part.length;
+  if (contentType.includes("json") || body.trimStart().startsWith("[")) {
+    let items;
+    try {
+      items = JSON.parse(body);
+    } catch (error) {
+      throw new Error("Invalid JSON body");
+    }
+    if (!Array.isArray(items)) throw new Error("JSON body must be an array");
+    for (const item of items) {
+      if (typeof item === "string") addQueries(item);
+      else if (item && typeof item === "object") addQueries(item.name, item.type);
+      else addQueries(undefined);
+    }
+  } else {
+    for (const line of body.split(/\r?\n/)) {
+      const name = line.trim();
+      if (name && !name.startsWith("#")) addQueries(name);
+    }
   }
-  packet[offset++] = 0; // 域名结束
-
+  return queries;
+}
 
-  view.setUint16(offset, typeCode, false);
-  view.setUint16(offset + 2, 1, false); // QCLASS (IN)
+// 类型列表："A,AAAA,MX" 或数组，返回规范化的类型名数组；含无效类型时返回 null
+function parseTypeList(types) {
+  const list = Array.isArray(types) ? types : String(types).split(",");
+  const names = [];
+  for (const type of list) {
+    const code = toTypeCode(typeof type === "string" ? type.trim() : type);
+    if (!code) return null;
+    const name = String(toTypeName(code));
+    if (!names.includes(name)) names.push(name);
+  }
+  return names.length ? names : null;
+}
 
+function isValidDomainName(name) {
+  try {
+    nameToLabels(name);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
-  return packet;
+// 以最多 limit 个并发对 items 执行 worker(item, index)，结果顺序与 items 一致
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
 }
 
-function parseDnsResponse(response, domain, recordType) {
-  if (response.length < 12) return { domain, type: recordType, status: "error" };
-  
-  const view = new DataView(response.buffer);
-  const rcode = view.getUint16(2, false) & 0x0f;
-  
-  // RCODE 0 代表成功，3 代表域名不存在
-  if (rcode !== 0) return { domain, type: recordType, status: "error" };
+// ==================== CNAME 链 ====================
+// /resolve 沿应答中的 CNAME/DNAME 链找到最终名称，上游未返回目标的记录时对目标重新查询
+// 已访问的名称再次出现视为循环，链长或重新查询次数超过 CNAME_CHAIN_MAX_DEPTH 时停止；目标查询失败或应答中没有目标的记录时也停止，
+// 这些情况都会在 chainError 中说明
+// addresses 为最终名称的 A/AAAA 地址：默认去重 (dedupe=0 关闭)，sort=1 按地址排序，prefer=ipv4|ipv6 将该协议族排在前面
 
-  const qcount = view.getUint16(4, false); // 问题数量
-  const ancount = view.getUint16(6, false); // 回答数量
-  
-  // 如果没有回答
-  if (ancount === 0) return { domain, type: recordType, status: "no_records", answers: [] };
+// 跟随 result 的 CNAME/DNAME 链，补全 result.answers 并设置 chain、canonicalName (及 chainError)
+async function followCnameChain(result, options) {
+  if (result.status === "error") return result;
 
-  const answers = [];
-  let offset = 12;
+  const type = String(toTypeName(toTypeCode(result.type)));
+  const chain = [];
+  const seen = new Set();
+  let current = normalizeDomain(result.domain);
+  let lookups = 0;
 
-  // 1. 跳过 Question 部分（必须跳过，否则读不到 Answer）
-  for(let i=0; i<qcount; i++) {
-     offset = skipDnsName(response, offset) + 4;
-  }
+  while (true) {
+    seen.add(current);
+    const step = findChainStep(result.answers, current, type);
+    if (!step) {
+      // 链尚未结束但应答中没有目标的记录：上一步指向的目标需要重新查询
+      if (!chain.length || hasFinalRecords(result.answers, current, type)) break;
+      if (lookups >= CNAME_CHAIN_MAX_DEPTH) {
+        result.chainError = `Gave up resolving ${current} after ${lookups} lookups`;
+        break;
+      }
+      lookups++;
+      const target = await queryDnsRecord(current, type, options);
+      if (!target || target.status === "error") {
+        result.chainError = `Failed to resolve ${current}`;
+        break;
+      }
+      result.answers = result.answers.concat(target.answers);
+      if (findChainStep(target.answers, current, type)) continue;
+      // 应答有记录但都不属于目标 (NODATA 时应答为空，不算错误)
+      if (target.answers.length && !hasFinalRecords(target.answers, current, type)) {
+        result.chainError = `No records for ${current} in the reply`;
+      }
+      break;
+    }
 
-  // 2. 读取 Answer 部分
-  for (let i = 0; i < ancount && offset < response.length; i++) {
-    const answer = parseDnsAnswer(response, offset);
-    if (answer) {
-      answers.push(answer);
-      offset = answer.nextOffset;
-    } else {
+    chain.push(step);
+    if (seen.has(step.target)) {
+      result.chainError = `${step.type} loop detected at ${step.target}`;
       break;
     }
+    if (chain.length >= CNAME_CHAIN_MAX_DEPTH) {
+      result.chainError = `${step.type} chain longer than ${CNAME_CHAIN_MAX_DEPTH}`;
+      break;
+    }
+    current = step.target;
   }
 
-  return { domain, type: recordType, status: "success", count: ancount, answers };
+  result.count = result.answers.length;
+  if (result.count && result.status === "no_records") result.status = "success";
+  result.chain = chain;
+  result.canonicalName = current;
+  return result;
 }
 
-function skipDnsName(response, offset) {
-  let current = offset;
-  while (current < response.length) {
-    const len = response[current];
-    if (len === 0) return current + 1;
-    if ((len & 0xc0) === 0xc0) return current + 2; // 指针
-    current += len + 1;
+// 名称 name 在应答中的下一跳：同名 CNAME 优先，其次为覆盖 name 的 DNAME (owner 的子域名按后缀替换)
+function findChainStep(answers, name, recordType) {
+  if (recordType === "CNAME") return null;
+  const cname = answers.find((answer) => answer.type === "CNAME" && normalizeDomain(answer.name) === name);
+  if (cname) return { name, type: "CNAME", target: normalizeDomain(cname.data), ttl: cname.ttl };
+  if (recordType === "DNAME") return null;
+
+  for (const answer of answers) {
+    if (answer.type !== "DNAME") continue;
+    const owner = normalizeDomain(answer.name);
+    if (!name.endsWith("." + owner)) continue;
+    const target = normalizeDomain(name.slice(0, -owner.length) + normalizeDomain(answer.data));
+    return { name, type: "DNAME", owner, target, ttl: answer.ttl };
   }
-  return current;
+  return null;
 }
 
-function parseDnsAnswer(response, offset) {
-  const nameRes = parseDnsName(response, offset); // 解析名字
-  if(!nameRes) return null;
-  
-  let current = nameRes.nextOffset;
-  const view = new DataView(response.buffer);
-  
-  const type = view.getUint16(current, false);
-  const ttl = view.getUint32(current + 4, false);
-  const dataLen = view.getUint16(current + 8, false);
-  
-  current += 10;
-  
-  let data = null;
-  // 解析 IP 或 域名
-  switch (type) {
-    case 1: // A 记录 (IPv4)
-      if (dataLen === 4) {
-        data = `${response[current]}.${response[current+1]}.${response[current+2]}.${response[current+3]}`;
-      }
-      break;
-    case 28: // AAAA 记录 (IPv6)
-      if (dataLen === 16) {
-        data = parseIPv6(response, current);
-      }
-      break;
-    case 5: // CNAME (别名)
-      const cnameRes = parseDnsName(response, current);
-      data = cnameRes ? cnameRes.name : null;
-      break;
-    case 15: // MX
-      const preference = view.getUint16(current, false);
-      const mxRes = parseDnsName(response, current + 2);
-      data = { preference, exchange: mxRes ? mxRes.name : null };
-      break;
-    case 16: // TXT
-      const parts = [];
-      let txtOffset = 0;
-      while (txtOffset < dataLen) {
-        const len = response[current + txtOffset];
-        parts.push(decoder.decode(response.slice(current + txtOffset + 1, current + txtOffset + 1 + len)));
-        txtOffset += 1 + len;
-      }
-      data = parts.join(""); 
-      break;
-    case 2: // NS
-      const nsRes = parseDnsName(response, current);
-      data = nsRes ? nsRes.name : null;
-      break;
-    case 33: // SRV
-      const priority = view.getUint16(current, false);
-      const weight = view.getUint16(current + 2, false);
-      const port = view.getUint16(current + 4, false);
-      const targetRes = parseDnsName(response, current + 6);
-      data = { 
-        priority, 
-        weight, 
-        port, 
-        target: targetRes ? targetRes.name : null 
-      };
-      break;
+function hasFinalRecords(answers, name, recordType) {
+  return answers.some((answer) => answer.type === recordType && normalizeDomain(answer.name) === name);
+}
+
+// 从各结果中收集最终名称的 A/AAAA 地址，按 url 中的 dedupe/sort/prefer 参数整理
+function collectAddresses(results, url) {
+  let addresses = [];
+  for (const result of results) {
+    if (!result || !result.answers) continue;
+    const name = result.canonicalName || normalizeDomain(result.domain);
+    for (const answer of result.answers) {
+      if ((answer.type === "A" || answer.type === "AAAA") && normalizeDomain(answer.name) === name) addresses.push(answer.data);
+    }
   }
 
-  const typeMap = { 1: "A", 28: "AAAA", 5: "CNAME", 15: "MX", 16: "TXT", 2: "NS", 33: "SRV" };
-  
-  return { 
-    name: nameRes.name, 
-    type: typeMap[type] || type, 
-    ttl: ttl, 
-    data: data, 
-    nextOffset: current + dataLen 
-  };
+  if (url.searchParams.get("dedupe") !== "0") addresses = [...new Set(addresses)];
+  if (isTruthyParam(url.searchParams.get("sort"))) addresses.sort(compareAddresses);
+  const prefer = url.searchParams.get("prefer");
+  if (prefer === "ipv4" || prefer === "ipv6") {
+    const preferred = addresses.filter((address) => address.includes(":") === (prefer === "ipv6"));
+    addresses = preferred.concat(addresses.filter((address) => !preferred.includes(address)));
+  }
+  return addresses;
 }
 
-function parseIPv6(response, offset) {
-  const parts = [];
-  for (let i = 0; i < 8; i++) {
-    // 提取每 2 字节并转为 16 进制字符串
-    parts.push(((response[offset + i * 2] << 8) | response[offset + i * 2 + 1]).toString(16));
+// IPv4 排在 IPv6 之前，同协议族按字节比较
+function compareAddresses(a, b) {
+  const bytesA = ipv4ToBytes(a) || ipv6ToBytes(a);
+  const bytesB = ipv4ToBytes(b) || ipv6ToBytes(b);
+  if (!bytesA || !bytesB || bytesA.length !== bytesB.length) return (bytesA ? bytesA.length : 99) - (bytesB ? bytesB.length : 99);
+  for (let i = 0; i < bytesA.length; i++) {
+    if (bytesA[i] !== bytesB[i]) return bytesA[i] - bytesB[i];
   }
+  return 0;
+}
 
-  // 寻找最长的连续零段（RFC 5952 规范）
-  let bestStart = -1, bestLen = 0, curStart = -1, curLen = 0;
-  for (let i = 0; i < 8; i++) {
-    if (parts[i] === "0") {
-      if (curStart === -1) curStart = i;
-      curLen++;
-      if (curLen > bestLen) {
-        bestStart = curStart;
-        bestLen = curLen;
-      }
-    } else {
-      curStart = -1;
-      curLen = 0;
-    }
-  }
+// ==================== 反向解析 (PTR) ====================
+// /resolve?ip=<地址> 或 name=<地址>&type=PTR 自动转换为 in-addr.arpa / ip6.arpa 名称 (见 queryDnsRecord)
+// ip=<网段> 批量反查整个网段，最多 REVERSE_MAX_ADDRESSES 个地址 (IPv4 /24、IPv6 /120)，频率限制按地址数计数
+// 网段反查同样跟随 CNAME 链，RFC 2317 无类别委派 (CNAME 到 "0/26.2.0.192.in-addr.arpa" 等) 可以正常解析
 
-  // 只有长度大于 1 的零段才进行 "::" 压缩
-  if (bestLen > 1) {
-    parts.splice(bestStart, bestLen, "");
-    if (bestStart === 0) parts.unshift("");
-    if (bestStart + bestLen === 8) parts.push("");
+const REVERSE_MAX_ADDRESSES = 256;
+
+async function handleReverseRange(request, url, cidr, access, options) {
+  const range = parseCidr(cidr);
+  if (!range) return jsonResponse({ error: "Invalid network", ip: cidr }, 400);
+  if (2 ** range.hostBits > REVERSE_MAX_ADDRESSES) {
+    return jsonResponse({ error: `Network too large (max ${REVERSE_MAX_ADDRESSES} addresses)`, ip: cidr }, 413);
   }
-  
-  return parts.join(":").replace(/:{3,}/, "::");
+  const addresses = expandNetwork(range);
+  if (!consumeRateLimit(access, addresses.length - 1)) return await denyRequest(request, url, "/resolve", 429);
+
+  const results = await mapWithConcurrency(addresses, BATCH_CONCURRENCY, async (ip) => {
+    const result = await queryDnsRecord(ip, "PTR", options);
+    if (!result) return { ip, error: "All upstream servers failed" };
+    await followCnameChain(result, options);
+    const names = (result.answers || []) // NXDOMAIN 等错误应答没有 answers
+      .filter((answer) => answer.type === "PTR" && normalizeDomain(answer.name) === result.canonicalName)
+      .map((answer) => answer.data);
+    return { ip, status: result.status, names };
+  });
+  return jsonResponse({ network: cidr, type: "PTR", count: results.length, results });
 }
 
-function parseDnsName(response, offset) {
-  const labels = [];
-  let current = offset;
-  let jumped = false;
-  let finalOffset = -1;
-  let loops = 0;
+// 解析 "地址/前缀"，返回按前缀对齐的网络地址及主机位数，格式不合法时返回 null
+function parseCidr(cidr) {
+  const [address, prefixText, extra] = cidr.split("/");
+  if (extra !== undefined || !/^\d{1,3}$/.test(prefixText)) return null;
+  const bytes = ipv4ToBytes(address) || ipv6ToBytes(address);
+  const prefix = Number(prefixText);
+  if (!bytes || prefix > bytes.length * 8) return null;
+
+  const network = new Uint8Array(bytes.length);
+  network.set(truncateAddress(bytes, prefix));
+  return { network, hostBits: bytes.length * 8 - prefix };
+}
+
+// 列出网段内的全部地址，调用方须先限制 hostBits (不超过 16)
+function expandNetwork({ network, hostBits }) {
+  const addresses = [];
+  for (let host = 0; host < 2 ** hostBits; host++) {
+    const ip = network.slice();
+    ip[ip.length - 1] |= host & 0xff;
+    ip[ip.length - 2] |= host >> 8;
+    addresses.push(ip.length === 4 ? parseIPv4(ip, 0) : parseIPv6(ip, 0));
+  }
+  return addresses;
+}
+
+// ==================== dig 格式输出 ====================
+// /resolve?format=dig 以 dig 风格的纯文本返回完整应答 (标志位、OPT、各记录部分)，不跟随 CNAME 链；未指定 type 时依次输出 A 与 AAAA
+
+async function handleDigResolve(domain, recordTypes, options) {
+  const blocks = [];
+  let failed = false;
+  for (const recordType of recordTypes) {
+    const name = toTypeCode(recordType) === 12 ? ipToArpaName(domain) || domain : domain;
+    const query = buildDnsQuery(name, recordType, options.edns || {});
+    if (!query) return new Response(`Invalid query: ${domain} ${recordType}\n`, { status: 400, headers: textHeaders() });
+
+    const startTime = Date.now();
+    const result = await resolveDnsQuery(query, options);
+    const elapsed = Date.now() - startTime;
+    const message = result && parseDnsMessage(result.response);
+    failed = failed || !message;
+    blocks.push(message
+      ? formatDigOutput(message, result, elapsed)
+      : `; <<>> CF-DoH-Lite <<>> ${toFqdn(name)} ${recordType}\n;; connection timed out; no servers could be reached\n`);
+  }
+  return new Response(blocks.join("\n"), { status: failed ? 502 : 200, headers: textHeaders() });
+}
+
+function textHeaders() {
+  return { "Content-Type": "text/plain; charset=utf-8", "Access-Control-Allow-Origin": "*" };
+}
+
+function formatDigOutput(message, result, elapsed) {
+  const question = message.questions[0];
+  const flags = ["qr", "aa", "tc", "rd", "ra", "ad", "cd"].filter((flag) => message.flags[flag]);
+  const opt = message.additionals.find((rr) => rr.typeCode === 41);
+  const additionals = message.additionals.filter((rr) => rr.typeCode !== 41);
+  const lines = [
+    `; <<>> CF-DoH-Lite <<>> ${question ? `${toFqdn(question.name)} ${question.type}` : ""}`,
+    `;; ->>HEADER<<- opcode: ${message.flags.opcode === 0 ? "QUERY" : message.flags.opcode}, status: ${RCODE_NAMES[message.rcode] || `RCODE${message.rcode}`}, id: ${message.id}`,
+    `;; flags: ${flags.join(" ")}; QUERY: ${message.questions.length}, ANSWER: ${message.answers.length}, AUTHORITY: ${message.authorities.length}, ADDITIONAL: ${message.additionals.length}`,
+  ];
+  if (opt) {
+    lines.push("", ";; OPT PSEUDOSECTION:", `; EDNS: version: ${opt.data.version || 0}, flags:${opt.data.dnssecOk ? " do" : ""}; udp: ${opt.data.udpPayloadSize}`);
+    const ecsOption = opt.data.options.find((option) => option.code === EDNS_OPTION_ECS);
+    const ecs = ecsOption && parseClientSubnetOption(ecsOption.data);
+    if (ecs) lines.push(`; CLIENT-SUBNET: ${ecs.subnet}/${ecs.scopePrefix}`);
+  }
+  lines.push("", ";; QUESTION SECTION:");
+  for (const q of message.questions) lines.push(`;${toFqdn(q.name)}\t\t${formatDnsClass(q.class)}\t${q.type}`);
+
+  const sections = [["ANSWER", message.answers], ["AUTHORITY", message.authorities], ["ADDITIONAL", additionals]];
+  for (const [title, records] of sections) {
+    if (!records.length) continue;
+    lines.push("", `;; ${title} SECTION:`);
+    for (const rr of records) lines.push(`${toFqdn(rr.name)}\t${rr.ttl}\t${formatDnsClass(rr.class)}\t${rr.type}\t${formatRecordData(rr)}`);
+  }
+
+  const server = result.upstream || (result.local ? "local records" : result.blocked ? "blocklist" : "cache");
+  lines.push(
+    "",
+    `;; Query time: ${elapsed} msec`,
+    `;; SERVER: ${server}`,
+    `;; WHEN: ${new Date().toUTCString()}`,
+    `;; MSG SIZE  rcvd: ${result.response.length}`,
+    "",
+  );
+  return lines.join("\n");
+}
+
+function formatDnsClass(dnsClass) {
+  return { 1: "IN", 3: "CH", 4: "HS", 255: "ANY" }[dnsClass] || `CLASS${dnsClass}`;
+}
+
+// ==================== 网页界面与配置说明 ====================
+// / 返回内置的查询页面 (调用 /resolve) 及本部署的客户端配置片段，/dns.mobileconfig 返回 Apple 描述文件
+// 配置片段按请求的 Host 与已验证的令牌生成：有令牌时 DoH 地址使用 /dns-query/<token> 路径形式，页面中的查询也附带该令牌
+// 配置了令牌时两者都需要有效令牌 (?token=)，任何有效令牌均可访问，与令牌的 endpoints 无关
+
+async function handleWebUi(url, access) {
+  const dohUrl = getDohUrl(url, access);
+  const canResolve = canAccessEndpoint(access, "/resolve");
+  const mobileConfigUrl = `/dns.mobileconfig${access.token ? `?token=${encodeURIComponent(access.token)}` : ""}`;
+  const snippets = buildClientSnippets(url, access, dohUrl);
+  const status = [
+    ["DoH 地址", dohUrl],
+    ["需要令牌", getAuthPolicies().length ? "是" : "否"],
+    ["DNSSEC 验证", DNSSEC_VALIDATION ? "开启" : "关闭"],
+    ["域名过滤", BLOCKLIST_SOURCES.length || BLOCKLIST_RULES.length || access.blocklistProfile ? "开启" : "关闭"],
+    ["上游数量", String(UPSTREAM_DOH_SERVERS.length)],
+  ];
+
+  const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>DNS 查询服务</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #222; }
+h1 { font-size: 1.5em; } h2 { font-size: 1.2em; margin-top: 2em; border-bottom: 1px solid #ddd; }
+table { border-collapse: collapse; width: 100%; } td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; word-break: break-all; }
+pre { background: #f5f5f5; padding: 10px; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }
+input, select, button { font-size: 1em; padding: 4px 8px; }
+.error { color: #b00; }
+</style>
+</head>
+<body>
+<h1>DNS 查询服务</h1>
+<table>${status.map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`).join("")}</table>
+${canResolve ? `
+<h2>查询</h2>
+<form id="lookup">
+<input id="name" placeholder="example.com 或 IP 地址" required size="32">
+<select id="type"><option value="">A + AAAA</option>${WEB_UI_TYPES.map((type) => `<option>${type}</option>`).join("")}</select>
+<label><input type="checkbox" id="dnssec"> DNSSEC (do=1)</label>
+<label><input type="checkbox" id="dig"> dig 格式</label>
+<button>查询</button>
+</form>
+<p id="status"></p>
+<div id="chain"></div>
+<table id="answers"></table>
+<pre id="raw" hidden></pre>
+<script>
+const token = ${scriptJson(access.token || "")};
+const $ = (id) => document.getElementById(id);
+const cell = (row, text, tag = "td") => { const el = document.createElement(tag); el.textContent = text; row.appendChild(el); };
+$("lookup").addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const name = $("name").value.trim();
+  const type = $("type").value;
+  const params = new URLSearchParams(/^[\\d.]+$|:/.test(name) && !type ? { ip: name } : { name });
+  if (type) params.set("type", type);
+  if ($("dnssec").checked) params.set("do", "1");
+  if ($("dig").checked) params.set("format", "dig");
+  if (token) params.set("token", token);
+  for (const id of ["chain", "answers", "raw"]) $(id).textContent = "";
+  $("raw").hidden = true;
+  $("status").className = "";
+  $("status").textContent = "查询中…";
+  try {
+    const response = await fetch("/resolve?" + params);
+    if ($("dig").checked) {
+      $("raw").textContent = await response.text();
+      $("raw").hidden = false;
+      $("status").textContent = "HTTP " + response.status;
+      return;
+    }
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "HTTP " + response.status);
+    const results = data.results ? Object.values(data.results).filter(Boolean) : [data];
+    const answers = results.flatMap((result) => result.answers || []);
+    const chain = data.chain || [];
+    $("status").textContent = (data.status || "") + (data.dnssec ? " / DNSSEC: " + data.dnssec : "") + " / " + answers.length + " 条记录";
+    if (chain.length) $("chain").textContent = "链：" + [chain[0].name].concat(chain.map((step) => step.target)).join(" → ");
+    if (data.addresses && data.addresses.length) $("chain").textContent += (chain.length ? "　" : "") + "地址：" + data.addresses.join(", ");
+    const head = $("answers").insertRow();
+    for (const title of ["名称", "类型", "TTL", "数据"]) cell(head, title, "th");
+    for (const answer of answers) {
+      const row = $("answers").insertRow();
+      cell(row, answer.name);
+      cell(row, answer.type);
+      cell(row, answer.ttl);
+      cell(row, typeof answer.data === "string" ? answer.data : JSON.stringify(answer.data));
+    }
+  } catch (error) {
+    $("status").className = "error";
+    $("status").textContent = error.message;
+  }
+});
+</script>` : ""}
+<h2>客户端配置</h2>
+<p><a href="${escapeHtml(mobileConfigUrl)}">下载 Apple 描述文件 (iOS / macOS)</a></p>
+${snippets.map(({ title, text }) => `<h3>${escapeHtml(title)}</h3>\n<pre>${escapeHtml(text)}</pre>`).join("\n")}
+</body>
+</html>
+`;
+  return new Response(html, {
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-store",
+      "X-Content-Type-Options": "nosniff",
+      "Referrer-Policy": "no-referrer",
+    },
+  });
+}
+
+// 查询表单中的类型选项
+const WEB_UI_TYPES = ["A", "AAAA", "CNAME", "MX", "TXT", "NS", "SOA", "HTTPS", "SVCB", "CAA", "SRV", "PTR", "DS", "DNSKEY"];
+
+// 本部署的 DoH 地址，令牌放在路径中 (多数客户端不支持附加请求头)
+function getDohUrl(url, access) {
+  return `https://${url.host}/dns-query${access.token ? `/${encodeURIComponent(access.token)}` : ""}`;
+}
+
+// 各客户端的配置片段：[{ title, text }]
+function buildClientSnippets(url, access, dohUrl) {
+  const dohPath = new URL(dohUrl).pathname;
+  return [
+    { title: "DoH 地址", text: dohUrl },
+    {
+      title: "Firefox (policies.json)",
+      text: JSON.stringify({ policies: { DNSOverHTTPS: { Enabled: true, ProviderURL: dohUrl, Locked: false } } }, null, 2),
+    },
+    {
+      title: "Chrome / Edge (企业策略)",
+      text: JSON.stringify({ DnsOverHttpsMode: "secure", DnsOverHttpsTemplates: dohUrl }, null, 2),
+    },
+    { title: "AdGuard / AdGuard Home (上游 DNS 服务器)", text: dohUrl },
+    {
+      title: "sing-box (dns.servers，1.12+)",
+      text: JSON.stringify({ type: "https", tag: "cf-doh", server: url.hostname, path: dohPath }, null, 2),
+    },
+  ];
+}
+
+// Apple 配置描述文件：系统级加密 DNS (com.apple.dnsSettings.managed)，UUID 由 Host 与令牌确定，重复安装时替换而不是新增
+async function handleMobileConfig(url, access) {
+  const dohUrl = getDohUrl(url, access);
+  const digest = await sha256(`${url.host}|${access.token || ""}`);
+  const identifier = `dns.${url.hostname.split(".").reverse().join(".")}`;
+  const name = `DNS over HTTPS (${url.hostname})`;
+  const profile = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>PayloadContent</key>
+  <array>
+    <dict>
+      <key>DNSSettings</key>
+      <dict>
+        <key>DNSProtocol</key>
+        <string>HTTPS</string>
+        <key>ServerURL</key>
+        <string>${escapeHtml(dohUrl)}</string>
+      </dict>
+      <key>PayloadDisplayName</key>
+      <string>${escapeHtml(name)}</string>
+      <key>PayloadIdentifier</key>
+      <string>${escapeHtml(identifier)}.settings</string>
+      <key>PayloadType</key>
+      <string>com.apple.dnsSettings.managed</string>
+      <key>PayloadUUID</key>
+      <string>${formatUuid(digest.subarray(16))}</string>
+      <key>PayloadVersion</key>
+      <integer>1</integer>
+    </dict>
+  </array>
+  <key>PayloadDisplayName</key>
+  <string>${escapeHtml(name)}</string>
+  <key>PayloadIdentifier</key>
+  <string>${escapeHtml(identifier)}</string>
+  <key>PayloadRemovalDisallowed</key>
+  <false/>
+  <key>PayloadType</key>
+  <string>Configuration</string>
+  <key>PayloadUUID</key>
+  <string>${formatUuid(digest.subarray(0, 16))}</string>
+  <key>PayloadVersion</key>
+  <integer>1</integer>
+</dict>
+</plist>
+`;
+  return new Response(profile, {
+    headers: {
+      "Content-Type": "application/x-apple-aspen-config",
+      "Content-Disposition": `attachment; filename="${url.hostname.replace(/[^\w.-]/g, "_")}.mobileconfig"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+// 16 字节转为 UUID 文本 (设置版本 4 与变体位)
+function formatUuid(bytes) {
+  const b = Uint8Array.from(bytes);
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const hex = [...b].map((byte) => byte.toString(16).padStart(2, "0")).join("").toUpperCase();
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// HTML / XML 文本转义
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+// 嵌入 <script> 的 JSON：转义 < 防止提前结束脚本
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+// ==================== 配置加载 ====================
+// 文件顶部的变量为默认值，可被 Worker 环境变量 / Secret 及 KV 中的 JSON 配置覆盖，键名与变量名相同
+// 优先级：KV > 环境变量 > 默认值；未设置或为空字符串的项保留默认值
+// 环境变量中的数组可写成 JSON 或逗号/换行分隔的文本 (BLOCKLIST_RULES 仅按换行分隔)，对象须为 JSON
+// KV：绑定名 CONFIG_KV，键为 CONFIG_KV_KEY (默认 "config")，每 CONFIG_REFRESH_SECONDS 秒重新读取
+
+const CONFIG_REFRESH_SECONDS = 60; // KV 配置的重新读取间隔（秒）
+const UPSTREAM_STRATEGIES = ["race", "failover", "fastest", "weighted", "hedged"];
+
+// 每个配置项的解析函数：接收原始值 (字符串或 JSON 值)，返回规范化后的值，不合法时抛出带说明的异常
+const CONFIG_SCHEMA = {
+  UPSTREAM_DOH_SERVERS: listValue(checkUpstream, /[\s,]+/, true),
+  UPSTREAM_ROUTES: jsonValue(checkRoutes),
+  UPSTREAM_ALIASES: jsonValue(checkAliases),
+  CUSTOM_SERVER_ALLOWLIST: listValue(stringValue(), /[\s,]+/),
+  CUSTOM_SERVER_ALLOW_ANY: booleanValue(),
+  DEFAULT_UPSTREAM_STRATEGY: enumValue(UPSTREAM_STRATEGIES),
+  HEDGE_DELAY_MS: integerValue(0, 60000),
+  GLOBAL_AUTH_TOKEN: stringValue(),
+  AUTH_TOKENS: jsonValue(checkAuthTokens),
+  CACHE_TTL_SECONDS: integerValue(0, 604800),
+  MIN_CACHE_TTL_SECONDS: integerValue(0, 604800),
+  TIMEOUT_MS: integerValue(1, 60000),
+  UPSTREAM_TIMEOUT_MIN_MS: integerValue(1, 60000),
+  UPSTREAM_TIMEOUT_MAX_MS: integerValue(1, 60000),
+  HEALTH_EWMA_ALPHA: numberValue(0, 1),
+  CIRCUIT_BREAKER_THRESHOLD: integerValue(1, 1000),
+  CIRCUIT_BREAKER_COOLDOWN_MS: integerValue(0, 3600000),
+  EDNS_UDP_PAYLOAD_SIZE: integerValue(512, 65535),
+  EDNS_PADDING: booleanValue(),
+  ECS_FROM_CLIENT_IP: booleanValue(),
+  ECS_IPV4_PREFIX: integerValue(0, 32),
+  ECS_IPV6_PREFIX: integerValue(0, 128),
+  ECS_POLICY: enumValue(["strip", "keep", "inject"]),
+  BLOCKLIST_SOURCES: listValue(checkUrl(["https:", "http:"]), /[\s,]+/),
+  BLOCKLIST_RULES: listValue((rule) => String(rule), /\r?\n/),
+  BLOCK_RESPONSE: enumValue(["nxdomain", "zero", "refused"]),
+  BLOCKED_TTL_SECONDS: integerValue(0, 86400),
+  BLOCKLIST_REFRESH_SECONDS: integerValue(60, 604800),
+  BLOCKLIST_PROFILES: jsonValue(checkBlocklistProfiles),
+  FILTER_AAAA: booleanValue(),
+  REBINDING_PROTECTION: enumValue(["off", "remove", "refuse"]),
+  REBINDING_ALLOWLIST: listValue(stringValue(), /[\s,]+/),
+  BLOCKLIST_IP_CIDRS: listValue(checkCidr, /[\s,]+/),
+  HTTPS_STRIP_ECH: booleanValue(),
+  HTTPS_STRIP_ALPN: listValue(stringValue(), /[\s,]+/),
+  HTTPS_IPV4HINT: listValue(checkIp(ipv4ToBytes), /[\s,]+/),
+  HTTPS_IPV6HINT: listValue(checkIp(ipv6ToBytes), /[\s,]+/),
+  LOCAL_RECORDS: jsonValue(checkLocalRecords),
+  LOCAL_TTL_SECONDS: integerValue(0, 604800),
+  LOCAL_CNAME_MAX_DEPTH: integerValue(1, 32),
+  DNS_CACHE_ENABLED: booleanValue(),
+  NEGATIVE_CACHE_TTL_SECONDS: integerValue(0, 86400),
+  SERVE_STALE: booleanValue(),
+  SERVE_STALE_MAX_SECONDS: integerValue(0, 604800),
+  STALE_ANSWER_TTL_SECONDS: integerValue(0, 86400),
+  REFRESH_AHEAD_PERCENT: integerValue(0, 100),
+  REFRESH_AHEAD_MIN_HITS: integerValue(1, 1000000),
+  PREFETCH_DOMAINS: listValue(checkDomainName, /[\s,]+/),
+  PREFETCH_TYPES: listValue(checkRecordType, /[\s,]+/, true),
+  QUERY_LOG_SINKS: listValue(checkLogSink, /[\s,]+/),
+  QUERY_LOG_CLIENT_IP: enumValue(["full", "hash", "none"]),
+  QUERY_LOG_IP_SALT: stringValue(),
+  QUERY_LOG_HTTP_TOKEN: stringValue(),
+  QUERY_LOG_BATCH_SIZE: integerValue(1, 1000),
+  QUERY_LOG_FLUSH_SECONDS: integerValue(1, 3600),
+  BATCH_MAX_QUERIES: integerValue(1, 10000),
+  BATCH_CONCURRENCY: integerValue(1, 64),
+  CNAME_CHAIN_MAX_DEPTH: integerValue(1, 32),
+  DNSSEC_VALIDATION: booleanValue(),
+  DNSSEC_TRUST_ANCHORS: listValue(checkTrustAnchor, /\r?\n/, true),
+  WEB_UI: booleanValue(),
+};
+
+function getCurrentConfig() {
+  return {
+    UPSTREAM_DOH_SERVERS, UPSTREAM_ROUTES, UPSTREAM_ALIASES, CUSTOM_SERVER_ALLOWLIST, CUSTOM_SERVER_ALLOW_ANY,
+    DEFAULT_UPSTREAM_STRATEGY, HEDGE_DELAY_MS, GLOBAL_AUTH_TOKEN, AUTH_TOKENS,
+    CACHE_TTL_SECONDS, MIN_CACHE_TTL_SECONDS, TIMEOUT_MS, UPSTREAM_TIMEOUT_MIN_MS, UPSTREAM_TIMEOUT_MAX_MS,
+    HEALTH_EWMA_ALPHA, CIRCUIT_BREAKER_THRESHOLD, CIRCUIT_BREAKER_COOLDOWN_MS,
+    EDNS_UDP_PAYLOAD_SIZE, EDNS_PADDING, ECS_FROM_CLIENT_IP, ECS_IPV4_PREFIX, ECS_IPV6_PREFIX, ECS_POLICY,
+    BLOCKLIST_SOURCES, BLOCKLIST_RULES, BLOCK_RESPONSE, BLOCKED_TTL_SECONDS, BLOCKLIST_REFRESH_SECONDS, BLOCKLIST_PROFILES,
+    FILTER_AAAA, REBINDING_PROTECTION, REBINDING_ALLOWLIST, BLOCKLIST_IP_CIDRS,
+    HTTPS_STRIP_ECH, HTTPS_STRIP_ALPN, HTTPS_IPV4HINT, HTTPS_IPV6HINT,
+    LOCAL_RECORDS, LOCAL_TTL_SECONDS, LOCAL_CNAME_MAX_DEPTH,
+    DNS_CACHE_ENABLED, NEGATIVE_CACHE_TTL_SECONDS, SERVE_STALE, SERVE_STALE_MAX_SECONDS, STALE_ANSWER_TTL_SECONDS,
+    REFRESH_AHEAD_PERCENT, REFRESH_AHEAD_MIN_HITS, PREFETCH_DOMAINS, PREFETCH_TYPES,
+    QUERY_LOG_SINKS, QUERY_LOG_CLIENT_IP, QUERY_LOG_IP_SALT, QUERY_LOG_HTTP_TOKEN, QUERY_LOG_BATCH_SIZE, QUERY_LOG_FLUSH_SECONDS,
+    BATCH_MAX_QUERIES, BATCH_CONCURRENCY, CNAME_CHAIN_MAX_DEPTH, DNSSEC_VALIDATION, DNSSEC_TRUST_ANCHORS, WEB_UI,
+  };
+}
+
+function applyConfig(config) {
+  const filterChanged = JSON.stringify([config.BLOCKLIST_SOURCES, config.BLOCKLIST_RULES, config.BLOCKLIST_PROFILES]) !==
+    JSON.stringify([BLOCKLIST_SOURCES, BLOCKLIST_RULES, BLOCKLIST_PROFILES]);
+  const anchorsChanged = JSON.stringify(config.DNSSEC_TRUST_ANCHORS) !== JSON.stringify(DNSSEC_TRUST_ANCHORS);
+  ({
+    UPSTREAM_DOH_SERVERS, UPSTREAM_ROUTES, UPSTREAM_ALIASES, CUSTOM_SERVER_ALLOWLIST, CUSTOM_SERVER_ALLOW_ANY,
+    DEFAULT_UPSTREAM_STRATEGY, HEDGE_DELAY_MS, GLOBAL_AUTH_TOKEN, AUTH_TOKENS,
+    CACHE_TTL_SECONDS, MIN_CACHE_TTL_SECONDS, TIMEOUT_MS, UPSTREAM_TIMEOUT_MIN_MS, UPSTREAM_TIMEOUT_MAX_MS,
+    HEALTH_EWMA_ALPHA, CIRCUIT_BREAKER_THRESHOLD, CIRCUIT_BREAKER_COOLDOWN_MS,
+    EDNS_UDP_PAYLOAD_SIZE, EDNS_PADDING, ECS_FROM_CLIENT_IP, ECS_IPV4_PREFIX, ECS_IPV6_PREFIX, ECS_POLICY,
+    BLOCKLIST_SOURCES, BLOCKLIST_RULES, BLOCK_RESPONSE, BLOCKED_TTL_SECONDS, BLOCKLIST_REFRESH_SECONDS, BLOCKLIST_PROFILES,
+    FILTER_AAAA, REBINDING_PROTECTION, REBINDING_ALLOWLIST, BLOCKLIST_IP_CIDRS,
+    HTTPS_STRIP_ECH, HTTPS_STRIP_ALPN, HTTPS_IPV4HINT, HTTPS_IPV6HINT,
+    LOCAL_RECORDS, LOCAL_TTL_SECONDS, LOCAL_CNAME_MAX_DEPTH,
+    DNS_CACHE_ENABLED, NEGATIVE_CACHE_TTL_SECONDS, SERVE_STALE, SERVE_STALE_MAX_SECONDS, STALE_ANSWER_TTL_SECONDS,
+    REFRESH_AHEAD_PERCENT, REFRESH_AHEAD_MIN_HITS, PREFETCH_DOMAINS, PREFETCH_TYPES,
+    QUERY_LOG_SINKS, QUERY_LOG_CLIENT_IP, QUERY_LOG_IP_SALT, QUERY_LOG_HTTP_TOKEN, QUERY_LOG_BATCH_SIZE, QUERY_LOG_FLUSH_SECONDS,
+    BATCH_MAX_QUERIES, BATCH_CONCURRENCY, CNAME_CHAIN_MAX_DEPTH, DNSSEC_VALIDATION, DNSSEC_TRUST_ANCHORS, WEB_UI,
+  } = config);
+  if (filterChanged) domainFilters.clear(); // 规则来源变化后下次查询重新加载
+  if (anchorsChanged) zoneKeyCache.clear();
+  authTokenDigests = null;
+  logSinks = null;
+}
+
+const DEFAULT_CONFIG = getCurrentConfig();
+
+let configErrors = null; // 最近一次生效的校验结果，null 表示尚未加载
+let configLoadedAt = 0;
+let configLoading = null;
+
+// 请求入口调用，返回配置错误列表 (为空表示配置有效)
+// 首次请求时等待加载；之后仅在绑定了 CONFIG_KV 时于后台定期刷新，不阻塞请求
+async function ensureConfig(env = {}) {
+  const expired = configErrors !== null && env.CONFIG_KV && Date.now() - configLoadedAt > CONFIG_REFRESH_SECONDS * 1000;
+  if ((configErrors === null || expired) && !configLoading) {
+    configLoading = loadConfig(env).finally(() => (configLoading = null));
+  }
+  if (configErrors === null) await configLoading;
+  return configErrors;
+}
+
+// 读取并校验环境变量与 KV 配置；有错误时不应用任何改动，已有有效配置时继续沿用
+async function loadConfig(env) {
+  const overrides = {};
+  const errors = [];
+  const readSource = (source, label, reportUnknown) => {
+    for (const [key, value] of Object.entries(source)) {
+      const parse = CONFIG_SCHEMA[key];
+      if (!parse) {
+        if (reportUnknown) errors.push(`${label}.${key}: 未知配置项`);
+        continue;
+      }
+      if (value === undefined || value === null || value === "") continue;
+      try {
+        overrides[key] = parse(value);
+      } catch (error) {
+        errors.push(`${label}.${key}: ${error.message}`);
+      }
+    }
+  };
+
+  readSource(env, "env", false); // env 中还有 KV 等其他绑定，忽略未知键
+  if (env.CONFIG_KV) {
+    try {
+      const kvConfig = await env.CONFIG_KV.get(env.CONFIG_KV_KEY || "config", "json");
+      if (kvConfig !== null) {
+        if (!isPlainObject(kvConfig)) throw new Error("需要 JSON 对象");
+        readSource(kvConfig, "kv", true);
+      }
+    } catch (error) {
+      errors.push(`kv: ${error.message}`);
+    }
+  }
+
+  const config = { ...DEFAULT_CONFIG, ...overrides };
+  if (config.MIN_CACHE_TTL_SECONDS > config.CACHE_TTL_SECONDS) {
+    errors.push("MIN_CACHE_TTL_SECONDS: 不能大于 CACHE_TTL_SECONDS");
+  }
+  if (config.UPSTREAM_TIMEOUT_MIN_MS > config.UPSTREAM_TIMEOUT_MAX_MS) {
+    errors.push("UPSTREAM_TIMEOUT_MIN_MS: 不能大于 UPSTREAM_TIMEOUT_MAX_MS");
+  }
+  const tokens = Object.values(config.AUTH_TOKENS).map((policy) => policy.token);
+  if (config.GLOBAL_AUTH_TOKEN) tokens.push(config.GLOBAL_AUTH_TOKEN);
+  if (new Set(tokens).size !== tokens.length) errors.push("AUTH_TOKENS: 令牌不能重复 (含 GLOBAL_AUTH_TOKEN)");
+  for (const policy of Object.values(config.AUTH_TOKENS)) {
+    if (policy.blocklistProfile && !config.BLOCKLIST_PROFILES[policy.blocklistProfile]) {
+      errors.push(`AUTH_TOKENS.${policy.name}: 过滤配置 ${policy.blocklistProfile} 不存在`);
+    }
+  }
+
+  configLoadedAt = Date.now();
+  if (errors.length) {
+    console.error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+    if (configErrors === null || configErrors.length) configErrors = errors;
+    return;
+  }
+  applyConfig(config);
+  configErrors = [];
+}
+
+// 错误详情含配置中的值 (上游地址、令牌名称等)，不返回给客户端
+function configErrorResponse() {
+  return jsonResponse({ error: "Invalid configuration" }, 500);
+}
+
+function isEmptyArray(value) {
+  return Array.isArray(value) && !value.length;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function integerValue(min, max) {
+  return (value) => {
+    const number = typeof value === "string" && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min || number > max) throw new Error(`需要 ${min} ~ ${max} 之间的整数`);
+    return number;
+  };
+}
+
+function numberValue(min, max) {
+  return (value) => {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !(number > min && number <= max)) throw new Error(`需要大于 ${min} 且不大于 ${max} 的数`);
+    return number;
+  };
+}
+
+function booleanValue() {
+  return (value) => {
+    if (typeof value === "boolean") return value;
+    const text = String(value).trim().toLowerCase();
+    if (["true", "1", "yes", "on"].includes(text)) return true;
+    if (["false", "0", "no", "off"].includes(text)) return false;
+    throw new Error("需要 true 或 false");
+  };
+}
+
+function stringValue() {
+  return (value) => {
+    if (typeof value !== "string") throw new Error("需要字符串");
+    return value;
+  };
+}
+
+function enumValue(options) {
+  return (value) => {
+    if (!options.includes(value)) throw new Error(`需要 ${options.join(" / ")} 之一`);
+    return value;
+  };
+}
+
+// 字符串以 "[" 开头时按 JSON 解析，否则按 separator 拆分；checkItem 校验并规范化每一项
+function listValue(checkItem, separator, nonEmpty = false) {
+  return (value) => {
+    let items = value;
+    if (typeof value === "string") {
+      items = value.trim().startsWith("[") ? parseJson(value) : value.split(separator).map((item) => item.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(items)) throw new Error("需要数组");
+    if (nonEmpty && !items.length) throw new Error("不能为空");
+    return items.map((item, index) => {
+      try {
+        return checkItem(item);
+      } catch (error) {
+        throw new Error(`[${index}] ${error.message}`);
+      }
+    });
+  };
+}
+
+function jsonValue(check) {
+  return (value) => check(typeof value === "string" ? parseJson(value) : value);
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`JSON 格式错误：${error.message}`);
+  }
+}
+
+function checkUrl(protocols) {
+  return (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new Error("不是有效的 URL");
+    }
+    if (!protocols.includes(url.protocol)) throw new Error(`URL 协议需为 ${protocols.join(" / ")}`);
+    return url.href;
+  };
+}
+
+// 上游地址，支持的传输方式见“上游传输”一节
+function checkUpstream(value) {
+  const upstream = typeof value === "string" ? parseUpstream(value.trim()) : null;
+  if (!upstream) throw new Error("上游需为 https://、get+https://、json+https://、tcp:// 或 tls:// 地址");
+  return value.trim();
+}
+
+// 单个地址按 /32 或 /128 处理
+function checkCidr(value) {
+  const text = String(value).trim();
+  const cidr = text.includes("/") ? text : `${text}/${text.includes(":") ? 128 : 32}`;
+  if (!parseCidr(cidr)) throw new Error(`无效的网段 ${text}`);
+  return cidr;
+}
+
+function checkDomainName(value) {
+  if (typeof value !== "string" || !isValidDomainName(value.trim())) throw new Error(`无效的域名 ${value}`);
+  return normalizeDomain(value);
+}
+
+function checkRecordType(value) {
+  const code = toTypeCode(typeof value === "string" ? value.trim() : value);
+  if (!code) throw new Error(`未知的查询类型 ${value}`);
+  return String(toTypeName(code));
+}
+
+// toBytes 为 ipv4ToBytes 或 ipv6ToBytes
+function checkIp(toBytes) {
+  return (value) => {
+    if (typeof value !== "string" || !toBytes(value.trim())) throw new Error(`无效的地址 ${value}`);
+    return value.trim();
+  };
+}
+
+function checkTrustAnchor(value) {
+  const anchor = parseTrustAnchor(value);
+  if (!anchor || !/^([0-9a-f]{2})+$/.test(anchor.digest)) throw new Error("信任锚格式应为 \"<区域> <key tag> <算法> <摘要类型> <摘要>\"");
+  return String(value).trim();
+}
+
+function checkLogSink(value) {
+  if (value === "console") return value;
+  return checkUrl(["https:"])(value);
+}
+
+function checkStringList(value, field) {
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item)) throw new Error(`${field} 需要字符串数组`);
+  if (!value.length) throw new Error(`${field} 不能为空`);
+  return value;
+}
+
+function checkRoutes(routes) {
+  if (!Array.isArray(routes)) throw new Error("需要数组");
+  return routes.map((route, index) => {
+    try {
+      if (!isPlainObject(route)) throw new Error("需要对象");
+      const checked = {
+        domains: checkStringList(route.domains, "domains"),
+        servers: checkStringList(route.servers, "servers").map(checkUpstream),
+      };
+      if (route.types !== undefined) {
+        checked.types = checkStringList(route.types, "types");
+        const unknown = checked.types.find((type) => !toTypeCode(type));
+        if (unknown) throw new Error(`未知的查询类型 ${unknown}`);
+      }
+      if (route.strategy !== undefined) checked.strategy = enumValue(UPSTREAM_STRATEGIES)(route.strategy);
+      return checked;
+    } catch (error) {
+      throw new Error(`[${index}] ${error.message}`);
+    }
+  });
+}
+
+function checkAliases(aliases) {
+  if (!isPlainObject(aliases)) throw new Error("需要对象");
+  const checked = {};
+  for (const [name, server] of Object.entries(aliases)) {
+    try {
+      checked[name.toLowerCase()] = checkUpstream(server);
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+  return checked;
+}
+
+function checkAuthTokens(tokens) {
+  if (!isPlainObject(tokens)) throw new Error("需要对象");
+  const checked = {};
+  for (const [name, policy] of Object.entries(tokens)) {
+    if (name === "global") throw new Error("global 为 GLOBAL_AUTH_TOKEN 保留的名称");
+    if (!isPlainObject(policy)) throw new Error(`${name}: 需要对象`);
+    if (typeof policy.token !== "string" || !policy.token) throw new Error(`${name}: token 需要非空字符串`);
+    const endpoints = policy.endpoints === undefined ? null : checkStringList(policy.endpoints, "endpoints");
+    const unknown = endpoints && endpoints.find((endpoint) => !AUTH_ENDPOINTS.includes(endpoint));
+    if (unknown) throw new Error(`${name}: 未知端点 ${unknown}`);
+    if (policy.serverOverride !== undefined && typeof policy.serverOverride !== "boolean") {
+      throw new Error(`${name}: serverOverride 需要 true 或 false`);
+    }
+    if (policy.blocklistProfile !== undefined && typeof policy.blocklistProfile !== "string") {
+      throw new Error(`${name}: blocklistProfile 需要字符串`);
+    }
+    const rateLimit = policy.rateLimit === undefined ? 0 : policy.rateLimit;
+    if (!Number.isInteger(rateLimit) || rateLimit < 0) throw new Error(`${name}: rateLimit 需要非负整数`);
+    checked[name] = {
+      name,
+      token: policy.token,
+      endpoints,
+      serverOverride: policy.serverOverride === true,
+      blocklistProfile: policy.blocklistProfile || null,
+      rateLimit,
+    };
+  }
+  return checked;
+}
+
+function checkBlocklistProfiles(profiles) {
+  if (!isPlainObject(profiles)) throw new Error("需要对象");
+  const checkSource = listValue(checkUrl(["https:", "http:"]));
+  const checked = {};
+  for (const [name, profile] of Object.entries(profiles)) {
+    try {
+      if (!isPlainObject(profile)) throw new Error("需要对象");
+      checked[name] = {
+        sources: profile.sources === undefined ? [] : checkSource(profile.sources),
+        rules: profile.rules === undefined || isEmptyArray(profile.rules) ? [] : checkStringList(profile.rules, "rules"),
+      };
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+  return checked;
+}
+
+function checkLocalRecords(records) {
+  if (!isPlainObject(records)) throw new Error("需要对象");
+  const checkers = {
+    A: (value) => ipv4ToBytes(value) !== null,
+    AAAA: (value) => ipv6ToBytes(value) !== null,
+    CNAME: (value) => typeof value === "string" && value !== "",
+    TXT: (value) => typeof value === "string",
+    MX: (value) => isPlainObject(value) && Number.isInteger(value.preference) && typeof value.exchange === "string",
+  };
+  const checked = {};
+  for (const [name, record] of Object.entries(records)) {
+    if (!isPlainObject(record)) throw new Error(`${name}: 需要对象`);
+    for (const [type, values] of Object.entries(record)) {
+      if (!checkers[type]) throw new Error(`${name}: 不支持的记录类型 ${type}`);
+      if (![].concat(values).every(checkers[type])) throw new Error(`${name}: ${type} 记录格式错误`);
+    }
+    checked[normalizeDomain(name)] = record;
+  }
+  return checked;
+}
+
+// ==================== 访问控制 ====================
+// 令牌可通过 Authorization: Bearer、token 参数或 /dns-query/<token> 路径提供 (路径形式仅用于 /dns-query)
+// 令牌比较先做 SHA-256 再逐字节比较全部令牌，耗时与令牌内容及匹配位置无关
+// 频率限制按分钟计数，状态保存在当前 isolate 内存中，多个 isolate 之间不共享，仅作近似限制
+
+const AUTH_ENDPOINTS = ["/dns-query", "/resolve", "/resolve/batch", "/stats"];
+
+// 未配置任何令牌时的访问策略
+const OPEN_ACCESS = { name: null, endpoints: null, serverOverride: true, blocklistProfile: null, rateLimit: 0 };
+
+let authTokenDigests = null; // Promise<[{ policy, digest }]>，配置变化后重新计算
+const rateLimitWindows = new Map(); // 令牌名 -> { windowStart, count }
+
+function getAuthPolicies() {
+  const policies = Object.values(AUTH_TOKENS);
+  if (GLOBAL_AUTH_TOKEN) policies.push({ ...OPEN_ACCESS, name: "global", token: GLOBAL_AUTH_TOKEN });
+  return policies;
+}
+
+function getAuthTokenDigests() {
+  if (!authTokenDigests) {
+    authTokenDigests = Promise.all(getAuthPolicies().map(async (policy) => ({ policy, digest: await sha256(policy.token) })));
+  }
+  return authTokenDigests;
+}
+
+async function sha256(text) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+function timingSafeEqual(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+// 从 /dns-query/<token> 中取出令牌，其他路径返回 null
+function getPathToken(path) {
+  if (!path.startsWith("/dns-query/")) return null;
+  try {
+    return decodeURIComponent(path.slice("/dns-query/".length)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 校验令牌：未配置令牌时返回 OPEN_ACCESS，令牌无效返回 null，否则返回该令牌的策略
+async function authenticate(request, url, pathToken) {
+  const entries = await getAuthTokenDigests();
+  if (!entries.length) return OPEN_ACCESS;
+
+  const bearer = /^Bearer\s+(\S+)\s*$/i.exec(request.headers.get("Authorization") || "");
+  const token = bearer ? bearer[1] : url.searchParams.get("token") || pathToken;
+  if (!token) return null;
+
+  const digest = await sha256(token);
+  let matched = null;
+  for (const entry of entries) {
+    if (timingSafeEqual(entry.digest, digest) && !matched) matched = entry.policy;
+  }
+  return matched;
+}
+
+// /stats 含所有用户的查询统计，仅 GLOBAL_AUTH_TOKEN 及 endpoints 中显式列出 "/stats" 的令牌可访问，未配置令牌时不开放
+// 网页界面与描述文件只包含该令牌自己的配置，任何有效令牌均可访问
+function canAccessEndpoint(access, path) {
+  if (path === "/" || path === "/dns.mobileconfig") return true;
+  if (path === "/stats") return access.name === "global" || !!(access.endpoints && access.endpoints.includes(path));
+  return !access.endpoints || access.endpoints.includes(path);
+}
+
+// 计数并判断是否超过每分钟请求数限制，rateLimit 为 0 表示不限制；cost 为本次计入的请求数
+function consumeRateLimit(policy, cost = 1) {
+  if (!policy.rateLimit) return true;
+  const now = Date.now();
+  const windowStart = now - (now % 60000);
+  let window = rateLimitWindows.get(policy.name);
+  if (!window || window.windowStart !== windowStart) {
+    window = { windowStart, count: 0 };
+    rateLimitWindows.set(policy.name, window);
+  }
+  window.count += cost;
+  return window.count <= policy.rateLimit;
+}
+
+// 拒绝请求：/dns-query 的 DNS 报文查询返回 REFUSED (存根解析器能识别)，其余返回 HTTP 状态码
+async function denyRequest(request, url, path, status) {
+  if (path === "/dns-query" && !wantsDnsJson(request, url)) {
+    let message = null;
+    try {
+      const dns = url.searchParams.get("dns");
+      const query = request.method === "POST"
+        ? new Uint8Array(await request.arrayBuffer())
+        : dns && base64UrlToBytes(dns);
+      message = query ? parseDnsMessage(query) : null;
+    } catch (error) {
+      // 无法解析的查询按 HTTP 状态码拒绝
+    }
+    if (message && !message.flags.qr && message.questions.length) {
+      return dnsMessageResponse(buildDnsResponse(message, { rcode: 5 }));
+    }
+  }
+
+  const headers = { "Access-Control-Allow-Origin": "*" };
+  if (status === 429) headers["Retry-After"] = String(60 - Math.floor((Date.now() % 60000) / 1000));
+  return new Response(null, { status, headers });
+}
+
+// ==================== 自定义上游 (server 参数) ====================
+// server 参数可以是 UPSTREAM_ALIASES 中的别名，或 CUSTOM_SERVER_ALLOWLIST 中的地址；
+// CUSTOM_SERVER_ALLOW_ANY 开启后也接受其他 https 地址，但会先解析其域名，指向内网地址时拒绝
+// 无论是否在白名单中，都拒绝非 https、带账号密码、非默认端口、IP 字面量及本地/内网域名
+
+const LOCAL_DOMAIN_SUFFIXES = ["localhost", "local", "localdomain", "internal", "intranet", "lan", "home", "corp", "private", "home.arpa", "test", "invalid", "onion"];
+
+// 返回 { dnsServers } (未指定 server 时为 null) 或 { error }，error 为拒绝原因
+async function getCustomServers(url) {
+  const server = url.searchParams.get("server");
+  if (!server) return { dnsServers: null };
+
+  const alias = server.toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(UPSTREAM_ALIASES, alias)) return { dnsServers: [UPSTREAM_ALIASES[alias]] };
+
+  let serverUrl;
+  try {
+    serverUrl = new URL(server);
+  } catch (error) {
+    return { error: "server is neither a known alias nor a valid URL" };
+  }
+  if (serverUrl.protocol !== "https:") return { error: "only https:// servers are allowed" };
+  if (serverUrl.username || serverUrl.password) return { error: "credentials in the server URL are not allowed" };
+  if (serverUrl.port && serverUrl.port !== "443") return { error: "only the default https port is allowed" };
+
+  const host = serverUrl.hostname;
+  if (ipv4ToBytes(host) || host.startsWith("[")) return { error: "IP address literals are not allowed" };
+  if (!host.includes(".") || LOCAL_DOMAIN_SUFFIXES.some((suffix) => matchesDomainPattern(host, suffix))) {
+    return { error: "local or private hostnames are not allowed" };
+  }
+
+  if (CUSTOM_SERVER_ALLOWLIST.some((entry) => matchesServerEntry(serverUrl, entry))) return { dnsServers: [serverUrl.href] };
+  if (!CUSTOM_SERVER_ALLOW_ANY) return { error: "server is not in the allowlist" };
+
+  const addressError = await checkServerAddresses(host);
+  if (addressError) return { error: addressError };
+  return { dnsServers: [serverUrl.href] };
+}
+
+// 白名单项为完整 URL 时精确匹配，否则按域名匹配 ("example.com" 含子域名，"*.example.com" 仅子域名)
+function matchesServerEntry(serverUrl, entry) {
+  if (entry.includes("://")) return serverUrl.href === entry;
+  return matchesDomainPattern(serverUrl.hostname, entry);
+}
+
+// 直接通过默认上游解析域名，不经过本地记录、过滤规则、缓存与分流规则；无法解析或任一地址为内网地址时返回拒绝原因
+// 检查只能尽力而为：之后的 fetch 会重新解析，域名可能在两次解析之间被改指到内网地址 (DNS rebinding)
+async function checkServerAddresses(host) {
+  const results = await Promise.all(["A", "AAAA"].map((type) =>
+    forwardDnsQueryWithCacheControl(buildDnsQuery(host, type), UPSTREAM_DOH_SERVERS)));
+  const messages = results.map((result) => result && parseDnsMessage(result.response));
+  if (messages.some((message) => !message)) return "server hostname could not be resolved";
+
+  const addresses = messages.flatMap((message) =>
+    message.answers.filter((answer) => answer.type === "A" || answer.type === "AAAA").map((answer) => answer.data));
+  if (!addresses.length) return "server hostname has no addresses";
+  if (addresses.some(isPrivateAddress)) return "server hostname resolves to a private address";
+  return null;
+}
+
+// 校验上游应答：须为可解析的响应报文，ID 与问题部分和查询一致，避免错误或伪造的应答被缓存和返回
+// 错误应答 (rcode 非 0) 可以不带问题部分 (RFC 1035)
+function isValidReply(dnsQuery, queryMessage, reply) {
+  const replyMessage = parseDnsMessage(reply);
+  if (!replyMessage || !replyMessage.flags.qr) return false;
+  if (reply[0] !== dnsQuery[0] || reply[1] !== dnsQuery[1]) return false;
+  if (!queryMessage || (replyMessage.rcode !== 0 && !replyMessage.questions.length)) return true;
+
+  return replyMessage.questions.length === queryMessage.questions.length &&
+    replyMessage.questions.every((question, index) => {
+      const expected = queryMessage.questions[index];
+      return question.typeCode === expected.typeCode && question.class === expected.class &&
+        normalizeDomain(question.name) === normalizeDomain(expected.name);
+    });
+}
+
+// ==================== 查询日志与统计 ====================
+// 每次查询生成一条结构化日志，写入 QUERY_LOG_SINKS 中的各个输出，并累加到 /stats 的统计中
+// 日志在 waitUntil 中异步写出，不增加响应延迟；统计保存在当前 isolate 内存中，自 isolate 启动起累计
+
+const STATS_MAX_TRACKED_DOMAINS = 5000; // 每个排行榜最多跟踪的域名数，超出时丢弃计数较小的一半
+const RCODE_NAMES = ["NOERROR", "FORMERR", "SERVFAIL", "NXDOMAIN", "NOTIMP", "REFUSED"];
+
+const queryStats = createQueryStats();
+let logSinks = null; // 由 QUERY_LOG_SINKS 创建，配置变化后重建
+
+function createQueryStats() {
+  return {
+    since: new Date().toISOString(),
+    queries: 0,
+    cache: { hit: 0, miss: 0, stale: 0 },
+    blocked: 0,
+    local: 0,
+    failed: 0,
+    rcodes: {},
+    domains: new Map(),
+    blockedDomains: new Map(),
+  };
+}
+
+// 日志输出：QUERY_LOG_SINKS 中每一项为 "console" (每行一条 JSON) 或 https URL (批量 POST NDJSON)
+// 新增输出方式时在此按配置项创建 { write(entry, context) → Promise | undefined, flush?() } 对象即可
+function createLogSink(spec) {
+  if (spec === "console") {
+    return { write: (entry) => console.log(JSON.stringify(entry)) };
+  }
+  return createHttpLogSink(spec);
+}
+
+// 批量 HTTP 输出：攒够 QUERY_LOG_BATCH_SIZE 条或距第一条超过 QUERY_LOG_FLUSH_SECONDS 秒时发送
+// 缓冲开始时通过 waitUntil 安排定时发送，查询稀少时不必等到下一条日志；waitUntil 约 30 秒后可能被终止，
+// 更长的间隔由之后的查询或定时任务 (flushLogSinks) 发送。缓冲在 isolate 内存中，isolate 被回收时未发送的日志会丢失
+function createHttpLogSink(url) {
+  let buffer = [];
+  let firstAt = 0;
+
+  function flush() {
+    if (!buffer.length) return;
+    const body = buffer.map((item) => JSON.stringify(item)).join("\n") + "\n";
+    buffer = [];
+    const headers = { "Content-Type": "application/x-ndjson" };
+    if (QUERY_LOG_HTTP_TOKEN) headers.Authorization = `Bearer ${QUERY_LOG_HTTP_TOKEN}`;
+    return fetch(url, { method: "POST", headers, body })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      })
+      .catch((error) => console.error(`Failed to send query logs to ${url}: ${error.message}`));
+  }
+
+  return {
+    write(entry, context) {
+      if (!buffer.length) {
+        firstAt = Date.now();
+        // 该批已因条数发送时 buffer 已替换为新数组，定时器不再重复发送
+        const batch = buffer;
+        runInBackground(context, new Promise((resolve) => setTimeout(resolve, QUERY_LOG_FLUSH_SECONDS * 1000))
+          .then(() => (buffer === batch ? flush() : undefined)));
+      }
+      buffer.push(entry);
+      if (buffer.length >= QUERY_LOG_BATCH_SIZE || Date.now() - firstAt >= QUERY_LOG_FLUSH_SECONDS * 1000) return flush();
+    },
+    flush,
+  };
+}
+
+function getLogSinks() {
+  if (!logSinks) logSinks = QUERY_LOG_SINKS.map(createLogSink);
+  return logSinks;
+}
+
+// 发送各输出中缓冲的日志 (由定时任务调用)
+function flushLogSinks() {
+  return Promise.all(getLogSinks().map((sink) => sink.flush && sink.flush()));
+}
+
+// 客户端 IP 的记录方式：full 原样 / hash 加盐 SHA-256 前 16 位十六进制 / none 不记录
+async function formatClientIp(clientIp) {
+  if (!clientIp || QUERY_LOG_CLIENT_IP === "none") return null;
+  if (QUERY_LOG_CLIENT_IP === "full") return clientIp;
+  return bytesToHex(await sha256(QUERY_LOG_IP_SALT + clientIp)).slice(0, 16);
+}
+
+// 记录一次查询：log 为 { clientIp, token, context }，result 为 resolveDnsQuery 的返回值 (失败时为 null)
+function createQueryLog(request, access, context) {
+  return { clientIp: request.headers.get("CF-Connecting-IP"), token: access.name, context };
+}
+
+function logQuery(log, dnsQuery, result, latency) {
+  const queryMessage = parseDnsMessage(dnsQuery);
+  const question = queryMessage && queryMessage.questions[0];
+  const responseMessage = result ? parseDnsMessage(result.response) : null;
+  const rcode = responseMessage ? responseMessage.rcode : 2;
+  const cache = !result || result.blocked || result.local ? null
+    : result.cacheHit ? (result.stale ? "stale" : "hit") : "miss";
+
+  const entry = {
+    time: new Date().toISOString(),
+    clientIp: null,
+    token: log.token,
+    name: question ? normalizeDomain(question.name) : null,
+    type: question ? question.type : null,
+    rcode: RCODE_NAMES[rcode] || String(rcode),
+    upstream: result && result.upstream ? result.upstream : null,
+    latency,
+    cache,
+    action: !result ? "failed" : result.blocked ? "blocked" : result.local ? "local" : "allowed",
+  };
+  updateQueryStats(entry);
+
+  const sinks = getLogSinks();
+  if (!sinks.length) return;
+  runInBackground(log.context, formatClientIp(log.clientIp).then((clientIp) => {
+    entry.clientIp = clientIp;
+    return Promise.all(sinks.map((sink) => sink.write(entry, log.context)));
+  }));
+}
+
+function updateQueryStats(entry) {
+  queryStats.queries++;
+  queryStats.rcodes[entry.rcode] = (queryStats.rcodes[entry.rcode] || 0) + 1;
+  if (entry.cache) queryStats.cache[entry.cache]++;
+  if (entry.action === "blocked") queryStats.blocked++;
+  if (entry.action === "local") queryStats.local++;
+  if (entry.action === "failed") queryStats.failed++;
+  if (entry.name) {
+    incrementCounter(queryStats.domains, entry.name);
+    if (entry.action === "blocked") incrementCounter(queryStats.blockedDomains, entry.name);
+  }
+}
+
+function incrementCounter(counter, key) {
+  counter.set(key, (counter.get(key) || 0) + 1);
+  if (counter.size > STATS_MAX_TRACKED_DOMAINS) {
+    const sorted = [...counter.entries()].sort((a, b) => b[1] - a[1]);
+    counter.clear();
+    for (const [name, count] of sorted.slice(0, STATS_MAX_TRACKED_DOMAINS / 2)) counter.set(name, count);
+  }
+}
+
+function topEntries(counter, limit) {
+  return [...counter.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, count }));
+}
+
+// /stats：limit 参数控制排行榜长度 (默认 20，最大 100)
+function handleStats(url) {
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get("limit"), 10) || 20, 1), 100);
+  const lookups = queryStats.cache.hit + queryStats.cache.miss + queryStats.cache.stale;
+  const now = Date.now();
+
+  return jsonResponse({
+    since: queryStats.since,
+    queries: queryStats.queries,
+    blocked: queryStats.blocked,
+    local: queryStats.local,
+    failed: queryStats.failed,
+    rcodes: queryStats.rcodes,
+    cache: {
+      ...queryStats.cache,
+      hitRatio: lookups ? Number(((queryStats.cache.hit + queryStats.cache.stale) / lookups).toFixed(4)) : null,
+    },
+    topDomains: topEntries(queryStats.domains, limit),
+    topBlockedDomains: topEntries(queryStats.blockedDomains, limit),
+    upstreams: [...upstreamHealth.entries()].map(([server, health]) => ({
+      server,
+      requests: health.successes + health.failures,
+      latencyMs: health.latency === null ? null : Math.round(health.latency),
+      errorRate: health.successes + health.failures
+        ? Number((health.failures / (health.successes + health.failures)).toFixed(4))
+        : null,
+      circuitOpen: health.openUntil > now,
+    })),
+  });
+}
+
+// ==================== 上游健康状态与选择 ====================
+// 每个上游记录 EWMA 延迟、抖动和成功率；连续失败达到阈值后熔断一段时间，冷却结束后重新参与选择
+// 状态保存在当前 isolate 内存中，不同 isolate 各自独立统计
+// 只记录配置中的上游 (默认上游、分流规则与别名)；server 参数指定的其他地址每次按无样本处理，不占用内存也不出现在 /stats 中
+
+const upstreamHealth = new Map();
+
+function getUpstreamHealth(server) {
+  let health = upstreamHealth.get(server);
+  if (!health) {
+    health = { latency: null, deviation: 0, successRate: 1, successes: 0, failures: 0, consecutiveFailures: 0, openUntil: 0 };
+    if (isConfiguredUpstream(server)) upstreamHealth.set(server, health);
+  }
+  return health;
+}
+
+function isConfiguredUpstream(server) {
+  return UPSTREAM_DOH_SERVERS.includes(server) ||
+    UPSTREAM_ROUTES.some((route) => route.servers.includes(server)) ||
+    Object.values(UPSTREAM_ALIASES).includes(server);
+}
+
+function recordUpstreamSuccess(server, latency) {
+  const health = getUpstreamHealth(server);
+  if (health.latency === null) {
+    health.latency = latency;
+    health.deviation = latency / 2;
+  } else {
+    health.deviation += HEALTH_EWMA_ALPHA * (Math.abs(latency - health.latency) - health.deviation);
+    health.latency += HEALTH_EWMA_ALPHA * (latency - health.latency);
+  }
+  health.successRate += HEALTH_EWMA_ALPHA * (1 - health.successRate);
+  health.successes++;
+  health.consecutiveFailures = 0;
+  health.openUntil = 0;
+}
+
+function recordUpstreamFailure(server) {
+  const health = getUpstreamHealth(server);
+  health.successRate -= HEALTH_EWMA_ALPHA * health.successRate;
+  health.failures++;
+  health.consecutiveFailures++;
+  if (health.consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD) {
+    health.openUntil = Date.now() + CIRCUIT_BREAKER_COOLDOWN_MS;
+  }
+}
+
+function isUpstreamAvailable(server) {
+  return getUpstreamHealth(server).openUntil <= Date.now();
+}
+
+// 自适应超时：EWMA 延迟 + 4 倍抖动 (与 TCP RTO 算法相同)，没有样本时使用 TIMEOUT_MS
+function getUpstreamTimeout(server) {
+  const health = getUpstreamHealth(server);
+  if (health.latency === null) return TIMEOUT_MS;
+  const timeout = health.latency + 4 * health.deviation;
+  return Math.round(Math.max(UPSTREAM_TIMEOUT_MIN_MS, Math.min(timeout, UPSTREAM_TIMEOUT_MAX_MS)));
+}
+
+// 评分越低越好：延迟按成功率放大，没有样本的上游按 TIMEOUT_MS 的一半估计
+function getUpstreamScore(server) {
+  const health = getUpstreamHealth(server);
+  const latency = health.latency === null ? TIMEOUT_MS / 2 : health.latency;
+  return latency / Math.max(health.successRate, 0.05);
+}
+
+// 熔断中的上游排在最后，仅在其余上游都失败时尝试
+function orderByAvailability(servers) {
+  return [...servers.filter(isUpstreamAvailable), ...servers.filter((server) => !isUpstreamAvailable(server))];
+}
+
+function rankUpstreams(servers) {
+  return orderByAvailability([...servers].sort((a, b) => getUpstreamScore(a) - getUpstreamScore(b)));
+}
+
+// 按 1/评分 加权随机排序 (不放回抽样)
+function weightedOrder(servers) {
+  const pool = servers.filter(isUpstreamAvailable);
+  const ordered = [];
+  while (pool.length) {
+    const weights = pool.map((server) => 1 / getUpstreamScore(server));
+    let pick = Math.random() * weights.reduce((acc, weight) => acc + weight, 0);
+    let index = 0;
+    while (index < pool.length - 1 && (pick -= weights[index]) > 0) index++;
+    ordered.push(pool.splice(index, 1)[0]);
+  }
+  return [...ordered, ...servers.filter((server) => !isUpstreamAvailable(server))];
+}
+
+// 按策略请求上游，fetchOne(server) 成功时返回结果、失败时抛出异常；全部失败返回 null
+// race: 并发请求所有可用上游 / failover: 按配置顺序 / fastest: 按评分顺序
+// weighted: 按评分加权随机顺序 / hedged: 先请求评分最好的，HEDGE_DELAY_MS 内未返回再请求下一个
+async function fetchWithStrategy(servers, strategy, fetchOne) {
+  if (strategy === "race") {
+    const available = servers.filter(isUpstreamAvailable);
+    return await Promise.any((available.length ? available : servers).map(fetchOne)).catch(() => null);
+  }
+  if (strategy === "hedged") return await hedgedFetch(rankUpstreams(servers), fetchOne);
+
+  const ordered = strategy === "fastest" ? rankUpstreams(servers)
+    : strategy === "weighted" ? weightedOrder(servers)
+    : orderByAvailability(servers);
+  for (const server of ordered) {
+    try {
+      return await fetchOne(server);
+    } catch (error) {
+      // 继续尝试下一个上游
+    }
+  }
+  return null;
+}
+
+function hedgedFetch(servers, fetchOne) {
+  return new Promise((resolve) => {
+    let index = 0;
+    let pending = 0;
+    let done = false;
+    let timer = null;
+
+    const launchNext = () => {
+      clearTimeout(timer);
+      if (done) return;
+      if (index >= servers.length) {
+        if (pending === 0) {
+          done = true;
+          resolve(null);
+        }
+        return;
+      }
+      pending++;
+      fetchOne(servers[index++]).then(
+        (result) => {
+          pending--;
+          if (done) return;
+          done = true;
+          clearTimeout(timer);
+          resolve(result);
+        },
+        () => {
+          pending--;
+          launchNext(); // 失败时立即请求下一个
+        }
+      );
+      timer = setTimeout(launchNext, HEDGE_DELAY_MS);
+    };
+
+    launchNext();
+  });
+}
+
+// ==================== 上游传输 ====================
+// 上游地址 (UPSTREAM_DOH_SERVERS、分流规则与别名) 以前缀选择传输方式：
+// https://...       RFC 8484 POST (默认)
+// get+https://...   RFC 8484 GET，dns 参数附加到上游 URL 已有参数之后，ID 置 0 以便上游及中间缓存命中
+// json+https://...  JSON API (如 https://dns.google/resolve)，应答转换回报文；TXT 的多个字符串会合并，无法解析的记录视为该上游失败
+// tcp://主机[:端口]  DNS over TCP (默认 53)；tls://主机[:端口] DNS over TLS (默认 853)
+//   通过 Workers 的 connect() 连接，每个查询一个连接，报文前加 2 字节长度 (RFC 1035 §4.2.2)；connect() 不能连接 Cloudflare 自身的地址 (如 1.1.1.1)
+// 各传输返回 { response, upstreamCacheControl }，超时由 signal 中止
+
+const UPSTREAM_TRANSPORTS = {
+  "https": fetchDohPost,
+  "get+https": fetchDohGet,
+  "json+https": fetchJsonApi,
+  "tcp": exchangeOverSocket,
+  "tls": exchangeOverSocket,
+};
+
+// 解析上游地址，返回 { transport, url } 或 { transport, hostname, port }，格式不支持时返回 null
+function parseUpstream(server) {
+  const match = /^([a-z+]+):\/\//i.exec(String(server));
+  const transport = match && match[1].toLowerCase();
+  if (!transport || !UPSTREAM_TRANSPORTS[transport]) return null;
+
+  let url;
+  try {
+    url = new URL(transport.endsWith("https") ? "https" + server.slice(transport.length) : server);
+  } catch (error) {
+    return null;
+  }
+  if (transport.endsWith("https")) return { transport, url: url.href };
+  if (!url.hostname || (url.pathname && url.pathname !== "/")) return null;
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  return { transport, hostname, port: Number(url.port) || (transport === "tls" ? 853 : 53) };
+}
+
+async function fetchDohPost(upstream, dnsQuery, queryMessage, signal) {
+  return await fetchDnsMessage(upstream.url, {
+    method: "POST",
+    headers: {
+      "Accept": "application/dns-message",
+      "Content-Type": "application/dns-message",
+    },
+    body: dnsQuery,
+    signal,
+  });
+}
+
+async function fetchDohGet(upstream, dnsQuery, queryMessage, signal) {
+  const query = dnsQuery.slice();
+  query[0] = query[1] = 0; // RFC 8484 §4.1：ID 置 0，相同问题的 URL 一致
+  const url = new URL(upstream.url);
+  url.searchParams.set("dns", bytesToBase64Url(query));
+
+  const result = await fetchDnsMessage(url, { headers: { "Accept": "application/dns-message" }, signal });
+  if (result.response.length >= 2) {
+    result.response[0] = dnsQuery[0];
+    result.response[1] = dnsQuery[1];
+  }
+  return result;
+}
+
+async function fetchDnsMessage(url, init) {
+  const response = await fetch(url, init);
+  if (!response.ok) throw 0; // 抛出轻量级异常，触发切换上游
+  return {
+    response: new Uint8Array(await response.arrayBuffer()),
+    upstreamCacheControl: response.headers.get("Cache-Control"),
+  };
+}
+
+// JSON API 仅支持单个问题；查询中的 DO/CD 位和 ECS 转为对应参数
+async function fetchJsonApi(upstream, dnsQuery, queryMessage, signal) {
+  const question = queryMessage && queryMessage.questions.length === 1 ? queryMessage.questions[0] : null;
+  if (!question) throw new Error("JSON upstream requires a single question");
+
+  const opt = queryMessage.additionals.find((rr) => rr.typeCode === 41);
+  const ecsOption = opt && opt.data.options.find((option) => option.code === EDNS_OPTION_ECS);
+  const ecs = ecsOption && parseClientSubnetOption(ecsOption.data);
+  const url = new URL(upstream.url);
+  url.searchParams.set("name", question.name || ".");
+  url.searchParams.set("type", String(question.typeCode));
+  if (opt && opt.data.dnssecOk) url.searchParams.set("do", "1");
+  if (queryMessage.flags.cd) url.searchParams.set("cd", "1");
+  if (ecs) url.searchParams.set("edns_client_subnet", ecs.subnet);
+
+  const response = await fetch(url, { headers: { "Accept": "application/dns-json" }, signal });
+  if (!response.ok) throw 0;
+  const json = await response.json();
+
+  const toRecord = (record) => ({
+    name: record.name,
+    type: toTypeName(record.type),
+    ttl: record.TTL,
+    data: parseRecordText(record.type, record.data),
+  });
+  const additionals = (json.Additional || []).filter((record) => record.type !== 41).map(toRecord);
+  if (opt) {
+    additionals.push({ name: "", type: "OPT", data: { udpPayloadSize: EDNS_UDP_PAYLOAD_SIZE, dnssecOk: opt.data.dnssecOk, options: [] } });
+  }
+  return {
+    response: encodeDnsMessage({
+      id: queryMessage.id,
+      flags: { qr: true, rd: !!json.RD, ra: !!json.RA, tc: !!json.TC, ad: !!json.AD, cd: !!json.CD },
+      rcode: json.Status,
+      questions: queryMessage.questions,
+      answers: (json.Answer || []).map(toRecord),
+      authorities: (json.Authority || []).map(toRecord),
+      additionals,
+    }),
+    upstreamCacheControl: response.headers.get("Cache-Control"),
+  };
+}
+
+// DNS over TCP / TLS：发送一条带长度前缀的查询并读取一条应答
+async function exchangeOverSocket(upstream, dnsQuery, queryMessage, signal) {
+  const socket = connect(
+    { hostname: upstream.hostname, port: upstream.port },
+    { secureTransport: upstream.transport === "tls" ? "on" : "off" },
+  );
+  const close = () => socket.close().catch(() => {});
+  signal.addEventListener("abort", close);
+
+  try {
+    const framed = new Uint8Array(dnsQuery.length + 2);
+    framed[0] = dnsQuery.length >> 8;
+    framed[1] = dnsQuery.length & 0xff;
+    framed.set(dnsQuery, 2);
+    const writer = socket.writable.getWriter();
+    await writer.write(framed);
+    const response = await readFramedMessage(socket.readable.getReader());
+    return { response, upstreamCacheControl: null };
+  } finally {
+    signal.removeEventListener("abort", close);
+    close();
+  }
+}
+
+async function readFramedMessage(reader) {
+  let buffer = new Uint8Array(0);
+  while (buffer.length < 2 || buffer.length < 2 + ((buffer[0] << 8) | buffer[1])) {
+    const { value, done } = await reader.read();
+    if (done) throw new Error("Connection closed before a full response");
+    const next = new Uint8Array(buffer.length + value.length);
+    next.set(buffer);
+    next.set(value, buffer.length);
+    buffer = next;
+  }
+  return buffer.slice(2, 2 + ((buffer[0] << 8) | buffer[1]));
+}
+
+// 没有 HTTP 缓存头的传输按记录 TTL 生成 Cache-Control
+function cacheControlFromTtl(response) {
+  const message = parseDnsMessage(response);
+  const ttl = message ? computeDnsCacheTtl(message) : 0;
+  return ttl ? `max-age=${ttl}` : null;
+}
+
+// ==================== 域名过滤 ====================
+// 规则按标签倒序存入后缀树 (com -> example -> ads)，查询耗时只与域名层级有关，与规则数量无关
+
+const domainFilters = new Map(); // 过滤配置名 (默认规则为 "") -> { filter: { trie, loadedAt }, loading }
+
+// children 按需创建，叶子节点不分配 Map，10 万级规则时可明显减少内存占用
+function createFilterNode() {
+  return { children: null, exact: null, subtree: null, wildcard: null };
+}
+
+// 插入规则：scope 为 exact (仅该域名) / subtree (该域名及子域名) / wildcard (仅子域名)，action 为 block / allow
+function addFilterRule(trie, domain, scope, action) {
+  const labels = normalizeDomain(domain).split(".").reverse();
+  if (!labels[labels.length - 1]) return false;
+  let node = trie;
+  for (const label of labels) {
+    if (!node.children) node.children = new Map();
+    let child = node.children.get(label);
+    if (!child) {
+      child = createFilterNode();
+      node.children.set(label, child);
+    }
+    node = child;
+  }
+  // 同一位置同时存在拦截与放行时，放行优先
+  if (node[scope] !== "allow") node[scope] = action;
+  return true;
+}
+
+// 匹配域名：返回 "block" / "allow" / null，任意层级的放行规则优先于拦截规则
+function matchDomainFilter(trie, domain) {
+  const labels = normalizeDomain(domain).split(".").reverse();
+  let node = trie;
+  let result = null;
+  for (let i = 0; i < labels.length; i++) {
+    node = node.children && node.children.get(labels[i]);
+    if (!node) break;
+    const isLast = i === labels.length - 1;
+    const actions = isLast ? [node.exact, node.subtree] : [node.subtree, node.wildcard];
+    if (actions.includes("allow")) return "allow";
+    if (actions.includes("block")) result = "block";
+  }
+  return result;
+}
+
+function normalizeDomain(domain) {
+  return String(domain).trim().toLowerCase().replace(/\.+$/, "");
+}
+
+const HOSTS_IGNORED_NAMES = new Set(["localhost", "localhost.localdomain", "local", "broadcasthost", "ip6-localhost", "ip6-loopback", "0.0.0.0"]);
+
+// 解析一行规则并写入后缀树，无法识别的行 (注释、正则、带修饰符的规则等) 忽略
+function parseFilterLine(trie, rawLine) {
+  let line = rawLine.trim();
+  if (!line || line.startsWith("!") || line.startsWith("#") || line.startsWith("[")) return;
+
+  // hosts 格式：IP 后跟一个或多个域名，仅匹配域名本身
+  const hostsMatch = /^(\d{1,3}(?:\.\d{1,3}){3}|[0-9a-fA-F:]+:[0-9a-fA-F:]*)\s+(.+)$/.exec(line);
+  if (hostsMatch) {
+    for (const name of hostsMatch[2].split("#")[0].trim().split(/\s+/)) {
+      if (name && !HOSTS_IGNORED_NAMES.has(name.toLowerCase())) addFilterRule(trie, name, "exact", "block");
+    }
+    return;
+  }
+
+  let action = "block";
+  if (line.startsWith("@@")) {
+    action = "allow";
+    line = line.slice(2);
+  }
+
+  // AdGuard 修饰符只接受 $important，其余修饰符依赖客户端信息，DNS 层面无法判断
+  const dollar = line.indexOf("$");
+  if (dollar !== -1) {
+    if (line.slice(dollar + 1) !== "important") return;
+    line = line.slice(0, dollar);
+  }
+  if (line.startsWith("/") && line.endsWith("/")) return; // 正则规则不支持
+
+  let scope = "subtree";
+  if (line.startsWith("||")) {
+    line = line.slice(2);
+  } else if (line.startsWith("|")) {
+    line = line.slice(1);
+    scope = "exact";
+  }
+  line = line.replace(/\^\|?$/, "");
+  if (line.startsWith("*.")) {
+    line = line.slice(2);
+    scope = "wildcard";
+  }
+  if (!/^[a-z0-9_.-]+$/i.test(line)) return;
+  addFilterRule(trie, line, scope, action);
+}
+
+function parseFilterList(trie, text) {
+  let start = 0;
+  while (start < text.length) {
+    let end = text.indexOf("\n", start);
+    if (end === -1) end = text.length;
+    parseFilterLine(trie, text.slice(start, end));
+    start = end + 1;
+  }
+}
+
+// 加载内置规则与远程列表，单个列表下载失败不影响其余规则；forceDownload 时不使用 caches.default 中保存的列表
+async function loadDomainFilter(sources, rules, forceDownload = false) {
+  const trie = createFilterNode();
+  for (const rule of rules) parseFilterLine(trie, rule);
+
+  const texts = await Promise.all(sources.map(async (source) => {
+    try {
+      return await fetchBlocklistSource(source, forceDownload);
+    } catch (error) {
+      console.error(`Failed to load blocklist ${source}: ${error.message}`);
+      return "";
+    }
+  }));
+  for (const text of texts) parseFilterList(trie, text);
+
+  return { trie, loadedAt: Date.now() };
+}
+
+// 远程列表保存在 caches.default 中，同一数据中心的 isolate 共用下载结果，超过 BLOCKLIST_REFRESH_SECONDS 后重新下载
+async function fetchBlocklistSource(source, forceDownload = false) {
+  const cacheKey = `https://blocklist-cache.internal/${encodeURIComponent(source)}`;
+  if (!forceDownload) {
+    const cached = await caches.default.match(cacheKey);
+    const age = cached ? Date.now() - Number(cached.headers.get("X-Fetched-At")) : Infinity;
+    if (age < BLOCKLIST_REFRESH_SECONDS * 1000) return await cached.text();
+  }
+
+  const response = await fetch(source);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const text = await response.text();
+  const entry = new Response(text, {
+    headers: { "Cache-Control": `public, max-age=${BLOCKLIST_REFRESH_SECONDS}`, "X-Fetched-At": String(Date.now()) },
+  });
+  await caches.default.put(cacheKey, entry).catch(() => {}); // 写入失败时仅本次使用
+  return text;
+}
+
+// 获取默认规则 (profileName 为空) 或指定过滤配置的过滤器，超过刷新间隔后重新加载；并发请求共用同一次加载
+// forceReload 时重新下载远程列表并等待加载完成 (定时任务使用)
+async function getDomainFilter(profileName = "", forceReload = false) {
+  const profile = profileName ? BLOCKLIST_PROFILES[profileName] : { sources: BLOCKLIST_SOURCES, rules: BLOCKLIST_RULES };
+  if (!profile || (!profile.sources.length && !profile.rules.length)) return null;
+
+  let state = domainFilters.get(profileName);
+  if (!state) {
+    state = { filter: null, loading: null };
+    domainFilters.set(profileName, state);
+  }
+  const expired = forceReload || !state.filter || Date.now() - state.filter.loadedAt > BLOCKLIST_REFRESH_SECONDS * 1000;
+  if (expired && !state.loading) {
+    state.loading = loadDomainFilter(profile.sources, profile.rules, forceReload)
+      .then((filter) => (state.filter = filter))
+      .finally(() => (state.loading = null));
+  }
+  // 已有旧规则时不等待刷新完成
+  if (!state.filter || forceReload) await state.loading;
+  return state.filter;
+}
+
+// 重新下载默认规则及各过滤配置的远程列表，返回列表数
+async function refreshDomainFilters() {
+  let count = 0;
+  for (const profileName of ["", ...Object.keys(BLOCKLIST_PROFILES)]) {
+    const sources = profileName ? BLOCKLIST_PROFILES[profileName].sources : BLOCKLIST_SOURCES;
+    if (!sources.length) continue;
+    await getDomainFilter(profileName, true);
+    count += sources.length;
+  }
+  return count;
+}
+
+// 过滤阶段：查询命中拦截规则时返回合成的拦截响应，否则返回 null
+// 附加的过滤配置命中时 (放行或拦截) 以其结果为准，未命中再匹配默认规则
+async function applyDomainFilter(message, blocklistProfile = null) {
+  const name = message.questions[0].name;
+  const profileFilter = blocklistProfile ? await getDomainFilter(blocklistProfile) : null;
+  let action = profileFilter ? matchDomainFilter(profileFilter.trie, name) : null;
+  if (!action) {
+    const filter = await getDomainFilter();
+    action = filter ? matchDomainFilter(filter.trie, name) : null;
+  }
+  if (action !== "block") return null;
+
+  return buildBlockedResponse(message);
+}
+
+// 按 BLOCK_RESPONSE 构造拦截响应
+function buildBlockedResponse(queryMessage) {
+  const question = queryMessage.questions[0];
+  const soa = {
+    name: question.name,
+    type: "SOA",
+    ttl: BLOCKED_TTL_SECONDS,
+    data: {
+      mname: "blocked.invalid",
+      rname: "hostmaster.blocked.invalid",
+      serial: 1,
+      refresh: 1800,
+      retry: 900,
+      expire: 604800,
+      minimum: BLOCKED_TTL_SECONDS,
+    },
+  };
+
+  if (BLOCK_RESPONSE === "refused") return buildDnsResponse(queryMessage, { rcode: 5 });
+  if (BLOCK_RESPONSE === "zero") {
+    const zeroAddress = { A: "0.0.0.0", AAAA: "::" }[question.type];
+    if (zeroAddress) {
+      return buildDnsResponse(queryMessage, {
+        answers: [{ name: question.name, type: question.type, ttl: BLOCKED_TTL_SECONDS, data: zeroAddress }],
+      });
+    }
+    return buildDnsResponse(queryMessage, { authorities: [soa] }); // 其他类型返回 NODATA
+  }
+  return buildDnsResponse(queryMessage, { rcode: 3, authorities: [soa] });
+}
+
+// ==================== 应答过滤 ====================
+// 对上游及缓存的应答按策略改写 (本地记录与域名过滤的拦截响应不经过这里)，改写后的应答清除 AD 位：
+// FILTER_AAAA：查询 AAAA 且该域名有 A 记录时去掉 AAAA 应答 (返回 NODATA)，用于 IPv6 不通的网络
+// REBINDING_PROTECTION：域名解析到内网、回环、链路本地等地址时删除这些记录 (remove) 或拒绝整个应答 (refuse)，
+//   LOCAL_DOMAIN_SUFFIXES 与 REBINDING_ALLOWLIST 中的域名不受限制
+// BLOCKLIST_IP_CIDRS：应答中任一地址落在这些网段内时按 BLOCK_RESPONSE 拦截
+// HTTPS_*：改写 HTTPS 记录 (RFC 9460) 的 ech、alpn 和地址提示，用于 QUIC 或 ECH 不可用的网络；
+//   改写后原有的 RRSIG 不再有效，要求 DO 的客户端自行验证时会失败
+
+async function applyAnswerFilters(message, result, options) {
+  const question = message.questions[0];
+  const reply = parseDnsMessage(result.response);
+  if (!reply || reply.rcode !== 0 || !reply.answers.length) return result;
+  const isAddress = (rr) => rr.typeCode === 1 || rr.typeCode === 28;
+
+  const blockedRanges = BLOCKLIST_IP_CIDRS.map(parseCidr);
+  if (reply.answers.some((rr) => isAddress(rr) && blockedRanges.some((range) => isAddressInRange(rr.data, range)))) {
+    return { ...result, response: buildBlockedResponse(message), upstreamCacheControl: `max-age=${BLOCKED_TTL_SECONDS}`, blocked: true, dnssec: null };
+  }
+
+  const removals = [];
+  if (REBINDING_PROTECTION !== "off" && !isRebindingExempt(question.name)) {
+    const isPrivate = (rr) => isAddress(rr) && isPrivateAddress(rr.data);
+    if (reply.answers.some(isPrivate)) {
+      if (REBINDING_PROTECTION === "refuse") return { ...result, response: buildDnsResponse(message, { rcode: 5 }), dnssec: null };
+      removals.push(isPrivate);
+    }
+  }
+  if (FILTER_AAAA && question.typeCode === 28 && (await hasAddressRecords(question.name, options))) {
+    removals.push((rr) => rr.typeCode === 28);
+  }
+  const answers = reply.answers.map((rr) => (rr.typeCode === 65 ? rewriteHttpsRecord(rr) : rr));
+  const rewritten = answers.some((rr, index) => rr !== reply.answers[index]);
+  if (!removals.length && !rewritten) return result;
+
+  // 某类型的记录全部删除时，一并删除覆盖它的 RRSIG
+  const removed = (rr) => removals.some((remove) => remove(rr));
+  const remaining = new Set(answers.filter((rr) => rr.type !== "RRSIG" && !removed(rr)).map((rr) => `${normalizeDomain(rr.name)}/${rr.type}`));
+  const kept = answers.map((rr) => (rr.type === "RRSIG" ? remaining.has(`${normalizeDomain(rr.name)}/${rr.data.typeCovered}`) : !removed(rr)));
+  reply.answers = answers.filter((rr, index) => kept[index]);
+  reply.flags.ad = false;
+  const dnssec = result.dnssec && { ...result.dnssec, answers: result.dnssec.answers.filter((status, index) => kept[index]) };
+  return { ...result, response: encodeDnsMessage(reply), dnssec };
+}
+
+// 按 HTTPS_* 配置改写 HTTPS 记录，没有变化时返回原记录；改写后为不带原始 rdata 的新记录
+function rewriteHttpsRecord(rr) {
+  if (!rr.data || !rr.data.priority) return rr; // AliasMode 记录没有参数
+  const params = { ...rr.data.params };
+  if (HTTPS_STRIP_ECH) delete params.ech;
+  if (HTTPS_STRIP_ALPN.length && params.alpn) {
+    params.alpn = params.alpn.filter((id) => !HTTPS_STRIP_ALPN.includes(id));
+    if (!params.alpn.length) {
+      // alpn 为空时 no-default-alpn 没有意义，客户端回退到默认协议 (http/1.1)
+      delete params.alpn;
+      delete params["no-default-alpn"];
+    }
+  }
+  if (HTTPS_IPV4HINT.length) params.ipv4hint = HTTPS_IPV4HINT;
+  if (HTTPS_IPV6HINT.length) params.ipv6hint = HTTPS_IPV6HINT;
+  if (params.mandatory) {
+    params.mandatory = params.mandatory.filter((key) => key in params);
+    if (!params.mandatory.length) delete params.mandatory;
+  }
+  if (JSON.stringify(params) === JSON.stringify(rr.data.params)) return rr;
+  return { name: rr.name, type: rr.type, typeCode: rr.typeCode, class: rr.class, ttl: rr.ttl, data: { ...rr.data, params } };
+}
+
+function isRebindingExempt(name) {
+  return [...LOCAL_DOMAIN_SUFFIXES, ...REBINDING_ALLOWLIST].some((pattern) => matchesDomainPattern(name, pattern));
+}
+
+// 该域名是否有 A 记录 (经过同样的缓存与应答过滤，全部被过滤掉时视为没有)
+async function hasAddressRecords(name, options) {
+  const query = buildDnsQuery(name, "A");
+  const result = query && await resolveDnsQuery(query, { ...options, log: null });
+  const reply = result && parseDnsMessage(result.response);
+  return !!reply && reply.answers.some((rr) => rr.typeCode === 1);
+}
+
+// ip 是否落在 parseCidr 返回的网段内
+function isAddressInRange(ip, range) {
+  const bytes = ipv4ToBytes(ip) || ipv6ToBytes(ip);
+  if (!bytes || !range || bytes.length !== range.network.length) return false;
+  const masked = new Uint8Array(bytes.length);
+  masked.set(truncateAddress(bytes, bytes.length * 8 - range.hostBits));
+  return masked.every((byte, index) => byte === range.network[index]);
+}
+
+// ==================== 响应缓存 ====================
+// 使用 caches.default，以规范化的问题 (域名、类型、类、DO/CD 位、ECS 子网) 及指定上游作为键，
+// 与消息 ID 无关；命中时改写 ID、回显客户端的问题，并按缓存时长递减所有记录的 TTL
+
+function buildDnsCacheKey(message, dnsServers) {
+  if (!DNS_CACHE_ENABLED) return null;
+  const question = message.questions[0];
+  const opt = message.additionals.find((rr) => rr.typeCode === 41);
+  const ecsOption = opt && opt.data.options.find((option) => option.code === EDNS_OPTION_ECS);
+  const ecs = ecsOption && parseClientSubnetOption(ecsOption.data);
+
+  const params = new URLSearchParams({
+    class: String(question.class),
+    do: opt && opt.data.dnssecOk ? "1" : "0",
+    cd: message.flags.cd ? "1" : "0",
+  });
+  if (ecs) params.set("ecs", ecs.subnet);
+  if (DNSSEC_VALIDATION && !message.flags.cd) params.set("validated", "1");
+  if (dnsServers) params.set("server", dnsServers.join(","));
+  return `https://dns-cache.internal/${encodeURIComponent(normalizeDomain(question.name))}/${question.typeCode}?${params}`;
+}
+
+// 缓存 TTL：肯定应答取记录最小 TTL，否定应答 (NXDOMAIN/NODATA) 取 min(SOA TTL, SOA MINIMUM) (RFC 2308)
+// 截断、SERVFAIL 等其他响应不缓存，返回 0
+function computeDnsCacheTtl(message) {
+  if (message.flags.tc || (message.rcode !== 0 && message.rcode !== 3)) return 0;
+
+  let ttl;
+  if (message.rcode === 0 && message.answers.length) {
+    ttl = Math.min(...message.answers.map((rr) => rr.ttl));
+  } else {
+    const soa = message.authorities.find((rr) => rr.type === "SOA");
+    ttl = soa ? Math.min(soa.ttl, soa.data.minimum) : NEGATIVE_CACHE_TTL_SECONDS;
+  }
+  return Math.max(MIN_CACHE_TTL_SECONDS, Math.min(ttl, CACHE_TTL_SECONDS));
+}
+
+// dnssec 为验证结果 (见 forwardValidatedQuery)，保存在 X-DNSSEC 头中，命中时原样返回
+async function storeDnsCache(cacheKey, response, dnssec = null) {
+  if (!cacheKey) return;
+  const message = parseDnsMessage(response);
+  const ttl = message ? computeDnsCacheTtl(message) : 0;
+  if (!ttl) return;
+
+  const keepSeconds = ttl + (SERVE_STALE ? SERVE_STALE_MAX_SECONDS : 0);
+  const headers = {
+    "Content-Type": "application/dns-message",
+    "Cache-Control": `public, max-age=${keepSeconds}`,
+    "X-DNS-Stored-At": String(Date.now()),
+    "X-DNS-TTL": String(ttl),
+  };
+  if (dnssec) headers["X-DNSSEC"] = JSON.stringify(dnssec);
+  await caches.default.put(cacheKey, new Response(response, { headers }));
+}
+
+// 读取缓存：未过期返回 { response, upstreamCacheControl, cacheHit: true }；
+// 已过期但允许 serve-stale 时附带 stale: true (调用方仅在上游失败时使用)；无缓存返回 null
+async function lookupDnsCache(cacheKey, queryMessage) {
+  if (!cacheKey) return null;
+  const cachedResponse = await caches.default.match(cacheKey);
+  if (!cachedResponse) return null;
+
+  const message = parseDnsMessage(new Uint8Array(await cachedResponse.arrayBuffer()));
+  if (!message) return null;
+
+  const age = Math.floor((Date.now() - Number(cachedResponse.headers.get("X-DNS-Stored-At"))) / 1000);
+  const ttl = Number(cachedResponse.headers.get("X-DNS-TTL"));
+  const stale = age >= ttl;
+  if (stale && !SERVE_STALE) return null;
+
+  // 低于 MIN_CACHE_TTL_SECONDS 的记录按缓存时长递减，避免在缓存有效期内返回 TTL 为 0 的应答
+  for (const rr of [...message.answers, ...message.authorities, ...message.additionals]) {
+    if (rr.typeCode === 41) continue;
+    rr.ttl = stale ? Math.min(rr.ttl, STALE_ANSWER_TTL_SECONDS) : Math.max(rr.ttl, ttl) - age;
+  }
+  message.id = queryMessage.id;
+  message.questions = queryMessage.questions; // 回显客户端问题 (保留大小写)
+
+  const remaining = stale ? STALE_ANSWER_TTL_SECONDS : ttl - age;
+  const dnssec = cachedResponse.headers.get("X-DNSSEC");
+  return {
+    response: encodeDnsMessage(message),
+    upstreamCacheControl: `max-age=${remaining}`,
+    cacheHit: true,
+    stale,
+    refreshDue: !stale && remaining * 100 <= ttl * REFRESH_AHEAD_PERCENT,
+    dnssec: dnssec ? JSON.parse(dnssec) : null,
+  };
+}
+
+// 提前刷新 (refresh-ahead)：热门条目在过期前由命中它的请求在后台重新查询，之后的客户端不必等待上游
+// 命中次数保存在当前 isolate 内存中，只统计本 isolate 处理的请求；同一条目同时只有一个刷新请求
+const REFRESH_AHEAD_TRACKED_KEYS = 10000; // 最多跟踪的缓存键数，超出时清空重新计数
+const cacheHitCounts = new Map(); // 缓存键 -> 自上次刷新起的命中次数
+const refreshingKeys = new Set();
+
+// 记录一次命中，剩余 TTL 低于阈值且命中次数达到 REFRESH_AHEAD_MIN_HITS 时返回 true
+function isRefreshAheadDue(cacheKey, cached) {
+  if (!REFRESH_AHEAD_PERCENT || refreshingKeys.has(cacheKey)) return false;
+  if (cacheHitCounts.size >= REFRESH_AHEAD_TRACKED_KEYS && !cacheHitCounts.has(cacheKey)) cacheHitCounts.clear();
+  const hits = (cacheHitCounts.get(cacheKey) || 0) + 1;
+  cacheHitCounts.set(cacheKey, hits);
+  return cached.refreshDue && hits >= REFRESH_AHEAD_MIN_HITS;
+}
+
+async function refreshDnsCache(cacheKey, message, dnsQuery, dnsServers, context) {
+  refreshingKeys.add(cacheKey);
+  try {
+    if (await forwardAndCache(message, dnsQuery, cacheKey, dnsServers, context)) cacheHitCounts.delete(cacheKey);
+  } finally {
+    refreshingKeys.delete(cacheKey);
+  }
+}
+
+// ==================== 定时任务 ====================
+// 在 wrangler.toml 的 [triggers] 中配置 crons (如 ["*/5 * * * *"]) 后，scheduled 处理按以下顺序执行：
+// 1. 预热：PREFETCH_DOMAINS × PREFETCH_TYPES 以不带 ECS、DO 位的查询重新请求上游并写入缓存 (本地记录与拦截的域名不请求上游)
+// 2. 重新下载 BLOCKLIST_SOURCES 及各过滤配置的远程列表，写入 caches.default 供其他 isolate 使用
+// caches.default 按数据中心划分，定时任务只能更新其运行所在数据中心的缓存
+// 带 ECS 的查询 (ECS_POLICY 为 inject 的 /dns-query、默认附带客户端 IP 的 /resolve) 缓存键不同，不会命中预热的条目
+
+async function runScheduledTasks(context) {
+  const startTime = Date.now();
+  const queries = PREFETCH_DOMAINS.flatMap((name) => PREFETCH_TYPES.map((type) => buildDnsQuery(name, type)));
+  const results = await mapWithConcurrency(queries, BATCH_CONCURRENCY,
+    (query) => resolveDnsQuery(query, { context, refresh: true }).catch(() => null));
+  const failed = results.filter((result) => !result).length;
+
+  const sources = await refreshDomainFilters();
+  console.log(`Scheduled refresh: prefetched ${queries.length - failed}/${queries.length} queries, ` +
+    `reloaded ${sources} blocklist sources in ${Date.now() - startTime} ms`);
+}
+
+// ==================== DNSSEC 验证 ====================
+// 开启 DNSSEC_VALIDATION 后，客户端未设置 CD 位的查询以 DO=1、CD=1 发往上游，由 Worker 自行验证应答：
+// 从 DNSSEC_TRUST_ANCHORS 开始沿 DS -> DNSKEY 逐级建立信任，再用区域密钥验证各 RRset 的 RRSIG
+// 结果：secure (设置 AD 位) / insecure (不在信任锚下，或经上级区域证明未签名) / bogus (返回 SERVFAIL)
+// 否定应答须有 NSEC/NSEC3 证明；通配符展开的应答只验证签名，不检查“没有更近的匹配”的证明
+// 客户端未设置 DO 位时从应答中去掉 RRSIG/NSEC/NSEC3 记录；验证结果 (含每条应答记录的状态) 随应答一起缓存
+
+// 支持的签名算法，DS 只使用其他算法的区域视为 insecure (RFC 4035 §5.2)
+const DNSSEC_ALGORITHMS = {
+  8: { keyFormat: "rsa", importParams: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, verifyParams: { name: "RSASSA-PKCS1-v1_5" } },
+  10: { keyFormat: "rsa", importParams: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-512" }, verifyParams: { name: "RSASSA-PKCS1-v1_5" } },
+  13: { keyFormat: "ec", importParams: { name: "ECDSA", namedCurve: "P-256" }, verifyParams: { name: "ECDSA", hash: "SHA-256" } },
+  14: { keyFormat: "ec", importParams: { name: "ECDSA", namedCurve: "P-384" }, verifyParams: { name: "ECDSA", hash: "SHA-384" } },
+  15: { keyFormat: "raw", importParams: { name: "Ed25519" }, verifyParams: { name: "Ed25519" } },
+};
+const DS_DIGEST_TYPES = { 1: "SHA-1", 2: "SHA-256", 4: "SHA-384" };
+const DNSSEC_RECORD_TYPES = new Set(["RRSIG", "NSEC", "NSEC3"]);
+const NSEC3_MAX_ITERATIONS = 150; // 超过此迭代次数的 NSEC3 视为 insecure (RFC 9276)
+const DNSSEC_KEY_CACHE_SECONDS = 600; // 区域密钥验证结果在 isolate 内存中的缓存时间（秒），bogus 不缓存
+const DNSSEC_KEY_CACHE_MAX_ZONES = 1000;
+
+// 区域名 -> { expires, promise }；promise 结果为 { status: "secure", keys } / { status: "insecure" | "bogus" | "none" }
+// none 表示该名称不是区域顶点 (DS 查询证明此处没有委派)
+const zoneKeyCache = new Map();
+
+// 向上游发送 DO=1、CD=1 的查询并验证应答；bogus 时返回 SERVFAIL，其余按客户端的 DO 位整理后设置 AD 位
+// 返回值与 forwardDnsQueryWithCacheControl 一致，另附 dnssec: { status, answers } (answers 为每条应答记录的状态)
+async function forwardValidatedQuery(message, dnsServers, context) {
+  const clientOpt = message.additionals.find((rr) => rr.typeCode === 41);
+  const upstreamOpt = clientOpt
+    ? { ...clientOpt, data: { ...clientOpt.data, dnssecOk: true } }
+    : { name: "", type: "OPT", data: { udpPayloadSize: EDNS_UDP_PAYLOAD_SIZE, dnssecOk: true, options: [] } };
+  const upstreamQuery = encodeDnsMessage({
+    ...message,
+    flags: { ...message.flags, cd: true },
+    additionals: [...message.additionals.filter((rr) => rr.typeCode !== 41), upstreamOpt],
+  });
+
+  const result = await forwardDnsQueryWithCacheControl(upstreamQuery, dnsServers);
+  if (!result) return null;
+  const reply = parseDnsMessage(result.response);
+  const dnssec = await validateDnsResponse(reply, { dnsServers, context, loading: new Set() });
+  if (dnssec.status === "bogus") {
+    return { ...result, response: buildDnsResponse(message, { rcode: 2 }), dnssec: { status: "bogus", answers: [] } };
+  }
+
+  const question = message.questions[0];
+  const keepDnssecRecords = clientOpt && clientOpt.data.dnssecOk;
+  const keep = (rr) => keepDnssecRecords || !DNSSEC_RECORD_TYPES.has(rr.type) || rr.typeCode === question.typeCode;
+  const replyOpt = reply.additionals.find((rr) => rr.typeCode === 41);
+  if (replyOpt) replyOpt.data.dnssecOk = !!keepDnssecRecords;
+
+  reply.flags.ad = dnssec.status === "secure";
+  reply.flags.cd = message.flags.cd;
+  reply.answers = reply.answers.filter(keep);
+  reply.authorities = reply.authorities.filter(keep);
+  reply.additionals = reply.additionals.filter((rr) => (rr.typeCode === 41 ? !!clientOpt : keep(rr)));
+  return {
+    ...result,
+    response: encodeDnsMessage(reply),
+    dnssec: { status: dnssec.status, answers: dnssec.answers.filter((status, index) => keep(dnssec.records[index])) },
+  };
+}
+
+// 验证整个应答：应答部分逐个 RRset 验证，没有目标类型的记录时再验证否定证明；整体状态取最差的一项
+async function validateDnsResponse(message, ctx) {
+  const question = message.questions[0];
+  const qname = normalizeDomain(question.name);
+  const insecure = { status: "insecure", answers: message.answers.map(() => "insecure"), records: message.answers };
+  if (findTrustAnchor(qname) === null || (message.rcode !== 0 && message.rcode !== 3)) return insecure;
+
+  const statuses = new Map(); // "名称/类型" -> 状态
+  const rrsets = groupRRsets(message.answers);
+  for (const rrset of rrsets) {
+    if (rrset.records.length) statuses.set(rrset.key, await validateRRsetOrProveInsecure(rrset, ctx));
+  }
+
+  // 由 DNAME 合成的 CNAME 不带签名 (RFC 6672 §5.3.1)，继承对应 DNAME 的状态
+  for (const rrset of rrsets) {
+    if (rrset.type !== "CNAME" || rrset.signatures.length) continue;
+    const dname = rrsets.find((other) => other.type === "DNAME" && rrset.name.endsWith("." + other.name));
+    if (dname && statuses.has(dname.key)) statuses.set(rrset.key, statuses.get(dname.key));
+  }
+
+  // 沿 CNAME 链找到最终名称，没有目标类型的记录时为否定应答 (NXDOMAIN 或 NODATA)
+  let target = qname;
+  for (let i = 0; i <= rrsets.length; i++) {
+    const cname = rrsets.find((rrset) => rrset.type === "CNAME" && rrset.name === target && rrset.records.length);
+    if (!cname || question.typeCode === 5) break;
+    target = normalizeDomain(cname.records[0].data);
+  }
+  const typeName = String(toTypeName(question.typeCode));
+  const answered = rrsets.some((rrset) => rrset.name === target && rrset.type === typeName && rrset.records.length);
+  let status = worstStatus([...statuses.values()]);
+  if (!answered && question.typeCode !== 255) {
+    const denial = await validateNegativeResponse(message, target, typeName, ctx);
+    status = worstStatus([status, denial.status === null ? await proveInsecure(target, ctx) : denial.status]);
+  }
+
+  const answerStatus = (rr) => {
+    const type = rr.type === "RRSIG" ? rr.data.typeCovered : rr.type;
+    return statuses.get(`${normalizeDomain(rr.name)}/${type}`) || status;
+  };
+  return { status, answers: message.answers.map(answerStatus), records: message.answers };
+}
+
+function worstStatus(statuses) {
+  if (statuses.includes("bogus")) return "bogus";
+  if (statuses.includes("insecure")) return "insecure";
+  return "secure";
+}
+
+// 按名称和类型分组，RRSIG 归入其覆盖类型的 RRset；返回 [{ key, name, type, records, signatures }]
+function groupRRsets(records) {
+  const rrsets = new Map();
+  for (const rr of records) {
+    if (rr.typeCode === 41) continue;
+    const name = normalizeDomain(rr.name);
+    const type = rr.type === "RRSIG" ? String(rr.data.typeCovered) : String(rr.type);
+    const key = `${name}/${type}`;
+    if (!rrsets.has(key)) rrsets.set(key, { key, name, type, records: [], signatures: [] });
+    if (rr.type === "RRSIG") rrsets.get(key).signatures.push(rr);
+    else rrsets.get(key).records.push(rr);
+  }
+  return [...rrsets.values()];
+}
+
+async function validateRRsetOrProveInsecure(rrset, ctx) {
+  if (rrset.signatures.length) return await validateRRset(rrset, ctx);
+  return await proveInsecure(rrset.name, ctx);
+}
+
+// 用签名者区域的密钥验证 RRset：任一 RRSIG 验证通过即为 secure；签名者区域已证明未签名时为 insecure
+async function validateRRset(rrset, ctx) {
+  const now = Math.floor(Date.now() / 1000);
+  const ownerLabels = countLabels(rrset.name);
+  let status = "bogus";
+
+  for (const signature of rrset.signatures) {
+    const sig = signature.data;
+    const signer = normalizeDomain(sig.signerName);
+    if (!isSameOrSubdomain(rrset.name, signer) || sig.labels > ownerLabels) continue;
+    if (sig.inception > now || sig.expiration < now) continue;
+
+    const zone = await getZoneKeys(signer, ctx);
+    if (zone.status === "insecure") status = "insecure";
+    if (zone.status !== "secure") continue;
+    for (const key of zone.keys) {
+      if (key.data.algorithm !== sig.algorithm || computeKeyTag(key.rdata) !== sig.keyTag) continue;
+      if (await verifyRRsig(rrset, signature, key)) return "secure";
+    }
+  }
+  return status;
+}
+
+// 没有签名的 RRset：从名称本身向上查找，先遇到已证明未签名的委派为 insecure，先遇到已签名的区域为 bogus
+async function proveInsecure(name, ctx) {
+  const anchor = findTrustAnchor(name);
+  if (anchor === null) return "insecure";
+  for (let zone = name; zone !== anchor; zone = parentName(zone)) {
+    const keys = await getZoneKeys(zone, ctx);
+    if (keys.status === "secure") return "bogus";
+    if (keys.status !== "none") return keys.status;
+  }
+  return "bogus"; // 信任锚区域内的记录必须签名
+}
+
+function getZoneKeys(zone, ctx) {
+  if (ctx.loading.has(zone)) return Promise.resolve({ status: "bogus" }); // 签名链出现循环
+  const cached = zoneKeyCache.get(zone);
+  if (cached && cached.expires > Date.now()) return cached.promise;
+
+  if (zoneKeyCache.size >= DNSSEC_KEY_CACHE_MAX_ZONES) zoneKeyCache.clear();
+  const entry = { expires: Date.now() + DNSSEC_KEY_CACHE_SECONDS * 1000, promise: null };
+  entry.promise = loadZoneKeys(zone, { ...ctx, loading: new Set([...ctx.loading, zone]) }).then((result) => {
+    if (result.status === "bogus" && zoneKeyCache.get(zone) === entry) zoneKeyCache.delete(zone);
+    return result;
+  });
+  zoneKeyCache.set(zone, entry);
+  return entry.promise;
+}
+
+// 建立区域的信任：信任锚直接提供 DS，否则向上游查询 DS 并用上级区域密钥验证；再用 DS 认证 DNSKEY RRset
+async function loadZoneKeys(zone, ctx) {
+  let dsRecords = getTrustAnchors().filter((anchor) => anchor.zone === zone);
+  if (!dsRecords.length) {
+    const dsMessage = await queryDnssecRecords(zone, "DS", ctx);
+    if (!dsMessage) return { status: "bogus" };
+    const dsSet = groupRRsets(dsMessage.answers).find((rrset) => rrset.name === zone && rrset.type === "DS");
+
+    if (dsSet && dsSet.records.length && dsSet.signatures.length) {
+      // DS 由上级区域签名，签名者不能是区域自身
+      dsSet.signatures = dsSet.signatures.filter((sig) => normalizeDomain(sig.data.signerName) !== zone);
+      const status = await validateRRset(dsSet, ctx);
+      if (status !== "secure") return { status };
+      dsRecords = dsSet.records.map((rr) => rr.data);
+    } else {
+      const denial = dsSet && dsSet.records.length ? { status: null } : await validateNegativeResponse(dsMessage, zone, "DS", ctx);
+      if (denial.status === null) {
+        // 没有签名的 DS 应答：上级区域须已证明未签名
+        const parentStatus = zone === "" ? "bogus" : await proveInsecure(parentName(zone), ctx);
+        return { status: parentStatus === "insecure" ? "insecure" : "bogus" };
+      }
+      if (denial.status !== "secure") return { status: denial.status };
+      return { status: denial.delegation ? "insecure" : "none" };
+    }
+  }
+
+  const usable = dsRecords.filter((ds) => DNSSEC_ALGORITHMS[ds.algorithm] && DS_DIGEST_TYPES[ds.digestType]);
+  if (!usable.length) return { status: "insecure" };
+
+  const keyMessage = await queryDnssecRecords(zone, "DNSKEY", ctx);
+  const keySet = keyMessage && groupRRsets(keyMessage.answers).find((rrset) => rrset.name === zone && rrset.type === "DNSKEY");
+  if (!keySet || !keySet.records.length) return { status: "bogus" };
+
+  const now = Math.floor(Date.now() / 1000);
+  for (const key of keySet.records) {
+    if (!(key.data.flags & 0x0100) || !(await matchesDsRecord(zone, key, usable))) continue;
+    const keyTag = computeKeyTag(key.rdata);
+    for (const signature of keySet.signatures) {
+      const sig = signature.data;
+      if (sig.keyTag !== keyTag || sig.algorithm !== key.data.algorithm || normalizeDomain(sig.signerName) !== zone) continue;
+      if (sig.inception > now || sig.expiration < now) continue;
+      if (await verifyRRsig(keySet, signature, key)) {
+        return { status: "secure", keys: keySet.records.filter((rr) => rr.data.flags & 0x0100) };
+      }
+    }
+  }
+  return { status: "bogus" };
+}
+
+// 以 DO=1、CD=1 查询 DNSSEC 相关记录，经过缓存但不再验证；失败时返回 null
+// 不经过本地记录与域名过滤，否则覆盖区域顶点的规则会替换 DNSKEY/DS 记录，使验证结果出错
+async function queryDnssecRecords(name, type, ctx) {
+  const query = buildDnsQuery(name || ".", type, { dnssecOk: true, checkingDisabled: true });
+  const message = query && parseDnsMessage(query);
+  if (!message) return null;
+
+  const cacheKey = buildDnsCacheKey(message, ctx.dnsServers);
+  const cached = await lookupDnsCache(cacheKey, message);
+  const result = (cached && !cached.stale ? cached : null) ||
+    await forwardAndCache(message, query, cacheKey, ctx.dnsServers, ctx.context) || cached;
+  return result ? parseDnsMessage(result.response) : null;
+}
+
+// 校验否定应答 (NXDOMAIN 或 name 没有 type 类型的记录)，返回 { status, delegation }
+// status 为 null 表示权威部分没有签名 (调用方另行证明是否未签名)；delegation 表示 name 处有未签名的委派 (有 NS 无 DS)
+async function validateNegativeResponse(message, name, type, ctx) {
+  const rrsets = groupRRsets(message.authorities).filter((rrset) => ["SOA", "NSEC", "NSEC3"].includes(rrset.type));
+  const signed = rrsets.filter((rrset) => rrset.signatures.length && rrset.records.length);
+  if (!signed.length) return { status: null };
+
+  const statuses = [];
+  for (const rrset of signed) statuses.push(await validateRRset(rrset, ctx));
+  const status = worstStatus(statuses);
+  if (status !== "secure") return { status };
+
+  const nsecRecords = signed.filter((rrset) => rrset.type === "NSEC").flatMap((rrset) => rrset.records);
+  const nsec3Records = signed.filter((rrset) => rrset.type === "NSEC3").flatMap((rrset) => rrset.records);
+  if (nsecRecords.length) return checkNsecDenial(nsecRecords, name, type, message.rcode);
+  if (nsec3Records.length) return await checkNsec3Denial(nsec3Records, name, type, message.rcode);
+  return { status: "bogus" };
+}
+
+// NSEC 否定证明 (RFC 4035 §5.4)
+function checkNsecDenial(records, name, type, rcode) {
+  const owner = (rr) => normalizeDomain(rr.name);
+  const next = (rr) => normalizeDomain(rr.data.nextDomain);
+  const covers = (rr, target) => nsecCovers(owner(rr), next(rr), target);
+  const lacksType = (rr) => !rr.data.types.includes(type) && !rr.data.types.includes("CNAME");
+
+  if (rcode === 0) {
+    const match = records.find((rr) => owner(rr) === name);
+    if (match) {
+      if (!lacksType(match)) return { status: "bogus" };
+      return { status: "secure", delegation: match.data.types.includes("NS") && !match.data.types.includes("SOA") };
+    }
+    // 通配符 NODATA：name 不存在，且匹配的通配符没有该类型
+    const wildcard = records.find((rr) => owner(rr).startsWith("*.") && isSameOrSubdomain(name, owner(rr).slice(2)) && lacksType(rr));
+    return { status: wildcard && records.some((rr) => covers(rr, name)) ? "secure" : "bogus" };
+  }
+
+  const cover = records.find((rr) => covers(rr, name));
+  if (!cover) return { status: "bogus" };
+  const encloser = [commonAncestor(name, owner(cover)), commonAncestor(name, next(cover))]
+    .reduce((a, b) => (countLabels(a) >= countLabels(b) ? a : b));
+  const wildcard = encloser ? `*.${encloser}` : "*";
+  return { status: records.some((rr) => covers(rr, wildcard)) ? "secure" : "bogus" };
+}
+
+// NSEC3 否定证明 (RFC 5155 §8)；最近祖先证明中覆盖 next closer 的记录带 opt-out 标志时为 insecure
+async function checkNsec3Denial(records, name, type, rcode) {
+  const { hashAlgorithm, iterations, salt } = records[0].data;
+  if (hashAlgorithm !== 1 || iterations > NSEC3_MAX_ITERATIONS) return { status: "insecure" };
+  const zone = parentName(normalizeDomain(records[0].name));
+  const hashes = new Map();
+  const hashOf = async (target) => {
+    if (!hashes.has(target)) hashes.set(target, await computeNsec3Hash(target, salt, iterations));
+    return hashes.get(target);
+  };
+  const ownerHash = (rr) => normalizeDomain(rr.name).split(".")[0];
+  const match = async (target) => {
+    const hash = await hashOf(target);
+    return records.find((rr) => ownerHash(rr) === hash);
+  };
+  const cover = async (target) => {
+    const hash = await hashOf(target);
+    return records.find((rr) => nsec3Covers(ownerHash(rr), rr.data.nextHashed.toLowerCase(), hash));
+  };
+  const lacksType = (rr) => !rr.data.types.includes(type) && !rr.data.types.includes("CNAME");
+
+  if (rcode === 0) {
+    const exact = await match(name);
+    if (exact) {
+      if (!lacksType(exact)) return { status: "bogus" };
+      return { status: "secure", delegation: exact.data.types.includes("NS") && !exact.data.types.includes("SOA") };
+    }
+  }
+
+  // 最近祖先证明：找到存在的最近祖先 (closest encloser)，并证明其下一级 (next closer) 不存在
+  let encloser = name;
+  let nextCloser = null;
+  while (!(await match(encloser))) {
+    if (encloser === zone || encloser === "") return { status: "bogus" };
+    nextCloser = encloser;
+    encloser = parentName(encloser);
+  }
+  const nextCover = nextCloser && (await cover(nextCloser));
+  if (!nextCover) return { status: "bogus" };
+  if (nextCover.data.flags & 1) return { status: "insecure", delegation: true }; // opt-out 范围内可能有未签名的委派
+
+  const wildcard = encloser ? `*.${encloser}` : "*";
+  if (rcode === 3) return { status: (await cover(wildcard)) ? "secure" : "bogus" };
+  const wildcardMatch = await match(wildcard);
+  return { status: wildcardMatch && lacksType(wildcardMatch) ? "secure" : "bogus" };
+}
+
+// NSEC3 哈希：对规范格式的域名及盐值做 SHA-1，再迭代 iterations 次，结果为小写 Base32hex
+async function computeNsec3Hash(name, salt, iterations) {
+  const w = createDnsWriter({ canonical: true });
+  w.name(name);
+  const saltBytes = hexToBytes(salt || "");
+  let digest = w.finish();
+  for (let i = 0; i <= iterations; i++) {
+    const input = new Uint8Array(digest.length + saltBytes.length);
+    input.set(digest);
+    input.set(saltBytes, digest.length);
+    digest = new Uint8Array(await crypto.subtle.digest("SHA-1", input));
+  }
+  return bytesToBase32Hex(digest);
+}
+
+// 规范顺序下 owner < target < next (最后一条 NSEC 的 next 回到区域顶点)
+function nsecCovers(owner, next, target) {
+  if (compareCanonicalNames(owner, next) < 0) {
+    return compareCanonicalNames(owner, target) < 0 && compareCanonicalNames(target, next) < 0;
+  }
+  return compareCanonicalNames(owner, target) < 0 || compareCanonicalNames(target, next) < 0;
+}
+
+function nsec3Covers(ownerHash, nextHash, hash) {
+  if (ownerHash < nextHash) return ownerHash < hash && hash < nextHash;
+  return ownerHash < hash || hash < nextHash;
+}
+
+// 域名规范排序 (RFC 4034 §6.1)：从最右侧标签开始逐个比较小写标签
+function compareCanonicalNames(a, b) {
+  const labelsA = nameToLabels(a).reverse();
+  const labelsB = nameToLabels(b).reverse();
+  for (let i = 0; i < Math.min(labelsA.length, labelsB.length); i++) {
+    const diff = compareBytes(lowercaseBytes(labelsA[i]), lowercaseBytes(labelsB[i]));
+    if (diff) return diff;
+  }
+  return labelsA.length - labelsB.length;
+}
+
+function compareBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+function lowercaseBytes(bytes) {
+  return bytes.map((byte) => (byte >= 0x41 && byte <= 0x5a ? byte | 0x20 : byte));
+}
+
+// 验证单个 RRSIG：按 RFC 4034 §3.1.8.1 构造签名数据，用 DNSKEY 的公钥验证
+async function verifyRRsig(rrset, signature, key) {
+  const algorithm = DNSSEC_ALGORITHMS[signature.data.algorithm];
+  if (!algorithm) return false;
+  try {
+    const publicKey = await importDnskey(base64ToBytes(key.data.publicKey), algorithm);
+    return await crypto.subtle.verify(
+      algorithm.verifyParams,
+      publicKey,
+      base64ToBytes(signature.data.signature),
+      buildSignedData(rrset.records, signature.data),
+    );
+  } catch (error) {
+    return false; // 密钥或签名格式不合法
+  }
+}
+
+// DNSKEY 公钥转 CryptoKey：RSA 为指数长度 + 指数 + 模数 (RFC 3110)，ECDSA 为 X|Y (RFC 6605)，Ed25519 为原始公钥
+function importDnskey(keyBytes, algorithm) {
+  if (algorithm.keyFormat === "rsa") {
+    const longExponent = keyBytes[0] === 0;
+    const exponentLength = longExponent ? (keyBytes[1] << 8) | keyBytes[2] : keyBytes[0];
+    const exponentStart = longExponent ? 3 : 1;
+    const jwk = {
+      kty: "RSA",
+      e: bytesToBase64Url(keyBytes.subarray(exponentStart, exponentStart + exponentLength)),
+      n: bytesToBase64Url(keyBytes.subarray(exponentStart + exponentLength)),
+    };
+    return crypto.subtle.importKey("jwk", jwk, algorithm.importParams, false, ["verify"]);
+  }
+  const raw = algorithm.keyFormat === "ec" ? new Uint8Array([4, ...keyBytes]) : keyBytes;
+  return crypto.subtle.importKey("raw", raw, algorithm.importParams, false, ["verify"]);
+}
+
+function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// 签名数据：RRSIG RDATA (不含签名) + 按规范 RDATA 排序的各条记录 (所有者名为规范格式，TTL 取 Original TTL)
+// 通配符展开的记录按 RRSIG 的 labels 字段还原为 "*.<祖先>" 形式的所有者名
+function buildSignedData(records, sig) {
+  const w = createDnsWriter({ canonical: true });
+  w.u16(toTypeCode(sig.typeCovered));
+  w.u8(sig.algorithm);
+  w.u8(sig.labels);
+  w.u32(sig.originalTtl);
+  w.u32(sig.expiration);
+  w.u32(sig.inception);
+  w.u16(sig.keyTag);
+  w.name(sig.signerName);
+
+  const name = normalizeDomain(records[0].name);
+  const labels = name ? name.split(".") : [];
+  const owner = labels.length > sig.labels ? ["*", ...labels.slice(labels.length - sig.labels)].join(".") : name;
+  const rdatas = records.map(canonicalRdata).sort(compareBytes)
+    .filter((rdata, index, sorted) => index === 0 || compareBytes(rdata, sorted[index - 1]) !== 0);
+
+  for (const rdata of rdatas) {
+    w.name(owner);
+    w.u16(records[0].typeCode);
+    w.u16(records[0].class);
+    w.u32(sig.originalTtl);
+    w.u16(rdata.length);
+    w.bytes(rdata);
+  }
+  return w.finish();
+}
+
+// RDATA 中含域名的类型须小写且不压缩后参与签名 (RFC 4034 §6.2，NSEC 除外见 RFC 6840 §5.1)
+const CANONICAL_RDATA_TYPES = new Set([2, 5, 6, 12, 15, 33, 35, 39, 46]);
+
+function canonicalRdata(rr) {
+  if (!CANONICAL_RDATA_TYPES.has(rr.typeCode)) return rr.rdata;
+  const w = createDnsWriter({ canonical: true });
+  RDATA_CODECS[rr.typeCode].encode(w, rr.data);
+  return w.finish();
+}
+
+// DNSKEY 的 key tag (RFC 4034 附录 B)
+function computeKeyTag(rdata) {
+  let sum = 0;
+  for (let i = 0; i < rdata.length; i++) sum += i & 1 ? rdata[i] : rdata[i] << 8;
+  sum += (sum >> 16) & 0xffff;
+  return sum & 0xffff;
+}
+
+// DNSKEY 是否与某条 DS 匹配：摘要为 规范所有者名 + DNSKEY RDATA 的哈希
+async function matchesDsRecord(zone, key, dsRecords) {
+  const keyTag = computeKeyTag(key.rdata);
+  const w = createDnsWriter({ canonical: true });
+  w.name(zone || ".");
+  w.bytes(key.rdata);
+  const data = w.finish();
+  for (const ds of dsRecords) {
+    if (ds.keyTag !== keyTag || ds.algorithm !== key.data.algorithm) continue;
+    const digest = new Uint8Array(await crypto.subtle.digest(DS_DIGEST_TYPES[ds.digestType], data));
+    if (bytesToHex(digest) === ds.digest.toLowerCase()) return true;
+  }
+  return false;
+}
+
+// 信任锚："<区域> <key tag> <算法> <摘要类型> <摘要>"，与 DS 记录的文本格式一致 (可带 "IN DS")
+function parseTrustAnchor(text) {
+  const match = /^(\S+)\s+(?:IN\s+)?(?:DS\s+)?(\d+)\s+(\d+)\s+(\d+)\s+([0-9a-fA-F\s]+)$/i.exec(String(text).trim());
+  if (!match) return null;
+  return {
+    zone: normalizeDomain(match[1]),
+    keyTag: Number(match[2]),
+    algorithm: Number(match[3]),
+    digestType: Number(match[4]),
+    digest: match[5].replace(/\s+/g, "").toLowerCase(),
+  };
+}
+
+function getTrustAnchors() {
+  return DNSSEC_TRUST_ANCHORS.map(parseTrustAnchor).filter(Boolean);
+}
+
+// name 所在的最近信任锚区域，不在任何信任锚下时返回 null
+function findTrustAnchor(name) {
+  let found = null;
+  for (const anchor of getTrustAnchors()) {
+    if (isSameOrSubdomain(name, anchor.zone) && (found === null || countLabels(anchor.zone) > countLabels(found))) found = anchor.zone;
+  }
+  return found;
+}
+
+// 以下域名均为 normalizeDomain 之后的形式，根区域为 ""
+function isSameOrSubdomain(name, zone) {
+  return zone === "" || name === zone || name.endsWith("." + zone);
+}
+
+function parentName(name) {
+  const index = name.indexOf(".");
+  return index === -1 ? "" : name.slice(index + 1);
+}
+
+function countLabels(name) {
+  return name ? name.split(".").filter((label, index) => label !== "*" || index > 0).length : 0;
+}
+
+function commonAncestor(a, b) {
+  const labelsA = a ? a.split(".") : [];
+  const labelsB = b ? b.split(".") : [];
+  const common = [];
+  while (labelsA.length && labelsB.length && labelsA[labelsA.length - 1] === labelsB[labelsB.length - 1]) {
+    common.unshift(labelsA.pop());
+    labelsB.pop();
+  }
+  return common.join(".");
+}
+
+// ==================== 本地记录 ====================
+
+const LOCAL_RECORD_TYPES = ["A", "AAAA", "CNAME", "TXT", "MX"];
+
+// 查找本地记录：先精确匹配，再由近及远匹配通配 (*.b.c 覆盖 a.b.c 及 x.a.b.c)
+function findLocalRecords(domain) {
+  const name = normalizeDomain(domain);
+  if (Object.prototype.hasOwnProperty.call(LOCAL_RECORDS, name)) return LOCAL_RECORDS[name];
+  const labels = name.split(".");
+  for (let i = 1; i < labels.length; i++) {
+    const wildcard = "*." + labels.slice(i).join(".");
+    if (Object.prototype.hasOwnProperty.call(LOCAL_RECORDS, wildcard)) return LOCAL_RECORDS[wildcard];
+  }
+  return null;
+}
+
+// 本地记录应答：命中时返回 { response, upstreamCacheControl, local: true }，未命中返回 null
+// CNAME 改写时继续解析目标域名 (可能再次命中本地记录)，并把目标的应答附加在 CNAME 之后
+async function answerFromLocalZone(queryMessage, options, depth) {
+  const question = queryMessage.questions[0];
+  const records = findLocalRecords(question.name);
+  if (!records) return null;
+
+  const toAnswers = (type, values) =>
+    [].concat(values).map((data) => ({ name: question.name, type, ttl: LOCAL_TTL_SECONDS, data }));
+  const localResult = (response, upstreamCacheControl = `max-age=${LOCAL_TTL_SECONDS}`) =>
+    ({ response, upstreamCacheControl, local: true });
+
+  if (records[question.type] !== undefined && LOCAL_RECORD_TYPES.includes(question.type)) {
+    return localResult(buildDnsResponse(queryMessage, { answers: toAnswers(question.type, records[question.type]) }));
+  }
+
+  if (records.CNAME === undefined) {
+    return localResult(buildDnsResponse(queryMessage)); // 域名存在但没有该类型的记录 (NODATA)
+  }
+
+  const target = [].concat(records.CNAME)[0];
+  const cnameAnswer = toAnswers("CNAME", target);
+  if (depth >= LOCAL_CNAME_MAX_DEPTH) {
+    return localResult(buildDnsResponse(queryMessage, { rcode: 2, answers: cnameAnswer }));
+  }
+
+  const targetQuery = buildDnsQuery(target, question.typeCode, {
+    dnssecOk: queryMessage.additionals.some((rr) => rr.typeCode === 41 && rr.data.dnssecOk),
+    checkingDisabled: queryMessage.flags.cd,
+  });
+  const targetResult = targetQuery ? await resolveDnsQuery(targetQuery, { ...options, depth: depth + 1 }) : null;
+  const targetMessage = targetResult ? parseDnsMessage(targetResult.response) : null;
+  if (!targetMessage) {
+    return localResult(buildDnsResponse(queryMessage, { rcode: 2, answers: cnameAnswer })); // SERVFAIL
+  }
+
+  return localResult(
+    buildDnsResponse(queryMessage, {
+      rcode: targetMessage.rcode,
+      answers: [...cnameAnswer, ...targetMessage.answers],
+      authorities: targetMessage.authorities,
+    }),
+    targetResult.upstreamCacheControl
+  );
+}
+
+// ==================== DNS 报文编解码 ====================
+// 完整报文的编码与解码：头部标志位、四个部分、常见记录类型及名称压缩
+
+const DNS_TYPES = {
+  A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, SRV: 33, NAPTR: 35,
+  DNAME: 39, OPT: 41, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48, NSEC3: 50, NSEC3PARAM: 51,
+  SVCB: 64, HTTPS: 65, ANY: 255, CAA: 257,
+};
+const DNS_TYPE_NAMES = Object.fromEntries(Object.entries(DNS_TYPES).map(([name, code]) => [code, name]));
+
+// RDATA 中的域名允许压缩的类型 (RFC 3597 §4)，其余类型解码后保留原始 rdata
+const COMPRESSIBLE_TYPES = new Set([2, 5, 6, 12, 15]);
+
+const EDNS_OPTION_ECS = 8;
+const EDNS_OPTION_PADDING = 12;
+const EDNS_PADDING_BLOCK = 128;
+
+const SVC_PARAM_KEYS = ["mandatory", "alpn", "no-default-alpn", "port", "ipv4hint", "ech", "ipv6hint", "dohpath"];
+
+const strictDecoder = new TextDecoder("utf-8", { fatal: true });
+const encoder = new TextEncoder();
+
+// 记录类型名称或数字 (含 TYPE123 写法) 转为类型码
+function toTypeCode(type) {
+  if (typeof type === "number") return type > 0 && type <= 0xffff ? type : 0;
+  const upper = String(type).toUpperCase();
+  if (DNS_TYPES[upper]) return DNS_TYPES[upper];
+  const code = parseInt(upper.startsWith("TYPE") ? upper.slice(4) : upper, 10);
+  return code > 0 && code <= 0xffff ? code : 0;
+}
+
+function toTypeName(code) {
+  return DNS_TYPE_NAMES[code] || code;
+}
+
+// 构建 DNS Query 包
+// options.checkingDisabled: 设置 CD 位
+// 以下任一选项存在时附加 OPT 伪记录：udpPayloadSize、dnssecOk (DO 位)、
+// clientSubnet (ECS，如 "1.2.3.0/24"，纯 IP 按默认前缀截断)、padding (RFC 8467 块填充)
+function buildDnsQuery(domain, recordType, options = {}) {
+  const typeCode = toTypeCode(recordType);
+  if (!typeCode) return null;
+
+  const message = {
+    id: Math.floor(Math.random() * 65535),
+    flags: { rd: true, cd: !!options.checkingDisabled },
+    questions: [{ name: domain, type: typeCode }],
+    additionals: [],
+  };
+
+  let opt = null;
+  if (options.udpPayloadSize || options.dnssecOk || options.clientSubnet || options.padding) {
+    opt = {
+      name: "",
+      type: "OPT",
+      data: { udpPayloadSize: options.udpPayloadSize || EDNS_UDP_PAYLOAD_SIZE, dnssecOk: !!options.dnssecOk, options: [] },
+    };
+    if (options.clientSubnet) {
+      const ecsOption = buildClientSubnetOption(options.clientSubnet);
+      if (ecsOption) opt.data.options.push(ecsOption);
+    }
+    message.additionals.push(opt);
+  }
+
+  try {
+    const packet = encodeDnsMessage(message);
+    if (!opt || !options.padding) return packet;
+
+    // 填充选项自身占 4 字节头部，补齐到 128 字节的整数倍
+    const padLen = (EDNS_PADDING_BLOCK - ((packet.length + 4) % EDNS_PADDING_BLOCK)) % EDNS_PADDING_BLOCK;
+    opt.data.options.push({ code: EDNS_OPTION_PADDING, data: new Uint8Array(padLen) });
+    return encodeDnsMessage(message);
+  } catch (error) {
+    return null; // 域名不合法 (标签过长等)
+  }
+}
+
+// 根据查询构造响应：回显 ID、Question、RD/CD 位，查询带 OPT 时响应也附带 OPT
+function buildDnsResponse(queryMessage, { rcode = 0, answers = [], authorities = [], additionals = [] } = {}) {
+  const queryOpt = queryMessage.additionals.find((rr) => rr.typeCode === 41);
+  const responseAdditionals = [...additionals];
+  if (queryOpt) {
+    responseAdditionals.push({
+      name: "",
+      type: "OPT",
+      data: { udpPayloadSize: EDNS_UDP_PAYLOAD_SIZE, dnssecOk: queryOpt.data.dnssecOk, options: [] },
+    });
+  }
+
+  return encodeDnsMessage({
+    id: queryMessage.id,
+    flags: { qr: true, opcode: queryMessage.flags.opcode, rd: queryMessage.flags.rd, ra: true, cd: queryMessage.flags.cd },
+    rcode,
+    questions: queryMessage.questions,
+    answers,
+    authorities,
+    additionals: responseAdditionals,
+  });
+}
+
+// ==================== EDNS Client Subnet (RFC 7871) ====================
+
+// 解析 "地址/前缀" 或纯 IP (按 ECS_IPV4_PREFIX / ECS_IPV6_PREFIX 截断)，不合法时返回 null
+function parseClientSubnet(text) {
+  const [address, prefixText] = String(text).trim().split("/");
+  const v4 = ipv4ToBytes(address);
+  const bytes = v4 || ipv6ToBytes(address);
+  if (!bytes) return null;
+
+  const maxPrefix = v4 ? 32 : 128;
+  let prefix = v4 ? ECS_IPV4_PREFIX : ECS_IPV6_PREFIX;
+  if (prefixText !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixText)) return null;
+    prefix = parseInt(prefixText, 10);
+  }
+  if (prefix > maxPrefix) return null;
+
+  return { family: v4 ? 1 : 2, prefix, address: truncateAddress(bytes, prefix) };
+}
+
+// 只保留前缀所需的字节，并清零前缀之外的位
+function truncateAddress(bytes, prefix) {
+  const truncated = bytes.slice(0, Math.ceil(prefix / 8));
+  if (prefix % 8) truncated[truncated.length - 1] &= (0xff << (8 - (prefix % 8))) & 0xff;
+  return truncated;
+}
+
+function buildClientSubnetOption(subnetText) {
+  const subnet = parseClientSubnet(subnetText);
+  if (!subnet) return null;
+  const data = new Uint8Array(4 + subnet.address.length);
+  data[0] = 0;
+  data[1] = subnet.family;
+  data[2] = subnet.prefix;
+  data[3] = 0; // SCOPE PREFIX-LENGTH，查询中必须为 0
+  data.set(subnet.address, 4);
+  return { code: EDNS_OPTION_ECS, data };
+}
+
+// ECS 选项数据转为 { family, sourcePrefix, scopePrefix, subnet }
+function parseClientSubnetOption(data) {
+  if (data.length < 4) return null;
+  const family = (data[0] << 8) | data[1];
+  const full = new Uint8Array(family === 1 ? 4 : 16);
+  full.set(data.subarray(4, 4 + full.length));
+  const address = family === 1 ? parseIPv4(full, 0) : parseIPv6(full, 0);
+  return { family, sourcePrefix: data[2], scopePrefix: data[3], subnet: `${address}/${data[2]}` };
+}
+
+function parseDnsResponse(response, domain, recordType) {
+  const message = parseDnsMessage(response);
+  if (!message) return { domain, type: recordType, status: "error" };
+
+  // RCODE 0 代表成功，3 代表域名不存在
+  if (message.rcode !== 0) return { domain, type: recordType, status: "error" };
+
+  // 如果没有回答
+  if (message.answers.length === 0) return { domain, type: recordType, status: "no_records", answers: [] };
+
+  return { domain, type: recordType, status: "success", count: message.answers.length, answers: message.answers };
+}
+
+// 解析完整报文：头部标志位及 Question/Answer/Authority/Additional 四个部分，报文不合法时返回 null
+function parseDnsMessage(response) {
+  if (response.length < 12) return null;
+
+  const view = new DataView(response.buffer, response.byteOffset, response.byteLength);
+  const flags = view.getUint16(2, false);
+  const counts = [4, 6, 8, 10].map((pos) => view.getUint16(pos, false));
+
+  const message = {
+    id: view.getUint16(0, false),
+    flags: {
+      qr: !!(flags & 0x8000),
+      opcode: (flags >> 11) & 0x0f,
+      aa: !!(flags & 0x0400),
+      tc: !!(flags & 0x0200),
+      rd: !!(flags & 0x0100),
+      ra: !!(flags & 0x0080),
+      ad: !!(flags & 0x0020),
+      cd: !!(flags & 0x0010),
+    },
+    rcode: flags & 0x0f,
+    questions: [],
+    answers: [],
+    authorities: [],
+    additionals: [],
+  };
+
+  let offset = 12;
+  for (let i = 0; i < counts[0]; i++) {
+    const nameRes = parseDnsName(response, offset);
+    if (!nameRes || nameRes.nextOffset + 4 > response.length) return null;
+    const typeCode = view.getUint16(nameRes.nextOffset, false);
+    message.questions.push({
+      name: nameRes.name,
+      type: toTypeName(typeCode),
+      typeCode,
+      class: view.getUint16(nameRes.nextOffset + 2, false),
+    });
+    offset = nameRes.nextOffset + 4;
+  }
+
+  const sections = [message.answers, message.authorities, message.additionals];
+  for (let s = 0; s < sections.length; s++) {
+    for (let i = 0; i < counts[s + 1]; i++) {
+      if (offset >= response.length) return null;
+      const answer = parseDnsAnswer(response, offset);
+      if (!answer) return null;
+      sections[s].push(answer);
+      offset = answer.nextOffset;
+    }
+  }
+
+  // OPT 中的扩展 RCODE 高 8 位 (RFC 6891)
+  const opt = message.additionals.find((rr) => rr.typeCode === 41);
+  if (opt) message.rcode |= opt.data.extendedRcode << 4;
+
+  return message;
+}
+
+// 解析单条资源记录，数据不完整时返回 null
+function parseDnsAnswer(response, offset) {
+  const nameRes = parseDnsName(response, offset); // 解析名字
+  if (!nameRes || nameRes.nextOffset + 10 > response.length) return null;
+
+  let current = nameRes.nextOffset;
+  const view = new DataView(response.buffer, response.byteOffset, response.byteLength);
+
+  const type = view.getUint16(current, false);
+  const rrClass = view.getUint16(current + 2, false);
+  const ttl = view.getUint32(current + 4, false);
+  const dataLen = view.getUint16(current + 8, false);
+
+  current += 10;
+  if (current + dataLen > response.length) return null;
+
+  const answer = {
+    name: nameRes.name,
+    type: toTypeName(type),
+    typeCode: type,
+    class: rrClass,
+    ttl: ttl,
+    data: null,
+    nextOffset: current + dataLen,
+  };
+  // 原始 rdata 不参与 JSON 输出，用于原样重新编码和 DNSSEC 规范化
+  Object.defineProperty(answer, "rdata", { value: response.slice(current, current + dataLen) });
+
+  if (type === 41) {
+    // OPT 伪记录：CLASS 为 UDP 负载大小，TTL 为扩展 RCODE/版本/标志位
+    answer.data = {
+      udpPayloadSize: rrClass,
+      extendedRcode: ttl >>> 24,
+      version: (ttl >>> 16) & 0xff,
+      dnssecOk: !!(ttl & 0x8000),
+      options: parseEdnsOptions(response, current, dataLen),
+    };
+    return answer;
+  }
+
+  const codec = RDATA_CODECS[type];
+  try {
+    answer.data = codec ? codec.decode(response, view, current, dataLen) : formatGenericRdata(answer.rdata);
+  } catch (error) {
+    return null; // RDATA 越界或格式错误
+  }
+  return answer;
+}
+
+function parseEdnsOptions(response, offset, length) {
+  const view = new DataView(response.buffer, response.byteOffset, response.byteLength);
+  const options = [];
+  const end = offset + length;
+  while (offset + 4 <= end) {
+    const code = view.getUint16(offset, false);
+    const optLen = view.getUint16(offset + 2, false);
+    options.push({ code, data: response.slice(offset + 4, Math.min(offset + 4 + optLen, end)) });
+    offset += 4 + optLen;
+  }
+  return options;
+}
+
+// RFC 3597 通用格式：\# 长度 十六进制
+function formatGenericRdata(bytes) {
+  return bytes.length ? `\\# ${bytes.length} ${bytesToHex(bytes)}` : "\\# 0";
+}
+
+function parseGenericRdata(text) {
+  const match = /^\\#\s+(\d+)\s*([0-9a-fA-F\s]*)$/.exec(String(text));
+  if (!match) throw new Error(`Invalid generic RDATA: ${text}`);
+  const bytes = hexToBytes(match[2].replace(/\s+/g, ""));
+  if (bytes.length !== parseInt(match[1], 10)) throw new Error(`Generic RDATA length mismatch: ${text}`);
+  return bytes;
+}
+
+function parseIPv4(response, offset) {
+  return `${response[offset]}.${response[offset+1]}.${response[offset+2]}.${response[offset+3]}`;
+}
+
+function parseIPv6(response, offset) {
+  const parts = [];
+  for (let i = 0; i < 8; i++) {
+    // 提取每 2 字节并转为 16 进制字符串
+    parts.push(((response[offset + i * 2] << 8) | response[offset + i * 2 + 1]).toString(16));
+  }
+
+  // 寻找最长的连续零段（RFC 5952 规范）
+  let bestStart = -1, bestLen = 0, curStart = -1, curLen = 0;
+  for (let i = 0; i < 8; i++) {
+    if (parts[i] === "0") {
+      if (curStart === -1) curStart = i;
+      curLen++;
+      if (curLen > bestLen) {
+        bestStart = curStart;
+        bestLen = curLen;
+      }
+    } else {
+      curStart = -1;
+      curLen = 0;
+    }
+  }
+
+  // 只有长度大于 1 的零段才进行 "::" 压缩
+  if (bestLen > 1) {
+    parts.splice(bestStart, bestLen, "");
+    if (bestStart === 0) parts.unshift("");
+    if (bestStart + bestLen === 8) parts.push("");
+  }
+  
+  return parts.join(":").replace(/:{3,}/, "::");
+}
+
+// IPv4 文本转 4 字节，不合法时返回 null
+function ipv4ToBytes(ip) {
+  const parts = String(ip).split(".");
+  if (parts.length !== 4) return null;
+  const bytes = new Uint8Array(4);
+  for (let i = 0; i < 4; i++) {
+    if (!/^\d{1,3}$/.test(parts[i]) || Number(parts[i]) > 255) return null;
+    bytes[i] = Number(parts[i]);
+  }
+  return bytes;
+}
+
+// IP 地址转反向解析名称：IPv4 为 d.c.b.a.in-addr.arpa，IPv6 为 32 个半字节倒序的 ip6.arpa，不是 IP 时返回 null
+function ipToArpaName(ip) {
+  const v4 = ipv4ToBytes(ip);
+  if (v4) return `${[...v4].reverse().join(".")}.in-addr.arpa`;
+  const v6 = ipv6ToBytes(ip);
+  if (!v6) return null;
+  const nibbles = [];
+  for (const byte of v6) nibbles.push((byte >> 4).toString(16), (byte & 0x0f).toString(16));
+  return `${nibbles.reverse().join(".")}.ip6.arpa`;
+}
+
+// IPv6 文本 (支持 :: 压缩和内嵌 IPv4) 转 16 字节，不合法时返回 null
+function ipv6ToBytes(ip) {
+  let text = String(ip);
+  const v4Match = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (v4Match) {
+    const v4 = ipv4ToBytes(v4Match[2]);
+    if (!v4) return null;
+    text = `${v4Match[1]}${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+  }
+
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 8; i++) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(groups[i])) return null;
+    const value = parseInt(groups[i], 16);
+    bytes[i * 2] = value >> 8;
+    bytes[i * 2 + 1] = value & 0xff;
+  }
+  return bytes;
+}
+
+// 判断 IP 文本是否为非公网地址：内网、回环、链路本地、CGNAT、组播、保留及文档地址 (RFC 6890)
+// IPv4 映射 / NAT64 地址按内嵌的 IPv4 判断
+function isPrivateAddress(ip) {
+  const v4 = ipv4ToBytes(ip);
+  if (v4) return isPrivateIPv4(v4);
+  const v6 = ipv6ToBytes(ip);
+  if (!v6) return false;
+
+  if (v6.subarray(0, 10).every((byte) => byte === 0)) {
+    if (v6[10] === 0xff && v6[11] === 0xff) return isPrivateIPv4(v6.subarray(12)); // ::ffff:0:0/96
+    if (v6[10] === 0 && v6[11] === 0) return true; // ::/96，含 :: 与 ::1
+  }
+  if (v6[0] === 0x00 && v6[1] === 0x64 && v6[2] === 0xff && v6[3] === 0x9b && v6.subarray(4, 12).every((byte) => byte === 0)) {
+    return isPrivateIPv4(v6.subarray(12)); // 64:ff9b::/96
+  }
+  return (v6[0] & 0xfe) === 0xfc || // fc00::/7 唯一本地地址
+    (v6[0] === 0xfe && (v6[1] & 0x80) === 0x80) || // fe80::/10 链路本地、fec0::/10 站点本地
+    v6[0] === 0xff || // ff00::/8 组播
+    (v6[0] === 0x20 && v6[1] === 0x01 && v6[2] === 0x0d && v6[3] === 0xb8); // 2001:db8::/32 文档地址
+}
+
+function isPrivateIPv4([a, b, c]) {
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b < 128) || (a === 169 && b === 254) || (a === 172 && b >= 16 && b < 32) ||
+    (a === 192 && b === 168) || (a === 192 && b === 0 && (c === 0 || c === 2)) ||
+    (a === 198 && (b === 18 || b === 19)) || (a === 198 && b === 51 && c === 100) || (a === 203 && b === 0 && c === 113);
+}
+
+// 解析域名 (支持压缩指针)，标签按 UTF-8 解码，非法报文返回 null
+function parseDnsName(response, offset) {
+  const labels = [];
+  let current = offset;
+  let finalOffset = -1;
+  let nameLength = 0;
+  let lowestOffset = offset; // 每次跳转都必须指向更早的位置，保证不会出现指针循环
+
+  while (true) {
+    if (current >= response.length) return null;
+
+    const len = response[current];
 
-  while (true) {
-    if (loops++ > 20) break; // 防止死循环
-    if (current >= response.length) break;
-    
-    const len = response[current];
-    
     // 遇到 0，结束
     if (len === 0) {
-      if (!jumped) finalOffset = current + 1;
+      if (finalOffset === -1) finalOffset = current + 1;
       break;
     }
-    
+
     // 遇到指针 (11xxxxxx)
     if ((len & 0xc0) === 0xc0) {
-      if (!jumped) finalOffset = current + 2;
+      if (current + 1 >= response.length) return null;
+      if (finalOffset === -1) finalOffset = current + 2;
       const pointer = ((len & 0x3f) << 8) | response[current + 1];
+      if (pointer >= lowestOffset) return null;
+      lowestOffset = pointer;
       current = pointer;
-      jumped = true;
       continue;
     }
-    
-    // 普通标签
-    current++;
-    let label = "";
-    for(let i=0; i<len; i++) label += String.fromCharCode(response[current+i]);
-    labels.push(label);
-    current += len;
-    
-    if (!jumped) finalOffset = current;
+
+    // 0x40/0x80 为保留的标签类型
+    if (len > 63 || current + 1 + len > response.length) return null;
+    nameLength += len + 1;
+    if (nameLength > 255) return null;
+
+    labels.push(decodeLabel(response.subarray(current + 1, current + 1 + len)));
+    current += len + 1;
   }
-  
+
   return { name: labels.join("."), nextOffset: finalOffset };
 }
+
+// 标签解码：合法 UTF-8 原样输出，否则按 \DDD 转义；点号和反斜杠转义
+function decodeLabel(bytes) {
+  let text;
+  try {
+    text = strictDecoder.decode(bytes);
+  } catch (error) {
+    text = null;
+  }
+  if (text !== null) {
+    return text.replace(/[.\\]/g, "\\$&").replace(/[\x00-\x1f\x7f]/g, (c) => `\\${String(c.charCodeAt(0)).padStart(3, "0")}`);
+  }
+  let label = "";
+  for (const byte of bytes) {
+    if (byte === 0x2e || byte === 0x5c) label += "\\" + String.fromCharCode(byte);
+    else if (byte > 0x20 && byte < 0x7f) label += String.fromCharCode(byte);
+    else label += `\\${String(byte).padStart(3, "0")}`;
+  }
+  return label;
+}
+
+// 域名转标签字节数组，处理 \. 与 \DDD 转义
+function nameToLabels(name) {
+  const text = String(name);
+  if (text === "" || text === ".") return [];
+  const labels = [];
+  let bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\\") {
+      const digits = text.slice(i + 1, i + 4);
+      if (/^\d{3}$/.test(digits)) {
+        bytes.push(parseInt(digits, 10) & 0xff);
+        i += 3;
+      } else if (i + 1 < text.length) {
+        bytes.push(...encoder.encode(text[++i]));
+      }
+    } else if (ch === ".") {
+      if (i === text.length - 1) break; // 末尾的根点号
+      labels.push(bytes);
+      bytes = [];
+    } else {
+      bytes.push(...encoder.encode(ch));
+    }
+  }
+  labels.push(bytes);
+
+  let total = 1;
+  for (const label of labels) {
+    if (label.length === 0 || label.length > 63) throw new Error(`Invalid label in name: ${name}`);
+    total += label.length + 1;
+  }
+  if (total > 255) throw new Error(`Name too long: ${name}`);
+  return labels.map((label) => new Uint8Array(label));
+}
+
+// 报文写入器：自动扩容，支持域名压缩 (小写后缀 -> 偏移)
+// canonical 为 true 时按 DNSSEC 规范格式写出 (RFC 4034 §6.2)：域名一律小写且不压缩
+function createDnsWriter({ canonical = false } = {}) {
+  let buffer = new Uint8Array(512);
+  let length = 0;
+  const compression = new Map();
+
+  const ensure = (size) => {
+    if (length + size <= buffer.length) return;
+    let next = buffer.length * 2;
+    while (next < length + size) next *= 2;
+    const grown = new Uint8Array(next);
+    grown.set(buffer.subarray(0, length));
+    buffer = grown;
+  };
+
+  const writer = {
+    get length() {
+      return length;
+    },
+    u8(value) {
+      ensure(1);
+      buffer[length++] = value & 0xff;
+    },
+    u16(value) {
+      ensure(2);
+      buffer[length++] = (value >> 8) & 0xff;
+      buffer[length++] = value & 0xff;
+    },
+    u32(value) {
+      writer.u16((value >>> 16) & 0xffff);
+      writer.u16(value & 0xffff);
+    },
+    bytes(data) {
+      ensure(data.length);
+      buffer.set(data, length);
+      length += data.length;
+    },
+    setU16(position, value) {
+      buffer[position] = (value >> 8) & 0xff;
+      buffer[position + 1] = value & 0xff;
+    },
+    name(name, compress = false) {
+      const labels = nameToLabels(name);
+      if (canonical) {
+        compress = false;
+        for (const label of labels) label.forEach((byte, index) => (label[index] = byte >= 0x41 && byte <= 0x5a ? byte | 0x20 : byte));
+      }
+      for (let i = 0; i < labels.length; i++) {
+        const suffix = labels.slice(i).map((label) => decoder.decode(label).toLowerCase()).join(".");
+        if (compress && compression.has(suffix)) {
+          writer.u16(0xc000 | compression.get(suffix));
+          return;
+        }
+        if (compress && length < 0x4000) compression.set(suffix, length);
+        writer.u8(labels[i].length);
+        writer.bytes(labels[i]);
+      }
+      writer.u8(0);
+    },
+    finish() {
+      return buffer.slice(0, length);
+    },
+  };
+  return writer;
+}
+
+// 编码完整报文，计数字段由各部分数组长度计算；域名不合法时抛出异常
+function encodeDnsMessage(message) {
+  const w = createDnsWriter();
+  const flags = message.flags || {};
+  const questions = message.questions || [];
+  const sections = [message.answers || [], message.authorities || [], message.additionals || []];
+  const rcode = message.rcode || 0;
+
+  w.u16(message.id || 0);
+  w.u16(
+    (flags.qr ? 0x8000 : 0) |
+    ((flags.opcode || 0) & 0x0f) << 11 |
+    (flags.aa ? 0x0400 : 0) |
+    (flags.tc ? 0x0200 : 0) |
+    (flags.rd ? 0x0100 : 0) |
+    (flags.ra ? 0x0080 : 0) |
+    (flags.ad ? 0x0020 : 0) |
+    (flags.cd ? 0x0010 : 0) |
+    (rcode & 0x0f)
+  );
+  w.u16(questions.length);
+  for (const section of sections) w.u16(section.length);
+
+  for (const question of questions) {
+    w.name(question.name, true);
+    w.u16(toTypeCode(question.typeCode || question.type));
+    w.u16(question.class || 1);
+  }
+  for (const section of sections) {
+    for (const rr of section) encodeDnsRecord(w, rr, rcode);
+  }
+  return w.finish();
+}
+
+function encodeDnsRecord(w, rr, rcode = 0) {
+  const type = toTypeCode(rr.typeCode || rr.type);
+  if (!type) throw new Error(`Unknown record type: ${rr.type}`);
+
+  w.name(rr.name, true);
+  w.u16(type);
+
+  if (type === 41) {
+    const opt = rr.data || {};
+    w.u16(opt.udpPayloadSize || 1232);
+    w.u8(opt.extendedRcode !== undefined ? opt.extendedRcode : rcode >> 4);
+    w.u8(opt.version || 0);
+    w.u16(opt.dnssecOk ? 0x8000 : 0);
+    const lengthPos = w.length;
+    w.u16(0);
+    for (const option of opt.options || []) {
+      w.u16(option.code);
+      w.u16(option.data.length);
+      w.bytes(option.data);
+    }
+    w.setU16(lengthPos, w.length - lengthPos - 2);
+    return;
+  }
+
+  w.u16(rr.class || 1);
+  w.u32(rr.ttl || 0);
+  const lengthPos = w.length;
+  w.u16(0);
+
+  const codec = RDATA_CODECS[type];
+  if (rr.rdata && !COMPRESSIBLE_TYPES.has(type)) {
+    w.bytes(rr.rdata); // 解码得到的记录原样写回；修改 data 时应构造不带 rdata 的新记录
+  } else if (codec) {
+    codec.encode(w, rr.data);
+  } else {
+    w.bytes(parseGenericRdata(rr.data));
+  }
+  w.setU16(lengthPos, w.length - lengthPos - 2);
+}
+
+// 字符串 (<character-string>) 读写
+function readCharString(response, offset) {
+  const len = response[offset];
+  if (offset + 1 + len > response.length) throw new RangeError("character-string out of range");
+  return { text: decoder.decode(response.subarray(offset + 1, offset + 1 + len)), nextOffset: offset + 1 + len };
+}
+
+function writeCharString(w, text) {
+  const bytes = encoder.encode(text);
+  if (bytes.length > 255) throw new Error("character-string too long");
+  w.u8(bytes.length);
+  w.bytes(bytes);
+}
+
+function readName(response, offset) {
+  const nameRes = parseDnsName(response, offset);
+  if (!nameRes) throw new RangeError("Malformed name in RDATA");
+  return nameRes;
+}
+
+// NSEC/NSEC3 类型位图
+function parseTypeBitmap(response, offset, end) {
+  const types = [];
+  while (offset + 2 <= end) {
+    const windowBase = response[offset] * 256;
+    const len = response[offset + 1];
+    for (let i = 0; i < len; i++) {
+      const byte = response[offset + 2 + i];
+      for (let bit = 0; bit < 8; bit++) {
+        if (byte & (0x80 >> bit)) types.push(toTypeName(windowBase + i * 8 + bit));
+      }
+    }
+    offset += 2 + len;
+  }
+  return types;
+}
+
+function writeTypeBitmap(w, types) {
+  const codes = [...new Set(types.map(toTypeCode))].sort((a, b) => a - b);
+  const windows = new Map();
+  for (const code of codes) {
+    const win = code >> 8;
+    if (!windows.has(win)) windows.set(win, new Uint8Array(32));
+    windows.get(win)[(code & 0xff) >> 3] |= 0x80 >> (code & 7);
+  }
+  for (const [win, bitmap] of windows) {
+    let len = 32;
+    while (len > 0 && bitmap[len - 1] === 0) len--;
+    w.u8(win);
+    w.u8(len);
+    w.bytes(bitmap.subarray(0, len));
+  }
+}
+
+// SVCB/HTTPS 参数 (RFC 9460)，按 key 顺序解码为对象
+function parseSvcParams(response, view, offset, end) {
+  const params = {};
+  while (offset + 4 <= end) {
+    const key = view.getUint16(offset, false);
+    const len = view.getUint16(offset + 2, false);
+    const start = offset + 4;
+    if (start + len > end) throw new RangeError("SvcParam out of range");
+    const value = response.subarray(start, start + len);
+    const keyName = SVC_PARAM_KEYS[key] || `key${key}`;
+    switch (keyName) {
+      case "mandatory": {
+        const keys = [];
+        for (let i = 0; i + 1 < len; i += 2) {
+          const k = view.getUint16(start + i, false);
+          keys.push(SVC_PARAM_KEYS[k] || `key${k}`);
+        }
+        params[keyName] = keys;
+        break;
+      }
+      case "alpn": {
+        const ids = [];
+        for (let i = 0; i < len; ) {
+          const item = readCharString(value, i);
+          ids.push(item.text);
+          i = item.nextOffset;
+        }
+        params[keyName] = ids;
+        break;
+      }
+      case "no-default-alpn":
+        params[keyName] = true;
+        break;
+      case "port":
+        params[keyName] = view.getUint16(start, false);
+        break;
+      case "ipv4hint": {
+        const ips = [];
+        for (let i = 0; i + 4 <= len; i += 4) ips.push(parseIPv4(value, i));
+        params[keyName] = ips;
+        break;
+      }
+      case "ipv6hint": {
+        const ips = [];
+        for (let i = 0; i + 16 <= len; i += 16) ips.push(parseIPv6(value, i));
+        params[keyName] = ips;
+        break;
+      }
+      case "ech":
+        params[keyName] = bytesToBase64(value);
+        break;
+      case "dohpath":
+        params[keyName] = decoder.decode(value);
+        break;
+      default:
+        params[keyName] = bytesToHex(value);
+    }
+    offset = start + len;
+  }
+  return params;
+}
+
+function svcParamKeyCode(keyName) {
+  const index = SVC_PARAM_KEYS.indexOf(keyName);
+  if (index >= 0) return index;
+  const match = /^key(\d+)$/.exec(keyName);
+  if (!match) throw new Error(`Unknown SvcParam key: ${keyName}`);
+  return parseInt(match[1], 10);
+}
+
+function writeSvcParams(w, params = {}) {
+  const keys = Object.keys(params).sort((a, b) => svcParamKeyCode(a) - svcParamKeyCode(b));
+  for (const keyName of keys) {
+    const value = params[keyName];
+    const inner = createDnsWriter();
+    switch (keyName) {
+      case "mandatory":
+        for (const k of value) inner.u16(svcParamKeyCode(k));
+        break;
+      case "alpn":
+        for (const id of value) writeCharString(inner, id);
+        break;
+      case "no-default-alpn":
+        break;
+      case "port":
+        inner.u16(value);
+        break;
+      case "ipv4hint":
+        for (const ip of value) inner.bytes(requireIp(ipv4ToBytes(ip), ip));
+        break;
+      case "ipv6hint":
+        for (const ip of value) inner.bytes(requireIp(ipv6ToBytes(ip), ip));
+        break;
+      case "ech":
+        inner.bytes(base64ToBytes(value));
+        break;
+      case "dohpath":
+        inner.bytes(encoder.encode(value));
+        break;
+      default:
+        inner.bytes(hexToBytes(value));
+    }
+    const bytes = inner.finish();
+    w.u16(svcParamKeyCode(keyName));
+    w.u16(bytes.length);
+    w.bytes(bytes);
+  }
+}
+
+function requireIp(bytes, text) {
+  if (!bytes) throw new Error(`Invalid IP address: ${text}`);
+  return bytes;
+}
+
+const SVCB_CODEC = {
+  decode(response, view, offset, length) {
+    const target = readName(response, offset + 2);
+    return {
+      priority: view.getUint16(offset, false),
+      target: target.name,
+      params: parseSvcParams(response, view, target.nextOffset, offset + length),
+    };
+  },
+  encode(w, data) {
+    w.u16(data.priority);
+    w.name(data.target);
+    writeSvcParams(w, data.params);
+  },
+};
+
+// 单域名 RDATA (CNAME/NS/PTR/DNAME)
+const NAME_CODEC = {
+  decode: (response, view, offset) => readName(response, offset).name,
+  encode: (w, data) => w.name(data, true),
+};
+
+// 各记录类型的 RDATA 编解码，data 结构与 /resolve 输出一致
+const RDATA_CODECS = {
+  1: { // A 记录 (IPv4)
+    decode: (response, view, offset, length) => (length === 4 ? parseIPv4(response, offset) : null),
+    encode: (w, data) => w.bytes(requireIp(ipv4ToBytes(data), data)),
+  },
+  28: { // AAAA 记录 (IPv6)
+    decode: (response, view, offset, length) => (length === 16 ? parseIPv6(response, offset) : null),
+    encode: (w, data) => w.bytes(requireIp(ipv6ToBytes(data), data)),
+  },
+  2: NAME_CODEC, // NS
+  5: NAME_CODEC, // CNAME (别名)
+  12: NAME_CODEC, // PTR
+  39: { // DNAME 不允许压缩
+    decode: NAME_CODEC.decode,
+    encode: (w, data) => w.name(data),
+  },
+  6: { // SOA
+    decode(response, view, offset) {
+      const mname = readName(response, offset);
+      const rname = readName(response, mname.nextOffset);
+      const pos = rname.nextOffset;
+      if (pos + 20 > response.length) throw new RangeError("SOA out of range");
+      return {
+        mname: mname.name,
+        rname: rname.name,
+        serial: view.getUint32(pos, false),
+        refresh: view.getUint32(pos + 4, false),
+        retry: view.getUint32(pos + 8, false),
+        expire: view.getUint32(pos + 12, false),
+        minimum: view.getUint32(pos + 16, false),
+      };
+    },
+    encode(w, data) {
+      w.name(data.mname, true);
+      w.name(data.rname, true);
+      for (const field of ["serial", "refresh", "retry", "expire", "minimum"]) w.u32(data[field]);
+    },
+  },
+  15: { // MX
+    decode(response, view, offset) {
+      const preference = view.getUint16(offset, false);
+      const mxRes = readName(response, offset + 2);
+      return { preference, exchange: mxRes.name };
+    },
+    encode(w, data) {
+      w.u16(data.preference);
+      w.name(data.exchange, true);
+    },
+  },
+  16: { // TXT，多个字符串拼接输出
+    decode(response, view, offset, length) {
+      const parts = [];
+      let txtOffset = offset;
+      while (txtOffset < offset + length) {
+        const item = readCharString(response, txtOffset);
+        parts.push(item.text);
+        txtOffset = item.nextOffset;
+      }
+      return parts.join("");
+    },
+    encode(w, data) {
+      const bytes = encoder.encode(data);
+      if (bytes.length === 0) w.u8(0);
+      for (let i = 0; i < bytes.length; i += 255) {
+        const chunk = bytes.subarray(i, i + 255);
+        w.u8(chunk.length);
+        w.bytes(chunk);
+      }
+    },
+  },
+  33: { // SRV
+    decode(response, view, offset) {
+      const targetRes = readName(response, offset + 6);
+      return {
+        priority: view.getUint16(offset, false),
+        weight: view.getUint16(offset + 2, false),
+        port: view.getUint16(offset + 4, false),
+        target: targetRes.name,
+      };
+    },
+    encode(w, data) {
+      w.u16(data.priority);
+      w.u16(data.weight);
+      w.u16(data.port);
+      w.name(data.target);
+    },
+  },
+  35: { // NAPTR
+    decode(response, view, offset) {
+      const flags = readCharString(response, offset + 4);
+      const services = readCharString(response, flags.nextOffset);
+      const regexp = readCharString(response, services.nextOffset);
+      const replacement = readName(response, regexp.nextOffset);
+      return {
+        order: view.getUint16(offset, false),
+        preference: view.getUint16(offset + 2, false),
+        flags: flags.text,
+        services: services.text,
+        regexp: regexp.text,
+        replacement: replacement.name,
+      };
+    },
+    encode(w, data) {
+      w.u16(data.order);
+      w.u16(data.preference);
+      writeCharString(w, data.flags);
+      writeCharString(w, data.services);
+      writeCharString(w, data.regexp);
+      w.name(data.replacement);
+    },
+  },
+  43: { // DS
+    decode: (response, view, offset, length) => ({
+      keyTag: view.getUint16(offset, false),
+      algorithm: response[offset + 2],
+      digestType: response[offset + 3],
+      digest: bytesToHex(response.subarray(offset + 4, offset + length)),
+    }),
+    encode(w, data) {
+      w.u16(data.keyTag);
+      w.u8(data.algorithm);
+      w.u8(data.digestType);
+      w.bytes(hexToBytes(data.digest));
+    },
+  },
+  48: { // DNSKEY
+    decode: (response, view, offset, length) => ({
+      flags: view.getUint16(offset, false),
+      protocol: response[offset + 2],
+      algorithm: response[offset + 3],
+      publicKey: bytesToBase64(response.subarray(offset + 4, offset + length)),
+    }),
+    encode(w, data) {
+      w.u16(data.flags);
+      w.u8(data.protocol === undefined ? 3 : data.protocol);
+      w.u8(data.algorithm);
+      w.bytes(base64ToBytes(data.publicKey));
+    },
+  },
+  46: { // RRSIG
+    decode(response, view, offset, length) {
+      const signer = readName(response, offset + 18);
+      return {
+        typeCovered: toTypeName(view.getUint16(offset, false)),
+        algorithm: response[offset + 2],
+        labels: response[offset + 3],
+        originalTtl: view.getUint32(offset + 4, false),
+        expiration: view.getUint32(offset + 8, false),
+        inception: view.getUint32(offset + 12, false),
+        keyTag: view.getUint16(offset + 16, false),
+        signerName: signer.name,
+        signature: bytesToBase64(response.subarray(signer.nextOffset, offset + length)),
+      };
+    },
+    encode(w, data) {
+      w.u16(toTypeCode(data.typeCovered));
+      w.u8(data.algorithm);
+      w.u8(data.labels);
+      w.u32(data.originalTtl);
+      w.u32(data.expiration);
+      w.u32(data.inception);
+      w.u16(data.keyTag);
+      w.name(data.signerName);
+      w.bytes(base64ToBytes(data.signature));
+    },
+  },
+  47: { // NSEC
+    decode(response, view, offset, length) {
+      const next = readName(response, offset);
+      return { nextDomain: next.name, types: parseTypeBitmap(response, next.nextOffset, offset + length) };
+    },
+    encode(w, data) {
+      w.name(data.nextDomain);
+      writeTypeBitmap(w, data.types);
+    },
+  },
+  50: { // NSEC3
+    decode(response, view, offset, length) {
+      const saltLen = response[offset + 4];
+      const hashOffset = offset + 5 + saltLen;
+      const hashLen = response[hashOffset];
+      return {
+        hashAlgorithm: response[offset],
+        flags: response[offset + 1],
+        iterations: view.getUint16(offset + 2, false),
+        salt: bytesToHex(response.subarray(offset + 5, hashOffset)),
+        nextHashed: bytesToBase32Hex(response.subarray(hashOffset + 1, hashOffset + 1 + hashLen)),
+        types: parseTypeBitmap(response, hashOffset + 1 + hashLen, offset + length),
+      };
+    },
+    encode(w, data) {
+      const salt = hexToBytes(data.salt || "");
+      const nextHashed = base32HexToBytes(data.nextHashed);
+      w.u8(data.hashAlgorithm);
+      w.u8(data.flags);
+      w.u16(data.iterations);
+      w.u8(salt.length);
+      w.bytes(salt);
+      w.u8(nextHashed.length);
+      w.bytes(nextHashed);
+      writeTypeBitmap(w, data.types);
+    },
+  },
+  51: { // NSEC3PARAM
+    decode: (response, view, offset) => ({
+      hashAlgorithm: response[offset],
+      flags: response[offset + 1],
+      iterations: view.getUint16(offset + 2, false),
+      salt: bytesToHex(response.subarray(offset + 5, offset + 5 + response[offset + 4])),
+    }),
+    encode(w, data) {
+      const salt = hexToBytes(data.salt || "");
+      w.u8(data.hashAlgorithm);
+      w.u8(data.flags);
+      w.u16(data.iterations);
+      w.u8(salt.length);
+      w.bytes(salt);
+    },
+  },
+  64: SVCB_CODEC, // SVCB
+  65: SVCB_CODEC, // HTTPS
+  257: { // CAA
+    decode(response, view, offset, length) {
+      const tagLen = response[offset + 1];
+      return {
+        flags: response[offset],
+        tag: decoder.decode(response.subarray(offset + 2, offset + 2 + tagLen)),
+        value: decoder.decode(response.subarray(offset + 2 + tagLen, offset + length)),
+      };
+    },
+    encode(w, data) {
+      const tag = encoder.encode(data.tag);
+      w.u8(data.flags || 0);
+      w.u8(tag.length);
+      w.bytes(tag);
+      w.bytes(encoder.encode(data.value));
+    },
+  },
+};
+
+// 记录数据转为 presentation 格式字符串 (dig / JSON API 使用)
+function formatRecordData(rr) {
+  const data = rr.data;
+  if (data === null || data === undefined) return formatGenericRdata(rr.rdata || new Uint8Array(0));
+  switch (rr.type) {
+    case "CNAME":
+    case "NS":
+    case "PTR":
+    case "DNAME":
+      return toFqdn(data);
+    case "SOA":
+      return `${toFqdn(data.mname)} ${toFqdn(data.rname)} ${data.serial} ${data.refresh} ${data.retry} ${data.expire} ${data.minimum}`;
+    case "MX":
+      return `${data.preference} ${toFqdn(data.exchange)}`;
+    case "SRV":
+      return `${data.priority} ${data.weight} ${data.port} ${toFqdn(data.target)}`;
+    case "TXT":
+      return quoteString(data);
+    case "NAPTR":
+      return `${data.order} ${data.preference} ${quoteString(data.flags)} ${quoteString(data.services)} ${quoteString(data.regexp)} ${toFqdn(data.replacement)}`;
+    case "DS":
+      return `${data.keyTag} ${data.algorithm} ${data.digestType} ${data.digest.toUpperCase()}`;
+    case "DNSKEY":
+      return `${data.flags} ${data.protocol} ${data.algorithm} ${data.publicKey}`;
+    case "RRSIG":
+      return `${data.typeCovered} ${data.algorithm} ${data.labels} ${data.originalTtl} ${formatSigTime(data.expiration)} ${formatSigTime(data.inception)} ${data.keyTag} ${toFqdn(data.signerName)} ${data.signature}`;
+    case "NSEC":
+      return `${toFqdn(data.nextDomain)} ${data.types.join(" ")}`;
+    case "NSEC3":
+      return `${data.hashAlgorithm} ${data.flags} ${data.iterations} ${data.salt || "-"} ${data.nextHashed} ${data.types.join(" ")}`.trim();
+    case "NSEC3PARAM":
+      return `${data.hashAlgorithm} ${data.flags} ${data.iterations} ${data.salt || "-"}`;
+    case "SVCB":
+    case "HTTPS":
+      return formatSvcbData(data);
+    case "CAA":
+      return `${data.flags} ${data.tag} ${quoteString(data.value)}`;
+    default:
+      return String(data);
+  }
+}
+
+function formatSvcbData(data) {
+  const params = Object.entries(data.params).map(([key, value]) => {
+    if (value === true) return key;
+    if (Array.isArray(value)) return `${key}=${value.join(",")}`;
+    return `${key}=${value}`;
+  });
+  return [data.priority, toFqdn(data.target), ...params].join(" ");
+}
+
+// presentation 格式解析为记录数据，是 formatRecordData 的逆操作 (JSON API 上游使用)
+// RFC 3597 通用格式 (\# 长度 十六进制) 按类型解码；不支持的类型抛出异常
+function parseRecordText(type, text) {
+  const typeCode = toTypeCode(type);
+  const codec = RDATA_CODECS[typeCode];
+  if (String(text).startsWith("\\#")) {
+    const bytes = parseGenericRdata(text);
+    if (!codec) return text;
+    return codec.decode(bytes, new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), 0, bytes.length);
+  }
+
+  const fields = splitPresentation(text);
+  const number = (index) => {
+    const value = Number(fields[index]);
+    if (!Number.isInteger(value)) throw new Error(`Invalid ${toTypeName(typeCode)} record: ${text}`);
+    return value;
+  };
+  switch (toTypeName(typeCode)) {
+    case "A":
+    case "AAAA":
+    case "CNAME":
+    case "NS":
+    case "PTR":
+    case "DNAME":
+      return fields[0];
+    case "SOA":
+      return { mname: fields[0], rname: fields[1], serial: number(2), refresh: number(3), retry: number(4), expire: number(5), minimum: number(6) };
+    case "MX":
+      return { preference: number(0), exchange: fields[1] };
+    case "SRV":
+      return { priority: number(0), weight: number(1), port: number(2), target: fields[3] };
+    case "TXT":
+      return String(text).trimStart().startsWith('"') ? fields.join("") : String(text); // dns.google 的 TXT 不加引号
+    case "NAPTR":
+      return { order: number(0), preference: number(1), flags: fields[2], services: fields[3], regexp: fields[4], replacement: fields[5] };
+    case "DS":
+      return { keyTag: number(0), algorithm: number(1), digestType: number(2), digest: fields.slice(3).join("").toLowerCase() };
+    case "DNSKEY":
+      return { flags: number(0), protocol: number(1), algorithm: number(2), publicKey: fields.slice(3).join("") };
+    case "RRSIG":
+      return {
+        typeCovered: fields[0],
+        algorithm: number(1),
+        labels: number(2),
+        originalTtl: number(3),
+        expiration: parseSigTime(fields[4]),
+        inception: parseSigTime(fields[5]),
+        keyTag: number(6),
+        signerName: fields[7],
+        signature: fields.slice(8).join(""),
+      };
+    case "NSEC":
+      return { nextDomain: fields[0], types: fields.slice(1) };
+    case "NSEC3":
+      return { hashAlgorithm: number(0), flags: number(1), iterations: number(2), salt: fields[3] === "-" ? "" : fields[3], nextHashed: fields[4], types: fields.slice(5) };
+    case "SVCB":
+    case "HTTPS":
+      return { priority: number(0), target: fields[1], params: parseSvcParamsText(fields.slice(2)) };
+    case "CAA":
+      return { flags: number(0), tag: fields[1], value: fields.slice(2).join(" ") };
+    default:
+      throw new Error(`Unsupported record text for type ${toTypeName(typeCode)}`);
+  }
+}
+
+// "key=value" 形式的 SvcParams，格式与 formatSvcbData 输出一致
+function parseSvcParamsText(items) {
+  const params = {};
+  for (const item of items) {
+    const index = item.indexOf("=");
+    const key = index < 0 ? item : item.slice(0, index);
+    const value = index < 0 ? "" : item.slice(index + 1).replace(/^"(.*)"$/, "$1");
+    switch (key) {
+      case "mandatory":
+      case "alpn":
+      case "ipv4hint":
+      case "ipv6hint":
+        params[key] = value.split(",");
+        break;
+      case "no-default-alpn":
+        params[key] = true;
+        break;
+      case "port":
+        params[key] = Number(value);
+        break;
+      default:
+        params[key] = value;
+    }
+  }
+  return params;
+}
+
+// 按空白拆分字段，引号内的空白保留，并处理 \X 与 \DDD 转义
+function splitPresentation(text) {
+  const fields = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(text)))) {
+    fields.push(match[1] !== undefined ? match[1].replace(/\\(\d{3}|.)/g, (escape, code) => (code.length === 3 ? String.fromCharCode(parseInt(code, 10)) : code)) : match[2]);
+  }
+  return fields;
+}
+
+function quoteString(text) {
+  return `"${String(text).replace(/(["\\])/g, "\\$1")}"`;
+}
+
+function toFqdn(name) {
+  return name.endsWith(".") ? name : name + ".";
+}
+
+// RRSIG 时间：YYYYMMDDHHmmSS
+function formatSigTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:T]/g, "").slice(0, 14);
+}
+
+// YYYYMMDDHHmmSS 或秒数
+function parseSigTime(text) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(text);
+  const seconds = match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) / 1000 : Number(text);
+  if (!Number.isInteger(seconds)) throw new Error(`Invalid signature time: ${text}`);
+  return seconds;
+}
+
+function bytesToHex(bytes) {
+  let hex = "";
+  for (const byte of bytes) hex += byte.toString(16).padStart(2, "0");
+  return hex;
+}
+
+function hexToBytes(hex) {
+  if (hex.length % 2 || /[^0-9a-fA-F]/.test(hex)) throw new Error(`Invalid hex string: ${hex}`);
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Base64URL (RFC 4648 §5)，填充可省略；格式错误时返回 null
+function base64UrlToBytes(text) {
+  if (!/^[A-Za-z0-9_-]*={0,2}$/.test(text)) return null;
+  const base64 = text.replace(/=+$/, "").replace(/-/g, "+").replace(/_/g, "/");
+  if (base64.length % 4 === 1) return null;
+  return base64ToBytes(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+}
+
+// NSEC3 使用不带填充的 Base32hex (RFC 4648 §7)
+const BASE32HEX_ALPHABET = "0123456789abcdefghijklmnopqrstuv";
+
+function bytesToBase32Hex(bytes) {
+  let bits = 0, value = 0, output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32HEX_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32HEX_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32HexToBytes(text) {
+  const bytes = [];
+  let bits = 0, value = 0;
+  for (const ch of text.toLowerCase()) {
+    const index = BASE32HEX_ALPHABET.indexOf(ch);
+    if (index < 0) throw new Error(`Invalid base32hex string: ${text}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}